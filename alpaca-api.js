@@ -0,0 +1,370 @@
+/**
+ * Alpaca API
+ * Translation between the simulator and the Alpaca Trading API v2, so bots
+ * written for Alpaca can point their base URL at this server. Alpaca sends
+ * numbers as strings and identifies accounts, orders and assets by UUID;
+ * the shapes here follow it, with UUIDs derived from the simulator's ids so
+ * they stay the same across requests.
+ */
+
+const crypto = require('crypto');
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit'];
+const TIME_IN_FORCE = ['day', 'gtc', 'ioc', 'fok'];
+const ORDER_CLASSES = ['simple', 'bracket', 'oco'];
+
+const ORDER_STATUSES = {
+    pending: 'new',
+    held: 'held',
+    partially_filled: 'partially_filled',
+    filled: 'filled',
+    cancelled: 'canceled',
+    replaced: 'replaced',
+    rejected: 'rejected',
+    expired: 'expired'
+};
+
+const POSITION_INTENTS = {
+    buy: 'buy_to_open',
+    buy_to_cover: 'buy_to_close',
+    sell: 'sell_to_close',
+    sell_short: 'sell_to_open'
+};
+
+// Alpaca's error codes are the HTTP status followed by a detail number
+const ERROR_CODES = {
+    401: 40110000,
+    403: 40310000,
+    404: 40410000,
+    422: 42210000,
+    429: 42910000
+};
+
+// Alpaca SDKs only accept the exchanges Alpaca lists, so simulated assets
+// report one of them
+const EXCHANGE = 'NASDAQ';
+
+const MAX_ORDER_LIMIT = 500;
+
+function alpacaError(status, message) {
+    return { code: ERROR_CODES[status] || status * 100000, message: message };
+}
+
+// Alpaca answers validation failures with 422 and finished orders with 422 too
+function toAlpacaStatus(statusCode) {
+    return statusCode === 400 || statusCode === 404 || statusCode === 409 ? 422 : statusCode;
+}
+
+/**
+ * A stable UUID for a simulator id, laid out as a version 5 UUID so strict
+ * parsers accept it. `kind` keeps ids of different things apart.
+ */
+function alpacaId(kind, id) {
+    const hex = crypto.createHash('sha1').update(`${kind}:${id}`).digest('hex');
+    const variant = (8 | (parseInt(hex[16], 16) & 3)).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function decimal(value) {
+    return value === null || value === undefined ? null : String(Number(Number(value).toFixed(4)));
+}
+
+function timestamp(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// Optional numeric field that Alpaca clients may send as a string
+function parseNumber(value) {
+    return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+function isOpenOrder(order) {
+    return order.status === 'pending' || order.status === 'partially_filled' || order.status === 'held';
+}
+
+// Alpaca nests an OCO stop under its take-profit, as it does bracket legs under the entry
+function legIdsOf(order) {
+    if (order.legs) return order.legs;
+    if (order.order_class === 'oco' && order.leg === 'take_profit' && order.oco_with) return [order.oco_with];
+    return [];
+}
+
+/**
+ * An order as Alpaca reports it. `orders` is the venue's order map, used to
+ * nest bracket and OCO legs.
+ */
+function toAlpacaOrder(order, orders) {
+    const legs = legIdsOf(order).map(id => orders.get(id)).filter(Boolean);
+    const updatedAt = Math.max(...[order.createdAt, order.filledAt, order.cancelledAt, order.expiredAt, order.replacedAt]
+        .filter(Boolean)
+        .map(value => new Date(value).getTime()));
+
+    return {
+        id: alpacaId('order', order.id),
+        client_order_id: order.client_order_id || order.id,
+        created_at: timestamp(order.createdAt),
+        updated_at: timestamp(updatedAt),
+        submitted_at: timestamp(order.createdAt),
+        filled_at: order.status === 'filled' ? timestamp(order.filledAt) : null,
+        expired_at: timestamp(order.expiredAt),
+        canceled_at: timestamp(order.cancelledAt),
+        failed_at: order.status === 'rejected' ? timestamp(order.createdAt) : null,
+        replaced_at: timestamp(order.replacedAt),
+        replaced_by: order.replacedBy ? alpacaId('order', order.replacedBy) : null,
+        replaces: order.replaces ? alpacaId('order', order.replaces) : null,
+        asset_id: alpacaId('asset', order.symbol),
+        symbol: order.symbol,
+        asset_class: 'us_equity',
+        notional: null,
+        qty: decimal(order.quantity),
+        filled_qty: decimal(order.filledQuantity),
+        filled_avg_price: decimal(order.avgFillPrice),
+        order_class: order.order_class,
+        order_type: order.type,
+        type: order.type,
+        side: order.action === 'buy' || order.action === 'buy_to_cover' ? 'buy' : 'sell',
+        position_intent: POSITION_INTENTS[order.action],
+        time_in_force: order.time_in_force,
+        limit_price: decimal(order.limit_price),
+        stop_price: decimal(order.stop_price),
+        status: ORDER_STATUSES[order.status],
+        extended_hours: Boolean(order.extended_hours),
+        legs: legs.length > 0 ? legs.map(leg => toAlpacaOrder(leg, orders)) : null,
+        trail_percent: null,
+        trail_price: null,
+        hwm: null
+    };
+}
+
+/**
+ * Pick and sort orders for GET /v2/orders: status (open, closed or all),
+ * symbols, after/until on the creation time, direction and limit. With
+ * nested, legs appear only under their parent rather than on their own.
+ * @returns {{ orders, nested }|{ error }}
+ */
+function selectOrders(orders, query) {
+    const status = query.status || 'open';
+    if (!['open', 'closed', 'all'].includes(status)) {
+        return { error: 'status must be open, closed or all' };
+    }
+    const direction = query.direction || 'desc';
+    if (direction !== 'asc' && direction !== 'desc') {
+        return { error: 'direction must be asc or desc' };
+    }
+    const limit = query.limit === undefined ? 50 : parseInt(query.limit, 10);
+    if (!(limit > 0 && limit <= MAX_ORDER_LIMIT)) {
+        return { error: `limit must be between 1 and ${MAX_ORDER_LIMIT}` };
+    }
+    const after = query.after ? Date.parse(query.after) : -Infinity;
+    const until = query.until ? Date.parse(query.until) : Infinity;
+    if (isNaN(after) || isNaN(until)) {
+        return { error: 'after and until must be timestamps' };
+    }
+    const symbols = query.symbols ? new Set(String(query.symbols).toUpperCase().split(',')) : null;
+    const nested = query.nested === true || query.nested === 'true';
+    const nestedLegs = nested ? new Set(orders.flatMap(legIdsOf)) : new Set();
+
+    const selected = orders
+        .filter(order => status === 'all' || (status === 'open') === isOpenOrder(order))
+        .filter(order => !symbols || symbols.has(order.symbol))
+        .filter((order) => {
+            const createdAt = new Date(order.createdAt).getTime();
+            return createdAt > after && createdAt < until;
+        })
+        .filter(order => !nestedLegs.has(order.id))
+        .sort((a, b) => (new Date(a.createdAt) - new Date(b.createdAt)) * (direction === 'asc' ? 1 : -1));
+
+    return { orders: selected.slice(0, limit), nested: nested };
+}
+
+/**
+ * Turn a POST /v2/orders body into a simulator order request. Alpaca's
+ * buy and sell become buy_to_cover and sell_short against a short or flat
+ * position, given its current quantity.
+ * @returns {{ request }|{ error }}
+ */
+function fromAlpacaOrderRequest(body, positionQty) {
+    const { symbol, qty, notional, side, client_order_id, take_profit, stop_loss } = body;
+    const type = body.type || body.order_type || 'market';
+    const timeInForce = body.time_in_force || 'day';
+    const orderClass = body.order_class || 'simple';
+    const quantity = Number(qty);
+
+    if (notional !== undefined && notional !== null) {
+        return { error: 'notional orders are not supported, use qty' };
+    }
+    if (!symbol) {
+        return { error: 'symbol is required' };
+    }
+    if (!(Number.isInteger(quantity) && quantity > 0)) {
+        return { error: 'qty must be a positive whole number' };
+    }
+    if (side !== 'buy' && side !== 'sell') {
+        return { error: 'side must be buy or sell' };
+    }
+    if (!ORDER_TYPES.includes(type)) {
+        return { error: `type must be one of ${ORDER_TYPES.join(', ')}` };
+    }
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+        return { error: `time_in_force must be one of ${TIME_IN_FORCE.join(', ')}` };
+    }
+    if (!ORDER_CLASSES.includes(orderClass)) {
+        return { error: `order_class must be one of ${ORDER_CLASSES.join(', ')}` };
+    }
+    if (client_order_id !== undefined && (typeof client_order_id !== 'string' || client_order_id.length > 128)) {
+        return { error: 'client_order_id must be a string of at most 128 characters' };
+    }
+
+    return {
+        request: {
+            symbol: String(symbol).toUpperCase(),
+            action: side === 'buy'
+                ? (positionQty < 0 ? 'buy_to_cover' : 'buy')
+                : (positionQty > 0 ? 'sell' : 'sell_short'),
+            quantity: quantity,
+            order_type: type,
+            limit_price: parseNumber(body.limit_price),
+            stop_price: parseNumber(body.stop_price),
+            time_in_force: timeInForce,
+            order_class: orderClass,
+            take_profit: take_profit ? { limit_price: parseNumber(take_profit.limit_price) } : undefined,
+            stop_loss: stop_loss
+                ? { stop_price: parseNumber(stop_loss.stop_price), limit_price: parseNumber(stop_loss.limit_price) }
+                : undefined,
+            client_order_id: client_order_id,
+            extended_hours: body.extended_hours === true || body.extended_hours === 'true'
+        }
+    };
+}
+
+// PATCH /v2/orders/:id fields as replaceOrder changes
+function fromAlpacaReplaceRequest(body) {
+    return {
+        quantity: parseNumber(body.qty),
+        limit_price: parseNumber(body.limit_price),
+        stop_price: parseNumber(body.stop_price),
+        client_order_id: body.client_order_id
+    };
+}
+
+function toAlpacaPosition(holding, market) {
+    const price = market ? market.price : holding.currentPrice;
+    const marketValue = price * holding.quantity;
+    const unrealized = marketValue - holding.costBasis;
+
+    return {
+        asset_id: alpacaId('asset', holding.symbol),
+        symbol: holding.symbol,
+        exchange: EXCHANGE,
+        asset_class: 'us_equity',
+        asset_marginable: true,
+        qty: decimal(holding.quantity),
+        qty_available: decimal(holding.quantity),
+        avg_entry_price: decimal(holding.costBasis / holding.quantity),
+        side: holding.quantity < 0 ? 'short' : 'long',
+        market_value: decimal(marketValue),
+        cost_basis: decimal(holding.costBasis),
+        unrealized_pl: decimal(unrealized),
+        unrealized_plpc: decimal(holding.costBasis !== 0 ? unrealized / Math.abs(holding.costBasis) : 0),
+        // The simulator keeps no previous close to measure the day against
+        unrealized_intraday_pl: null,
+        unrealized_intraday_plpc: null,
+        current_price: decimal(price),
+        lastday_price: null,
+        change_today: null
+    };
+}
+
+/**
+ * The account for GET /v2/account. `valuation` is valuePortfolio's result
+ * and `margin` getAccountMarginStatus's.
+ */
+function toAlpacaAccount(account, portfolio, valuation, margin) {
+    const buyingPower = margin.enabled ? margin.buyingPower : Math.max(0, portfolio.cash);
+
+    return {
+        id: alpacaId('account', account.id),
+        account_number: account.id,
+        status: 'ACTIVE',
+        currency: 'USD',
+        cash: decimal(portfolio.cash),
+        portfolio_value: decimal(valuation.equity),
+        equity: decimal(valuation.equity),
+        last_equity: decimal(account.dayStartEquity),
+        long_market_value: decimal(valuation.longMarketValue),
+        short_market_value: decimal(valuation.shortMarketValue),
+        buying_power: decimal(buyingPower),
+        regt_buying_power: decimal(buyingPower),
+        daytrading_buying_power: '0',
+        non_marginable_buying_power: decimal(Math.max(0, portfolio.cash)),
+        initial_margin: decimal(margin.enabled ? margin.usedMargin : 0),
+        maintenance_margin: decimal(margin.enabled ? margin.maintenanceRequirement : 0),
+        multiplier: String(margin.enabled ? margin.multiplier : 1),
+        sma: '0',
+        daytrade_count: 0,
+        pattern_day_trader: false,
+        trading_blocked: account.status === 'halted',
+        transfers_blocked: false,
+        account_blocked: false,
+        trade_suspended_by_user: false,
+        shorting_enabled: true,
+        accrued_fees: decimal(portfolio.borrowFees + portfolio.marginInterest),
+        created_at: timestamp(account.registeredAt)
+    };
+}
+
+/**
+ * An asset for /v2/assets. `stock` is the REAL_STOCKS entry, `hardToBorrow`
+ * whether it can be shorted.
+ */
+function toAlpacaAsset(stock, hardToBorrow) {
+    return {
+        id: alpacaId('asset', stock.symbol),
+        class: 'us_equity',
+        exchange: EXCHANGE,
+        symbol: stock.symbol,
+        name: stock.name || stock.symbol,
+        status: 'active',
+        tradable: true,
+        marginable: true,
+        shortable: !hardToBorrow,
+        easy_to_borrow: !hardToBorrow,
+        fractionable: false,
+        attributes: []
+    };
+}
+
+/**
+ * GET /v2/clock. A venue with a market clock reports its simulated market
+ * time and sessions; without one sessions run back to back, so the market is
+ * always open and the next session opens as the current one closes.
+ */
+function toAlpacaClock(venue) {
+    if (venue.clock) {
+        const { timestamp, is_open, next_open, next_close } = venue.clock.describe();
+        return { timestamp, is_open, next_open, next_close };
+    }
+
+    const now = venue.now();
+    const close = new Date(now.getTime() + (venue.ticksPerSession - venue.session.tick) * venue.tickMs);
+    return {
+        timestamp: now.toISOString(),
+        is_open: true,
+        next_open: close.toISOString(),
+        next_close: close.toISOString()
+    };
+}
+
+module.exports = {
+    alpacaError,
+    alpacaId,
+    toAlpacaStatus,
+    toAlpacaOrder,
+    toAlpacaPosition,
+    toAlpacaAccount,
+    toAlpacaAsset,
+    toAlpacaClock,
+    selectOrders,
+    fromAlpacaOrderRequest,
+    fromAlpacaReplaceRequest
+};
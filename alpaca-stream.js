@@ -0,0 +1,325 @@
+/**
+ * Alpaca Stream
+ * Alpaca-compatible WebSocket streams to go with the REST facade in
+ * alpaca-api.js: trade_updates on /stream, where Alpaca's trading API serves
+ * it, and trades, quotes and minute bars on /v2/<feed>, like Alpaca's market
+ * data stream. Both authenticate with the bot's id as key and api_key as
+ * secret, in the auth message or the APCA-API-KEY-ID / APCA-API-SECRET-KEY
+ * headers.
+ */
+
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+const { DEFAULTS: EXECUTION_DEFAULTS } = require('./execution-model');
+
+const TRADING_PATH = '/stream';
+const DATA_PATH = /^\/v2\/(iex|sip|test)$/; // Alpaca's feed names, all served the same simulated data
+const AUTH_TIMEOUT_MS = 10000;
+const BAR_MS = 60000;
+
+// Data stream error codes, as Alpaca numbers them
+const DATA_ERRORS = {
+    invalidSyntax: [400, 'invalid syntax'],
+    notAuthenticated: [401, 'not authenticated'],
+    authFailed: [402, 'auth failed'],
+    alreadyAuthenticated: [403, 'already authenticated'],
+    authTimeout: [404, 'auth timeout']
+};
+
+const DATA_CHANNELS = ['trades', 'quotes', 'bars'];
+
+// trade_updates events for orders that stop working
+const FINAL_EVENTS = { cancelled: 'canceled', expired: 'expired', replaced: 'replaced', rejected: 'rejected' };
+
+function headerCredentials(req) {
+    return [req.headers['apca-api-key-id'], req.headers['apca-api-secret-key']];
+}
+
+class AlpacaStream {
+    /**
+     * @param {object} hooks
+     * @param {function} hooks.authenticate - (keyId, secret) -> bot or null
+     * @param {function} hooks.describeOrder - (order) -> the order as the REST facade shows it
+     * @param {function} hooks.positionOf - (botId, symbol) -> signed share quantity
+     * @param {Map} hooks.marketData - live market data by symbol
+     */
+    constructor(hooks) {
+        this.hooks = hooks;
+        this.tradingServer = new WebSocket.Server({ noServer: true });
+        this.dataServer = new WebSocket.Server({ noServer: true });
+        this.reported = new Map(); // order id -> { status, executions } already sent as trade updates
+        this.bars = new Map();     // symbol -> minute bar being built
+        this.tradeId = 0;
+
+        this.tradingServer.on('connection', (ws, req) => this.openTradingClient(ws, req));
+        this.dataServer.on('connection', (ws, req) => this.openDataClient(ws, req));
+    }
+
+    /**
+     * Take an HTTP upgrade for one of the stream paths. Returns false for any
+     * other path so the caller can hand it on.
+     */
+    handleUpgrade(req, socket, head) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const server = pathname === TRADING_PATH ? this.tradingServer
+            : DATA_PATH.test(pathname) ? this.dataServer
+            : null;
+        if (!server) return false;
+
+        server.handleUpgrade(req, socket, head, ws => server.emit('connection', ws, req));
+        return true;
+    }
+
+    get clientCount() {
+        return this.tradingServer.clients.size + this.dataServer.clients.size;
+    }
+
+    // Start the auth clock, or authenticate straight away from the headers
+    authenticateOnConnect(ws, req, onTimeout) {
+        ws.bot = this.hooks.authenticate(...headerCredentials(req));
+        if (!ws.bot) {
+            ws.authTimer = setTimeout(onTimeout, AUTH_TIMEOUT_MS);
+        }
+        ws.on('close', () => clearTimeout(ws.authTimer));
+        ws.on('error', error => logger.warn(`[Alpaca] Stream client error: ${error.message}`));
+    }
+
+    /**
+     * Trading stream
+     */
+
+    openTradingClient(ws, req) {
+        ws.streams = new Set();
+        this.authenticateOnConnect(ws, req, () => ws.close(1008, 'auth timeout'));
+        const send = (stream, data) => ws.send(JSON.stringify({ stream, data }));
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return send('listening', { error: 'invalid syntax' });
+            }
+
+            const data = message.data || {};
+            if (message.action === 'authenticate' || message.action === 'auth') {
+                const bot = this.hooks.authenticate(data.key_id || message.key, data.secret_key || message.secret);
+                if (!bot) {
+                    send('authorization', { action: 'authenticate', status: 'unauthorized' });
+                    return ws.close(1008, 'unauthorized');
+                }
+                clearTimeout(ws.authTimer);
+                ws.bot = bot;
+                logger.info(`[Alpaca] Trading stream authenticated as ${bot.id}`);
+                return send('authorization', { action: 'authenticate', status: 'authorized' });
+            }
+
+            if (message.action === 'listen') {
+                if (!ws.bot) {
+                    return send('listening', { error: 'not authenticated' });
+                }
+                const streams = Array.isArray(data.streams) ? data.streams : [];
+                ws.streams = new Set(streams.filter(stream => stream === 'trade_updates'));
+                return send('listening', { streams: Array.from(ws.streams) });
+            }
+
+            send('listening', { error: `unknown action: ${message.action}` });
+        });
+    }
+
+    /**
+     * Send trade_updates for whatever changed on the order since it was last
+     * reported: new on first sight, a fill or partial_fill per execution, then
+     * canceled, expired, replaced or rejected. Only orders of bots with a
+     * listening client are followed.
+     */
+    onOrderUpdate(order) {
+        const clients = Array.from(this.tradingServer.clients)
+            .filter(ws => ws.readyState === WebSocket.OPEN && ws.bot && ws.bot.id === order.bot_id && ws.streams.has('trade_updates'));
+        if (clients.length === 0) {
+            this.reported.delete(order.id);
+            return;
+        }
+
+        const previous = this.reported.get(order.id);
+        const events = [];
+        const now = new Date().toISOString();
+
+        if (!previous && !(order.status === 'rejected' && order.executions.length === 0)) {
+            events.push({ event: 'new', timestamp: now });
+        }
+
+        const position = this.hooks.positionOf(order.bot_id, order.symbol);
+        order.executions.slice(previous ? previous.executions : 0).forEach((execution, index, fresh) => {
+            const last = index === fresh.length - 1;
+            events.push({
+                event: last && order.status === 'filled' ? 'fill' : 'partial_fill',
+                execution_id: execution.id,
+                price: String(Number(execution.price.toFixed(4))),
+                qty: String(execution.quantity),
+                position_qty: String(position),
+                timestamp: new Date(execution.timestamp || now).toISOString()
+            });
+        });
+
+        if (FINAL_EVENTS[order.status] && (!previous || previous.status !== order.status)) {
+            events.push({ event: FINAL_EVENTS[order.status], timestamp: now });
+        }
+
+        if (FINAL_EVENTS[order.status] || order.status === 'filled') {
+            this.reported.delete(order.id);
+        } else {
+            this.reported.set(order.id, { status: order.status, executions: order.executions.length });
+        }
+        if (events.length === 0) return;
+
+        const described = this.hooks.describeOrder(order);
+        events.forEach((event) => {
+            const message = JSON.stringify({ stream: 'trade_updates', data: { ...event, order: described } });
+            clients.forEach(ws => ws.send(message));
+        });
+    }
+
+    /**
+     * Market data stream
+     */
+
+    openDataClient(ws, req) {
+        ws.subscriptions = { trades: new Set(), quotes: new Set(), bars: new Set() };
+        const send = messages => ws.send(JSON.stringify(messages));
+        const sendError = ([code, msg]) => send([{ T: 'error', code, msg }]);
+
+        this.authenticateOnConnect(ws, req, () => {
+            sendError(DATA_ERRORS.authTimeout);
+            ws.close(1008, 'auth timeout');
+        });
+        send([{ T: 'success', msg: 'connected' }]);
+        if (ws.bot) {
+            send([{ T: 'success', msg: 'authenticated' }]);
+        }
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return sendError(DATA_ERRORS.invalidSyntax);
+            }
+
+            if (message.action === 'auth') {
+                if (ws.bot) return sendError(DATA_ERRORS.alreadyAuthenticated);
+                ws.bot = this.hooks.authenticate(message.key, message.secret);
+                if (!ws.bot) {
+                    sendError(DATA_ERRORS.authFailed);
+                    return ws.close(1008, 'auth failed');
+                }
+                clearTimeout(ws.authTimer);
+                return send([{ T: 'success', msg: 'authenticated' }]);
+            }
+
+            if (message.action !== 'subscribe' && message.action !== 'unsubscribe') {
+                return sendError(DATA_ERRORS.invalidSyntax);
+            }
+            if (!ws.bot) {
+                return sendError(DATA_ERRORS.notAuthenticated);
+            }
+
+            DATA_CHANNELS.forEach((channel) => {
+                if (!Array.isArray(message[channel])) return;
+                message[channel].forEach((symbol) => {
+                    const key = String(symbol).toUpperCase();
+                    if (message.action === 'subscribe') {
+                        ws.subscriptions[channel].add(key);
+                    } else {
+                        ws.subscriptions[channel].delete(key);
+                    }
+                });
+            });
+
+            const current = { T: 'subscription' };
+            DATA_CHANNELS.forEach((channel) => {
+                current[channel] = Array.from(ws.subscriptions[channel]);
+            });
+            send([current]);
+        });
+    }
+
+    /**
+     * Turn a market update into a trade and a quote per symbol, spread by the
+     * execution model's slippage, and close minute bars as the minute turns.
+     */
+    onMarketUpdate(update) {
+        const time = new Date(update.timestamp);
+        const spread = EXECUTION_DEFAULTS.slippageBps / 10000;
+        const trades = [];
+        const quotes = [];
+        const bars = [];
+
+        update.data.forEach((stock) => {
+            const { symbol } = stock;
+            const price = Number(stock.price.toFixed(4));
+            const market = this.hooks.marketData.get(symbol);
+            const size = Math.max(1, Math.round((market ? market.avgVolume : 0) / update.session.ticksPerSession));
+
+            trades.push({ T: 't', S: symbol, i: ++this.tradeId, x: 'V', p: price, s: size, t: time.toISOString(), c: ['@'], z: 'C' });
+            quotes.push({
+                T: 'q', S: symbol,
+                bx: 'V', bp: Number((price * (1 - spread)).toFixed(4)), bs: 1,
+                ax: 'V', ap: Number((price * (1 + spread)).toFixed(4)), as: 1,
+                t: time.toISOString(), c: ['R'], z: 'C'
+            });
+
+            const closed = this.addToBar(symbol, price, size, time.getTime());
+            if (closed) bars.push(closed);
+        });
+
+        this.dataServer.clients.forEach((ws) => {
+            if (ws.readyState !== WebSocket.OPEN || !ws.bot) return;
+            const wanted = (channel, message) => ws.subscriptions[channel].has('*') || ws.subscriptions[channel].has(message.S);
+            const messages = [
+                ...trades.filter(message => wanted('trades', message)),
+                ...quotes.filter(message => wanted('quotes', message)),
+                ...bars.filter(message => wanted('bars', message))
+            ];
+            if (messages.length > 0) {
+                ws.send(JSON.stringify(messages));
+            }
+        });
+    }
+
+    // Add a print to the symbol's minute bar; returns the previous bar once a new minute starts
+    addToBar(symbol, price, size, time) {
+        const start = Math.floor(time / BAR_MS) * BAR_MS;
+        const bar = this.bars.get(symbol);
+        if (bar && bar.start === start) {
+            bar.h = Math.max(bar.h, price);
+            bar.l = Math.min(bar.l, price);
+            bar.c = price;
+            bar.v += size;
+            bar.n++;
+            bar.notional += price * size;
+            return null;
+        }
+
+        this.bars.set(symbol, { start, o: price, h: price, l: price, c: price, v: size, n: 1, notional: price * size });
+        if (!bar) return null;
+        return {
+            T: 'b', S: symbol,
+            o: bar.o, h: bar.h, l: bar.l, c: bar.c, v: bar.v,
+            t: new Date(bar.start).toISOString(),
+            n: bar.n,
+            vw: Number((bar.notional / bar.v).toFixed(4))
+        };
+    }
+
+    close() {
+        [this.tradingServer, this.dataServer].forEach((server) => {
+            server.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+            server.close();
+        });
+    }
+}
+
+module.exports = {
+    AlpacaStream
+};
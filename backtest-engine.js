@@ -5,6 +5,10 @@
  */
 
 const { REAL_STOCKS } = require('./js/stocks-data.js') || {};
+const { FactorModel, gaussian } = require('./js/factor-model.js');
+
+// Standard deviation of a uniform draw on [-1, 1]
+const UNIFORM_MOVE_STD = 1 / Math.sqrt(3);
 
 class BacktestEngine {
     constructor(options = {}) {
@@ -19,6 +23,9 @@ class BacktestEngine {
         this.equity = [];
         this.priceHistory = {};
         this.results = null;
+        // Simulated days move together through the market and sector factors
+        this.factorModel = new FactorModel(REAL_STOCKS || [], options.factorModel);
+        this.shocks = new Map();
     }
 
     /**
@@ -55,8 +62,11 @@ class BacktestEngine {
         
         if (!stock) return null;
 
-        // Generate random price movement based on volatility
-        const changePercent = (Math.random() - 0.5) * stock.volatility * 2;
+        // Price movement sized by volatility, from the day's correlated shock.
+        // Scaled to the standard deviation of the uniform +/-volatility move
+        // backtests used before, so results stay comparable
+        const shock = this.shocks.has(symbol) ? this.shocks.get(symbol) : gaussian(Math.random);
+        const changePercent = shock * stock.volatility * UNIFORM_MOVE_STD;
         const newClose = lastBar.close * (1 + changePercent);
 
         const newBar = {
@@ -169,6 +179,7 @@ class BacktestEngine {
         // Simulate trading day by day
         while (currentDate <= this.endDate) {
             // Simulate prices for symbols
+            this.shocks = this.factorModel.draw();
             for (let symbol of symbols) {
                 this.simulateDayPrice(symbol);
             }
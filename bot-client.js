@@ -0,0 +1,696 @@
+/**
+ * Bot Client
+ * Node.js SDK for the bot REST and WebSocket API. REST calls retry with
+ * exponential backoff; calls that change state only when the server provably
+ * did nothing with them. The WebSocket reconnects on its
+ * own, subscribes again and resumes sequenced channels from the last seq it
+ * saw. Every WebSocket message is emitted as an event named after its type,
+ * and an OrderTracker keeps the latest state of the bot's orders.
+ *
+ *   const { BotClient } = require('./bot-client');
+ *   const client = new BotClient({ baseUrl: 'http://localhost:8000', apiKey: 'my-key' });
+ *   await client.register({ name: 'MyTrader' });
+ *   client.on('quote', (message) => console.log(message.symbol, message.data.price));
+ *   await client.connect();
+ *   client.subscribeMarket('AAPL');
+ *   client.subscribeOrders();
+ *
+ * Needs Node 18 or later for fetch, or a fetch implementation in options.
+ */
+
+const { randomUUID } = require('crypto');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const CLIENT_DEFAULTS = {
+    retries: 4,              // retries after the first attempt (see request())
+    retryBaseMs: 250,        // first retry delay, doubled per attempt
+    retryMaxMs: 8000,
+    timeoutMs: 10000,        // per REST request
+    reconnectBaseMs: 500,    // first reconnect delay, doubled per attempt
+    reconnectMaxMs: 30000
+};
+
+// Order statuses that will not change again
+const FINAL_STATUSES = ['filled', 'cancelled', 'replaced', 'rejected', 'expired'];
+
+// WebSocket close code for failed or timed out authentication
+const AUTH_FAILED_CODE = 4001;
+
+/**
+ * @typedef {Object} OrderRequest
+ * @property {string} symbol
+ * @property {'buy'|'sell'|'sell_short'|'buy_to_cover'} action
+ * @property {number} quantity
+ * @property {'market'|'limit'|'stop'|'stop_limit'} [order_type] - inferred from the prices when omitted
+ * @property {number} [limit_price]
+ * @property {number} [stop_price]
+ * @property {'day'|'gtc'|'ioc'|'fok'} [time_in_force]
+ * @property {boolean} [extended_hours] - limit orders only; also trade pre-market and after hours
+ * @property {'bracket'|'oco'} [order_class]
+ * @property {{ limit_price: number }} [take_profit]
+ * @property {{ stop_price: number, limit_price?: number }} [stop_loss]
+ * @property {string} [client_order_id] - generated by placeOrder when omitted
+ */
+
+/**
+ * @typedef {Object} OrderResult
+ * @property {boolean} success - false for an order that was created but rejected
+ * @property {string} order_id
+ * @property {string} status
+ * @property {number} [filled_quantity]
+ * @property {number} [avg_fill_price]
+ * @property {string[]} [legs] - bracket or OCO leg order ids
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Order
+ * @property {string} id
+ * @property {string} [bot_id]
+ * @property {string} [symbol]
+ * @property {string} [action]
+ * @property {number} [quantity]
+ * @property {string} status - pending, held, partially_filled, filled, cancelled, replaced, rejected or expired
+ * @property {number} [filledQuantity]
+ * @property {number} [avgFillPrice]
+ * @property {Object[]} [executions]
+ */
+
+/**
+ * @typedef {Object} Portfolio
+ * @property {string} bot_id
+ * @property {number} cash
+ * @property {Object[]} holdings
+ * @property {number} totalValue
+ * @property {number} realizedGains
+ * @property {number} unrealizedGains
+ * @property {string} percentReturn
+ * @property {boolean} [training] - true while a training session is running
+ */
+
+/**
+ * A REST call the server refused. `status` is the HTTP status, `body` the
+ * parsed response and `reasonCode` the risk check that failed, if any.
+ */
+class ApiError extends Error {
+    constructor(message, status, body) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+        this.reasonCode = body && body.reason_code;
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter, so clients that failed together spread out
+function backoff(attempt, baseMs, maxMs) {
+    return Math.min(maxMs, baseMs * Math.pow(2, attempt)) * (0.5 + Math.random() / 2);
+}
+
+function isFinal(status) {
+    return FINAL_STATUSES.includes(status);
+}
+
+/**
+ * Latest known state of each order, fed by REST responses and the
+ * orders:<botId> channel. Emits 'update' with the order on every change and
+ * 'done' once it reaches a final status.
+ */
+class OrderTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.orders = new Map();
+    }
+
+    /** @returns {Order|undefined} */
+    get(orderId) {
+        return this.orders.get(orderId);
+    }
+
+    /** Orders that can still fill or be cancelled. @returns {Order[]} */
+    open() {
+        return Array.from(this.orders.values()).filter(order => !isFinal(order.status));
+    }
+
+    // Merge what is known about an order. A final status is never replaced
+    // by an older working one that arrived late.
+    record(orderId, fields) {
+        const current = this.orders.get(orderId);
+        if (current && isFinal(current.status) && fields.status && !isFinal(fields.status)) {
+            return current;
+        }
+
+        const order = { ...current, ...fields, id: orderId };
+        this.orders.set(orderId, order);
+
+        // The same state often arrives twice, from the REST reply and the channel
+        if (current && current.status === order.status && current.filledQuantity === order.filledQuantity) {
+            return order;
+        }
+        this.emit('update', order);
+        if (isFinal(order.status)) {
+            this.emit('done', order);
+        }
+        return order;
+    }
+
+    // A full order from an order_update or orders_snapshot message
+    update(order) {
+        return this.record(order.id, order);
+    }
+
+    // The body of a place order response
+    recordResult(result) {
+        if (!result || !result.order_id) return;
+        this.record(result.order_id, {
+            status: result.status,
+            filledQuantity: result.filled_quantity,
+            avgFillPrice: result.avg_fill_price,
+            ...(result.legs ? { legs: result.legs } : {})
+        });
+    }
+
+    /**
+     * Resolves with the order once it is filled, cancelled, replaced,
+     * rejected or expired; rejects after timeoutMs if given.
+     * @returns {Promise<Order>}
+     */
+    waitFor(orderId, timeoutMs) {
+        const current = this.orders.get(orderId);
+        if (current && isFinal(current.status)) {
+            return Promise.resolve(current);
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const onDone = (order) => {
+                if (order.id !== orderId) return;
+                clearTimeout(timer);
+                this.removeListener('done', onDone);
+                resolve(order);
+            };
+            this.on('done', onDone);
+            if (timeoutMs) {
+                timer = setTimeout(() => {
+                    this.removeListener('done', onDone);
+                    reject(new Error(`Order ${orderId} still ${this.orders.has(orderId) ? this.orders.get(orderId).status : 'unknown'} after ${timeoutMs}ms`));
+                }, timeoutMs);
+            }
+        });
+    }
+}
+
+/**
+ * Client for one bot. Events, besides one per WebSocket message type
+ * (market_update, quote, market_snapshot, order_update, orders_snapshot,
+ * portfolio_update, bot_halted, margin_call, training_complete, ...):
+ *   'message'      every WebSocket message
+ *   'order'        an order's new state, from the OrderTracker
+ *   'open'         the WebSocket connected (again)
+ *   'close'        it closed, with the code and reason
+ *   'reconnecting' { attempt, delayMs } before the next attempt
+ *   'auth_failed'  the server refused the credentials; no more reconnects
+ *   'error'        connection errors, when anything listens for them
+ */
+class BotClient extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - e.g. http://localhost:8000
+     * @param {string} options.apiKey
+     * @param {string} [options.botId] - set by register() for a new bot
+     * @param {function} [options.fetch] - defaults to the global fetch
+     * @param {number} [options.retries]
+     * @param {number} [options.retryBaseMs]
+     * @param {number} [options.retryMaxMs]
+     * @param {number} [options.timeoutMs]
+     * @param {number} [options.reconnectBaseMs]
+     * @param {number} [options.reconnectMaxMs]
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.baseUrl || !options.apiKey) {
+            throw new Error('baseUrl and apiKey are required');
+        }
+
+        this.options = { ...CLIENT_DEFAULTS, ...options };
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.apiKey = options.apiKey;
+        this.botId = options.botId || null;
+        this.fetch = options.fetch || globalThis.fetch;
+        if (!this.fetch) {
+            throw new Error('No fetch available: use Node 18 or later, or pass options.fetch');
+        }
+
+        this.orders = new OrderTracker();
+        this.orders.on('update', order => this.emit('order', order));
+
+        this.ws = null;
+        this.channels = new Set();   // channels to (re)subscribe to
+        this.lastSeq = new Map();    // channel -> last seq handled
+        this.resuming = new Set();   // channels with a resume in flight
+        this.maxRate = undefined;    // set_rate to send again after reconnecting
+        this.shouldReconnect = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+    }
+
+    // ==================== REST ====================
+
+    /**
+     * Send a request, retrying refused connections and 429 responses with
+     * backoff (honouring Retry-After), plus 5xx responses to GET and DELETE.
+     * A POST or PATCH that failed with a 5xx may already have taken effect,
+     * so it is not sent again. Other failures throw ApiError. With
+     * allowRejected, a 400 that still created an order resolves with its body.
+     */
+    async request(method, path, { query, body, allowRejected } = {}) {
+        const url = new URL(this.baseUrl + path);
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) url.searchParams.set(key, value);
+        });
+
+        const idempotent = method === 'GET' || method === 'DELETE';
+        for (let attempt = 0; ; attempt++) {
+            const canRetry = attempt < this.options.retries;
+            let response;
+            try {
+                response = await this.fetch(url, {
+                    method: method,
+                    headers: { 'Content-Type': 'application/json', 'X-API-Key': this.apiKey },
+                    body: body ? JSON.stringify(body) : undefined,
+                    signal: AbortSignal.timeout(this.options.timeoutMs)
+                });
+            } catch (error) {
+                // A refused connection never reached the server, so even an order is safe to resend
+                const code = error.cause && error.cause.code;
+                if (canRetry && code === 'ECONNREFUSED') {
+                    await delay(backoff(attempt, this.options.retryBaseMs, this.options.retryMaxMs));
+                    continue;
+                }
+                throw error;
+            }
+
+            const text = await response.text();
+            let data;
+            try {
+                data = text ? JSON.parse(text) : {};
+            } catch (error) {
+                data = { error: text };
+            }
+
+            if (response.ok || (allowRejected && response.status === 400 && data.order_id)) {
+                return data;
+            }
+
+            // A 429 comes from a rate limit or the risk order-rate check, both
+            // of which refuse the request before it does anything
+            if (canRetry && (response.status === 429 || (idempotent && response.status >= 500))) {
+                const retryAfter = parseFloat(response.headers.get('retry-after'));
+                await delay(retryAfter >= 0
+                    ? Math.min(retryAfter * 1000, this.options.retryMaxMs)
+                    : backoff(attempt, this.options.retryBaseMs, this.options.retryMaxMs));
+                continue;
+            }
+
+            throw new ApiError(`${method} ${path} failed (${response.status}): ${data.error || text}`, response.status, data);
+        }
+    }
+
+    requireBotId() {
+        if (!this.botId) {
+            throw new Error('No botId: pass one to the constructor or call register() first');
+        }
+        return this.botId;
+    }
+
+    botPath(suffix = '') {
+        return `/api/bot/${encodeURIComponent(this.requireBotId())}${suffix}`;
+    }
+
+    /**
+     * Register a new bot with this client's api key and use it from now on.
+     * @param {{ name: string, type?: string, description?: string, fee_schedule?: string|Object,
+     *           margin?: boolean|Object, risk_profile?: string|Object, lot_method?: string }} details
+     */
+    async register(details) {
+        const result = await this.request('POST', '/api/bot/register', {
+            body: { type: 'Node.js', ...details, api_key: this.apiKey }
+        });
+        this.botId = result.bot_id;
+        return result;
+    }
+
+    getBot() {
+        return this.request('GET', this.botPath());
+    }
+
+    disconnectBot() {
+        return this.request('POST', this.botPath('/disconnect'));
+    }
+
+    getStats() {
+        return this.request('GET', this.botPath('/stats'));
+    }
+
+    /** @param {{ from?: string|number, to?: string|number, resolution?: string }} [range] */
+    getEquity(range = {}) {
+        return this.request('GET', this.botPath('/equity'), { query: range });
+    }
+
+    getOrderHistory() {
+        return this.request('GET', this.botPath('/orders'));
+    }
+
+    /**
+     * Place an order. Resolves with the result even when the order was
+     * rejected (success: false); throws ApiError when the request itself is
+     * refused, e.g. by a risk limit (see err.reasonCode). A client_order_id
+     * is generated when the order has none; if the server already has an
+     * order with it, the ApiError is a 409 with the existing err.body.order_id.
+     * @param {OrderRequest} order
+     * @returns {Promise<OrderResult>}
+     */
+    async placeOrder(order) {
+        const result = await this.request('POST', '/api/bot/order', {
+            body: { client_order_id: randomUUID(), ...order, bot_id: this.requireBotId(), api_key: this.apiKey },
+            allowRejected: true
+        });
+        this.orders.recordResult(result);
+        return result;
+    }
+
+    async cancelOrder(orderId) {
+        const result = await this.request('DELETE', `/api/bot/order/${encodeURIComponent(orderId)}`);
+        this.orders.record(result.order_id, { status: result.status });
+        return result;
+    }
+
+    /**
+     * Cancel/replace a working order. The result's order_id is the new order.
+     * @param {{ quantity?: number, limit_price?: number, stop_price?: number }} changes
+     */
+    async replaceOrder(orderId, changes) {
+        const result = await this.request('PATCH', `/api/bot/order/${encodeURIComponent(orderId)}`, {
+            body: changes,
+            allowRejected: true
+        });
+        this.orders.record(result.replaced_order_id, { status: 'replaced', replacedBy: result.order_id });
+        this.orders.record(result.order_id, { status: result.status, replaces: result.replaced_order_id });
+        return result;
+    }
+
+    /** Every symbol, or one; the training market's prices while a session runs. */
+    getMarketData(symbol) {
+        return this.request('GET', '/api/market/data', { query: { symbol: symbol, bot_id: this.botId } });
+    }
+
+    getBorrowAvailability() {
+        return this.request('GET', '/api/market/borrow');
+    }
+
+    /** The live market's session, market time and next open and close. */
+    getMarketClock() {
+        return this.request('GET', '/api/market/clock');
+    }
+
+    /** @returns {Promise<Portfolio>} */
+    getPortfolio() {
+        return this.request('GET', '/api/portfolio', { query: { bot_id: this.requireBotId() } });
+    }
+
+    /** @param {{ days?: number, speed?: number, initial_cash?: number }} [options] */
+    startTraining(options = {}) {
+        return this.request('POST', this.botPath('/training/start'), { body: options });
+    }
+
+    stopTraining() {
+        return this.request('POST', this.botPath('/training/stop'));
+    }
+
+    resetTraining() {
+        return this.request('POST', this.botPath('/training/reset'));
+    }
+
+    getTrainingStats() {
+        return this.request('GET', this.botPath('/training/stats'));
+    }
+
+    getGymSpec() {
+        return this.request('GET', '/api/gym/spec');
+    }
+
+    /** @param {{ seed?: number, config?: Object }} [options] */
+    createGym(options = {}) {
+        return this.request('POST', '/api/gym/envs', {
+            body: { ...options, bot_id: this.requireBotId(), api_key: this.apiKey }
+        });
+    }
+
+    getGym(envId) {
+        return this.request('GET', `/api/gym/envs/${encodeURIComponent(envId)}`);
+    }
+
+    /** @param {{ seed?: number, config?: Object }} [options] */
+    resetGym(envId, options = {}) {
+        return this.request('POST', `/api/gym/envs/${encodeURIComponent(envId)}/reset`, { body: options });
+    }
+
+    /** @param {Object[]} actions - see getGymSpec() */
+    stepGym(envId, actions) {
+        return this.request('POST', `/api/gym/envs/${encodeURIComponent(envId)}/step`, { body: { actions } });
+    }
+
+    closeGym(envId) {
+        return this.request('DELETE', `/api/gym/envs/${encodeURIComponent(envId)}`);
+    }
+
+    health() {
+        return this.request('GET', '/health');
+    }
+
+    // ==================== WEBSOCKET ====================
+
+    /**
+     * Open the WebSocket as this bot and keep it open until close(). Resolves
+     * once connected; failed attempts are retried with backoff. Subscriptions
+     * made before or after connecting are restored on every reconnect.
+     */
+    connect() {
+        this.requireBotId();
+        this.shouldReconnect = true;
+        if (this.connected) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const onOpen = () => {
+                this.removeListener('auth_failed', onFailed);
+                resolve();
+            };
+            const onFailed = (error) => {
+                this.removeListener('open', onOpen);
+                reject(error);
+            };
+            this.once('open', onOpen);
+            this.once('auth_failed', onFailed);
+            if (!this.ws) {
+                // Connect now instead of waiting for a pending reconnect,
+                // which would open a second socket
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.openSocket();
+            }
+        });
+    }
+
+    openSocket() {
+        const ws = new WebSocket(this.baseUrl.replace(/^http/, 'ws'), {
+            headers: { 'X-Bot-Id': this.botId, 'X-API-Key': this.apiKey }
+        });
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.reconnectAttempt = 0;
+            this.resuming.clear();
+            if (this.maxRate !== undefined) {
+                this.send({ type: 'set_rate', max_rate: this.maxRate });
+            }
+            this.channels.forEach(channel => this.sendSubscribe(channel));
+            this.emit('open');
+        });
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        });
+
+        ws.on('error', (error) => {
+            // A refused handshake will not succeed on retry either
+            if (/Unexpected server response: 40[13]/.test(error.message)) {
+                this.failAuth(error);
+            }
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            }
+        });
+
+        ws.on('close', (code, reason) => {
+            this.ws = null;
+            this.emit('close', code, reason.toString());
+            if (code === AUTH_FAILED_CODE) {
+                this.failAuth(new Error(`Authentication failed: ${reason}`));
+            }
+            if (this.shouldReconnect) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    failAuth(error) {
+        this.shouldReconnect = false;
+        this.emit('auth_failed', error);
+    }
+
+    scheduleReconnect() {
+        const delayMs = backoff(this.reconnectAttempt++, this.options.reconnectBaseMs, this.options.reconnectMaxMs);
+        this.emit('reconnecting', { attempt: this.reconnectAttempt, delayMs: Math.round(delayMs) });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.shouldReconnect) this.openSocket();
+        }, delayMs);
+    }
+
+    /** Close the WebSocket and stop reconnecting. */
+    close() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    get connected() {
+        return Boolean(this.ws) && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    // Send a message if connected. Returns whether it was sent.
+    send(message) {
+        if (!this.connected) return false;
+        this.ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Subscribe to a channel now (if connected) and after every reconnect:
+     * market_data, market_data:<symbol>, orders:<botId> or portfolio:<botId>.
+     */
+    subscribe(channel) {
+        this.channels.add(channel);
+        this.sendSubscribe(channel);
+    }
+
+    unsubscribe(channel) {
+        this.channels.delete(channel);
+        this.lastSeq.delete(channel);
+        this.resuming.delete(channel);
+        this.send({ type: 'unsubscribe', channel: channel });
+    }
+
+    /** Every symbol's updates, or one symbol's quotes. */
+    subscribeMarket(symbol) {
+        this.subscribe(symbol ? `market_data:${symbol.toUpperCase()}` : 'market_data');
+    }
+
+    subscribeOrders() {
+        this.subscribe(`orders:${this.requireBotId()}`);
+    }
+
+    subscribePortfolio() {
+        this.subscribe(`portfolio:${this.requireBotId()}`);
+    }
+
+    /** Cap market data at maxRate messages per second per channel; null lifts it. */
+    setRate(maxRate) {
+        this.maxRate = maxRate;
+        this.send({ type: 'set_rate', max_rate: maxRate });
+    }
+
+    // Channels seen before resume from their last seq; others get a snapshot
+    sendSubscribe(channel) {
+        if (this.lastSeq.has(channel)) {
+            if (this.send({ type: 'resume', channel: channel, last_seq: this.lastSeq.get(channel) })) {
+                this.resuming.add(channel);
+            }
+        } else {
+            this.send({ type: 'subscribe', channel: channel });
+        }
+    }
+
+    /**
+     * Check a sequenced message against the channel's last seq. Repeats are
+     * dropped. On an order channel a gap triggers a resume and messages are
+     * dropped until the replay fills it; market channels skip seqs when
+     * conflated, so there any newer message is taken.
+     */
+    acceptSeq(channel, seq) {
+        const last = this.lastSeq.get(channel);
+        if (last === undefined || seq === last + 1 || (seq > last && channel.startsWith('market_data'))) {
+            this.lastSeq.set(channel, seq);
+            return true;
+        }
+        if (seq > last && !this.resuming.has(channel)) {
+            this.sendSubscribe(channel);
+        }
+        return false;
+    }
+
+    handleMessage(message) {
+        const { type, channel } = message;
+        const sequenced = channel && typeof message.seq === 'number';
+
+        if (type === 'market_snapshot' || type === 'orders_snapshot') {
+            // A snapshot replaces whatever came before it
+            if (sequenced) this.lastSeq.set(channel, message.seq);
+        } else if (type === 'resumed') {
+            this.resuming.delete(channel);
+            this.lastSeq.set(channel, message.seq);
+        } else if (type === 'subscribed') {
+            if (typeof message.seq === 'number' && !this.lastSeq.has(channel)) {
+                this.lastSeq.set(channel, message.seq);
+            }
+        } else if (sequenced && !this.acceptSeq(channel, message.seq)) {
+            return;
+        }
+
+        if (type === 'orders_snapshot') {
+            message.data.forEach(order => this.orders.update(order));
+        } else if (type === 'order_update') {
+            this.orders.update(message.data);
+        } else if (type === 'subscribe_error' || type === 'resume_error') {
+            this.channels.delete(channel);
+            this.resuming.delete(channel);
+        }
+
+        this.emit('message', message);
+        if (type && type !== 'message' && type !== 'error' && type !== 'order') {
+            this.emit(type, message);
+        }
+    }
+}
+
+module.exports = {
+    CLIENT_DEFAULTS,
+    ApiError,
+    OrderTracker,
+    BotClient
+};
@@ -0,0 +1,148 @@
+/**
+ * Client Outbox
+ * Outbound queue for one WebSocket connection. Messages go straight to the
+ * socket while its buffer is below WS_MAX_BUFFERED_BYTES and queue up behind
+ * it otherwise. Market data and portfolio values are conflated: only the
+ * latest message per key (channel) is kept while the client is behind or
+ * inside its requested max rate. A client that stays behind for WS_SLOW_CLIENT_MS, or whose queue
+ * passes WS_MAX_QUEUE messages, is disconnected.
+ */
+
+const WebSocket = require('ws');
+const { envNumber } = require('./env-config');
+
+const OUTBOX_LIMITS = {
+    maxBufferedBytes: envNumber('WS_MAX_BUFFERED_BYTES', 1048576), // socket buffer before queueing
+    maxQueue: envNumber('WS_MAX_QUEUE', 1000),                     // queued messages before disconnect
+    slowClientMs: envNumber('WS_SLOW_CLIENT_MS', 30000),           // time behind before disconnect
+    flushMs: envNumber('WS_FLUSH_MS', 100)                         // how often queues are retried
+};
+
+const MAX_RATE = 50; // market updates per second per channel
+
+class ClientOutbox {
+    /**
+     * @param {WebSocket} ws
+     * @param {function} [onSlow] - called with the reason before a slow client is dropped
+     */
+    constructor(ws, onSlow) {
+        this.ws = ws;
+        this.onSlow = onSlow;
+        this.queue = [];            // messages that must all be delivered, in order
+        this.conflated = new Map(); // key -> latest pending message
+        this.lastSentAt = new Map(); // key -> time its last conflated message went out
+        this.maxRate = null;        // conflated messages per second per key, null for no limit
+        this.behindSince = null;
+        this.closed = false;
+    }
+
+    get canSend() {
+        return this.ws.readyState === WebSocket.OPEN && this.ws.bufferedAmount < OUTBOX_LIMITS.maxBufferedBytes;
+    }
+
+    /**
+     * Limit conflated messages to `rate` per second per channel, or lift
+     * the limit with null. Returns the rate in force.
+     */
+    setMaxRate(rate) {
+        if (rate === null || rate === undefined || rate === 0) {
+            this.maxRate = null;
+            return this.maxRate;
+        }
+        const value = Number(rate);
+        if (!(value > 0) || value > MAX_RATE) {
+            throw new Error(`max_rate must be a number above 0 and at most ${MAX_RATE}, or null`);
+        }
+        this.maxRate = value;
+        return this.maxRate;
+    }
+
+    // A message every client must see, in order
+    send(message) {
+        if (this.closed) return;
+        if (this.queue.length === 0 && this.canSend) {
+            this.ws.send(message);
+            return;
+        }
+        this.queue.push(message);
+        this.checkBacklog();
+    }
+
+    // A message only the latest of which matters for `key`
+    sendConflated(key, message) {
+        if (this.closed) return;
+        if (this.queue.length === 0 && this.canSend && this.rateAllows(key, Date.now())) {
+            this.conflated.delete(key);
+            this.deliverConflated(key, message);
+            return;
+        }
+        this.conflated.set(key, message);
+        this.checkBacklog();
+    }
+
+    rateAllows(key, now) {
+        if (!this.maxRate || !this.lastSentAt.has(key)) return true;
+        return now - this.lastSentAt.get(key) >= 1000 / this.maxRate;
+    }
+
+    deliverConflated(key, message) {
+        this.ws.send(message);
+        this.lastSentAt.set(key, Date.now());
+    }
+
+    /**
+     * Send what the socket will take: the queue first, then conflated market
+     * data whose rate interval has passed. Called every WS_FLUSH_MS.
+     */
+    flush() {
+        if (this.closed || this.ws.readyState !== WebSocket.OPEN) return;
+
+        while (this.queue.length > 0 && this.canSend) {
+            this.ws.send(this.queue.shift());
+        }
+
+        const now = Date.now();
+        for (const [key, message] of this.conflated) {
+            if (!this.canSend) break;
+            if (this.queue.length > 0 || !this.rateAllows(key, now)) continue;
+            this.conflated.delete(key);
+            this.deliverConflated(key, message);
+        }
+
+        this.checkBacklog();
+    }
+
+    /**
+     * Track how long the client has been unable to keep up and drop it
+     * once it is hopelessly behind.
+     */
+    checkBacklog() {
+        const behind = this.queue.length > 0 || this.ws.bufferedAmount >= OUTBOX_LIMITS.maxBufferedBytes;
+        if (!behind) {
+            this.behindSince = null;
+            return;
+        }
+
+        const now = Date.now();
+        this.behindSince = this.behindSince || now;
+        if (this.queue.length > OUTBOX_LIMITS.maxQueue) {
+            this.disconnect(`${this.queue.length} messages queued`);
+        } else if (now - this.behindSince > OUTBOX_LIMITS.slowClientMs) {
+            this.disconnect(`behind for ${now - this.behindSince}ms`);
+        }
+    }
+
+    disconnect(reason) {
+        this.closed = true;
+        this.queue = [];
+        this.conflated.clear();
+        if (this.onSlow) this.onSlow(reason);
+        // The socket is backed up, so a close frame would never get through
+        this.ws.terminate();
+    }
+}
+
+module.exports = {
+    OUTBOX_LIMITS,
+    ClientOutbox
+};
@@ -0,0 +1,22 @@
+/**
+ * Env Config
+ * Settings read from environment variables. A numeric variable that is unset
+ * or not a number falls back to the module's default.
+ */
+
+const os = require('os');
+const path = require('path');
+
+// Runtime state written to disk goes under DATA_DIR. The default is outside
+// the project directory, which express.static serves to anyone.
+const DATA_DIR = process.env.DATA_DIR || path.join(os.homedir(), '.stock-testing-platform');
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+module.exports = {
+    DATA_DIR,
+    envNumber
+};
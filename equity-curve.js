@@ -0,0 +1,194 @@
+/**
+ * Equity Curves
+ * Bounded per-bot history of equity, cash and exposure snapshots taken on
+ * every market update, with resampling and the usual performance metrics.
+ * The live market's series are saved to EQUITY_FILE every EQUITY_SAVE_MS and
+ * loaded again when the server starts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { DATA_DIR, envNumber } = require('./env-config');
+
+// 24 hours of 5-second market updates
+const DEFAULT_CAPACITY = envNumber('EQUITY_HISTORY_SIZE', 17280);
+const EQUITY_FILE = process.env.EQUITY_FILE || path.join(DATA_DIR, 'equity-curves.json');
+const EQUITY_SAVE_MS = envNumber('EQUITY_SAVE_MS', 60000);
+
+const RESOLUTION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Ring buffer of snapshots ({ timestamp, equity, cash, longExposure,
+ * shortExposure }). Once full, each new snapshot drops the oldest.
+ */
+class EquitySeries {
+    constructor(capacity = DEFAULT_CAPACITY) {
+        this.capacity = capacity;
+        this.points = [];
+        this.start = 0;
+    }
+
+    // A series holding the most recent of the given snapshots, oldest first
+    static from(points, capacity = DEFAULT_CAPACITY) {
+        const series = new EquitySeries(capacity);
+        points.slice(-capacity).forEach(point => series.push(point));
+        return series;
+    }
+
+    get length() {
+        return this.points.length;
+    }
+
+    push(point) {
+        if (this.points.length < this.capacity) {
+            this.points.push(point);
+        } else {
+            this.points[this.start] = point;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Snapshots with from <= timestamp <= to, oldest first.
+     * @param {number} [from] - epoch ms
+     * @param {number} [to] - epoch ms
+     */
+    range(from = -Infinity, to = Infinity) {
+        const ordered = this.points.slice(this.start).concat(this.points.slice(0, this.start));
+        return ordered.filter(point => point.timestamp >= from && point.timestamp <= to);
+    }
+
+    clear() {
+        this.points = [];
+        this.start = 0;
+    }
+}
+
+/**
+ * Equity curves on disk, as a JSON object of bot id -> snapshots. The whole
+ * file is rewritten on each save.
+ */
+class EquityStore {
+    constructor(file = EQUITY_FILE) {
+        this.file = file;
+    }
+
+    // Saved series by bot id; empty when nothing has been saved yet
+    load() {
+        const curves = new Map();
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[Equity] Could not read equity curves from ${this.file}: ${error.message}`);
+            }
+            return curves;
+        }
+
+        Object.entries(saved).forEach(([botId, points]) => {
+            if (Array.isArray(points)) {
+                curves.set(botId, EquitySeries.from(points));
+            }
+        });
+        return curves;
+    }
+
+    save(curves) {
+        const saved = {};
+        curves.forEach((curve, botId) => {
+            saved[botId] = curve.range();
+        });
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(saved));
+            fs.renameSync(`${this.file}.tmp`, this.file);
+        } catch (error) {
+            logger.error(`[Equity] Could not save equity curves to ${this.file}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Parse a resolution such as '30s', '5m', '1h' or '1d' into milliseconds.
+ * Returns null for 'tick' (every snapshot) and throws on anything else.
+ */
+function parseResolution(resolution) {
+    if (!resolution || resolution === 'tick') return null;
+
+    const match = /^(\d+)([smhd])$/.exec(resolution);
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid resolution '${resolution}'. Use tick or a number followed by s, m, h or d`);
+    }
+    return Number(match[1]) * RESOLUTION_UNITS[match[2]];
+}
+
+// Keep the last snapshot in each resolution bucket
+function resample(points, resolutionMs) {
+    if (!resolutionMs) return points;
+
+    const buckets = new Map();
+    points.forEach((point) => {
+        buckets.set(Math.floor(point.timestamp / resolutionMs), point);
+    });
+    return Array.from(buckets.values());
+}
+
+/**
+ * Drawdown, volatility, Sharpe and Sortino for a series of snapshots.
+ * Ratios use a zero risk-free rate; volatility and the ratios are annualized
+ * with the given number of snapshots per year. Drawdowns and volatility are
+ * percentages, like BacktestEngine's results.
+ */
+function computeMetrics(points, periodsPerYear) {
+    const metrics = {
+        points: points.length,
+        startEquity: points.length ? points[0].equity : null,
+        endEquity: points.length ? points[points.length - 1].equity : null,
+        returnPercent: 0,
+        maxDrawdown: 0,
+        currentDrawdown: 0,
+        volatility: 0,
+        sharpeRatio: 0,
+        sortinoRatio: 0
+    };
+    if (points.length < 2) return metrics;
+
+    let peak = points[0].equity;
+    points.forEach((point) => {
+        peak = Math.max(peak, point.equity);
+        const drawdown = peak > 0 ? (peak - point.equity) / peak * 100 : 0;
+        metrics.maxDrawdown = Math.max(metrics.maxDrawdown, drawdown);
+        metrics.currentDrawdown = drawdown;
+    });
+
+    const returns = [];
+    for (let i = 1; i < points.length; i++) {
+        if (points[i - 1].equity > 0) {
+            returns.push(points[i].equity / points[i - 1].equity - 1);
+        }
+    }
+    if (returns.length === 0) return metrics;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length);
+    const downsideDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length);
+    const annualize = Math.sqrt(periodsPerYear);
+
+    metrics.returnPercent = (metrics.endEquity / metrics.startEquity - 1) * 100;
+    metrics.volatility = stdDev * annualize * 100;
+    metrics.sharpeRatio = stdDev > 0 ? mean / stdDev * annualize : 0;
+    metrics.sortinoRatio = downsideDev > 0 ? mean / downsideDev * annualize : 0;
+    return metrics;
+}
+
+module.exports = {
+    EQUITY_SAVE_MS,
+    EquitySeries,
+    EquityStore,
+    parseResolution,
+    resample,
+    computeMetrics
+};
@@ -0,0 +1,78 @@
+/**
+ * Execution Model
+ * Liquidity-aware fills for simulated orders: each market update can only
+ * absorb a slice of a stock's average volume, larger orders walk the book and
+ * pay square-root price impact, and every print carries a configurable slippage.
+ */
+
+const { envNumber } = require('./env-config');
+
+// Used when a stock has no avgVolume of its own (shares per trading day)
+const DEFAULT_AVG_VOLUME = {
+    growth: 20000000,
+    dividend: 8000000,
+    etf: 40000000,
+    bond: 5000000
+};
+
+const DEFAULTS = {
+    slippageBps: envNumber('SLIPPAGE_BPS', 2),             // fixed cost per print, in basis points
+    participationRate: envNumber('MAX_PARTICIPATION', 0.1), // share of one tick's volume an order may take
+    impactCoefficient: envNumber('IMPACT_COEFFICIENT', 1),  // scales the square-root impact term
+    maxExecutions: 5,                                       // prints per market update
+    minPrintSize: 100,                                      // orders up to a round lot print once
+    ticksPerSession: 78
+};
+
+/**
+ * Work out how much of an order the market can absorb right now.
+ * Nothing is applied to a portfolio, so callers can dry-run all-or-nothing
+ * orders before committing.
+ *
+ * @param {object} order - { action: 'buy'|'sell', quantity, limitPrice? }
+ * @param {object} market - { price, avgVolume?, volatility?, type? }
+ * @param {object} [options] - overrides for DEFAULTS
+ * @returns {{ executions: Array<{quantity: number, price: number}>, filledQuantity: number, avgFillPrice: number|null }}
+ */
+function simulateExecution(order, market, options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const avgVolume = market.avgVolume || DEFAULT_AVG_VOLUME[market.type] || DEFAULT_AVG_VOLUME.growth;
+    const volatility = market.volatility || 0.02;
+    const direction = order.action === 'buy' ? 1 : -1;
+
+    const tickVolume = avgVolume / config.ticksPerSession;
+    const available = Math.max(1, Math.floor(tickVolume * config.participationRate));
+    const target = Math.min(order.quantity, available);
+    const sliceSize = Math.max(config.minPrintSize, Math.ceil(target / config.maxExecutions));
+
+    const executions = [];
+    let filledQuantity = 0;
+    let notional = 0;
+
+    while (filledQuantity < target) {
+        const quantity = Math.min(sliceSize, target - filledQuantity);
+        // Impact grows with everything taken so far in this update
+        const impact = config.impactCoefficient * volatility * Math.sqrt((filledQuantity + quantity) / avgVolume);
+        const price = market.price * (1 + direction * (config.slippageBps / 10000 + impact));
+
+        if (order.limitPrice && (direction > 0 ? price > order.limitPrice : price < order.limitPrice)) {
+            break;
+        }
+
+        executions.push({ quantity, price });
+        filledQuantity += quantity;
+        notional += quantity * price;
+    }
+
+    return {
+        executions,
+        filledQuantity,
+        avgFillPrice: filledQuantity > 0 ? notional / filledQuantity : null
+    };
+}
+
+module.exports = {
+    simulateExecution,
+    DEFAULT_AVG_VOLUME,
+    DEFAULTS
+};
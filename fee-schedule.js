@@ -0,0 +1,185 @@
+/**
+ * Fee Schedules
+ * Broker cost structures that can be attached to a bot at registration:
+ * percentage and per-share commission, a per-order minimum, tiers by monthly
+ * share volume, separate maker/taker rates and SEC/FINRA fees on sells.
+ */
+
+// Regulatory fees charged on sells (SEC Section 31 and FINRA TAF)
+const REGULATORY_DEFAULTS = {
+    secFeeRate: 0.0000278,   // $27.80 per $1M of sale proceeds
+    tafPerShare: 0.000166,
+    tafMaxPerOrder: 8.30
+};
+
+const FEE_PRESETS = {
+    // Flat 0.1% of notional, what every bot paid before schedules existed
+    percent: {
+        percent: 0.001
+    },
+    // Fixed per-share pricing with an order minimum
+    per_share: {
+        perShare: 0.005,
+        minimumPerOrder: 1,
+        regulatory: true
+    },
+    // Commission-free retail broker: only regulatory fees on sells
+    zero_commission: {
+        regulatory: true
+    },
+    // Per-share rates that fall with monthly volume, maker rebate on resting fills
+    tiered: {
+        perShare: 0.0035,
+        minimumPerOrder: 0.35,
+        tiers: [
+            { monthlyVolume: 300000, perShare: 0.002 },
+            { monthlyVolume: 3000000, perShare: 0.0015 },
+            { monthlyVolume: 20000000, perShare: 0.001 }
+        ],
+        maker: { perShare: -0.0002 },
+        regulatory: true
+    }
+};
+
+function emptyFees() {
+    return { commission: 0, secFee: 0, tafFee: 0, total: 0 };
+}
+
+function readRate(source, field, label) {
+    if (source[field] === undefined) return undefined;
+    const value = Number(source[field]);
+    if (!isFinite(value)) {
+        throw new Error(`${label}.${field} must be a number`);
+    }
+    return value;
+}
+
+// Keep only the rate fields that were actually given so they can override
+function readRates(source, label) {
+    const rates = {};
+    ['percent', 'perShare'].forEach((field) => {
+        const value = readRate(source, field, label);
+        if (value !== undefined) rates[field] = value;
+    });
+    return rates;
+}
+
+/**
+ * Turn a preset name or a schedule object into a complete schedule.
+ * An object may name a `preset` to start from and override any field.
+ * Throws with a readable message when the input is invalid.
+ */
+function normalizeFeeSchedule(input) {
+    if (input === undefined || input === null) {
+        input = 'percent';
+    }
+
+    if (typeof input === 'string') {
+        if (!FEE_PRESETS[input]) {
+            throw new Error(`Unknown fee schedule '${input}'. Presets: ${Object.keys(FEE_PRESETS).join(', ')}`);
+        }
+        input = { preset: input };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('fee_schedule must be a preset name or an object');
+    }
+
+    const presetName = input.preset || null;
+    if (presetName && !FEE_PRESETS[presetName]) {
+        throw new Error(`Unknown fee schedule '${presetName}'. Presets: ${Object.keys(FEE_PRESETS).join(', ')}`);
+    }
+    const source = { ...(presetName ? FEE_PRESETS[presetName] : {}), ...input };
+
+    const tiers = (source.tiers || []).map((tier, i) => {
+        const monthlyVolume = readRate(tier, 'monthlyVolume', `tiers[${i}]`);
+        if (!(monthlyVolume >= 0)) {
+            throw new Error(`tiers[${i}].monthlyVolume must be a non-negative number`);
+        }
+        return { monthlyVolume, ...readRates(tier, `tiers[${i}]`) };
+    }).sort((a, b) => a.monthlyVolume - b.monthlyVolume);
+
+    let regulatory = null;
+    if (source.regulatory === true) {
+        regulatory = { ...REGULATORY_DEFAULTS };
+    } else if (source.regulatory && typeof source.regulatory === 'object') {
+        regulatory = { ...REGULATORY_DEFAULTS };
+        ['secFeeRate', 'tafPerShare', 'tafMaxPerOrder'].forEach((field) => {
+            const value = readRate(source.regulatory, field, 'regulatory');
+            if (value !== undefined) regulatory[field] = value;
+        });
+    }
+
+    return {
+        preset: presetName,
+        percent: readRate(source, 'percent', 'fee_schedule') || 0,
+        perShare: readRate(source, 'perShare', 'fee_schedule') || 0,
+        minimumPerOrder: readRate(source, 'minimumPerOrder', 'fee_schedule') || 0,
+        tiers,
+        maker: source.maker ? readRates(source.maker, 'maker') : null,
+        taker: source.taker ? readRates(source.taker, 'taker') : null,
+        regulatory
+    };
+}
+
+/**
+ * Fees for one fill. The per-order minimum and the TAF cap apply across all
+ * fills of an order, so pass in what has already been charged on it, with
+ * `grossCommission` (the sum of earlier fills' grossCommission) when the
+ * schedule has a minimum. Without it, earlier commission is taken as gross.
+ *
+ * @param {object} schedule - normalized fee schedule
+ * @param {object} fill - { action, quantity, price, liquidity: 'maker'|'taker', monthlyVolume }
+ * @param {object} [charged] - fees already charged on this order, plus grossCommission
+ * @returns {{ commission: number, secFee: number, tafFee: number, total: number, grossCommission: number }}
+ */
+function calculateFees(schedule, fill, charged = emptyFees()) {
+    const notional = fill.quantity * fill.price;
+
+    // Base rates, then the highest volume tier reached, then the maker/taker side
+    let rates = { percent: schedule.percent, perShare: schedule.perShare };
+    const tier = schedule.tiers.filter(t => (fill.monthlyVolume || 0) >= t.monthlyVolume).pop();
+    if (tier) {
+        rates = { ...rates, ...tier };
+    }
+    const side = fill.liquidity === 'maker' ? schedule.maker : schedule.taker;
+    if (side) {
+        rates = { ...rates, ...side };
+    }
+
+    const grossCommission = notional * (rates.percent || 0) + fill.quantity * (rates.perShare || 0);
+    let commission = grossCommission;
+    // The minimum is a floor on the order's total, so a fill only pays what
+    // the order's gross commission adds above what was charged already.
+    // Rebates (negative commission) are never topped up to the minimum
+    if (grossCommission >= 0 && schedule.minimumPerOrder) {
+        const grossCharged = charged.grossCommission !== undefined ? charged.grossCommission : charged.commission;
+        commission = Math.max(schedule.minimumPerOrder, grossCharged + grossCommission) - charged.commission;
+    }
+
+    let secFee = 0;
+    let tafFee = 0;
+    if (schedule.regulatory && fill.action === 'sell') {
+        secFee = notional * schedule.regulatory.secFeeRate;
+        tafFee = Math.min(
+            fill.quantity * schedule.regulatory.tafPerShare,
+            Math.max(0, schedule.regulatory.tafMaxPerOrder - charged.tafFee)
+        );
+    }
+
+    return {
+        commission,
+        secFee,
+        tafFee,
+        total: commission + secFee + tafFee,
+        grossCommission
+    };
+}
+
+module.exports = {
+    FEE_PRESETS,
+    REGULATORY_DEFAULTS,
+    emptyFees,
+    normalizeFeeSchedule,
+    calculateFees
+};
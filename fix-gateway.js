@@ -0,0 +1,829 @@
+/**
+ * FIX Gateway
+ * Optional FIX 4.4 acceptor for bots that speak FIX instead of REST. A bot
+ * logs on with its bot_id as SenderCompID and its api_key as Password (554).
+ * NewOrderSingle, OrderCancelRequest and OrderCancelReplaceRequest go through
+ * the same order engine as /api/bot/order, and acks, fills, cancels and
+ * rejects come back as ExecutionReports. MarketDataRequest is answered from
+ * the live market data, once or on every market update.
+ *
+ * Sequence numbers are kept per session in FIX_SEQ_FILE (under DATA_DIR by
+ * default) so they survive restarts. Sent messages are not stored, so a ResendRequest is answered
+ * with a SequenceReset-GapFill.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { logger } = require('./logger');
+const { BEGIN_STRING, MSG_TYPES, TAGS, FixParser, encodeMessage, formatTimestamp } = require('./fix-protocol');
+const { DATA_DIR } = require('./env-config');
+
+const FIX_DEFAULTS = {
+    compId: process.env.FIX_COMP_ID || 'STOCKSIM',
+    seqFile: process.env.FIX_SEQ_FILE || path.join(DATA_DIR, 'fix-sequences.json')
+};
+
+const LOGON_TIMEOUT_MS = 10000;
+const SEQ_SAVE_DELAY_MS = 250;
+
+const SIDES = { buy: '1', buy_to_cover: '1', sell: '2', sell_short: '5' };
+const ORD_TYPES = { 1: 'market', 2: 'limit', 3: 'stop', 4: 'stop_limit' };
+const TIME_IN_FORCE = { 0: 'day', 1: 'gtc', 3: 'ioc', 4: 'fok' };
+
+const ORD_STATUS = {
+    pending: '0',
+    held: '0',
+    partially_filled: '1',
+    filled: '2',
+    cancelled: '4',
+    replaced: '5',
+    rejected: '8',
+    expired: 'C'
+};
+
+// ExecType for orders that stop working; their OrdStatus is the same
+const FINAL_EXEC_TYPES = { cancelled: '4', expired: 'C', rejected: '8' };
+
+// OrdRejReason, CxlRejReason and MDReqRejReason values used here
+const REJECT_REASONS = {
+    unknownSymbol: 1,
+    exceedsLimit: 3,
+    duplicateOrder: 6,
+    other: 99,
+    tooLateToCancel: 0,
+    unknownOrder: 1,
+    duplicateClOrdID: 6
+};
+
+function keyOf(object, value) {
+    return Object.keys(object).find(key => object[key] === value);
+}
+
+// Prices set over REST can arrive as strings
+function formatPrice(value) {
+    return value === null || value === undefined ? value : Number(Number(value).toFixed(4));
+}
+
+/**
+ * Next expected incoming and next outgoing sequence number per session,
+ * written to a JSON file shortly after each change.
+ */
+class FixSequenceStore {
+    constructor(file) {
+        this.file = file;
+        this.sessions = {};
+        this.saveTimer = null;
+
+        try {
+            this.sessions = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[FIX] Could not read sequence numbers from ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    get(key) {
+        if (!this.sessions[key]) {
+            this.sessions[key] = { incoming: 1, outgoing: 1 };
+        }
+        return this.sessions[key];
+    }
+
+    reset(key) {
+        this.sessions[key] = { incoming: 1, outgoing: 1 };
+        this.save();
+        return this.sessions[key];
+    }
+
+    save() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), SEQ_SAVE_DELAY_MS);
+    }
+
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.sessions, null, 2));
+            fs.renameSync(`${this.file}.tmp`, this.file);
+        } catch (error) {
+            logger.error(`[FIX] Could not save sequence numbers to ${this.file}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * One TCP connection: logon, sequence numbers, heartbeats and test
+ * requests. Application messages are handed to the gateway once the bot is
+ * logged on.
+ */
+class FixSession {
+    constructor(gateway, socket) {
+        this.gateway = gateway;
+        this.socket = socket;
+        this.parser = new FixParser();
+        this.remote = `${socket.remoteAddress}:${socket.remotePort}`;
+        this.botId = null;
+        this.target = null;
+        this.seq = null;
+        this.heartBtInt = 0;
+        this.lastReceivedAt = Date.now();
+        this.lastSentAt = Date.now();
+        this.testRequestSentAt = null;
+        this.resendRequested = false;
+        this.loggingOut = false;
+        this.marketData = new Map(); // MDReqID -> symbols, for subscriptions
+        this.connectedAt = Date.now();
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.closed());
+        socket.on('error', error => logger.warn(`[FIX] ${this.describe()} socket error: ${error.message}`));
+        this.timer = setInterval(() => this.checkHeartbeat(), 1000);
+    }
+
+    describe() {
+        return this.botId ? `${this.botId} (${this.remote})` : this.remote;
+    }
+
+    get loggedOn() {
+        return this.botId !== null && !this.socket.destroyed;
+    }
+
+    send(msgType, fields, options = {}) {
+        if (this.socket.destroyed) return;
+
+        const seqNum = options.seqNum || (this.seq ? this.seq.outgoing++ : 1);
+        this.socket.write(encodeMessage({
+            msgType: msgType,
+            sender: this.gateway.compId,
+            target: this.target,
+            seqNum: seqNum,
+            possDup: options.possDup
+        }, fields));
+        this.lastSentAt = Date.now();
+        if (this.seq && !options.seqNum) {
+            this.gateway.store.save();
+        }
+    }
+
+    receive(chunk) {
+        this.lastReceivedAt = Date.now();
+        this.testRequestSentAt = null;
+
+        let parsed;
+        try {
+            parsed = this.parser.push(chunk);
+        } catch (error) {
+            logger.error(`[FIX] ${this.describe()} could not parse input, disconnecting: ${error.message}`);
+            return this.socket.destroy();
+        }
+
+        const { messages, garbled } = parsed;
+        garbled.forEach(reason => logger.warn(`[FIX] ${this.describe()} dropped garbled input: ${reason}`));
+        messages.forEach((message) => {
+            if (!this.socket.destroyed && !this.loggingOut) {
+                logger.debug(`[FIX] ${this.describe()} in: ${message}`);
+                this.handleSafely(message);
+            }
+        });
+    }
+
+    // A message that makes the gateway throw is rejected instead of taking
+    // the server down with it
+    handleSafely(message) {
+        try {
+            this.handle(message);
+        } catch (error) {
+            logger.error(`[FIX] ${this.describe()} failed on MsgType ${message.msgType}: ${error.stack || error.message}`);
+            if (!this.botId) {
+                return this.socket.destroy();
+            }
+            this.send(MSG_TYPES.BusinessMessageReject, [
+                [TAGS.RefSeqNum, message.seqNum],
+                [TAGS.RefMsgType, message.msgType],
+                [TAGS.BusinessRejectReason, 0], // other
+                [TAGS.Text, 'Message could not be processed']
+            ]);
+        }
+    }
+
+    handle(message) {
+        if (message.get(TAGS.BeginString) !== BEGIN_STRING) {
+            logger.warn(`[FIX] ${this.describe()} sent BeginString ${message.get(TAGS.BeginString)}`);
+            return this.logout(`BeginString must be ${BEGIN_STRING}`);
+        }
+
+        if (!this.botId) {
+            return this.handleLogon(message);
+        }
+
+        if (message.get(TAGS.SenderCompID) !== this.botId || message.get(TAGS.TargetCompID) !== this.gateway.compId) {
+            this.reject(message, 9, 'CompID problem');
+            return this.logout('CompID problem');
+        }
+
+        if (!this.checkSequence(message)) return;
+
+        switch (message.msgType) {
+            case MSG_TYPES.Heartbeat:
+                break;
+            case MSG_TYPES.TestRequest:
+                this.send(MSG_TYPES.Heartbeat, [[TAGS.TestReqID, message.get(TAGS.TestReqID)]]);
+                break;
+            case MSG_TYPES.ResendRequest:
+                this.handleResendRequest(message);
+                break;
+            case MSG_TYPES.Reject:
+                logger.warn(`[FIX] ${this.describe()} rejected our message ${message.get(TAGS.RefSeqNum)}: ${message.get(TAGS.Text) || ''}`);
+                break;
+            case MSG_TYPES.SequenceReset:
+                this.applySequenceReset(message);
+                break;
+            case MSG_TYPES.Logout:
+                this.handleLogout(message);
+                break;
+            case MSG_TYPES.Logon:
+                this.reject(message, 5, 'Already logged on');
+                break;
+            case MSG_TYPES.NewOrderSingle:
+                this.gateway.newOrder(this, message);
+                break;
+            case MSG_TYPES.OrderCancelRequest:
+                this.gateway.cancelOrder(this, message);
+                break;
+            case MSG_TYPES.OrderCancelReplaceRequest:
+                this.gateway.replaceOrder(this, message);
+                break;
+            case MSG_TYPES.MarketDataRequest:
+                this.gateway.marketDataRequest(this, message);
+                break;
+            default:
+                this.send(MSG_TYPES.BusinessMessageReject, [
+                    [TAGS.RefSeqNum, message.seqNum],
+                    [TAGS.RefMsgType, message.msgType],
+                    [TAGS.BusinessRejectReason, 3], // unsupported message type
+                    [TAGS.Text, `Unsupported MsgType ${message.msgType}`]
+                ]);
+        }
+    }
+
+    handleLogon(message) {
+        this.target = message.get(TAGS.SenderCompID);
+
+        if (message.msgType !== MSG_TYPES.Logon) {
+            logger.warn(`[FIX] ${this.describe()} sent MsgType ${message.msgType} before Logon, disconnecting`);
+            return this.socket.destroy();
+        }
+        if (message.get(TAGS.TargetCompID) !== this.gateway.compId) {
+            return this.logout(`TargetCompID must be ${this.gateway.compId}`);
+        }
+
+        const bot = this.gateway.hooks.authenticate(this.target, message.get(TAGS.Password));
+        if (!bot) {
+            return this.logout('Invalid SenderCompID (bot_id) or Password (api_key)');
+        }
+
+        const heartBtInt = parseInt(message.get(TAGS.HeartBtInt), 10);
+        if (!(heartBtInt >= 0)) {
+            return this.logout('HeartBtInt is required');
+        }
+        if (!(message.seqNum > 0)) {
+            return this.logout('MsgSeqNum is required');
+        }
+        if (this.gateway.sessions.has(bot.id)) {
+            return this.logout('Session is already logged on');
+        }
+
+        const key = `${this.gateway.compId}:${bot.id}`;
+        const reset = message.get(TAGS.ResetSeqNumFlag) === 'Y';
+        this.seq = reset ? this.gateway.store.reset(key) : this.gateway.store.get(key);
+
+        if (message.seqNum < this.seq.incoming) {
+            return this.logout(`MsgSeqNum too low, expecting ${this.seq.incoming} but received ${message.seqNum}`);
+        }
+
+        this.botId = bot.id;
+        this.heartBtInt = heartBtInt;
+        this.gateway.sessions.set(bot.id, this);
+
+        const gap = message.seqNum > this.seq.incoming;
+        if (!gap) {
+            this.seq.incoming++;
+        }
+
+        this.send(MSG_TYPES.Logon, [
+            [TAGS.EncryptMethod, 0],
+            [TAGS.HeartBtInt, heartBtInt],
+            ...(reset ? [[TAGS.ResetSeqNumFlag, 'Y']] : [])
+        ]);
+        logger.info(`[FIX] ${this.describe()} logged on (in ${this.seq.incoming}, out ${this.seq.outgoing})`);
+
+        if (gap) {
+            this.requestResend();
+        }
+    }
+
+    /**
+     * Accept the expected MsgSeqNum. A higher one asks for a resend of the
+     * gap and drops the message until it arrives again; a lower one is a
+     * fatal error unless it is a possible duplicate.
+     */
+    checkSequence(message) {
+        const seqNum = message.seqNum;
+        if (!(seqNum > 0)) {
+            this.logout('MsgSeqNum is required');
+            return false;
+        }
+
+        // SequenceReset without GapFillFlag applies whatever its own MsgSeqNum
+        if (message.msgType === MSG_TYPES.SequenceReset && message.get(TAGS.GapFillFlag) !== 'Y') {
+            this.applySequenceReset(message);
+            return false;
+        }
+
+        if (seqNum > this.seq.incoming) {
+            this.requestResend();
+            if (message.msgType === MSG_TYPES.Logout) {
+                this.handleLogout(message);
+            }
+            return false;
+        }
+
+        if (seqNum < this.seq.incoming) {
+            if (message.get(TAGS.PossDupFlag) !== 'Y') {
+                this.logout(`MsgSeqNum too low, expecting ${this.seq.incoming} but received ${seqNum}`);
+            }
+            return false;
+        }
+
+        this.seq.incoming++;
+        this.resendRequested = false;
+        this.gateway.store.save();
+        return true;
+    }
+
+    requestResend() {
+        if (this.resendRequested) return;
+        this.resendRequested = true;
+        this.send(MSG_TYPES.ResendRequest, [[TAGS.BeginSeqNo, this.seq.incoming], [TAGS.EndSeqNo, 0]]);
+    }
+
+    applySequenceReset(message) {
+        const newSeqNo = parseInt(message.get(TAGS.NewSeqNo), 10);
+        if (!(newSeqNo >= this.seq.incoming)) {
+            return this.reject(message, 5, `NewSeqNo must be at least ${this.seq.incoming}`, TAGS.NewSeqNo);
+        }
+        this.seq.incoming = newSeqNo;
+        this.resendRequested = false;
+        this.gateway.store.save();
+    }
+
+    // Nothing is stored for resend, so the whole range is gap-filled
+    handleResendRequest(message) {
+        const beginSeqNo = parseInt(message.get(TAGS.BeginSeqNo), 10);
+        if (!(beginSeqNo > 0) || beginSeqNo >= this.seq.outgoing) return;
+
+        this.send(MSG_TYPES.SequenceReset, [
+            [TAGS.GapFillFlag, 'Y'],
+            [TAGS.NewSeqNo, this.seq.outgoing]
+        ], { seqNum: beginSeqNo, possDup: true });
+    }
+
+    handleLogout(message) {
+        logger.info(`[FIX] ${this.describe()} logged out${message.get(TAGS.Text) ? `: ${message.get(TAGS.Text)}` : ''}`);
+        this.loggingOut = true;
+        this.send(MSG_TYPES.Logout, []);
+        this.socket.end();
+    }
+
+    // Session-level Reject for a malformed or unexpected message
+    reject(message, reason, text, refTag) {
+        this.send(MSG_TYPES.Reject, [
+            [TAGS.RefSeqNum, message.seqNum],
+            [TAGS.RefTagID, refTag],
+            [TAGS.RefMsgType, message.msgType],
+            [TAGS.SessionRejectReason, reason],
+            [TAGS.Text, text]
+        ]);
+    }
+
+    logout(text) {
+        logger.warn(`[FIX] ${this.describe()} logout: ${text}`);
+        this.loggingOut = true;
+        this.send(MSG_TYPES.Logout, [[TAGS.Text, text]]);
+        this.socket.end();
+        setTimeout(() => this.socket.destroy(), 2000).unref();
+    }
+
+    checkHeartbeat() {
+        const now = Date.now();
+        if (!this.botId) {
+            if (now - this.connectedAt > LOGON_TIMEOUT_MS) {
+                logger.warn(`[FIX] ${this.describe()} did not log on in time`);
+                this.socket.destroy();
+            }
+            return;
+        }
+        if (!this.heartBtInt || this.loggingOut) return;
+
+        const interval = this.heartBtInt * 1000;
+        if (now - this.lastSentAt >= interval) {
+            this.send(MSG_TYPES.Heartbeat, []);
+        }
+
+        if (this.testRequestSentAt) {
+            if (now - this.testRequestSentAt >= interval) {
+                this.logout('No response to TestRequest');
+            }
+        } else if (now - this.lastReceivedAt >= interval * 1.2) {
+            this.testRequestSentAt = now;
+            this.send(MSG_TYPES.TestRequest, [[TAGS.TestReqID, `TEST-${now}`]]);
+        }
+    }
+
+    closed() {
+        clearInterval(this.timer);
+        if (this.botId && this.gateway.sessions.get(this.botId) === this) {
+            this.gateway.sessions.delete(this.botId);
+        }
+        logger.info(`[FIX] ${this.describe()} disconnected`);
+    }
+}
+
+class FixGateway {
+    /**
+     * @param {object} hooks - into the order engine:
+     *   authenticate(botId, apiKey) -> bot or null
+     *   placeOrder(botId, request)  -> { order } or { error, statusCode, reason_code? }
+     *   findOrder(orderId, botId)   -> { venue, order } or { error }
+     *   positionOf(botId, symbol)   -> signed share count
+     *   marketData                  -> Map of symbol -> { price, ... }
+     * @param {object} [options] - { compId, seqFile }
+     */
+    constructor(hooks, options = {}) {
+        this.hooks = hooks;
+        this.compId = options.compId || FIX_DEFAULTS.compId;
+        this.store = new FixSequenceStore(options.seqFile || FIX_DEFAULTS.seqFile);
+        this.sessions = new Map(); // botId -> logged-on FixSession
+        this.orders = new Map();   // orderId -> { botId, clOrdId, origClOrdId, ackType, reportedFills, reportedStatus }
+        this.clOrdIds = new Map(); // `${botId}:${clOrdId}` -> orderId
+        this.execIdCounter = 1;
+        this.server = net.createServer(socket => new FixSession(this, socket));
+        this.server.on('error', error => logger.error(`[FIX] Acceptor error: ${error.message}`));
+    }
+
+    listen(port, host = '0.0.0.0') {
+        this.server.listen(port, host, () => {
+            logger.info(`[FIX] FIX 4.4 acceptor listening on ${host}:${port} as ${this.compId}`);
+        });
+    }
+
+    close() {
+        this.sessions.forEach(session => session.logout('Server shutting down'));
+        this.server.close();
+        this.store.flush();
+    }
+
+    /**
+     * Application messages
+     */
+
+    newOrder(session, message) {
+        if (!this.hasRequiredTags(session, message, [TAGS.ClOrdID, TAGS.Symbol, TAGS.Side, TAGS.OrderQty, TAGS.OrdType])) return;
+
+        const botId = session.botId;
+        const clOrdId = message.get(TAGS.ClOrdID);
+        if (this.clOrdIds.has(`${botId}:${clOrdId}`)) {
+            return this.rejectNewOrder(session, message, 'Duplicate ClOrdID', REJECT_REASONS.duplicateOrder);
+        }
+
+        const request = this.toOrderRequest(botId, message);
+        if (request.error) {
+            return this.rejectNewOrder(session, message, request.error, REJECT_REASONS.other);
+        }
+
+        const result = this.hooks.placeOrder(botId, request);
+        if (result.error) {
+            const reason = result.statusCode === 404 ? REJECT_REASONS.unknownSymbol
+                : result.reason_code ? REJECT_REASONS.exceedsLimit
+                : REJECT_REASONS.other;
+            return this.rejectNewOrder(session, message, result.error, reason);
+        }
+
+        this.track(result.order, { botId, clOrdId, ackType: '0' });
+        this.report(result.order);
+    }
+
+    cancelOrder(session, message) {
+        if (!this.hasRequiredTags(session, message, [TAGS.OrigClOrdID, TAGS.ClOrdID])) return;
+
+        const found = this.findTrackedOrder(session, message, '1');
+        if (!found) return;
+
+        const { state, venue, order } = found;
+        const previous = { clOrdId: state.clOrdId, origClOrdId: state.origClOrdId };
+        const clOrdId = message.get(TAGS.ClOrdID);
+
+        // The Canceled report carries the request's ClOrdID
+        Object.assign(state, { clOrdId: clOrdId, origClOrdId: message.get(TAGS.OrigClOrdID) });
+        this.clOrdIds.set(`${state.botId}:${clOrdId}`, order.id);
+
+        const result = venue.cancelOrder(order);
+        if (result.error) {
+            Object.assign(state, previous);
+            this.clOrdIds.delete(`${state.botId}:${clOrdId}`);
+            this.rejectCancel(session, message, '1', order, result.error,
+                order.status === 'pending' || order.status === 'partially_filled' ? REJECT_REASONS.other : REJECT_REASONS.tooLateToCancel);
+        }
+    }
+
+    replaceOrder(session, message) {
+        if (!this.hasRequiredTags(session, message, [TAGS.OrigClOrdID, TAGS.ClOrdID])) return;
+
+        const found = this.findTrackedOrder(session, message, '2');
+        if (!found) return;
+
+        const { state, venue, order } = found;
+        const changes = {};
+        if (message.get(TAGS.OrderQty) !== undefined) changes.quantity = Number(message.get(TAGS.OrderQty));
+        if (message.get(TAGS.Price) !== undefined) changes.limit_price = Number(message.get(TAGS.Price));
+        if (message.get(TAGS.StopPx) !== undefined) changes.stop_price = Number(message.get(TAGS.StopPx));
+
+        const result = venue.replaceOrder(order, changes);
+        if (result.error) {
+            return this.rejectCancel(session, message, '2', order, result.error,
+                order.status === 'pending' ? REJECT_REASONS.other : REJECT_REASONS.tooLateToCancel);
+        }
+
+        state.reportedStatus = 'replaced';
+        this.track(result.replacement, {
+            botId: state.botId,
+            clOrdId: message.get(TAGS.ClOrdID),
+            origClOrdId: message.get(TAGS.OrigClOrdID),
+            ackType: '5'
+        });
+        this.report(result.replacement);
+    }
+
+    marketDataRequest(session, message) {
+        if (!this.hasRequiredTags(session, message, [TAGS.MDReqID, TAGS.SubscriptionRequestType])) return;
+
+        const reqId = message.get(TAGS.MDReqID);
+        const requestType = message.get(TAGS.SubscriptionRequestType);
+        const rejectRequest = (reason, text) => session.send(MSG_TYPES.MarketDataRequestReject, [
+            [TAGS.MDReqID, reqId],
+            [TAGS.MDReqRejReason, reason],
+            [TAGS.Text, text]
+        ]);
+
+        // 0 = snapshot, 1 = snapshot and updates, 2 = unsubscribe
+        if (requestType === '2') {
+            session.marketData.delete(reqId);
+            return;
+        }
+        if (requestType !== '0' && requestType !== '1') {
+            return rejectRequest('4', `Unsupported SubscriptionRequestType ${requestType}`);
+        }
+        if (requestType === '1' && session.marketData.has(reqId)) {
+            return rejectRequest('1', `Duplicate MDReqID ${reqId}`);
+        }
+
+        const symbols = message.getAll(TAGS.Symbol).map(symbol => symbol.toUpperCase());
+        const unknown = symbols.find(symbol => !this.hooks.marketData.has(symbol));
+        if (symbols.length === 0 || unknown) {
+            return rejectRequest('0', unknown ? `Unknown symbol ${unknown}` : 'No symbols requested');
+        }
+
+        symbols.forEach(symbol => this.sendSnapshot(session, reqId, symbol));
+        if (requestType === '1') {
+            session.marketData.set(reqId, symbols);
+        }
+    }
+
+    // Subscriptions get a fresh snapshot on every live market update
+    onMarketUpdate() {
+        this.sessions.forEach((session) => {
+            session.marketData.forEach((symbols, reqId) => {
+                symbols.forEach(symbol => this.sendSnapshot(session, reqId, symbol));
+            });
+        });
+    }
+
+    sendSnapshot(session, reqId, symbol) {
+        const stock = this.hooks.marketData.get(symbol);
+        session.send(MSG_TYPES.MarketDataSnapshotFullRefresh, [
+            [TAGS.MDReqID, reqId],
+            [TAGS.Symbol, symbol],
+            [TAGS.NoMDEntries, 1],
+            [TAGS.MDEntryType, '2'], // trade
+            [TAGS.MDEntryPx, formatPrice(stock.price)]
+        ]);
+    }
+
+    /**
+     * Execution reports
+     */
+
+    track(order, fields) {
+        this.orders.set(order.id, { origClOrdId: null, reportedFills: 0, reportedStatus: null, ...fields });
+        this.clOrdIds.set(`${fields.botId}:${fields.clOrdId}`, order.id);
+    }
+
+    // Called for every order update from the venues; only FIX orders are reported
+    onOrderUpdate(order) {
+        if (!this.orders.has(order.id)) return;
+        try {
+            this.report(order);
+        } catch (error) {
+            logger.error(`[FIX] Could not report ${order.id}: ${error.stack || error.message}`);
+        }
+    }
+
+    /**
+     * Send whatever has happened to the order since its last report: the
+     * ack, one Trade report per execution, then a final cancel, expiry or
+     * reject. Reports for a bot that is not logged on are not sent.
+     */
+    report(order) {
+        const state = this.orders.get(order.id);
+        if (order.status === 'replaced') {
+            state.reportedStatus = 'replaced';
+            return;
+        }
+
+        const session = this.sessions.get(state.botId);
+        const send = (execType, details) => {
+            if (session && session.loggedOn) {
+                session.send(MSG_TYPES.ExecutionReport, this.executionReport(order, state, execType, details));
+            }
+        };
+
+        if (state.reportedStatus === null) {
+            if (order.status === 'rejected' && order.executions.length === 0) {
+                send('8', { fills: 0, text: order.rejectReason });
+                state.reportedStatus = 'rejected';
+                return;
+            }
+            send(state.ackType, { fills: 0 });
+        }
+
+        while (state.reportedFills < order.executions.length) {
+            state.reportedFills++;
+            send('F', { fills: state.reportedFills });
+        }
+
+        const finalType = FINAL_EXEC_TYPES[order.status];
+        if (finalType && state.reportedStatus !== order.status) {
+            send(finalType, { fills: order.executions.length, text: order.cancelReason || order.rejectReason });
+        }
+        state.reportedStatus = order.status;
+    }
+
+    /**
+     * ExecutionReport fields for the order as of its first `fills`
+     * executions. execType is 0 (new), 5 (replaced), F (trade), 4 (canceled),
+     * C (expired) or 8 (rejected).
+     */
+    executionReport(order, state, execType, { fills, text }) {
+        const executions = order.executions.slice(0, fills);
+        const cumQty = executions.reduce((sum, execution) => sum + execution.quantity, 0);
+        const notional = executions.reduce((sum, execution) => sum + execution.quantity * execution.price, 0);
+        const last = execType === 'F' ? executions[executions.length - 1] : null;
+        const done = execType === '4' || execType === 'C' || execType === '8';
+
+        const ordStatus = execType === '0' || execType === '5' ? '0'
+            : execType === 'F' ? (cumQty >= order.quantity ? '2' : '1')
+            : execType;
+
+        return [
+            [TAGS.OrderID, order.id],
+            [TAGS.ClOrdID, state.clOrdId],
+            [TAGS.OrigClOrdID, execType === '4' || execType === '5' ? state.origClOrdId : null],
+            [TAGS.ExecID, last ? last.id : `${order.id}_report_${this.execIdCounter++}`],
+            [TAGS.ExecType, execType],
+            [TAGS.OrdStatus, ordStatus],
+            [TAGS.OrdRejReason, execType === '8' ? REJECT_REASONS.other : null],
+            [TAGS.Symbol, order.symbol],
+            [TAGS.Side, SIDES[order.action]],
+            [TAGS.OrderQty, order.quantity],
+            [TAGS.OrdType, keyOf(ORD_TYPES, order.type)],
+            [TAGS.Price, formatPrice(order.limit_price)],
+            [TAGS.StopPx, formatPrice(order.stop_price)],
+            [TAGS.TimeInForce, keyOf(TIME_IN_FORCE, order.time_in_force)],
+            [TAGS.LastQty, last ? last.quantity : null],
+            [TAGS.LastPx, last ? formatPrice(last.price) : null],
+            [TAGS.LeavesQty, done ? 0 : order.quantity - cumQty],
+            [TAGS.CumQty, cumQty],
+            [TAGS.AvgPx, cumQty > 0 ? formatPrice(notional / cumQty) : 0],
+            [TAGS.TransactTime, formatTimestamp(last ? new Date(last.timestamp) : new Date())],
+            [TAGS.Text, text]
+        ];
+    }
+
+    rejectNewOrder(session, message, text, reason) {
+        session.send(MSG_TYPES.ExecutionReport, [
+            [TAGS.OrderID, 'NONE'],
+            [TAGS.ClOrdID, message.get(TAGS.ClOrdID)],
+            [TAGS.ExecID, `rejected_${this.execIdCounter++}`],
+            [TAGS.ExecType, '8'],
+            [TAGS.OrdStatus, '8'],
+            [TAGS.OrdRejReason, reason],
+            [TAGS.Symbol, message.get(TAGS.Symbol)],
+            [TAGS.Side, message.get(TAGS.Side)],
+            [TAGS.OrderQty, message.get(TAGS.OrderQty)],
+            [TAGS.OrdType, message.get(TAGS.OrdType)],
+            [TAGS.LeavesQty, 0],
+            [TAGS.CumQty, 0],
+            [TAGS.AvgPx, 0],
+            [TAGS.TransactTime, formatTimestamp()],
+            [TAGS.Text, text]
+        ]);
+    }
+
+    // responseTo is 1 for a cancel request and 2 for a cancel/replace
+    rejectCancel(session, message, responseTo, order, text, reason) {
+        session.send(MSG_TYPES.OrderCancelReject, [
+            [TAGS.OrderID, order ? order.id : 'NONE'],
+            [TAGS.ClOrdID, message.get(TAGS.ClOrdID)],
+            [TAGS.OrigClOrdID, message.get(TAGS.OrigClOrdID)],
+            [TAGS.OrdStatus, order ? ORD_STATUS[order.status] : '8'],
+            [TAGS.CxlRejResponseTo, responseTo],
+            [TAGS.CxlRejReason, reason],
+            [TAGS.Text, text]
+        ]);
+    }
+
+    /**
+     * The order an OrigClOrdID refers to, checked against the bot and the
+     * new ClOrdID. Sends the OrderCancelReject and returns null on failure.
+     */
+    findTrackedOrder(session, message, responseTo) {
+        const botId = session.botId;
+        if (this.clOrdIds.has(`${botId}:${message.get(TAGS.ClOrdID)}`)) {
+            this.rejectCancel(session, message, responseTo, null, 'Duplicate ClOrdID', REJECT_REASONS.duplicateClOrdID);
+            return null;
+        }
+
+        const orderId = this.clOrdIds.get(`${botId}:${message.get(TAGS.OrigClOrdID)}`);
+        const found = orderId ? this.hooks.findOrder(orderId, botId) : { error: 'Unknown order' };
+        if (found.error) {
+            this.rejectCancel(session, message, responseTo, null, found.error, REJECT_REASONS.unknownOrder);
+            return null;
+        }
+
+        return { state: this.orders.get(orderId), ...found };
+    }
+
+    hasRequiredTags(session, message, tags) {
+        const missing = tags.find(tag => message.get(tag) === undefined);
+        if (missing !== undefined) {
+            session.reject(message, 1, `Required tag missing: ${missing}`, missing);
+            return false;
+        }
+        return true;
+    }
+
+    // Side 1 closes a short position when there is one, as buy_to_cover
+    toOrderRequest(botId, message) {
+        const symbol = message.get(TAGS.Symbol).toUpperCase();
+        const side = message.get(TAGS.Side);
+        const action = side === '1' ? (this.hooks.positionOf(botId, symbol) < 0 ? 'buy_to_cover' : 'buy')
+            : side === '2' ? 'sell'
+            : side === '5' ? 'sell_short'
+            : null;
+        if (!action) {
+            return { error: `Unsupported Side ${side}. Use 1 (buy), 2 (sell) or 5 (sell short)` };
+        }
+
+        const orderType = ORD_TYPES[message.get(TAGS.OrdType)];
+        if (!orderType) {
+            return { error: `Unsupported OrdType ${message.get(TAGS.OrdType)}. Use 1, 2, 3 or 4` };
+        }
+
+        const tif = message.get(TAGS.TimeInForce);
+        const timeInForce = tif === undefined ? 'day' : TIME_IN_FORCE[tif];
+        if (!timeInForce) {
+            return { error: `Unsupported TimeInForce ${tif}. Use 0, 1, 3 or 4` };
+        }
+
+        const price = message.get(TAGS.Price);
+        const stopPx = message.get(TAGS.StopPx);
+        return {
+            symbol: symbol,
+            action: action,
+            quantity: Number(message.get(TAGS.OrderQty)),
+            order_type: orderType,
+            limit_price: price !== undefined ? Number(price) : undefined,
+            stop_price: stopPx !== undefined ? Number(stopPx) : undefined,
+            time_in_force: timeInForce
+        };
+    }
+}
+
+module.exports = {
+    FIX_DEFAULTS,
+    FixGateway
+};
@@ -0,0 +1,244 @@
+/**
+ * FIX Protocol
+ * Tag=value encoding for FIX 4.4: framing with BodyLength and CheckSum,
+ * a stream parser for TCP input and the tags the gateway uses.
+ */
+
+const SOH = '\x01';
+const BEGIN_STRING = 'FIX.4.4';
+const MAX_BODY_LENGTH = 65536; // larger claims are treated as garbled
+
+const TAGS = {
+    AvgPx: 6,
+    BeginSeqNo: 7,
+    BeginString: 8,
+    BodyLength: 9,
+    CheckSum: 10,
+    ClOrdID: 11,
+    CumQty: 14,
+    EndSeqNo: 16,
+    ExecID: 17,
+    LastPx: 31,
+    LastQty: 32,
+    MsgSeqNum: 34,
+    MsgType: 35,
+    NewSeqNo: 36,
+    OrderID: 37,
+    OrderQty: 38,
+    OrdStatus: 39,
+    OrdType: 40,
+    OrigClOrdID: 41,
+    PossDupFlag: 43,
+    Price: 44,
+    RefSeqNum: 45,
+    SenderCompID: 49,
+    SendingTime: 52,
+    Side: 54,
+    Symbol: 55,
+    TargetCompID: 56,
+    Text: 58,
+    TimeInForce: 59,
+    TransactTime: 60,
+    EncryptMethod: 98,
+    StopPx: 99,
+    CxlRejReason: 102,
+    OrdRejReason: 103,
+    HeartBtInt: 108,
+    TestReqID: 112,
+    GapFillFlag: 123,
+    ResetSeqNumFlag: 141,
+    NoRelatedSym: 146,
+    ExecType: 150,
+    LeavesQty: 151,
+    MDReqID: 262,
+    SubscriptionRequestType: 263,
+    MarketDepth: 264,
+    NoMDEntries: 268,
+    MDEntryType: 269,
+    MDEntryPx: 270,
+    MDReqRejReason: 281,
+    RefTagID: 371,
+    RefMsgType: 372,
+    SessionRejectReason: 373,
+    BusinessRejectReason: 380,
+    CxlRejResponseTo: 434,
+    Username: 553,
+    Password: 554
+};
+
+const MSG_TYPES = {
+    Heartbeat: '0',
+    TestRequest: '1',
+    ResendRequest: '2',
+    Reject: '3',
+    SequenceReset: '4',
+    Logout: '5',
+    ExecutionReport: '8',
+    OrderCancelReject: '9',
+    Logon: 'A',
+    NewOrderSingle: 'D',
+    OrderCancelRequest: 'F',
+    OrderCancelReplaceRequest: 'G',
+    MarketDataRequest: 'V',
+    MarketDataSnapshotFullRefresh: 'W',
+    MarketDataRequestReject: 'Y',
+    BusinessMessageReject: 'j'
+};
+
+// UTCTimestamp with milliseconds: YYYYMMDD-HH:MM:SS.sss
+function formatTimestamp(date = new Date()) {
+    const iso = date.toISOString();
+    return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}-${iso.slice(11, 23)}`;
+}
+
+function checksum(buffer) {
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        sum += buffer[i];
+    }
+    return String(sum % 256).padStart(3, '0');
+}
+
+/**
+ * Build a complete message. `header` is { msgType, sender, target, seqNum,
+ * possDup? }; `fields` is an ordered list of [tag, value] pairs, so
+ * repeating groups keep their order. Fields with null or undefined values
+ * are left out.
+ */
+function encodeMessage(header, fields = []) {
+    const headerFields = [
+        [TAGS.MsgType, header.msgType],
+        [TAGS.SenderCompID, header.sender],
+        [TAGS.TargetCompID, header.target],
+        [TAGS.MsgSeqNum, header.seqNum],
+        ...(header.possDup ? [[TAGS.PossDupFlag, 'Y']] : []),
+        [TAGS.SendingTime, formatTimestamp()]
+    ];
+
+    const body = headerFields.concat(fields)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([tag, value]) => `${tag}=${value}${SOH}`)
+        .join('');
+    const head = `${TAGS.BeginString}=${BEGIN_STRING}${SOH}${TAGS.BodyLength}=${Buffer.byteLength(body)}${SOH}`;
+    const message = Buffer.from(head + body);
+
+    return Buffer.concat([message, Buffer.from(`${TAGS.CheckSum}=${checksum(message)}${SOH}`)]);
+}
+
+/**
+ * A received message. `fields` keeps every [tag, value] pair in order;
+ * get() returns the first value for a tag and getAll() every value, for
+ * repeating groups.
+ */
+class FixMessage {
+    constructor(fields, raw) {
+        this.fields = fields;
+        this.raw = raw;
+    }
+
+    get(tag) {
+        const field = this.fields.find(([fieldTag]) => fieldTag === tag);
+        return field ? field[1] : undefined;
+    }
+
+    getAll(tag) {
+        return this.fields.filter(([fieldTag]) => fieldTag === tag).map(([, value]) => value);
+    }
+
+    get msgType() {
+        return this.get(TAGS.MsgType);
+    }
+
+    get seqNum() {
+        return parseInt(this.get(TAGS.MsgSeqNum), 10);
+    }
+
+    // Readable form for logs, with | for SOH
+    toString() {
+        return this.raw.replace(/\x01/g, '|');
+    }
+}
+
+/**
+ * Splits a TCP byte stream into messages using BodyLength. Garbled input
+ * (bad framing or checksum) is reported through `garbled` and skipped up to
+ * the next BeginString, as FIX requires, without consuming a sequence number.
+ */
+class FixParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Add received bytes. Returns { messages, garbled } where garbled lists
+     * the reasons input was dropped.
+     */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const messages = [];
+        const garbled = [];
+
+        for (;;) {
+            const start = this.buffer.indexOf(`${TAGS.BeginString}=FIX`);
+            if (start < 0) {
+                // Keep what could be the start of a BeginString cut off by the chunk
+                this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - 5));
+                break;
+            }
+            if (start > 0) {
+                garbled.push('Data before BeginString');
+                this.buffer = this.buffer.subarray(start);
+            }
+
+            const beginEnd = this.buffer.indexOf(SOH);
+            const lengthEnd = beginEnd < 0 ? -1 : this.buffer.indexOf(SOH, beginEnd + 1);
+            if (lengthEnd < 0) break;
+
+            const lengthField = this.buffer.subarray(beginEnd + 1, lengthEnd).toString();
+            const bodyLength = parseInt(lengthField.slice(2), 10);
+            if (!lengthField.startsWith(`${TAGS.BodyLength}=`) || !(bodyLength > 0) || bodyLength > MAX_BODY_LENGTH) {
+                garbled.push('Missing or invalid BodyLength');
+                this.buffer = this.buffer.subarray(1);
+                continue;
+            }
+
+            // CheckSum is always 10=nnn<SOH>
+            const bodyEnd = lengthEnd + 1 + bodyLength;
+            const end = bodyEnd + 7;
+            if (this.buffer.length < end) break;
+
+            const trailer = this.buffer.subarray(bodyEnd, end).toString();
+            const expected = checksum(this.buffer.subarray(0, bodyEnd));
+            if (!trailer.startsWith(`${TAGS.CheckSum}=`) || trailer[6] !== SOH) {
+                garbled.push('BodyLength does not match the message');
+                this.buffer = this.buffer.subarray(1);
+                continue;
+            }
+            if (trailer.slice(3, 6) !== expected) {
+                garbled.push(`CheckSum ${trailer.slice(3, 6)} should be ${expected}`);
+                this.buffer = this.buffer.subarray(end);
+                continue;
+            }
+
+            const raw = this.buffer.subarray(0, end).toString();
+            this.buffer = this.buffer.subarray(end);
+            const fields = raw.split(SOH).filter(Boolean).map((field) => {
+                const separator = field.indexOf('=');
+                return [parseInt(field.slice(0, separator), 10), field.slice(separator + 1)];
+            });
+            messages.push(new FixMessage(fields, raw));
+        }
+
+        return { messages, garbled };
+    }
+}
+
+module.exports = {
+    BEGIN_STRING,
+    MSG_TYPES,
+    TAGS,
+    FixMessage,
+    FixParser,
+    encodeMessage,
+    formatTimestamp
+};
@@ -0,0 +1,491 @@
+/**
+ * Gym Environments
+ * Step-based reinforcement-learning interface to the simulator, after the
+ * OpenAI Gym reset/step contract. Each environment owns a TradingVenue whose
+ * prices come from EnhancedSimulator.updatePrices driven by a seeded random
+ * source, so an episode replays exactly under the same seed and actions.
+ *
+ *   reset(seed, config) -> observation
+ *   step(actions)       -> { observation, reward, done, info }
+ *
+ * Actions are order requests in the /api/bot/order shape, or { cancel: order_id }.
+ */
+
+const { TradingVenue, isOrderWorking } = require('./trading-venue');
+const { EnhancedSimulator } = require('./js/enhanced-simulator.js');
+const { REAL_STOCKS, RISK_LEVELS, DIFFICULTIES } = require('./js/stocks-data.js');
+const { normalizeFeeSchedule } = require('./fee-schedule');
+const { normalizeMarginAccount } = require('./margin-account');
+const { normalizeRiskProfile } = require('./risk-profile');
+const { LOT_METHODS } = require('./tax-lots');
+const { createRandom, generateSeed } = require('./seeded-random');
+const { envNumber } = require('./env-config');
+
+const REWARDS = ['pnl', 'return', 'log_return', 'sharpe'];
+const DAY_MS = 86400000; // simulated time per day, split across its ticks
+
+const GYM_DEFAULTS = {
+    symbols: null,              // every listed stock
+    initialCash: 100000,
+    maxSteps: 252,              // a simulated year of daily steps
+    ticksPerDay: 1,
+    window: 20,                 // prices kept per symbol for the indicator windows
+    warmupSteps: null,          // defaults to window, so indicators start filled
+    reward: 'return',
+    rewardScale: 1,
+    tradePenalty: 0,            // subtracted per order placed
+    drawdownPenalty: 0,         // times the drawdown from peak equity (0-1)
+    riskLevel: 'moderate',
+    difficulty: 'medium',
+    startDate: '2024-01-02T14:30:00Z'
+};
+
+const MAX_STEPS = 100000;
+const MAX_WINDOW = 500;
+const RSI_PERIOD = 14;
+
+// Environments one server will hold, and minutes an untouched one is kept
+const GYM_MAX_ENVIRONMENTS = envNumber('GYM_MAX_ENVIRONMENTS', 50);
+const GYM_IDLE_MINUTES = envNumber('GYM_IDLE_MINUTES', 30);
+
+/**
+ * Turn a reset `config` ({ symbols, initial_cash, max_steps, ticks_per_day,
+ * window, warmup_steps, reward, reward_scale, trade_penalty,
+ * drawdown_penalty, risk_level, difficulty, start_date, fee_schedule, margin,
+ * risk_profile, lot_method }) into environment options. Account settings
+ * default to the owning bot's. Throws with a readable message when invalid.
+ */
+function normalizeGymConfig(input, bot) {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('config must be an object');
+    }
+
+    const config = { ...GYM_DEFAULTS };
+
+    if (input.symbols !== undefined) {
+        if (!Array.isArray(input.symbols) || input.symbols.length === 0) {
+            throw new Error('symbols must be a non-empty array');
+        }
+        config.symbols = input.symbols.map(symbol => String(symbol).toUpperCase());
+        const unknown = config.symbols.filter(symbol => !REAL_STOCKS.some(stock => stock.symbol === symbol));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown symbols: ${unknown.join(', ')}`);
+        }
+    }
+
+    const numbers = {
+        initial_cash: 'initialCash',
+        max_steps: 'maxSteps',
+        ticks_per_day: 'ticksPerDay',
+        window: 'window',
+        warmup_steps: 'warmupSteps',
+        reward_scale: 'rewardScale',
+        trade_penalty: 'tradePenalty',
+        drawdown_penalty: 'drawdownPenalty'
+    };
+    Object.keys(numbers).forEach((field) => {
+        if (input[field] === undefined) return;
+        const value = Number(input[field]);
+        if (!isFinite(value) || value < 0) {
+            throw new Error(`${field} must be a non-negative number`);
+        }
+        config[numbers[field]] = value;
+    });
+
+    ['max_steps', 'ticks_per_day', 'window'].forEach((field) => {
+        const value = config[numbers[field]];
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`${field} must be a positive whole number`);
+        }
+    });
+    if (config.maxSteps > MAX_STEPS) {
+        throw new Error(`max_steps must be at most ${MAX_STEPS}`);
+    }
+    if (config.window < 2 || config.window > MAX_WINDOW) {
+        throw new Error(`window must be between 2 and ${MAX_WINDOW}`);
+    }
+    if (!(config.initialCash > 0)) {
+        throw new Error('initial_cash must be positive');
+    }
+    config.warmupSteps = config.warmupSteps === null ? config.window : Math.floor(config.warmupSteps);
+
+    if (input.reward !== undefined) {
+        config.reward = String(input.reward).toLowerCase();
+        if (!REWARDS.includes(config.reward)) {
+            throw new Error(`reward must be one of: ${REWARDS.join(', ')}`);
+        }
+    }
+
+    if (input.risk_level !== undefined) {
+        if (!Object.keys(RISK_LEVELS).includes(input.risk_level)) {
+            throw new Error(`risk_level must be one of: ${Object.keys(RISK_LEVELS).join(', ')}`);
+        }
+        config.riskLevel = input.risk_level;
+    }
+    if (input.difficulty !== undefined) {
+        if (!Object.keys(DIFFICULTIES).includes(input.difficulty)) {
+            throw new Error(`difficulty must be one of: ${Object.keys(DIFFICULTIES).join(', ')}`);
+        }
+        config.difficulty = input.difficulty;
+    }
+
+    if (input.start_date !== undefined) {
+        config.startDate = input.start_date;
+    }
+    if (isNaN(Date.parse(config.startDate))) {
+        throw new Error('start_date must be an ISO date');
+    }
+
+    config.feeSchedule = input.fee_schedule !== undefined ? normalizeFeeSchedule(input.fee_schedule) : bot.feeSchedule;
+    config.margin = input.margin !== undefined ? normalizeMarginAccount(input.margin) : bot.margin;
+    config.riskProfile = input.risk_profile !== undefined ? normalizeRiskProfile(input.risk_profile) : bot.riskProfile;
+    config.lotMethod = input.lot_method !== undefined ? String(input.lot_method).toLowerCase() : bot.lotMethod;
+    if (!LOT_METHODS.includes(config.lotMethod)) {
+        throw new Error(`lot_method must be one of: ${LOT_METHODS.join(', ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Indicators
+ */
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stdDev(values) {
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length);
+}
+
+function ema(values) {
+    const alpha = 2 / (values.length + 1);
+    return values.reduce((average, value) => alpha * value + (1 - alpha) * average, values[0]);
+}
+
+// Wilder's RSI over the window, or null until there are enough prices
+function rsi(values, period = RSI_PERIOD) {
+    if (values.length <= period) return null;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const diff = values[i] - values[i - 1];
+        avgGain += Math.max(diff, 0) / period;
+        avgLoss += Math.max(-diff, 0) / period;
+    }
+    for (let i = period + 1; i < values.length; i++) {
+        const diff = values[i] - values[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    }
+
+    return avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+function describeWindow(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+        returns.push(prices[i] / prices[i - 1] - 1);
+    }
+
+    return {
+        prices: prices,
+        returns: returns,
+        sma: mean(prices),
+        ema: ema(prices),
+        rsi: rsi(prices),
+        volatility: returns.length > 1 ? stdDev(returns) : 0,
+        momentum: prices[prices.length - 1] / prices[0] - 1
+    };
+}
+
+class GymEnvironment {
+    /**
+     * @param {string} id
+     * @param {object} bot - the registered bot that owns the environment
+     */
+    constructor(id, bot) {
+        this.id = id;
+        this.bot = bot;
+        this.config = null;
+        this.seed = null;
+        this.venue = null;
+        this.done = false;
+        this.createdAt = new Date();
+        this.lastUsedAt = new Date();
+    }
+
+    /**
+     * Start a new episode. A config replaces the current one; leaving it out
+     * keeps it. Without a seed a fresh one is drawn and reported in the
+     * observation so the episode can be replayed.
+     */
+    reset(seed, config) {
+        if (config !== undefined || !this.config) {
+            this.config = normalizeGymConfig(config, this.bot);
+        }
+        this.seed = seed !== undefined && seed !== null ? seed : generateSeed();
+        this.lastUsedAt = new Date();
+
+        const { config: options } = this;
+        const random = createRandom(this.seed);
+        const simulator = new EnhancedSimulator({
+            random: random,
+            riskLevel: options.riskLevel,
+            difficulty: options.difficulty,
+            startingCapital: options.initialCash
+        });
+        const stocks = options.symbols
+            ? options.symbols.map(symbol => REAL_STOCKS.find(stock => stock.symbol === symbol))
+            : REAL_STOCKS;
+
+        this.venue = new TradingVenue({
+            name: `gym:${this.id}`,
+            orderPrefix: `${this.id}_order_`,
+            startTime: Date.parse(options.startDate),
+            tickMs: DAY_MS / options.ticksPerDay,
+            ticksPerSession: options.ticksPerDay,
+            stocks: stocks,
+            simulator: simulator,
+            random: random
+        });
+        this.account = this.venue.openAccount({
+            id: this.bot.id,
+            name: this.bot.name,
+            status: 'gym',
+            feeSchedule: options.feeSchedule,
+            margin: options.margin,
+            riskProfile: options.riskProfile,
+            lotMethod: options.lotMethod
+        }, { cash: options.initialCash });
+
+        // Order changes from fills, expiries and liquidations during a tick
+        this.orderUpdates = new Map();
+        this.venue.on('order_update', (order) => {
+            this.orderUpdates.set(order.id, order);
+        });
+
+        this.windows = new Map();
+        this.venue.marketData.forEach((market, symbol) => {
+            this.windows.set(symbol, [market.price]);
+        });
+        for (let i = 0; i < options.warmupSteps; i++) {
+            this.advance();
+        }
+        this.orderUpdates.clear();
+
+        this.stepCount = 0;
+        this.done = false;
+        this.lastEquity = options.initialCash;
+        this.peakEquity = options.initialCash;
+        this.stepReturns = [];
+        return this.observe();
+    }
+
+    /**
+     * Place this step's orders at the current prices, advance the market one
+     * tick and score the result. Each action's outcome is in info.actions in
+     * the order given; an invalid action is reported there and skipped.
+     * Callers check that the episode is running (reset and not done) first.
+     */
+    step(actions = []) {
+        this.lastUsedAt = new Date();
+        const results = actions.map(action => this.applyAction(action));
+        const ordersPlaced = results.filter(result => result.order_id && !result.cancelled).length;
+
+        this.orderUpdates.clear();
+        this.advance();
+        this.stepCount++;
+
+        const portfolio = this.venue.portfolios.get(this.account.id);
+        const equity = this.venue.valuePortfolio(portfolio).equity;
+        const stepReturn = this.lastEquity > 0 ? equity / this.lastEquity - 1 : 0;
+        this.stepReturns.push(stepReturn);
+        if (this.stepReturns.length > this.config.window) {
+            this.stepReturns.shift();
+        }
+        this.peakEquity = Math.max(this.peakEquity, equity);
+        const drawdown = this.peakEquity > 0 ? Math.max(0, (this.peakEquity - equity) / this.peakEquity) : 0;
+
+        const reward = this.config.rewardScale * this.baseReward(equity, stepReturn) -
+            this.config.tradePenalty * ordersPlaced -
+            this.config.drawdownPenalty * drawdown;
+        this.lastEquity = equity;
+
+        const terminated = equity <= 0 || this.account.status === 'halted';
+        const truncated = !terminated && this.stepCount >= this.config.maxSteps;
+        this.done = terminated || truncated;
+
+        const orderUpdates = Array.from(this.orderUpdates.values()).map(order => this.describeOrder(order));
+        this.orderUpdates.clear();
+
+        return {
+            observation: this.observe(),
+            reward: reward,
+            done: this.done,
+            info: {
+                step: this.stepCount,
+                seed: this.seed,
+                equity: equity,
+                drawdown: drawdown,
+                terminated: terminated,
+                truncated: truncated,
+                haltReason: this.account.haltReason,
+                actions: results,
+                orderUpdates: orderUpdates
+            }
+        };
+    }
+
+    baseReward(equity, stepReturn) {
+        switch (this.config.reward) {
+            case 'pnl':
+                return equity - this.lastEquity;
+            case 'log_return':
+                return Math.log(Math.max(equity, 1e-9) / this.lastEquity);
+            case 'sharpe': {
+                // Rolling Sharpe ratio of step returns over the window
+                if (this.stepReturns.length < 2) return 0;
+                const deviation = stdDev(this.stepReturns);
+                return deviation > 0 ? mean(this.stepReturns) / deviation : 0;
+            }
+            default:
+                return stepReturn;
+        }
+    }
+
+    applyAction(action) {
+        if (!action || typeof action !== 'object') {
+            return { error: 'Each action must be an order object or { cancel: order_id }' };
+        }
+
+        if (action.cancel !== undefined) {
+            const order = this.venue.orders.get(action.cancel);
+            if (!order) {
+                return { order_id: action.cancel, error: 'Order not found' };
+            }
+            const result = this.venue.cancelOrder(order);
+            return result.error
+                ? { order_id: order.id, error: result.error }
+                : { order_id: order.id, cancelled: true, status: order.status };
+        }
+
+        const result = this.venue.placeOrder(this.account, action);
+        if (result.error) {
+            return { error: result.error, ...(result.reason_code ? { reason_code: result.reason_code } : {}) };
+        }
+        return {
+            ...this.describeOrder(result.order),
+            ...(result.legs ? { legs: result.legs } : {})
+        };
+    }
+
+    describeOrder(order) {
+        return {
+            order_id: order.id,
+            symbol: order.symbol,
+            action: order.action,
+            type: order.type,
+            quantity: order.quantity,
+            status: order.status,
+            filled_quantity: order.filledQuantity,
+            avg_fill_price: order.avgFillPrice,
+            realized_gain: order.realizedGain,
+            ...(order.rejectReason ? { reject_reason: order.rejectReason } : {}),
+            ...(order.cancelReason ? { cancel_reason: order.cancelReason } : {})
+        };
+    }
+
+    // One market update, keeping the last `window` prices per symbol
+    advance() {
+        this.venue.tick();
+        this.venue.marketData.forEach((market, symbol) => {
+            const window = this.windows.get(symbol);
+            window.push(market.price);
+            if (window.length > this.config.window) {
+                window.shift();
+            }
+        });
+
+        // The simulator only needs its last two prices (for momentum)
+        Object.values(this.venue.simulator.priceHistory).forEach((history) => {
+            if (history.length > 2) history.splice(0, history.length - 2);
+        });
+    }
+
+    observe() {
+        const { venue, account } = this;
+        const portfolio = venue.portfolios.get(account.id);
+        const valuation = venue.valuePortfolio(portfolio);
+        const prices = {};
+        const windows = {};
+        const positions = {};
+
+        venue.marketData.forEach((market, symbol) => {
+            prices[symbol] = market.price;
+            windows[symbol] = describeWindow(this.windows.get(symbol));
+        });
+        portfolio.holdings.forEach((holding, symbol) => {
+            positions[symbol] = {
+                quantity: holding.quantity,
+                avgCost: holding.costBasis / holding.quantity,
+                marketValue: holding.quantity * venue.marketData.get(symbol).price
+            };
+        });
+
+        return {
+            env_id: this.id,
+            seed: this.seed,
+            step: this.stepCount || 0,
+            day: venue.session.day,
+            tick: venue.session.tick,
+            time: venue.now(),
+            prices: prices,
+            windows: windows,
+            portfolio: {
+                cash: portfolio.cash,
+                equity: valuation.equity,
+                longMarketValue: valuation.longMarketValue,
+                shortMarketValue: valuation.shortMarketValue,
+                realizedPnL: portfolio.realizedGains,
+                unrealizedPnL: valuation.unrealizedGains,
+                borrowFees: portfolio.borrowFees,
+                marginInterest: portfolio.marginInterest,
+                margin: venue.getAccountMarginStatus(account),
+                positions: positions
+            },
+            orders: Array.from(venue.orders.values())
+                .filter(order => isOrderWorking(order) || order.status === 'held')
+                .map(order => this.describeOrder(order))
+        };
+    }
+
+    // Settings and progress, without the observation
+    describe() {
+        return {
+            env_id: this.id,
+            bot_id: this.bot.id,
+            seed: this.seed,
+            step: this.stepCount || 0,
+            done: this.done,
+            createdAt: this.createdAt,
+            lastUsedAt: this.lastUsedAt,
+            config: this.config
+        };
+    }
+}
+
+module.exports = {
+    GYM_DEFAULTS,
+    GYM_MAX_ENVIRONMENTS,
+    GYM_IDLE_MINUTES,
+    REWARDS,
+    GymEnvironment,
+    normalizeGymConfig
+};
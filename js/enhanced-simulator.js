@@ -3,6 +3,36 @@
  * Features: Risk levels, time skip, multiple modes, difficulty
  */
 
+// Stock tables are globals from stocks-data.js in the browser; on the server
+// they are required
+function getStockTables() {
+    if (typeof REAL_STOCKS !== 'undefined') {
+        return { REAL_STOCKS, RISK_LEVELS, DIFFICULTIES };
+    }
+    return require('./stocks-data.js');
+}
+
+// Likewise FactorModel from factor-model.js
+function getFactorModelClass() {
+    if (typeof FactorModel !== 'undefined') {
+        return FactorModel;
+    }
+    return require('./factor-model.js').FactorModel;
+}
+
+// And MarketCalendar from market-calendar.js
+function getMarketCalendarClass() {
+    if (typeof MarketCalendar !== 'undefined') {
+        return MarketCalendar;
+    }
+    return require('./market-calendar.js').MarketCalendar;
+}
+
+// The first trading day of 2024, where every game starts
+function simulationStartDate() {
+    return new Date(2024, 0, 2);
+}
+
 class EnhancedSimulator {
     constructor(config = {}) {
         this.config = {
@@ -15,6 +45,10 @@ class EnhancedSimulator {
             ...config
         };
 
+        // Uniform [0, 1) source for price moves; pass a seeded one for
+        // repeatable runs
+        this.random = config.random || Math.random;
+
         // prepare storage structures before populating stocks
         this.priceHistory = {};
         this.portfolio = {
@@ -25,8 +59,18 @@ class EnhancedSimulator {
         // stocks may reference priceHistory during initialization
         this.stocks = this.initializeStocks();
 
+        // Market and sector factors make stocks move together; pass
+        // config.factorModel to change betas or correlations
+        const ModelClass = getFactorModelClass();
+        this.factorModel = new ModelClass(getStockTables().REAL_STOCKS, this.config.factorModel);
+
+        // Simulated time moves in trading days, skipping weekends and market
+        // holidays; pass config.marketCalendar for extra closures
+        const CalendarClass = getMarketCalendarClass();
+        this.calendar = new CalendarClass(this.config.marketCalendar);
+
         this.startTime = Date.now();
-        this.simulatedTime = new Date(2024, 0, 1); // Start date
+        this.simulatedTime = simulationStartDate();
         this.trades = [];
         this.initialCapital = this.config.startingCapital;
         this.dailyStats = [];
@@ -68,6 +112,7 @@ class EnhancedSimulator {
             this.priceHistory = {};
         }
 
+        const { REAL_STOCKS, RISK_LEVELS, DIFFICULTIES } = getStockTables();
         const stocks = REAL_STOCKS.map(stock => ({
             ...stock,
             price: stock.basePrice,
@@ -94,6 +139,9 @@ class EnhancedSimulator {
             return;
         }
 
+        // One draw per update, shared through the market and sector factors
+        const shocks = this.factorModel.draw(this.random);
+
         this.stocks.forEach(stock => {
             const previousPrice = stock.price;
             
@@ -101,8 +149,9 @@ class EnhancedSimulator {
             const typeVolatility = stock.type === 'bond' ? 0.002 : stock.volatility;
             
             // Random walk with drift
-            // Increased volatility multiplier from 0.5 to 1.0 for larger price swings
-            const randomChange = (Math.random() - 0.5) * typeVolatility * previousPrice * timeSkipMultiplier;
+            // The correlated shock is scaled to the spread of a uniform
+            // (random() - 0.5) move, which sets the game's swing size
+            const randomChange = shocks.get(stock.symbol) / Math.sqrt(12) * typeVolatility * previousPrice * timeSkipMultiplier;
             // gentle overall upward drift
             const drift = previousPrice * 0.00005 * timeSkipMultiplier;
             
@@ -117,20 +166,20 @@ class EnhancedSimulator {
 
             // Occasional news spike/gap for realism - increased from 10% to 20% range
             let spike = 1;
-            if (Math.random() < 0.005) {
+            if (this.random() < 0.005) {
                 // 0.5% chance of a big gap: +/- up to 20% (like real stock market events)
-                spike += (Math.random() - 0.5) * 0.4;
-            } else if (Math.random() < 0.02) {
+                spike += (this.random() - 0.5) * 0.4;
+            } else if (this.random() < 0.02) {
                 // 2% chance of a smaller gap: +/- up to 5%
-                spike += (Math.random() - 0.5) * 0.1;
+                spike += (this.random() - 0.5) * 0.1;
             }
             
             stock.price = Math.max(previousPrice * spike + randomChange + drift + momentum, 0.01);
             this.priceHistory[stock.symbol].push(stock.price);
         });
 
-        // Move simulated time forward
-        this.simulatedTime.setDate(this.simulatedTime.getDate() + timeSkipMultiplier);
+        // Move simulated time forward to the next trading day(s)
+        this.simulatedTime = this.calendar.addTradingDays(this.simulatedTime, Math.trunc(timeSkipMultiplier));
     }
 
     /**
@@ -302,7 +351,7 @@ class EnhancedSimulator {
      * Get number of simulated days elapsed since the start date (inclusive).
      */
     getDayCount() {
-        const start = new Date(2024, 0, 1);
+        const start = simulationStartDate();
         const diff = this.simulatedTime - start;
         return Math.floor(diff / (1000 * 60 * 60 * 24)) + 1;
     }
@@ -319,10 +368,10 @@ class EnhancedSimulator {
 
     /**
      * Return number of simulated days elapsed since the start date (inclusive).
-     * Day 1 corresponds to 2024‑01‑01. Useful for optional day counter display.
+     * Day 1 corresponds to 2024‑01‑02, the first trading day of 2024. Useful for optional day counter display.
      */
     getDayCount() {
-        const start = new Date(2024, 0, 1);
+        const start = simulationStartDate();
         const diff = this.simulatedTime - start;
         return Math.floor(diff / (1000 * 60 * 60 * 24)) + 1;
     }
@@ -399,3 +448,8 @@ function initializeSimulator(config) {
     simulator = new EnhancedSimulator(config);
     return simulator;
 }
+
+// Export for use on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnhancedSimulator, initializeSimulator };
+}
@@ -0,0 +1,208 @@
+/**
+ * Factor Model
+ * Correlated price shocks: every stock moves with a market factor and the
+ * factor of its sector (the groupings in stocks-data.js), plus noise of its
+ * own. Shared by the browser game (EnhancedSimulator), the server's market
+ * engine and BacktestEngine, so diversification and sector moves behave the
+ * same everywhere.
+ *
+ * A stock keeps its own volatility; the model only decides how much of it is
+ * common. Its market exposure is its beta times the market factor's
+ * volatility, its sector exposure the sector factor's volatility, and the
+ * variance left over is idiosyncratic.
+ */
+
+const FACTOR_MODEL_DEFAULTS = {
+    marketVolatility: 0.009, // daily, about a broad index fund's
+    // Per sector: beta to the market factor and the sector factor's own daily volatility
+    sectors: {
+        tech: { beta: 1.2, volatility: 0.008 },
+        financial: { beta: 1.1, volatility: 0.007 },
+        energy: { beta: 0.9, volatility: 0.012 },
+        healthcare: { beta: 0.8, volatility: 0.006 },
+        consumer: { beta: 1.0, volatility: 0.006 },
+        industrial: { beta: 1.05, volatility: 0.006 },
+        communication: { beta: 1.0, volatility: 0.008 },
+        utilities: { beta: 0.5, volatility: 0.006 },
+        real_estate: { beta: 0.85, volatility: 0.007 },
+        index: { beta: 1.0, volatility: 0 },
+        bonds: { beta: 0.05, volatility: 0.0045 }
+    },
+    betas: {}, // symbol -> market beta, overriding its sector's
+    // Factor correlation matrix as 'a:b' pairs of 'market' and sector names;
+    // pairs not listed are uncorrelated
+    correlations: {
+        'market:bonds': -0.2,
+        'tech:communication': 0.4,
+        'energy:industrial': 0.2,
+        'utilities:real_estate': 0.3,
+        'utilities:bonds': 0.3,
+        'real_estate:bonds': 0.3
+    },
+    minIdiosyncraticShare: 0.1 // part of every stock's variance that stays its own
+};
+
+// Standard normal draw from a uniform [0, 1) source (Box-Muller)
+function gaussian(random) {
+    const u = 1 - random(); // (0, 1], keeps log() finite
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Lower-triangular L with L * L^T = matrix; throws unless positive definite
+function cholesky(matrix) {
+    const size = matrix.length;
+    const lower = matrix.map(() => new Array(size).fill(0));
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            if (i === j) {
+                if (sum <= 0) {
+                    throw new Error('Factor correlation matrix is not positive definite');
+                }
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    return lower;
+}
+
+class FactorModel {
+    /**
+     * @param {Array} stocks - REAL_STOCKS style entries with symbol, volatility and sector
+     * @param {object} [config] - overrides for FACTOR_MODEL_DEFAULTS; sectors,
+     *   betas and correlations are merged entry by entry
+     */
+    constructor(stocks, config = {}) {
+        const defaults = FACTOR_MODEL_DEFAULTS;
+        const sectors = { ...defaults.sectors };
+        Object.keys(config.sectors || {}).forEach((name) => {
+            sectors[name] = { ...defaults.sectors[name], ...config.sectors[name] };
+        });
+        this.config = {
+            ...defaults,
+            ...config,
+            sectors: sectors,
+            betas: { ...defaults.betas, ...config.betas },
+            correlations: { ...defaults.correlations, ...config.correlations }
+        };
+
+        this.factors = ['market', ...Object.keys(sectors)];
+        this.correlationMatrix = this.buildCorrelationMatrix();
+        this.lower = cholesky(this.correlationMatrix);
+        this.lastFactors = null;
+
+        // symbol -> { beta, loadings, idiosyncratic }, loadings and
+        // idiosyncratic per unit of the stock's volatility
+        this.exposures = new Map();
+        stocks.forEach((stock) => {
+            if (!this.exposures.has(stock.symbol)) {
+                this.exposures.set(stock.symbol, this.exposureOf(stock));
+            }
+        });
+    }
+
+    buildCorrelationMatrix() {
+        const matrix = this.factors.map((row, i) => this.factors.map((column, j) => (i === j ? 1 : 0)));
+        Object.entries(this.config.correlations).forEach(([pair, value]) => {
+            const [i, j] = pair.split(':').map(name => this.factors.indexOf(name));
+            if (i < 0 || j < 0 || i === j) {
+                throw new Error(`Unknown factor pair in correlations: ${pair}`);
+            }
+            if (typeof value !== 'number' || value < -1 || value > 1) {
+                throw new Error(`Correlation for ${pair} must be between -1 and 1`);
+            }
+            matrix[i][j] = value;
+            matrix[j][i] = value;
+        });
+        return matrix;
+    }
+
+    exposureOf(stock) {
+        const volatility = stock.volatility || 0.02;
+        const sector = this.config.sectors[stock.sector];
+        const beta = this.config.betas[stock.symbol] !== undefined
+            ? this.config.betas[stock.symbol]
+            : (sector ? sector.beta : 1);
+
+        const loadings = new Array(this.factors.length).fill(0);
+        loadings[0] = beta * this.config.marketVolatility;
+        if (sector) {
+            loadings[this.factors.indexOf(stock.sector)] = sector.volatility;
+        }
+
+        // Common variance can't exceed the stock's own; scale the loadings
+        // down when the factors would explain too much of it
+        const total = volatility * volatility;
+        const limit = total * (1 - this.config.minIdiosyncraticShare);
+        let common = this.covariance(loadings, loadings);
+        if (common > limit) {
+            const scale = Math.sqrt(limit / common);
+            loadings.forEach((loading, i) => { loadings[i] = loading * scale; });
+            common = limit;
+        }
+
+        return {
+            beta: beta,
+            loadings: loadings.map(loading => loading / volatility),
+            idiosyncratic: Math.sqrt(total - common) / volatility
+        };
+    }
+
+    // a^T C b over the factor correlation matrix C
+    covariance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            for (let j = 0; j < b.length; j++) {
+                sum += a[i] * this.correlationMatrix[i][j] * b[j];
+            }
+        }
+        return sum;
+    }
+
+    /**
+     * One step of shocks: symbol -> standard normal draw, correlated across
+     * stocks through the shared factors. The factor draws are kept in
+     * lastFactors.
+     * @param {function} [random] - uniform [0, 1) source
+     * @returns {Map<string, number>}
+     */
+    draw(random = Math.random) {
+        const independent = this.factors.map(() => gaussian(random));
+        const factors = this.lower.map(row => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+
+        this.lastFactors = {};
+        this.factors.forEach((name, i) => { this.lastFactors[name] = factors[i]; });
+
+        const shocks = new Map();
+        this.exposures.forEach((exposure, symbol) => {
+            const common = exposure.loadings.reduce((sum, loading, i) => sum + loading * factors[i], 0);
+            shocks.set(symbol, common + exposure.idiosyncratic * gaussian(random));
+        });
+        return shocks;
+    }
+
+    // A symbol's market beta (1 for symbols the model doesn't know)
+    betaOf(symbol) {
+        const exposure = this.exposures.get(symbol);
+        return exposure ? exposure.beta : 1;
+    }
+
+    // Correlation the model implies between two symbols' shocks
+    correlation(symbolA, symbolB) {
+        const a = this.exposures.get(symbolA);
+        const b = this.exposures.get(symbolB);
+        if (!a || !b) return null;
+        if (symbolA === symbolB) return 1;
+        return this.covariance(a.loadings, b.loadings);
+    }
+}
+
+// Export for use on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FactorModel, FACTOR_MODEL_DEFAULTS, gaussian };
+}
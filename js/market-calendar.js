@@ -0,0 +1,299 @@
+/**
+ * Market Calendar
+ * US equity market hours in New York time: pre-market 04:00-09:30, the
+ * regular session 09:30-16:00 and after hours 16:00-20:00, closed on weekends
+ * and NYSE holidays, with 13:00 early closes before Independence Day, after
+ * Thanksgiving and on Christmas Eve. Holidays follow the exchange's rules for
+ * any year; extra closures and early closes can be added. Shared by the
+ * browser game (EnhancedSimulator), which skips days the market is shut, and
+ * the server's market clock (market-clock.js).
+ *
+ * Days are 'YYYY-MM-DD' keys and times are minutes after midnight.
+ */
+
+const MARKET_CALENDAR_DEFAULTS = {
+    preOpen: '04:00',
+    open: '09:30',
+    close: '16:00',
+    postClose: '20:00',
+    earlyClose: '13:00',     // regular close on early-close days
+    earlyPostClose: '17:00', // end of after hours on early-close days
+    exchangeHolidays: true,  // NYSE holidays and early closes by rule
+    holidays: [],            // extra closures: 'YYYY-MM-DD' or { date, name }
+    earlyCloses: []          // extra early closes: 'YYYY-MM-DD' or { date, name, close? }
+};
+
+const MINUTES_PER_DAY = 1440;
+const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// '09:30' -> 570
+function parseMarketTime(value, field) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!(minutes >= 0 && minutes <= MINUTES_PER_DAY && Number(match[2]) < 60)) {
+        throw new Error(`${field} must be a time like 09:30`);
+    }
+    return minutes;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function dateKey(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function parseDateKey(key) {
+    const match = DATE_KEY.exec(key);
+    if (!match || dateKey(Number(match[1]), Number(match[2]), Number(match[3])) !== key) {
+        throw new Error(`"${key}" is not a YYYY-MM-DD date`);
+    }
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+// A Date's own (local) calendar day, or a key as given
+function toDateKey(date) {
+    if (typeof date === 'string') return date;
+    return dateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+function addDays(key, days) {
+    const { year, month, day } = parseDateKey(key);
+    return dateKey(year, month, day + days);
+}
+
+// 0 = Sunday ... 6 = Saturday
+function weekdayOf(key) {
+    const { year, month, day } = parseDateKey(key);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function isWeekend(key) {
+    const weekday = weekdayOf(key);
+    return weekday === 0 || weekday === 6;
+}
+
+// The nth given weekday of a month; n = -1 for the last
+function nthWeekday(year, month, weekday, n) {
+    if (n < 0) {
+        const last = dateKey(year, month + 1, 0);
+        return addDays(last, -((weekdayOf(last) - weekday + 7) % 7));
+    }
+    const first = dateKey(year, month, 1);
+    return addDays(first, (weekday - weekdayOf(first) + 7) % 7 + (n - 1) * 7);
+}
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = (h + l - 7 * m + 114) % 31 + 1;
+    return dateKey(year, month, day);
+}
+
+// Fixed-date holidays falling on a weekend move to the Friday before or the
+// Monday after
+function observed(key) {
+    const weekday = weekdayOf(key);
+    return weekday === 6 ? addDays(key, -1) : weekday === 0 ? addDays(key, 1) : key;
+}
+
+/**
+ * The NYSE's full closures and 13:00 early closes for a year.
+ * @returns {{ holidays: Array<{date, name}>, earlyCloses: Array<{date, name}> }}
+ */
+function exchangeCalendar(year) {
+    const holidays = [];
+    // New Year's Day on a Saturday is not made up on the Friday before
+    const newYear = dateKey(year, 1, 1);
+    if (weekdayOf(newYear) !== 6) {
+        holidays.push({ date: observed(newYear), name: "New Year's Day" });
+    }
+    holidays.push(
+        { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+        { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+        { date: addDays(easterSunday(year), -2), name: 'Good Friday' },
+        { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' }
+    );
+    if (year >= 2022) {
+        holidays.push({ date: observed(dateKey(year, 6, 19)), name: 'Juneteenth' });
+    }
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    holidays.push(
+        { date: observed(dateKey(year, 7, 4)), name: 'Independence Day' },
+        { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+        { date: thanksgiving, name: 'Thanksgiving Day' },
+        { date: observed(dateKey(year, 12, 25)), name: 'Christmas Day' }
+    );
+
+    // Early closes on the eves that fall Monday to Thursday; a Friday eve is
+    // already the observed holiday
+    const earlyCloses = [{ date: addDays(thanksgiving, 1), name: 'Day after Thanksgiving' }];
+    [[dateKey(year, 7, 3), 'Independence Day eve'], [dateKey(year, 12, 24), 'Christmas Eve']].forEach(([date, name]) => {
+        const weekday = weekdayOf(date);
+        if (weekday >= 1 && weekday <= 4) {
+            earlyCloses.push({ date, name });
+        }
+    });
+
+    return { holidays, earlyCloses };
+}
+
+// US daylight saving: second Sunday in March to the first Sunday in November
+function newYorkOffsetMinutes(key) {
+    const { year } = parseDateKey(key);
+    return key >= nthWeekday(year, 3, 0, 2) && key < nthWeekday(year, 11, 0, 1) ? -240 : -300;
+}
+
+class MarketCalendar {
+    /**
+     * @param {object} [config] - overrides for MARKET_CALENDAR_DEFAULTS
+     */
+    constructor(config = {}) {
+        this.config = { ...MARKET_CALENDAR_DEFAULTS, ...config };
+
+        const hours = {};
+        ['preOpen', 'open', 'close', 'postClose', 'earlyClose', 'earlyPostClose'].forEach((field) => {
+            hours[field] = parseMarketTime(this.config[field], field);
+        });
+        if (!(hours.preOpen <= hours.open && hours.open < hours.close && hours.close <= hours.postClose)) {
+            throw new Error('Market hours must run preOpen <= open < close <= postClose');
+        }
+        if (!(hours.open < hours.earlyClose && hours.earlyClose <= hours.earlyPostClose)) {
+            throw new Error('earlyClose must fall after open and no later than earlyPostClose');
+        }
+        this.hours = hours;
+
+        this.extraHolidays = new Map();    // date -> name
+        this.extraEarlyCloses = new Map(); // date -> { name, close }
+        this.config.holidays.forEach((entry) => {
+            const holiday = typeof entry === 'string' ? { date: entry } : entry;
+            parseDateKey(holiday.date);
+            this.extraHolidays.set(holiday.date, holiday.name || 'Market holiday');
+        });
+        this.config.earlyCloses.forEach((entry) => {
+            const early = typeof entry === 'string' ? { date: entry } : entry;
+            parseDateKey(early.date);
+            this.extraEarlyCloses.set(early.date, {
+                name: early.name || 'Early close',
+                close: early.close !== undefined ? parseMarketTime(early.close, `${early.date} close`) : hours.earlyClose
+            });
+        });
+
+        this.years = new Map(); // year -> { holidays, earlyCloses } maps, built on first use
+    }
+
+    yearTable(year) {
+        if (!this.years.has(year)) {
+            const table = { holidays: new Map(), earlyCloses: new Map() };
+            if (this.config.exchangeHolidays) {
+                const { holidays, earlyCloses } = exchangeCalendar(year);
+                holidays.forEach(({ date, name }) => table.holidays.set(date, name));
+                earlyCloses.forEach(({ date, name }) => table.earlyCloses.set(date, { name, close: this.hours.earlyClose }));
+            }
+            this.years.set(year, table);
+        }
+        return this.years.get(year);
+    }
+
+    // The holiday's name, or null on a day that isn't one
+    holiday(date) {
+        const key = toDateKey(date);
+        if (this.extraHolidays.has(key)) return this.extraHolidays.get(key);
+        return this.yearTable(parseDateKey(key).year).holidays.get(key) || null;
+    }
+
+    isTradingDay(date) {
+        const key = toDateKey(date);
+        return !isWeekend(key) && this.holiday(key) === null;
+    }
+
+    /**
+     * The day's session boundaries in minutes, or null when the market is shut.
+     * @returns {{ preOpen, open, close, postClose, earlyClose: string|null }|null}
+     */
+    sessionHours(date) {
+        const key = toDateKey(date);
+        if (!this.isTradingDay(key)) return null;
+
+        const early = this.extraEarlyCloses.get(key) || this.yearTable(parseDateKey(key).year).earlyCloses.get(key);
+        const { preOpen, open, close, postClose, earlyPostClose } = this.hours;
+        return early
+            ? { preOpen, open, close: early.close, postClose: Math.max(early.close, Math.min(earlyPostClose, postClose)), earlyClose: early.name }
+            : { preOpen, open, close, postClose, earlyClose: null };
+    }
+
+    // 'pre', 'regular', 'post' or 'closed' at a minute of the day
+    phaseAt(date, minute) {
+        const hours = this.sessionHours(date);
+        if (!hours || minute < hours.preOpen || minute >= hours.postClose) return 'closed';
+        if (minute < hours.open) return 'pre';
+        return minute < hours.close ? 'regular' : 'post';
+    }
+
+    // The first trading day after the given one
+    nextTradingDay(date) {
+        let key = addDays(toDateKey(date), 1);
+        while (!this.isTradingDay(key)) {
+            key = addDays(key, 1);
+        }
+        return key;
+    }
+
+    // The given day if the market trades on it, otherwise the next that does
+    firstTradingDayFrom(date) {
+        const key = toDateKey(date);
+        return this.isTradingDay(key) ? key : this.nextTradingDay(key);
+    }
+
+    /**
+     * A Date moved on by whole trading days, keeping its time of day; a start
+     * on a closed day counts from the next trading day.
+     */
+    addTradingDays(date, days) {
+        let key = toDateKey(date);
+        for (let i = 0; i < days; i++) {
+            key = this.nextTradingDay(key);
+        }
+        const { year, month, day } = parseDateKey(key);
+        const moved = new Date(date);
+        moved.setFullYear(year, month - 1, day);
+        return moved;
+    }
+
+    // ISO 8601 timestamp with New York's UTC offset on that day
+    timestamp(date, minute) {
+        const key = toDateKey(date);
+        const seconds = Math.round(minute * 60);
+        const offset = newYorkOffsetMinutes(key);
+        const time = `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+        return `${key}T${time}${offset < 0 ? '-' : '+'}${pad(Math.abs(offset) / 60)}:00`;
+    }
+
+    // Today's date in New York for a wall-clock time
+    dateKeyAt(time = new Date()) {
+        const utc = new Date(time).getTime();
+        const standard = new Date(utc - 300 * 60000);
+        const key = dateKey(standard.getUTCFullYear(), standard.getUTCMonth() + 1, standard.getUTCDate());
+        const local = new Date(utc + newYorkOffsetMinutes(key) * 60000);
+        return dateKey(local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate());
+    }
+}
+
+// Export for use on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarketCalendar, MARKET_CALENDAR_DEFAULTS, exchangeCalendar, parseDateKey, addDays, MINUTES_PER_DAY };
+}
@@ -5,188 +5,188 @@
 
 const REAL_STOCKS = [
     // Tech Giants
-    { symbol: 'AAPL', name: 'Apple Inc.', basePrice: 178.50, type: 'growth', volatility: 0.018 },
-    { symbol: 'MSFT', name: 'Microsoft Corp.', basePrice: 375.20, type: 'growth', volatility: 0.016 },
-    { symbol: 'GOOGL', name: 'Alphabet Inc.', basePrice: 140.80, type: 'growth', volatility: 0.017 },
-    { symbol: 'NVDA', name: 'NVIDIA Corp.', basePrice: 875.45, type: 'growth', volatility: 0.035 },
-    { symbol: 'META', name: 'Meta Platforms', basePrice: 485.30, type: 'growth', volatility: 0.032 },
-    { symbol: 'TSLA', name: 'Tesla Inc.', basePrice: 242.60, type: 'growth', volatility: 0.048 },
-    { symbol: 'AMZN', name: 'Amazon.com Inc.', basePrice: 175.40, type: 'growth', volatility: 0.025 },
-    { symbol: 'GOOG', name: 'Google (Class C)', basePrice: 140.20, type: 'growth', volatility: 0.017 },
-    { symbol: 'NFLX', name: 'Netflix Inc.', basePrice: 425.80, type: 'growth', volatility: 0.038 },
-    { symbol: 'UBER', name: 'Uber Technologies', basePrice: 72.40, type: 'growth', volatility: 0.042 },
+    { symbol: 'AAPL', name: 'Apple Inc.', basePrice: 178.50, type: 'growth', volatility: 0.018, sector: 'tech' },
+    { symbol: 'MSFT', name: 'Microsoft Corp.', basePrice: 375.20, type: 'growth', volatility: 0.016, sector: 'tech' },
+    { symbol: 'GOOGL', name: 'Alphabet Inc.', basePrice: 140.80, type: 'growth', volatility: 0.017, sector: 'tech' },
+    { symbol: 'NVDA', name: 'NVIDIA Corp.', basePrice: 875.45, type: 'growth', volatility: 0.035, sector: 'tech' },
+    { symbol: 'META', name: 'Meta Platforms', basePrice: 485.30, type: 'growth', volatility: 0.032, sector: 'tech' },
+    { symbol: 'TSLA', name: 'Tesla Inc.', basePrice: 242.60, type: 'growth', volatility: 0.048, sector: 'tech' },
+    { symbol: 'AMZN', name: 'Amazon.com Inc.', basePrice: 175.40, type: 'growth', volatility: 0.025, sector: 'tech' },
+    { symbol: 'GOOG', name: 'Google (Class C)', basePrice: 140.20, type: 'growth', volatility: 0.017, sector: 'tech' },
+    { symbol: 'NFLX', name: 'Netflix Inc.', basePrice: 425.80, type: 'growth', volatility: 0.038, sector: 'tech' },
+    { symbol: 'UBER', name: 'Uber Technologies', basePrice: 72.40, type: 'growth', volatility: 0.042, sector: 'tech' },
     
     // Financial Institutions
-    { symbol: 'JPM', name: 'JPMorgan Chase', basePrice: 195.75, type: 'dividend', volatility: 0.014 },
-    { symbol: 'BAC', name: 'Bank of America', basePrice: 35.20, type: 'dividend', volatility: 0.016 },
-    { symbol: 'WFC', name: 'Wells Fargo', basePrice: 62.45, type: 'dividend', volatility: 0.015 },
-    { symbol: 'GS', name: 'Goldman Sachs', basePrice: 385.60, type: 'dividend', volatility: 0.018 },
-    { symbol: 'BLK', name: 'BlackRock Inc.', basePrice: 865.20, type: 'dividend', volatility: 0.014 },
-    { symbol: 'MS', name: 'Morgan Stanley', basePrice: 97.30, type: 'dividend', volatility: 0.015 },
-    { symbol: 'SCHW', name: 'Schwab Inc.', basePrice: 78.50, type: 'dividend', volatility: 0.017 },
-    { symbol: 'CM', name: 'Comerica Inc.', basePrice: 72.40, type: 'dividend', volatility: 0.018 },
+    { symbol: 'JPM', name: 'JPMorgan Chase', basePrice: 195.75, type: 'dividend', volatility: 0.014, sector: 'financial' },
+    { symbol: 'BAC', name: 'Bank of America', basePrice: 35.20, type: 'dividend', volatility: 0.016, sector: 'financial' },
+    { symbol: 'WFC', name: 'Wells Fargo', basePrice: 62.45, type: 'dividend', volatility: 0.015, sector: 'financial' },
+    { symbol: 'GS', name: 'Goldman Sachs', basePrice: 385.60, type: 'dividend', volatility: 0.018, sector: 'financial' },
+    { symbol: 'BLK', name: 'BlackRock Inc.', basePrice: 865.20, type: 'dividend', volatility: 0.014, sector: 'financial' },
+    { symbol: 'MS', name: 'Morgan Stanley', basePrice: 97.30, type: 'dividend', volatility: 0.015, sector: 'financial' },
+    { symbol: 'SCHW', name: 'Schwab Inc.', basePrice: 78.50, type: 'dividend', volatility: 0.017, sector: 'financial' },
+    { symbol: 'CM', name: 'Comerica Inc.', basePrice: 72.40, type: 'dividend', volatility: 0.018, sector: 'financial' },
     
     // Energy Sector
-    { symbol: 'XOM', name: 'Exxon Mobil', basePrice: 105.80, type: 'dividend', volatility: 0.022 },
-    { symbol: 'CVX', name: 'Chevron Corp.', basePrice: 156.35, type: 'dividend', volatility: 0.020 },
-    { symbol: 'COP', name: 'ConocoPhillips', basePrice: 125.40, type: 'dividend', volatility: 0.025 },
-    { symbol: 'MPC', name: 'Marathon Petroleum', basePrice: 87.20, type: 'dividend', volatility: 0.028 },
-    { symbol: 'PSX', name: 'Phillips 66', basePrice: 115.60, type: 'dividend', volatility: 0.024 },
-    { symbol: 'SLB', name: 'Schlumberger', basePrice: 43.80, type: 'dividend', volatility: 0.032 },
+    { symbol: 'XOM', name: 'Exxon Mobil', basePrice: 105.80, type: 'dividend', volatility: 0.022, sector: 'energy' },
+    { symbol: 'CVX', name: 'Chevron Corp.', basePrice: 156.35, type: 'dividend', volatility: 0.020, sector: 'energy' },
+    { symbol: 'COP', name: 'ConocoPhillips', basePrice: 125.40, type: 'dividend', volatility: 0.025, sector: 'energy' },
+    { symbol: 'MPC', name: 'Marathon Petroleum', basePrice: 87.20, type: 'dividend', volatility: 0.028, sector: 'energy' },
+    { symbol: 'PSX', name: 'Phillips 66', basePrice: 115.60, type: 'dividend', volatility: 0.024, sector: 'energy' },
+    { symbol: 'SLB', name: 'Schlumberger', basePrice: 43.80, type: 'dividend', volatility: 0.032, sector: 'energy' },
     
     // Healthcare & Pharma
-    { symbol: 'JNJ', name: 'Johnson & Johnson', basePrice: 159.20, type: 'dividend', volatility: 0.012 },
-    { symbol: 'UNH', name: 'UnitedHealth Group', basePrice: 485.60, type: 'growth', volatility: 0.015 },
-    { symbol: 'PFE', name: 'Pfizer Inc.', basePrice: 28.75, type: 'dividend', volatility: 0.018 },
-    { symbol: 'MRK', name: 'Merck & Co.', basePrice: 78.45, type: 'dividend', volatility: 0.014 },
-    { symbol: 'ABBV', name: 'AbbVie Inc.', basePrice: 165.80, type: 'dividend', volatility: 0.016 },
-    { symbol: 'LLY', name: 'Eli Lilly', basePrice: 585.40, type: 'growth', volatility: 0.018 },
-    { symbol: 'AMGN', name: 'Amgen Inc.', basePrice: 285.20, type: 'dividend', volatility: 0.014 },
-    { symbol: 'BMY', name: 'Bristol Myers Squibb', basePrice: 62.80, type: 'dividend', volatility: 0.015 },
-    { symbol: 'AZN', name: 'AstraZeneca', basePrice: 69.45, type: 'dividend', volatility: 0.016 },
-    { symbol: 'GILD', name: 'Gilead Sciences', basePrice: 88.30, type: 'dividend', volatility: 0.020 },
+    { symbol: 'JNJ', name: 'Johnson & Johnson', basePrice: 159.20, type: 'dividend', volatility: 0.012, sector: 'healthcare' },
+    { symbol: 'UNH', name: 'UnitedHealth Group', basePrice: 485.60, type: 'growth', volatility: 0.015, sector: 'healthcare' },
+    { symbol: 'PFE', name: 'Pfizer Inc.', basePrice: 28.75, type: 'dividend', volatility: 0.018, sector: 'healthcare' },
+    { symbol: 'MRK', name: 'Merck & Co.', basePrice: 78.45, type: 'dividend', volatility: 0.014, sector: 'healthcare' },
+    { symbol: 'ABBV', name: 'AbbVie Inc.', basePrice: 165.80, type: 'dividend', volatility: 0.016, sector: 'healthcare' },
+    { symbol: 'LLY', name: 'Eli Lilly', basePrice: 585.40, type: 'growth', volatility: 0.018, sector: 'healthcare' },
+    { symbol: 'AMGN', name: 'Amgen Inc.', basePrice: 285.20, type: 'dividend', volatility: 0.014, sector: 'healthcare' },
+    { symbol: 'BMY', name: 'Bristol Myers Squibb', basePrice: 62.80, type: 'dividend', volatility: 0.015, sector: 'healthcare' },
+    { symbol: 'AZN', name: 'AstraZeneca', basePrice: 69.45, type: 'dividend', volatility: 0.016, sector: 'healthcare' },
+    { symbol: 'GILD', name: 'Gilead Sciences', basePrice: 88.30, type: 'dividend', volatility: 0.020, sector: 'healthcare' },
     
     // Retail & Consumer
-    { symbol: 'WMT', name: 'Walmart Inc.', basePrice: 82.50, type: 'dividend', volatility: 0.013 },
-    { symbol: 'MCD', name: "McDonald's Corp.", basePrice: 295.60, type: 'dividend', volatility: 0.015 },
-    { symbol: 'NKE', name: 'Nike Inc.', basePrice: 104.20, type: 'growth', volatility: 0.022 },
-    { symbol: 'KO', name: 'Coca-Cola Co.', basePrice: 58.30, type: 'dividend', volatility: 0.011 },
-    { symbol: 'PEP', name: 'PepsiCo Inc.', basePrice: 195.40, type: 'dividend', volatility: 0.012 },
-    { symbol: 'MO', name: 'Altria Group', basePrice: 47.60, type: 'dividend', volatility: 0.014 },
-    { symbol: 'PM', name: 'Philip Morris', basePrice: 102.40, type: 'dividend', volatility: 0.016 },
-    { symbol: 'TJX', name: 'TJX Companies', basePrice: 95.80, type: 'growth', volatility: 0.020 },
-    { symbol: 'HD', name: 'The Home Depot', basePrice: 345.60, type: 'dividend', volatility: 0.016 },
-    { symbol: 'LOW', name: 'Lowe\'s Companies', basePrice: 78.40, type: 'dividend', volatility: 0.018 },
+    { symbol: 'WMT', name: 'Walmart Inc.', basePrice: 82.50, type: 'dividend', volatility: 0.013, sector: 'consumer' },
+    { symbol: 'MCD', name: "McDonald's Corp.", basePrice: 295.60, type: 'dividend', volatility: 0.015, sector: 'consumer' },
+    { symbol: 'NKE', name: 'Nike Inc.', basePrice: 104.20, type: 'growth', volatility: 0.022, sector: 'consumer' },
+    { symbol: 'KO', name: 'Coca-Cola Co.', basePrice: 58.30, type: 'dividend', volatility: 0.011, sector: 'consumer' },
+    { symbol: 'PEP', name: 'PepsiCo Inc.', basePrice: 195.40, type: 'dividend', volatility: 0.012, sector: 'consumer' },
+    { symbol: 'MO', name: 'Altria Group', basePrice: 47.60, type: 'dividend', volatility: 0.014, sector: 'consumer' },
+    { symbol: 'PM', name: 'Philip Morris', basePrice: 102.40, type: 'dividend', volatility: 0.016, sector: 'consumer' },
+    { symbol: 'TJX', name: 'TJX Companies', basePrice: 95.80, type: 'growth', volatility: 0.020, sector: 'consumer' },
+    { symbol: 'HD', name: 'The Home Depot', basePrice: 345.60, type: 'dividend', volatility: 0.016, sector: 'consumer' },
+    { symbol: 'LOW', name: 'Lowe\'s Companies', basePrice: 78.40, type: 'dividend', volatility: 0.018, sector: 'consumer' },
     
     // Industrial
-    { symbol: 'BA', name: 'Boeing Co.', basePrice: 181.40, type: 'growth', volatility: 0.035 },
-    { symbol: 'CAT', name: 'Caterpillar Inc.', basePrice: 425.60, type: 'growth', volatility: 0.024 },
-    { symbol: 'GE', name: 'General Electric', basePrice: 165.20, type: 'growth', volatility: 0.019 },
-    { symbol: 'HON', name: 'Honeywell Intl', basePrice: 210.75, type: 'growth', volatility: 0.017 },
-    { symbol: 'MMM', name: '3M Company', basePrice: 105.35, type: 'dividend', volatility: 0.015 },
-    { symbol: 'RTX', name: 'Raytheon Tech', basePrice: 110.20, type: 'dividend', volatility: 0.016 },
-    { symbol: 'LMT', name: 'Lockheed Martin', basePrice: 485.60, type: 'dividend', volatility: 0.013 },
-    { symbol: 'NOC', name: 'Northrop Grumman', basePrice: 515.40, type: 'dividend', volatility: 0.014 },
+    { symbol: 'BA', name: 'Boeing Co.', basePrice: 181.40, type: 'growth', volatility: 0.035, sector: 'industrial' },
+    { symbol: 'CAT', name: 'Caterpillar Inc.', basePrice: 425.60, type: 'growth', volatility: 0.024, sector: 'industrial' },
+    { symbol: 'GE', name: 'General Electric', basePrice: 165.20, type: 'growth', volatility: 0.019, sector: 'industrial' },
+    { symbol: 'HON', name: 'Honeywell Intl', basePrice: 210.75, type: 'growth', volatility: 0.017, sector: 'industrial' },
+    { symbol: 'MMM', name: '3M Company', basePrice: 105.35, type: 'dividend', volatility: 0.015, sector: 'industrial' },
+    { symbol: 'RTX', name: 'Raytheon Tech', basePrice: 110.20, type: 'dividend', volatility: 0.016, sector: 'industrial' },
+    { symbol: 'LMT', name: 'Lockheed Martin', basePrice: 485.60, type: 'dividend', volatility: 0.013, sector: 'industrial' },
+    { symbol: 'NOC', name: 'Northrop Grumman', basePrice: 515.40, type: 'dividend', volatility: 0.014, sector: 'industrial' },
     
     // Communications
-    { symbol: 'VZ', name: 'Verizon Comms', basePrice: 42.85, type: 'dividend', volatility: 0.011 },
-    { symbol: 'T', name: 'AT&T Inc.', basePrice: 22.40, type: 'dividend', volatility: 0.012 },
-    { symbol: 'CMCSA', name: 'Comcast Corp', basePrice: 42.30, type: 'dividend', volatility: 0.015 },
+    { symbol: 'VZ', name: 'Verizon Comms', basePrice: 42.85, type: 'dividend', volatility: 0.011, sector: 'communication' },
+    { symbol: 'T', name: 'AT&T Inc.', basePrice: 22.40, type: 'dividend', volatility: 0.012, sector: 'communication' },
+    { symbol: 'CMCSA', name: 'Comcast Corp', basePrice: 42.30, type: 'dividend', volatility: 0.015, sector: 'communication' },
     
     // Utilities
-    { symbol: 'NEE', name: 'NextEra Energy', basePrice: 78.60, type: 'dividend', volatility: 0.013 },
-    { symbol: 'DUK', name: 'Duke Energy', basePrice: 98.45, type: 'dividend', volatility: 0.012 },
-    { symbol: 'SO', name: 'Southern Co.', basePrice: 72.40, type: 'dividend', volatility: 0.011 },
-    { symbol: 'EXC', name: 'Exelon Corp', basePrice: 38.50, type: 'dividend', volatility: 0.012 },
+    { symbol: 'NEE', name: 'NextEra Energy', basePrice: 78.60, type: 'dividend', volatility: 0.013, sector: 'utilities' },
+    { symbol: 'DUK', name: 'Duke Energy', basePrice: 98.45, type: 'dividend', volatility: 0.012, sector: 'utilities' },
+    { symbol: 'SO', name: 'Southern Co.', basePrice: 72.40, type: 'dividend', volatility: 0.011, sector: 'utilities' },
+    { symbol: 'EXC', name: 'Exelon Corp', basePrice: 38.50, type: 'dividend', volatility: 0.012, sector: 'utilities' },
     
     // Real Estate & Infrastructure
-    { symbol: 'SPG', name: 'Simon Property', basePrice: 145.20, type: 'dividend', volatility: 0.018 },
-    { symbol: 'DLR', name: 'Digital Realty', basePrice: 168.50, type: 'dividend', volatility: 0.016 },
-    { symbol: 'EQIX', name: 'Equinix Inc.', basePrice: 658.40, type: 'dividend', volatility: 0.017 },
-    { symbol: 'PLD', name: 'Prologis Inc.', basePrice: 128.50, type: 'dividend', volatility: 0.014 },
+    { symbol: 'SPG', name: 'Simon Property', basePrice: 145.20, type: 'dividend', volatility: 0.018, sector: 'real_estate' },
+    { symbol: 'DLR', name: 'Digital Realty', basePrice: 168.50, type: 'dividend', volatility: 0.016, sector: 'real_estate' },
+    { symbol: 'EQIX', name: 'Equinix Inc.', basePrice: 658.40, type: 'dividend', volatility: 0.017, sector: 'real_estate' },
+    { symbol: 'PLD', name: 'Prologis Inc.', basePrice: 128.50, type: 'dividend', volatility: 0.014, sector: 'real_estate' },
     
     // Semiconductors
-    { symbol: 'AMD', name: 'Advanced Micro', basePrice: 145.80, type: 'growth', volatility: 0.038 },
-    { symbol: 'QCOM', name: 'Qualcomm Inc.', basePrice: 185.40, type: 'growth', volatility: 0.028 },
-    { symbol: 'INTC', name: 'Intel Corp.', basePrice: 42.60, type: 'dividend', volatility: 0.025 },
-    { symbol: 'AVGO', name: 'Broadcom Inc.', basePrice: 595.20, type: 'growth', volatility: 0.022 },
-    { symbol: 'MU', name: 'Micron Technology', basePrice: 108.45, type: 'growth', volatility: 0.032 },
+    { symbol: 'AMD', name: 'Advanced Micro', basePrice: 145.80, type: 'growth', volatility: 0.038, sector: 'tech' },
+    { symbol: 'QCOM', name: 'Qualcomm Inc.', basePrice: 185.40, type: 'growth', volatility: 0.028, sector: 'tech' },
+    { symbol: 'INTC', name: 'Intel Corp.', basePrice: 42.60, type: 'dividend', volatility: 0.025, sector: 'tech' },
+    { symbol: 'AVGO', name: 'Broadcom Inc.', basePrice: 595.20, type: 'growth', volatility: 0.022, sector: 'tech' },
+    { symbol: 'MU', name: 'Micron Technology', basePrice: 108.45, type: 'growth', volatility: 0.032, sector: 'tech' },
     
     // Software & Services
-    { symbol: 'CRM', name: 'Salesforce Inc.', basePrice: 265.80, type: 'growth', volatility: 0.026 },
-    { symbol: 'ADBE', name: 'Adobe Inc.', basePrice: 485.20, type: 'growth', volatility: 0.023 },
-    { symbol: 'ORCL', name: 'Oracle Corp.', basePrice: 128.50, type: 'dividend', volatility: 0.016 },
-    { symbol: 'SAP', name: 'SAP SE', basePrice: 115.40, type: 'dividend', volatility: 0.015 },
-    { symbol: 'SNPS', name: 'Synopsys Inc.', basePrice: 485.60, type: 'growth', volatility: 0.024 },
-    { symbol: 'CDNS', name: 'Cadence Design', basePrice: 325.80, type: 'growth', volatility: 0.022 },
+    { symbol: 'CRM', name: 'Salesforce Inc.', basePrice: 265.80, type: 'growth', volatility: 0.026, sector: 'tech' },
+    { symbol: 'ADBE', name: 'Adobe Inc.', basePrice: 485.20, type: 'growth', volatility: 0.023, sector: 'tech' },
+    { symbol: 'ORCL', name: 'Oracle Corp.', basePrice: 128.50, type: 'dividend', volatility: 0.016, sector: 'tech' },
+    { symbol: 'SAP', name: 'SAP SE', basePrice: 115.40, type: 'dividend', volatility: 0.015, sector: 'tech' },
+    { symbol: 'SNPS', name: 'Synopsys Inc.', basePrice: 485.60, type: 'growth', volatility: 0.024, sector: 'tech' },
+    { symbol: 'CDNS', name: 'Cadence Design', basePrice: 325.80, type: 'growth', volatility: 0.022, sector: 'tech' },
     
     // ETFs (included as stocks)
-    { symbol: 'SPY', name: 'S&P 500 ETF', basePrice: 485.60, type: 'etf', volatility: 0.009 },
-    { symbol: 'QQQ', name: 'Nasdaq-100 ETF', basePrice: 425.80, type: 'etf', volatility: 0.012 },
-    { symbol: 'IVV', name: 'iShares Core S&P', basePrice: 595.20, type: 'etf', volatility: 0.008 },
-    { symbol: 'VTI', name: 'Vanguard Total Mkt', basePrice: 245.40, type: 'etf', volatility: 0.009 },
-    { symbol: 'VOO', name: 'Vanguard S&P 500', basePrice: 475.30, type: 'etf', volatility: 0.008 },
-    { symbol: 'VUG', name: 'Vanguard Growth', basePrice: 325.80, type: 'etf', volatility: 0.011 },
-    { symbol: 'VTV', name: 'Vanguard Value', basePrice: 155.40, type: 'etf', volatility: 0.010 },
+    { symbol: 'SPY', name: 'S&P 500 ETF', basePrice: 485.60, type: 'etf', volatility: 0.009, sector: 'index' },
+    { symbol: 'QQQ', name: 'Nasdaq-100 ETF', basePrice: 425.80, type: 'etf', volatility: 0.012, sector: 'index' },
+    { symbol: 'IVV', name: 'iShares Core S&P', basePrice: 595.20, type: 'etf', volatility: 0.008, sector: 'index' },
+    { symbol: 'VTI', name: 'Vanguard Total Mkt', basePrice: 245.40, type: 'etf', volatility: 0.009, sector: 'index' },
+    { symbol: 'VOO', name: 'Vanguard S&P 500', basePrice: 475.30, type: 'etf', volatility: 0.008, sector: 'index' },
+    { symbol: 'VUG', name: 'Vanguard Growth', basePrice: 325.80, type: 'etf', volatility: 0.011, sector: 'index' },
+    { symbol: 'VTV', name: 'Vanguard Value', basePrice: 155.40, type: 'etf', volatility: 0.010, sector: 'index' },
     
     // Bonds
-    { symbol: 'BND', name: 'Vanguard Total Bond', basePrice: 82.50, type: 'bond', volatility: 0.004 },
-    { symbol: 'AGG', name: 'iShares Core Bond', basePrice: 102.40, type: 'bond', volatility: 0.005 },
-    { symbol: 'LQD', name: 'Investment Grade Bond', basePrice: 125.60, type: 'bond', volatility: 0.006 },
+    { symbol: 'BND', name: 'Vanguard Total Bond', basePrice: 82.50, type: 'bond', volatility: 0.004, sector: 'bonds' },
+    { symbol: 'AGG', name: 'iShares Core Bond', basePrice: 102.40, type: 'bond', volatility: 0.005, sector: 'bonds' },
+    { symbol: 'LQD', name: 'Investment Grade Bond', basePrice: 125.60, type: 'bond', volatility: 0.006, sector: 'bonds' },
     
     // Additional Growth/Tech
-    { symbol: 'SQ', name: 'Block Inc.', basePrice: 65.40, type: 'growth', volatility: 0.042 },
-    { symbol: 'SHOP', name: 'Shopify Inc.', basePrice: 725.60, type: 'growth', volatility: 0.036 },
-    { symbol: 'NET', name: 'Cloudflare Inc.', basePrice: 115.20, type: 'growth', volatility: 0.039 },
-    { symbol: 'CRWD', name: 'CrowdStrike', basePrice: 385.40, type: 'growth', volatility: 0.033 },
-    { symbol: 'DDOG', name: 'Datadog Inc.', basePrice: 185.40, type: 'growth', volatility: 0.035 },
-    { symbol: 'OKTA', name: 'Okta Inc.', basePrice: 125.80, type: 'growth', volatility: 0.041 },
-    { symbol: 'SPLK', name: 'Splunk Inc.', basePrice: 142.60, type: 'growth', volatility: 0.038 },
-    { symbol: 'SNOW', name: 'Snowflake Inc.', basePrice: 175.40, type: 'growth', volatility: 0.040 },
-    { symbol: 'PLTR', name: 'Palantir Tech', basePrice: 25.30, type: 'growth', volatility: 0.045 },
-    { symbol: 'COIN', name: 'Coinbase Global', basePrice: 115.60, type: 'growth', volatility: 0.052 },
+    { symbol: 'SQ', name: 'Block Inc.', basePrice: 65.40, type: 'growth', volatility: 0.042, sector: 'tech' },
+    { symbol: 'SHOP', name: 'Shopify Inc.', basePrice: 725.60, type: 'growth', volatility: 0.036, sector: 'tech' },
+    { symbol: 'NET', name: 'Cloudflare Inc.', basePrice: 115.20, type: 'growth', volatility: 0.039, sector: 'tech' },
+    { symbol: 'CRWD', name: 'CrowdStrike', basePrice: 385.40, type: 'growth', volatility: 0.033, sector: 'tech' },
+    { symbol: 'DDOG', name: 'Datadog Inc.', basePrice: 185.40, type: 'growth', volatility: 0.035, sector: 'tech' },
+    { symbol: 'OKTA', name: 'Okta Inc.', basePrice: 125.80, type: 'growth', volatility: 0.041, sector: 'tech' },
+    { symbol: 'SPLK', name: 'Splunk Inc.', basePrice: 142.60, type: 'growth', volatility: 0.038, sector: 'tech' },
+    { symbol: 'SNOW', name: 'Snowflake Inc.', basePrice: 175.40, type: 'growth', volatility: 0.040, sector: 'tech' },
+    { symbol: 'PLTR', name: 'Palantir Tech', basePrice: 25.30, type: 'growth', volatility: 0.045, sector: 'tech' },
+    { symbol: 'COIN', name: 'Coinbase Global', basePrice: 115.60, type: 'growth', volatility: 0.052, sector: 'tech' },
     
     // Automotive & EV
-    { symbol: 'F', name: 'Ford Motor', basePrice: 11.50, type: 'dividend', volatility: 0.018 },
-    { symbol: 'GM', name: 'General Motors', basePrice: 35.80, type: 'dividend', volatility: 0.020 },
-    { symbol: 'TM', name: 'Toyota Motor', basePrice: 192.40, type: 'dividend', volatility: 0.014 },
-    { symbol: 'HMC', name: 'Honda Motor', basePrice: 28.50, type: 'dividend', volatility: 0.016 },
+    { symbol: 'F', name: 'Ford Motor', basePrice: 11.50, type: 'dividend', volatility: 0.018, sector: 'consumer' },
+    { symbol: 'GM', name: 'General Motors', basePrice: 35.80, type: 'dividend', volatility: 0.020, sector: 'consumer' },
+    { symbol: 'TM', name: 'Toyota Motor', basePrice: 192.40, type: 'dividend', volatility: 0.014, sector: 'consumer' },
+    { symbol: 'HMC', name: 'Honda Motor', basePrice: 28.50, type: 'dividend', volatility: 0.016, sector: 'consumer' },
     
     // Airlines
-    { symbol: 'AAL', name: 'American Airlines', basePrice: 28.60, type: 'growth', volatility: 0.038 },
-    { symbol: 'DAL', name: 'Delta Air Lines', basePrice: 35.40, type: 'growth', volatility: 0.036 },
-    { symbol: 'UAL', name: 'United Airlines', basePrice: 32.80, type: 'growth', volatility: 0.040 },
+    { symbol: 'AAL', name: 'American Airlines', basePrice: 28.60, type: 'growth', volatility: 0.038, sector: 'industrial' },
+    { symbol: 'DAL', name: 'Delta Air Lines', basePrice: 35.40, type: 'growth', volatility: 0.036, sector: 'industrial' },
+    { symbol: 'UAL', name: 'United Airlines', basePrice: 32.80, type: 'growth', volatility: 0.040, sector: 'industrial' },
     
     // Gaming & Entertainment
-    { symbol: 'MSFT', name: 'Microsoft (Gaming)', basePrice: 375.20, type: 'growth', volatility: 0.016 },
-    { symbol: 'EA', name: 'Electronic Arts', basePrice: 155.80, type: 'growth', volatility: 0.028 },
-    { symbol: 'TAKE', name: 'Take-Two Interactive', basePrice: 185.40, type: 'growth', volatility: 0.030 },
-    { symbol: 'ATVI', name: 'Activision Blizzard', basePrice: 92.60, type: 'growth', volatility: 0.032 },
+    { symbol: 'MSFT', name: 'Microsoft (Gaming)', basePrice: 375.20, type: 'growth', volatility: 0.016, sector: 'communication' },
+    { symbol: 'EA', name: 'Electronic Arts', basePrice: 155.80, type: 'growth', volatility: 0.028, sector: 'communication' },
+    { symbol: 'TAKE', name: 'Take-Two Interactive', basePrice: 185.40, type: 'growth', volatility: 0.030, sector: 'communication' },
+    { symbol: 'ATVI', name: 'Activision Blizzard', basePrice: 92.60, type: 'growth', volatility: 0.032, sector: 'communication' },
     
     // Biotech & Life Sciences
-    { symbol: 'EXAS', name: 'Exact Sciences', basePrice: 68.40, type: 'growth', volatility: 0.044 },
-    { symbol: 'REGN', name: 'Regeneron Pharma', basePrice: 795.20, type: 'growth', volatility: 0.026 },
-    { symbol: 'BIIB', name: 'Biogen Inc.', basePrice: 225.50, type: 'growth', volatility: 0.028 },
-    { symbol: 'VRTX', name: 'Vertex Pharma', basePrice: 495.80, type: 'growth', volatility: 0.024 },
-    { symbol: 'CRSP', name: 'CRISPR Therapeutics', basePrice: 118.40, type: 'growth', volatility: 0.048 },
+    { symbol: 'EXAS', name: 'Exact Sciences', basePrice: 68.40, type: 'growth', volatility: 0.044, sector: 'healthcare' },
+    { symbol: 'REGN', name: 'Regeneron Pharma', basePrice: 795.20, type: 'growth', volatility: 0.026, sector: 'healthcare' },
+    { symbol: 'BIIB', name: 'Biogen Inc.', basePrice: 225.50, type: 'growth', volatility: 0.028, sector: 'healthcare' },
+    { symbol: 'VRTX', name: 'Vertex Pharma', basePrice: 495.80, type: 'growth', volatility: 0.024, sector: 'healthcare' },
+    { symbol: 'CRSP', name: 'CRISPR Therapeutics', basePrice: 118.40, type: 'growth', volatility: 0.048, sector: 'healthcare' },
     
     // FinTech & Payment
-    { symbol: 'PYPL', name: 'PayPal Holdings', basePrice: 68.30, type: 'growth', volatility: 0.036 },
-    { symbol: 'MA', name: 'Mastercard Inc.', basePrice: 475.20, type: 'growth', volatility: 0.018 },
-    { symbol: 'V', name: 'Visa Inc.', basePrice: 275.60, type: 'growth', volatility: 0.016 },
-    { symbol: 'AXP', name: 'American Express', basePrice: 225.40, type: 'dividend', volatility: 0.015 },
-    { symbol: 'STO', name: 'Santander SA', basePrice: 45.60, type: 'dividend', volatility: 0.016 },
+    { symbol: 'PYPL', name: 'PayPal Holdings', basePrice: 68.30, type: 'growth', volatility: 0.036, sector: 'financial' },
+    { symbol: 'MA', name: 'Mastercard Inc.', basePrice: 475.20, type: 'growth', volatility: 0.018, sector: 'financial' },
+    { symbol: 'V', name: 'Visa Inc.', basePrice: 275.60, type: 'growth', volatility: 0.016, sector: 'financial' },
+    { symbol: 'AXP', name: 'American Express', basePrice: 225.40, type: 'dividend', volatility: 0.015, sector: 'financial' },
+    { symbol: 'STO', name: 'Santander SA', basePrice: 45.60, type: 'dividend', volatility: 0.016, sector: 'financial' },
     
     // E-Commerce & Logistics
-    { symbol: 'ZM', name: 'Zoom Video Comms', basePrice: 45.80, type: 'growth', volatility: 0.032 },
-    { symbol: 'ETSY', name: 'Etsy Inc.', basePrice: 78.40, type: 'growth', volatility: 0.034 },
-    { symbol: 'MKTX', name: 'MarketAxess', basePrice: 325.80, type: 'growth', volatility: 0.020 },
-    { symbol: 'JKHY', name: 'Jack Henry & Assoc', basePrice: 195.40, type: 'dividend', volatility: 0.012 },
+    { symbol: 'ZM', name: 'Zoom Video Comms', basePrice: 45.80, type: 'growth', volatility: 0.032, sector: 'consumer' },
+    { symbol: 'ETSY', name: 'Etsy Inc.', basePrice: 78.40, type: 'growth', volatility: 0.034, sector: 'consumer' },
+    { symbol: 'MKTX', name: 'MarketAxess', basePrice: 325.80, type: 'growth', volatility: 0.020, sector: 'consumer' },
+    { symbol: 'JKHY', name: 'Jack Henry & Assoc', basePrice: 195.40, type: 'dividend', volatility: 0.012, sector: 'consumer' },
     
     // Hotels & Travel
-    { symbol: 'MAR', name: 'Marriott Intl', basePrice: 285.60, type: 'dividend', volatility: 0.022 },
-    { symbol: 'HLT', name: 'Hilton Worldwide', basePrice: 195.40, type: 'dividend', volatility: 0.020 },
-    { symbol: 'RCL', name: 'Royal Caribbean', basePrice: 115.80, type: 'growth', volatility: 0.032 },
-    { symbol: 'CCL', name: 'Carnival Corp', basePrice: 21.40, type: 'growth', volatility: 0.036 },
+    { symbol: 'MAR', name: 'Marriott Intl', basePrice: 285.60, type: 'dividend', volatility: 0.022, sector: 'consumer' },
+    { symbol: 'HLT', name: 'Hilton Worldwide', basePrice: 195.40, type: 'dividend', volatility: 0.020, sector: 'consumer' },
+    { symbol: 'RCL', name: 'Royal Caribbean', basePrice: 115.80, type: 'growth', volatility: 0.032, sector: 'consumer' },
+    { symbol: 'CCL', name: 'Carnival Corp', basePrice: 21.40, type: 'growth', volatility: 0.036, sector: 'consumer' },
     
     // Food & Beverage
-    { symbol: 'SBUX', name: 'Starbucks Corp', basePrice: 95.20, type: 'dividend', volatility: 0.016 },
-    { symbol: 'DKNG', name: 'DraftKings Inc.', basePrice: 42.60, type: 'growth', volatility: 0.046 },
-    { symbol: 'WDAY', name: 'Workday Inc.', basePrice: 265.40, type: 'growth', volatility: 0.025 },
-    { symbol: 'CROX', name: 'Crocs Inc.', basePrice: 118.60, type: 'growth', volatility: 0.030 },
+    { symbol: 'SBUX', name: 'Starbucks Corp', basePrice: 95.20, type: 'dividend', volatility: 0.016, sector: 'consumer' },
+    { symbol: 'DKNG', name: 'DraftKings Inc.', basePrice: 42.60, type: 'growth', volatility: 0.046, sector: 'consumer' },
+    { symbol: 'WDAY', name: 'Workday Inc.', basePrice: 265.40, type: 'growth', volatility: 0.025, sector: 'consumer' },
+    { symbol: 'CROX', name: 'Crocs Inc.', basePrice: 118.60, type: 'growth', volatility: 0.030, sector: 'consumer' },
     
     // More Growth Stocks (Social Media, Crypto, Streaming)
-    { symbol: 'ABNB', name: 'Airbnb Inc.', basePrice: 185.40, type: 'growth', volatility: 0.035 },
-    { symbol: 'DASH', name: 'DoorDash Inc.', basePrice: 128.60, type: 'growth', volatility: 0.037 },
-    { symbol: 'SPOT', name: 'Spotify Technology', basePrice: 185.20, type: 'growth', volatility: 0.033 },
-    { symbol: 'PINS', name: 'Pinterest Inc.', basePrice: 28.40, type: 'growth', volatility: 0.040 },
-    { symbol: 'SNAP', name: 'Snap Inc.', basePrice: 22.60, type: 'growth', volatility: 0.056 },
+    { symbol: 'ABNB', name: 'Airbnb Inc.', basePrice: 185.40, type: 'growth', volatility: 0.035, sector: 'communication' },
+    { symbol: 'DASH', name: 'DoorDash Inc.', basePrice: 128.60, type: 'growth', volatility: 0.037, sector: 'communication' },
+    { symbol: 'SPOT', name: 'Spotify Technology', basePrice: 185.20, type: 'growth', volatility: 0.033, sector: 'communication' },
+    { symbol: 'PINS', name: 'Pinterest Inc.', basePrice: 28.40, type: 'growth', volatility: 0.040, sector: 'communication' },
+    { symbol: 'SNAP', name: 'Snap Inc.', basePrice: 22.60, type: 'growth', volatility: 0.056, sector: 'communication' },
     
     // Additional Tech Companies
-    { symbol: 'U', name: 'Unity Software', basePrice: 42.60, type: 'growth', volatility: 0.044 },
-    { symbol: 'RBLX', name: 'Roblox Corp', basePrice: 28.40, type: 'growth', volatility: 0.050 },
-    { symbol: 'APPN', name: 'Appian Corp', basePrice: 45.80, type: 'growth', volatility: 0.048 },
-    { symbol: 'SMAR', name: 'Smartsheet Inc.', basePrice: 42.20, type: 'growth', volatility: 0.041 },
+    { symbol: 'U', name: 'Unity Software', basePrice: 42.60, type: 'growth', volatility: 0.044, sector: 'tech' },
+    { symbol: 'RBLX', name: 'Roblox Corp', basePrice: 28.40, type: 'growth', volatility: 0.050, sector: 'tech' },
+    { symbol: 'APPN', name: 'Appian Corp', basePrice: 45.80, type: 'growth', volatility: 0.048, sector: 'tech' },
+    { symbol: 'SMAR', name: 'Smartsheet Inc.', basePrice: 42.20, type: 'growth', volatility: 0.041, sector: 'tech' },
 ];
 
 const STOCK_TYPES = {
@@ -196,6 +196,22 @@ const STOCK_TYPES = {
     bond: { name: 'Bonds', color: '#f59e0b', description: 'Low volatility, stable returns' }
 };
 
+// Sector groupings of REAL_STOCKS; each one is a factor in the price model
+// (see factor-model.js)
+const SECTORS = {
+    tech: { name: 'Technology' },
+    financial: { name: 'Financials' },
+    energy: { name: 'Energy' },
+    healthcare: { name: 'Healthcare' },
+    consumer: { name: 'Consumer' },
+    industrial: { name: 'Industrials' },
+    communication: { name: 'Communication Services' },
+    utilities: { name: 'Utilities' },
+    real_estate: { name: 'Real Estate' },
+    index: { name: 'Index Funds' },
+    bonds: { name: 'Bonds' }
+};
+
 const RISK_LEVELS = {
     conservative: { multiplier: 0.5, description: 'Low risk, minimal volatility' },
     moderate: { multiplier: 1.0, description: 'Balanced risk and reward' },
@@ -215,3 +231,8 @@ const DIFFICULTIES = {
     medium: { name: 'Medium', volatilityReduction: 1.0, startCapital: 25000 },
     hard: { name: 'Hard', volatilityReduction: 1.3, startCapital: 10000 }
 };
+
+// Export for use on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REAL_STOCKS, STOCK_TYPES, SECTORS, RISK_LEVELS, GAME_MODES, DIFFICULTIES };
+}
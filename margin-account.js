@@ -0,0 +1,108 @@
+/**
+ * Margin Accounts
+ * Reg T style margin for bot portfolios: buying power from equity in excess
+ * of the initial requirement, maintenance requirements on long and short
+ * market value, and daily interest on the debit balance.
+ */
+
+const { envNumber } = require('./env-config');
+
+const MARGIN_DEFAULTS = {
+    multiplier: 2,                                                // buying power per $ of excess equity
+    longMaintenance: envNumber('MARGIN_MAINTENANCE', 0.25),        // equity required per $ long
+    shortMaintenance: envNumber('MARGIN_SHORT_MAINTENANCE', 0.3),  // equity required per $ short
+    interestRate: envNumber('MARGIN_INTEREST_RATE', 0.08)          // annual, on the debit balance
+};
+
+const MAX_MULTIPLIER = 3;
+
+/**
+ * Turn the `margin` registration field into an account config, or null for a
+ * cash account. Accepts true for the defaults or an object overriding them.
+ * Throws with a readable message when the input is invalid.
+ */
+function normalizeMarginAccount(input) {
+    if (input === undefined || input === null || input === false) {
+        return null;
+    }
+    if (input === true) {
+        input = {};
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('margin must be true, false or an object');
+    }
+
+    const account = { ...MARGIN_DEFAULTS };
+    Object.keys(MARGIN_DEFAULTS).forEach((field) => {
+        if (input[field] === undefined) return;
+        const value = Number(input[field]);
+        if (!isFinite(value) || value < 0) {
+            throw new Error(`margin.${field} must be a non-negative number`);
+        }
+        account[field] = value;
+    });
+
+    if (account.multiplier < 1 || account.multiplier > MAX_MULTIPLIER) {
+        throw new Error(`margin.multiplier must be between 1 and ${MAX_MULTIPLIER}`);
+    }
+    // A maintenance rate at or above the initial rate would call every new position
+    const initialRate = 1 / account.multiplier;
+    if (account.longMaintenance >= initialRate || account.shortMaintenance >= initialRate) {
+        throw new Error(`margin maintenance rates must be below the initial rate of ${initialRate}`);
+    }
+
+    return account;
+}
+
+/**
+ * Margin status of a marked-to-market portfolio. Field names follow
+ * getMarginStatus in js/advanced-features.js: marginLevel is equity as a
+ * percentage of the initial margin in use, and a call is due once it drops
+ * below maintenanceMargin (the maintenance requirement on the same scale).
+ *
+ * @param {object} account - normalized margin account
+ * @param {object} valuation - { cash, equity, longMarketValue, shortMarketValue }
+ */
+function getMarginStatus(account, valuation) {
+    const initialRate = 1 / account.multiplier;
+    const shortExposure = Math.abs(valuation.shortMarketValue);
+    const usedMargin = (valuation.longMarketValue + shortExposure) * initialRate;
+    const maintenanceRequirement = valuation.longMarketValue * account.longMaintenance +
+        shortExposure * account.shortMaintenance;
+    const excessEquity = valuation.equity - usedMargin;
+    const marginCall = valuation.equity < maintenanceRequirement;
+
+    let riskLevel = 'NORMAL';
+    if (marginCall) {
+        riskLevel = 'HIGH';
+    } else if (excessEquity < 0) {
+        riskLevel = 'ELEVATED'; // below initial margin: no new positions
+    }
+
+    return {
+        enabled: true,
+        multiplier: account.multiplier,
+        totalValue: valuation.equity,
+        loanBalance: Math.max(0, -valuation.cash),
+        usedMargin,
+        availableMargin: Math.max(0, excessEquity),
+        buyingPower: Math.max(0, excessEquity * account.multiplier),
+        maintenanceRequirement,
+        marginLevel: usedMargin > 0 ? valuation.equity / usedMargin * 100 : null,
+        maintenanceMargin: usedMargin > 0 ? maintenanceRequirement / usedMargin * 100 : null,
+        marginCall,
+        riskLevel
+    };
+}
+
+// One day of interest on a negative cash balance (actual/360)
+function dailyMarginInterest(account, cash) {
+    return Math.max(0, -cash) * account.interestRate / 360;
+}
+
+module.exports = {
+    MARGIN_DEFAULTS,
+    normalizeMarginAccount,
+    getMarginStatus,
+    dailyMarginInterest
+};
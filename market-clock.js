@@ -0,0 +1,135 @@
+/**
+ * Market Clock
+ * Simulated market time for the live venue, following the market calendar
+ * (js/market-calendar.js). Every market update moves the clock on: by one
+ * slice of the regular session while the market trades, so a trading day is
+ * still ticksPerSession updates, and by closedTickMinutes while it is shut,
+ * so nights, weekends and holidays pass in minutes of wall time. The clock
+ * stops on every session boundary, so no session is ever stepped over.
+ */
+
+const { MarketCalendar, addDays, MINUTES_PER_DAY } = require('./js/market-calendar.js');
+const { envNumber } = require('./env-config');
+
+const DEFAULTS = {
+    ticksPerSession: 78,
+    // Market minutes per update while no session is trading
+    closedTickMinutes: envNumber('MARKET_CLOSED_TICK_MINUTES', 60),
+    // Whether the pre-market and after-hours sessions trade at all
+    extendedHours: process.env.MARKET_EXTENDED_HOURS !== 'false',
+    // First market day; defaults to today in New York
+    startDate: process.env.MARKET_START_DATE || null
+};
+
+// Float steps on short days must still land on the boundary
+const EPSILON = 1e-6;
+
+class MarketClock {
+    /**
+     * @param {object} [options] - overrides for DEFAULTS, plus calendar: a
+     *   MarketCalendar or its config
+     */
+    constructor(options = {}) {
+        const { calendar, ...rest } = options;
+        this.config = { ...DEFAULTS, ...rest };
+        this.calendar = calendar instanceof MarketCalendar ? calendar : new MarketCalendar(calendar);
+        if (!(this.config.closedTickMinutes > 0)) {
+            throw new Error('closedTickMinutes must be positive');
+        }
+
+        // Start at the regular open of the first trading day
+        const start = this.config.startDate || this.calendar.dateKeyAt(new Date());
+        this.date = this.calendar.firstTradingDayFrom(start);
+        this.minute = this.calendar.sessionHours(this.date).open;
+        this.phase = 'regular';
+    }
+
+    // The calendar's phase, with pre and post closed when extended hours are off
+    phaseAt(date, minute) {
+        const phase = this.calendar.phaseAt(date, minute);
+        return (phase === 'pre' || phase === 'post') && !this.config.extendedHours ? 'closed' : phase;
+    }
+
+    get isOpen() {
+        return this.phase === 'regular';
+    }
+
+    // Market minutes one update covers in the current phase
+    stepMinutes() {
+        const hours = this.calendar.sessionHours(this.date);
+        if (this.phase === 'regular') {
+            return (hours.close - hours.open) / this.config.ticksPerSession;
+        }
+        if (this.phase === 'pre' || this.phase === 'post') {
+            const { open, close } = this.calendar.hours;
+            return (close - open) / this.config.ticksPerSession;
+        }
+        return this.config.closedTickMinutes;
+    }
+
+    // The first session boundary after the current minute (midnight at the latest)
+    nextBoundary() {
+        const hours = this.calendar.sessionHours(this.date);
+        const boundaries = hours ? [hours.preOpen, hours.open, hours.close, hours.postClose] : [];
+        return boundaries.concat(MINUTES_PER_DAY).find(boundary => boundary > this.minute + EPSILON);
+    }
+
+    /**
+     * Move the clock on by one market update.
+     * @returns {Array<{ event: 'open'|'close', session: 'pre'|'regular'|'post' }>}
+     *   the sessions that closed and opened, in that order
+     */
+    advance() {
+        const boundary = this.nextBoundary();
+        this.minute += this.stepMinutes();
+        if (this.minute > boundary - EPSILON) {
+            this.minute = boundary;
+        }
+        if (this.minute >= MINUTES_PER_DAY) {
+            this.date = addDays(this.date, 1);
+            this.minute = 0;
+        }
+
+        const previous = this.phase;
+        this.phase = this.phaseAt(this.date, this.minute);
+        if (this.phase === previous) return [];
+        return [
+            ...(previous !== 'closed' ? [{ event: 'close', session: previous }] : []),
+            ...(this.phase !== 'closed' ? [{ event: 'open', session: this.phase }] : [])
+        ];
+    }
+
+    // The next regular open strictly after now, and the next regular close
+    nextOpen() {
+        const hours = this.calendar.sessionHours(this.date);
+        const date = hours && this.minute < hours.open ? this.date : this.calendar.nextTradingDay(this.date);
+        return this.calendar.timestamp(date, this.calendar.sessionHours(date).open);
+    }
+
+    nextClose() {
+        const hours = this.calendar.sessionHours(this.date);
+        const date = hours && this.minute < hours.close ? this.date : this.calendar.nextTradingDay(this.date);
+        return this.calendar.timestamp(date, this.calendar.sessionHours(date).close);
+    }
+
+    // For /api/market/clock, /v2/clock and session events
+    describe() {
+        const hours = this.calendar.sessionHours(this.date);
+        return {
+            timestamp: this.calendar.timestamp(this.date, this.minute),
+            date: this.date,
+            phase: this.phase,
+            is_open: this.isOpen,
+            extended_hours: this.config.extendedHours,
+            next_open: this.nextOpen(),
+            next_close: this.nextClose(),
+            holiday: this.calendar.holiday(this.date),
+            early_close: hours ? hours.earlyClose : null
+        };
+    }
+}
+
+module.exports = {
+    MarketClock,
+    DEFAULTS
+};
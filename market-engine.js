@@ -0,0 +1,106 @@
+/**
+ * Market Engine
+ * Server-side price model. Each symbol follows geometric Brownian motion with
+ * Poisson jumps (Merton jump-diffusion), scaled to one market update of the
+ * simulated trading day. A stock's REAL_STOCKS volatility is its daily
+ * volatility, and its type picks the drift, jump and mean-reversion profile.
+ * The diffusion shock can come from a FactorModel (js/factor-model.js) so
+ * stocks move together with the market and their sector; gaps stay
+ * stock-specific. A market regime (market-regimes.js) can shift the drift and
+ * scale volatility and gaps on top.
+ */
+
+const { RISK_LEVELS } = require('./js/stocks-data.js');
+const { gaussian } = require('./js/factor-model.js');
+
+// Per-type behaviour. drift is annual; jumps are news gaps, jumpMean and
+// jumpVolatility describe the log size of one gap; reversion pulls the log
+// price back toward basePrice, as a share of the gap per trading day.
+const TYPE_PROFILES = {
+    // Higher expected return, frequent large gaps that skew to the downside
+    growth: { drift: 0.12, jumpsPerDay: 0.04, jumpMean: -0.01, jumpVolatility: 0.08, reversion: 0 },
+    // Steadier earners: smaller and rarer gaps
+    dividend: { drift: 0.06, jumpsPerDay: 0.02, jumpMean: -0.005, jumpVolatility: 0.04, reversion: 0 },
+    // Single-name news washes out across a basket, so no gaps
+    etf: { drift: 0.07, jumpsPerDay: 0, jumpMean: 0, jumpVolatility: 0, reversion: 0 },
+    // Prices anchored to par: low drift, no gaps, pulled back toward basePrice
+    bond: { drift: 0.03, jumpsPerDay: 0, jumpMean: 0, jumpVolatility: 0, reversion: 0.05 }
+};
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+// MARKET_RISK_LEVEL scales every stock's volatility and gap size like the
+// browser game's risk level does
+const riskLevel = RISK_LEVELS[process.env.MARKET_RISK_LEVEL] ? process.env.MARKET_RISK_LEVEL : 'moderate';
+
+const DEFAULTS = {
+    riskMultiplier: RISK_LEVELS[riskLevel].multiplier,
+    ticksPerSession: 78,
+    volatility: 0.02 // daily, for stocks listed without one
+};
+
+// No regime adjustment
+const NEUTRAL_REGIME = { drift: 0, volatility: 1, jumps: 1, reversion: 0 };
+
+// Number of events in one interval with the given expected count (Knuth)
+function poisson(mean, random) {
+    if (mean <= 0) return 0;
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+        count++;
+        product *= random();
+    }
+    return count;
+}
+
+/**
+ * The stock's price after one market update.
+ *
+ * @param {object} stock - { price, volatility?, type?, basePrice? }
+ * @param {object} [options] - overrides for DEFAULTS, plus random: a uniform
+ *   [0, 1) source (Math.random by default) and shock: this step's standard
+ *   normal diffusion draw, drawn independently when omitted
+ * @param {object} [options.regime] - { drift (annual, added), volatility and
+ *   jumps (multipliers), reversion (per day, toward options.anchor) }
+ * @param {number} [options.anchor] - price a reverting regime pulls back to
+ * @returns {number}
+ */
+function nextPrice(stock, options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const random = options.random || Math.random;
+    const profile = TYPE_PROFILES[stock.type] || TYPE_PROFILES.growth;
+    const regime = { ...NEUTRAL_REGIME, ...options.regime };
+
+    const dt = 1 / config.ticksPerSession; // in trading days
+    const sigma = (stock.volatility || config.volatility) * config.riskMultiplier * regime.volatility;
+    const jumpVolatility = profile.jumpVolatility * config.riskMultiplier;
+    const jumpsPerDay = profile.jumpsPerDay * regime.jumps;
+
+    // Drift net of the Ito term and the jumps' expected move, so the expected
+    // return stays at the profile's (and regime's) drift
+    const expectedJump = Math.exp(profile.jumpMean + jumpVolatility * jumpVolatility / 2) - 1;
+    const mu = (profile.drift + regime.drift) / TRADING_DAYS_PER_YEAR;
+    let logReturn = (mu - sigma * sigma / 2 - jumpsPerDay * expectedJump) * dt
+        + sigma * Math.sqrt(dt) * (options.shock !== undefined ? options.shock : gaussian(random));
+
+    for (let jumps = poisson(jumpsPerDay * dt, random); jumps > 0; jumps--) {
+        logReturn += profile.jumpMean + jumpVolatility * gaussian(random);
+    }
+
+    if (profile.reversion > 0 && stock.basePrice > 0) {
+        logReturn += profile.reversion * dt * Math.log(stock.basePrice / stock.price);
+    }
+    if (regime.reversion > 0 && options.anchor > 0) {
+        logReturn += regime.reversion * dt * Math.log(options.anchor / stock.price);
+    }
+
+    return Math.max(0.01, stock.price * Math.exp(logReturn));
+}
+
+module.exports = {
+    nextPrice,
+    TYPE_PROFILES,
+    DEFAULTS
+};
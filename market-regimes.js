@@ -0,0 +1,260 @@
+/**
+ * Market Regimes
+ * Named market conditions that bend the market engine: extra drift on the
+ * market factor (scaled by each stock's beta), volatility and jump rate
+ * multipliers, a correlation multiplier that makes the market factor explain
+ * more of every move, and optional mean reversion for sideways markets.
+ * Regimes run one at a time, switched directly or by a scenario of timed
+ * steps, and one-off shocks gap prices on the next market update.
+ */
+
+// drift: annual return added on the market factor; volatility, correlation
+// and jumps: multipliers; reversion: pull per trading day back toward the
+// prices the regime started at
+const REGIMES = {
+    normal: { description: 'Baseline market', drift: 0, volatility: 1, correlation: 1, jumps: 1, reversion: 0 },
+    bull: { description: 'Steady rally with calm volatility', drift: 0.3, volatility: 0.8, correlation: 0.9, jumps: 0.7, reversion: 0 },
+    bear: { description: 'Grinding decline with rising volatility', drift: -0.35, volatility: 1.4, correlation: 1.3, jumps: 1.5, reversion: 0 },
+    crash: { description: '2008-style selloff: everything falls together', drift: -3, volatility: 3, correlation: 2, jumps: 4, reversion: 0 },
+    high_vol: { description: 'Large swings without direction', drift: 0, volatility: 2, correlation: 1.3, jumps: 2, reversion: 0 },
+    sideways: { description: 'Choppy range-bound market', drift: 0, volatility: 1.2, correlation: 0.8, jumps: 1, reversion: 0.5 }
+};
+
+const REGIME_LIMITS = {
+    drift: [-10, 10],
+    volatility: [0, 10],
+    correlation: [0, 10],
+    jumps: [0, 20],
+    reversion: [0, 10]
+};
+
+const MAX_SHOCK_MOVE = 1; // +100%; moves below -100% are impossible
+
+/**
+ * Check a regime definition, filling unset parameters from `base` (normal by
+ * default). Throws with a readable message when a parameter is out of range.
+ */
+function normalizeRegime(name, params = {}, base = REGIMES.normal) {
+    if (!/^[a-z0-9_-]{1,32}$/i.test(name)) {
+        throw new Error(`regime name "${name}" must be 1-32 letters, digits, _ or -`);
+    }
+
+    const regime = { description: params.description || '' };
+    Object.keys(REGIME_LIMITS).forEach((field) => {
+        const value = params[field] !== undefined ? Number(params[field]) : base[field];
+        const [min, max] = REGIME_LIMITS[field];
+        if (!(value >= min && value <= max)) {
+            throw new Error(`${name}.${field} must be between ${min} and ${max}`);
+        }
+        regime[field] = value;
+    });
+    return regime;
+}
+
+/**
+ * Check a shock: { move, symbols?, sector? }. move is a fraction (-0.1 for a
+ * 10% drop). Without symbols or sector it hits the whole market, scaled by
+ * each stock's beta.
+ */
+function normalizeShock(input = {}) {
+    const move = Number(input.move);
+    if (!(move > -1 && move <= MAX_SHOCK_MOVE) || move === 0) {
+        throw new Error(`shock move must be a non-zero fraction above -1 and up to ${MAX_SHOCK_MOVE}`);
+    }
+    if (input.symbols !== undefined && (!Array.isArray(input.symbols) || input.symbols.length === 0)) {
+        throw new Error('shock symbols must be a non-empty array');
+    }
+    if (input.sector !== undefined && typeof input.sector !== 'string') {
+        throw new Error('shock sector must be a string');
+    }
+    if (input.symbols && input.sector) {
+        throw new Error('a shock takes symbols or sector, not both');
+    }
+
+    return {
+        move: move,
+        ...(input.symbols ? { symbols: input.symbols.map(symbol => String(symbol).toUpperCase()) } : {}),
+        ...(input.sector ? { sector: input.sector } : {})
+    };
+}
+
+class MarketRegimes {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.ticksPerSession] - market updates per day, for step lengths in days
+     * @param {Date} [options.now] - when the starting normal regime began
+     */
+    constructor(options = {}) {
+        this.ticksPerSession = options.ticksPerSession || 78;
+        this.definitions = new Map(Object.entries(REGIMES));
+        this.scenario = null;       // { name, steps, loop, index }
+        this.remainingTicks = null; // until the current step ends; null runs on
+        this.pendingShocks = [];
+        this.changed = false;
+        this.enter('normal', null, options.now);
+        this.changed = false;
+    }
+
+    get regime() {
+        return this.definitions.get(this.name);
+    }
+
+    /**
+     * Add or replace a named regime. Unset parameters come from normal.
+     */
+    define(name, params) {
+        const regime = normalizeRegime(name, params);
+        this.definitions.set(name, regime);
+        return regime;
+    }
+
+    stepTicks(step) {
+        return (step.days || 0) * this.ticksPerSession + (step.ticks || 0);
+    }
+
+    /**
+     * Check a scenario: { name?, loop?, regimes?, steps: [{ regime, days?,
+     * ticks?, shocks? }] }. Regimes defined in the scenario can be used by its
+     * steps. Every step needs a length except the last of a scenario that
+     * doesn't loop, which runs until something else is set.
+     */
+    normalizeScenario(input = {}) {
+        const regimes = new Map();
+        Object.entries(input.regimes || {}).forEach(([name, params]) => {
+            regimes.set(name, normalizeRegime(name, params));
+        });
+
+        if (!Array.isArray(input.steps) || input.steps.length === 0) {
+            throw new Error('steps must be a non-empty array');
+        }
+        const steps = input.steps.map((step, index) => {
+            if (!step || (!this.definitions.has(step.regime) && !regimes.has(step.regime))) {
+                throw new Error(`steps[${index}].regime "${step && step.regime}" is not a known regime`);
+            }
+            ['days', 'ticks'].forEach((field) => {
+                if (step[field] !== undefined && !(Number.isInteger(step[field]) && step[field] >= 0)) {
+                    throw new Error(`steps[${index}].${field} must be a whole number`);
+                }
+            });
+            const open = step.days === undefined && step.ticks === undefined;
+            if (open && (input.loop || index < input.steps.length - 1)) {
+                throw new Error(`steps[${index}] needs days or ticks`);
+            }
+            if (!open && this.stepTicks(step) === 0) {
+                throw new Error(`steps[${index}] must last at least one tick`);
+            }
+            return {
+                regime: step.regime,
+                ...(open ? {} : { ticks: this.stepTicks(step) }),
+                shocks: (step.shocks || []).map(normalizeShock)
+            };
+        });
+
+        return { name: input.name || 'custom', loop: Boolean(input.loop), regimes, steps };
+    }
+
+    /**
+     * Run a scenario from its first step, replacing whatever was running.
+     */
+    loadScenario(input, now) {
+        const scenario = this.normalizeScenario(input);
+        scenario.regimes.forEach((regime, name) => this.definitions.set(name, regime));
+        this.scenario = { name: scenario.name, loop: scenario.loop, steps: scenario.steps, index: 0 };
+        this.startStep(now);
+        return this.scenario;
+    }
+
+    /**
+     * Switch to a regime now, stopping any scenario. With days or ticks the
+     * regime in force before comes back once they have passed.
+     */
+    setRegime(name, { days, ticks } = {}, now) {
+        if (!this.definitions.has(name)) {
+            throw new Error(`Unknown regime: ${name}`);
+        }
+        if (days === undefined && ticks === undefined) {
+            this.scenario = null;
+            this.enter(name, null, now);
+            return;
+        }
+        this.loadScenario({
+            name: `${name} then ${this.name}`,
+            steps: [{ regime: name, days, ticks }, { regime: this.name }]
+        }, now);
+    }
+
+    // Stop the scenario, leaving its current regime in force
+    stopScenario() {
+        this.scenario = null;
+        this.remainingTicks = null;
+    }
+
+    // Queue a shock for the next market update
+    addShock(input) {
+        const shock = normalizeShock(input);
+        this.pendingShocks.push(shock);
+        return shock;
+    }
+
+    startStep(now) {
+        const step = this.scenario.steps[this.scenario.index];
+        this.enter(step.regime, step.ticks !== undefined ? step.ticks : null, now);
+        this.pendingShocks.push(...step.shocks);
+    }
+
+    enter(name, ticks, now) {
+        this.name = name;
+        this.since = now || new Date();
+        this.remainingTicks = ticks;
+        this.changed = true;
+    }
+
+    /**
+     * Called once per market update before prices move. Moves the scenario
+     * on when the current step has run its ticks, counts this update against
+     * the step in force, and hands over the queued shocks.
+     * @returns {{ changed: boolean, shocks: Array }}
+     */
+    advance(now) {
+        if (this.remainingTicks === 0) {
+            const last = this.scenario.index === this.scenario.steps.length - 1;
+            if (last && !this.scenario.loop) {
+                this.scenario = null;
+                this.remainingTicks = null;
+            } else {
+                this.scenario.index = last ? 0 : this.scenario.index + 1;
+                this.startStep(now);
+            }
+        }
+        if (this.remainingTicks !== null) {
+            this.remainingTicks--;
+        }
+
+        const result = { changed: this.changed, shocks: this.pendingShocks };
+        this.changed = false;
+        this.pendingShocks = [];
+        return result;
+    }
+
+    // The regime in force, for /health, market updates and the admin API
+    describe() {
+        const { description, ...params } = this.regime;
+        return {
+            name: this.name,
+            description: description,
+            ...params,
+            since: this.since,
+            remainingTicks: this.remainingTicks,
+            scenario: this.scenario
+                ? { name: this.scenario.name, step: this.scenario.index + 1, steps: this.scenario.steps.length, loop: this.scenario.loop }
+                : null
+        };
+    }
+}
+
+module.exports = {
+    MarketRegimes,
+    REGIMES,
+    normalizeRegime,
+    normalizeShock
+};
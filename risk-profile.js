@@ -0,0 +1,112 @@
+/**
+ * Risk Profiles
+ * Pre-trade limits attached to a bot at registration: order size, position
+ * size per symbol, gross exposure, order rate and daily loss. Every limit is
+ * optional; a null limit is not enforced.
+ */
+
+const { envNumber } = require('./env-config');
+
+const RISK_DEFAULTS = {
+    maxOrderNotional: envNumber('RISK_MAX_ORDER_NOTIONAL', null),       // $ per order
+    maxPositionValue: envNumber('RISK_MAX_POSITION_VALUE', null),       // $ long or short, per symbol
+    maxGrossExposure: envNumber('RISK_MAX_GROSS_EXPOSURE', null),       // $ long + short across symbols
+    maxOrdersPerMinute: envNumber('RISK_MAX_ORDERS_PER_MINUTE', null),
+    maxDailyLoss: envNumber('RISK_MAX_DAILY_LOSS', null)                // $ below the session's opening equity
+};
+
+// Reason codes returned with every risk rejection
+const RISK_CODES = {
+    HALTED: 'BOT_HALTED',
+    ORDER_NOTIONAL: 'MAX_ORDER_NOTIONAL',
+    POSITION: 'MAX_POSITION',
+    GROSS_EXPOSURE: 'MAX_GROSS_EXPOSURE',
+    ORDER_RATE: 'MAX_ORDER_RATE',
+    DAILY_LOSS: 'MAX_DAILY_LOSS'
+};
+
+/**
+ * Turn the `risk_profile` registration field into a complete profile.
+ * Throws with a readable message when the input is invalid.
+ */
+function normalizeRiskProfile(input) {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('risk_profile must be an object');
+    }
+
+    const profile = { ...RISK_DEFAULTS };
+    Object.keys(RISK_DEFAULTS).forEach((field) => {
+        if (input[field] === undefined) return;
+        if (input[field] === null) {
+            profile[field] = null;
+            return;
+        }
+        const value = Number(input[field]);
+        if (!(value > 0)) {
+            throw new Error(`risk_profile.${field} must be a positive number or null`);
+        }
+        profile[field] = value;
+    });
+    return profile;
+}
+
+function breach(code, message) {
+    return { code, message };
+}
+
+// Daily P&L is equity against the equity the session opened with
+function checkDailyLoss(profile, dailyPnL) {
+    if (profile.maxDailyLoss !== null && -dailyPnL >= profile.maxDailyLoss) {
+        return breach(RISK_CODES.DAILY_LOSS, `Daily loss of $${(-dailyPnL).toFixed(2)} has reached the $${profile.maxDailyLoss} limit`);
+    }
+    return null;
+}
+
+/**
+ * Check one order against a profile before it reaches the book. Orders that
+ * shrink a position are never held back by the position or exposure limits.
+ *
+ * @param {object} profile - normalized risk profile
+ * @param {object} check - { notional, positionValue, positionChange,
+ *   grossExposure, ordersLastMinute, dailyPnL }, where positionValue and
+ *   positionChange are signed ($ long positive, short negative)
+ * @returns {{ code: string, message: string }|null}
+ */
+function checkPreTradeRisk(profile, check) {
+    const lossBreach = checkDailyLoss(profile, check.dailyPnL);
+    if (lossBreach) {
+        return lossBreach;
+    }
+
+    if (profile.maxOrdersPerMinute !== null && check.ordersLastMinute >= profile.maxOrdersPerMinute) {
+        return breach(RISK_CODES.ORDER_RATE, `Limit of ${profile.maxOrdersPerMinute} orders per minute reached`);
+    }
+
+    if (profile.maxOrderNotional !== null && check.notional > profile.maxOrderNotional) {
+        return breach(RISK_CODES.ORDER_NOTIONAL, `Order notional $${check.notional.toFixed(2)} exceeds the $${profile.maxOrderNotional} limit`);
+    }
+
+    const projected = Math.abs(check.positionValue + check.positionChange);
+    const growth = projected - Math.abs(check.positionValue);
+    if (growth > 0) {
+        if (profile.maxPositionValue !== null && projected > profile.maxPositionValue) {
+            return breach(RISK_CODES.POSITION, `Position of $${projected.toFixed(2)} would exceed the $${profile.maxPositionValue} per-symbol limit`);
+        }
+        if (profile.maxGrossExposure !== null && check.grossExposure + growth > profile.maxGrossExposure) {
+            return breach(RISK_CODES.GROSS_EXPOSURE, `Gross exposure of $${(check.grossExposure + growth).toFixed(2)} would exceed the $${profile.maxGrossExposure} limit`);
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    RISK_DEFAULTS,
+    RISK_CODES,
+    normalizeRiskProfile,
+    checkDailyLoss,
+    checkPreTradeRisk
+};
@@ -0,0 +1,45 @@
+/**
+ * Seeded Random
+ * Small deterministic random source for repeatable simulations. The same seed
+ * always produces the same sequence, so a run can be replayed exactly.
+ */
+
+// 32-bit hash of a string seed (FNV-1a); numeric seeds are used as they are
+function hashSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A function returning uniform numbers in [0, 1), like Math.random, from a
+ * number or string seed (mulberry32).
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh seed for runs started without one, reported back so they can be replayed
+function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+module.exports = {
+    createRandom,
+    generateSeed
+};
@@ -25,6 +25,24 @@ const BacktestEngine = require('./backtest-engine');
 const notificationService = require('./notification-service');
 const { logger, httpLogger } = require('./logger');
 const { validateRequest, schemas } = require('./validation-middleware');
+const { normalizeFeeSchedule, emptyFees } = require('./fee-schedule');
+const { normalizeMarginAccount } = require('./margin-account');
+const { normalizeRiskProfile } = require('./risk-profile');
+const { LOT_METHODS } = require('./tax-lots');
+const { EQUITY_SAVE_MS, EquityStore, parseResolution, resample, computeMetrics } = require('./equity-curve');
+const { envNumber } = require('./env-config');
+const { TradingVenue, MARKET_UPDATE_MS, TICKS_PER_SESSION, isOrderWorking } = require('./trading-venue');
+const { MarketClock } = require('./market-clock');
+const { TRAINING_DEFAULTS, TrainingSession, normalizeTrainingOptions } = require('./training-session');
+const { normalizeShock } = require('./market-regimes');
+const { ClientOutbox, OUTBOX_LIMITS } = require('./client-outbox');
+const { FixGateway } = require('./fix-gateway');
+const { AlpacaStream } = require('./alpaca-stream');
+const {
+    alpacaError, alpacaId, toAlpacaStatus, toAlpacaOrder, toAlpacaPosition, toAlpacaAccount,
+    toAlpacaAsset, toAlpacaClock, selectOrders, fromAlpacaOrderRequest, fromAlpacaReplaceRequest
+} = require('./alpaca-api');
+const { GYM_DEFAULTS, GYM_MAX_ENVIRONMENTS, GYM_IDLE_MINUTES, REWARDS, GymEnvironment } = require('./gym-environment');
 
 // initialize default admin/tester from environment variables if provided
 // Seed admin/tester accounts (force-create to ensure known credentials)
@@ -51,15 +69,38 @@ const { validateRequest, schemas } = require('./validation-middleware');
 const app = express();
 const server = http.createServer(app);
 
-// ==================== WEBSOCKET JWT VERIFICATION ====================
+// ==================== WEBSOCKET AUTHENTICATION ====================
+// Users connect with a JWT in the Authorization header. Bots connect with
+// X-Bot-Id and X-API-Key headers, or without credentials followed by an
+// `auth` message within WS_AUTH_TIMEOUT_MS; see handleAuth.
+const WS_AUTH_TIMEOUT_MS = envNumber('WS_AUTH_TIMEOUT_MS', 10000);
+
+// The registered bot matching the credentials, or null
+function findBot(botId, apiKey) {
+    const bot = bots.get(botId);
+    return bot && apiKey && bot.api_key === apiKey ? bot : null;
+}
+
 const verifyWebSocketClient = (info, callback) => {
     try {
         const authHeader = info.req.headers.authorization;
         const token = authHeader && authHeader.split(' ')[1];
+        const botId = info.req.headers['x-bot-id'];
+
+        if (!token && botId) {
+            const bot = findBot(botId, info.req.headers['x-api-key']);
+            if (!bot) {
+                logger.warn(`[WebSocket] Invalid bot credentials for ${botId}`);
+                return callback(false, 401, 'Unauthorized: Invalid bot_id or api_key');
+            }
+            info.req.bot = bot;
+            logger.info('[WebSocket] Bot authenticated: ' + bot.id);
+            return callback(true);
+        }
 
         if (!token) {
-            logger.warn('[WebSocket] Connection attempt without token');
-            return callback(false, 401, 'Unauthorized: Token required');
+            // Must send an auth message before anything else
+            return callback(true);
         }
 
         try {
@@ -78,8 +119,10 @@ const verifyWebSocketClient = (info, callback) => {
     }
 };
 
+// Upgrades are routed by path: the Alpaca streams take theirs and every
+// other path reaches this server (see the upgrade handler below)
 const wss = new WebSocket.Server({
-    server,
+    noServer: true,
     verifyClient: verifyWebSocketClient
 });
 
@@ -193,32 +236,65 @@ const API_VERSION = '1.0.0';
 const firebaseDb = initializeFirebase();
 const useFirebase = isFirebaseReady();
 
+// The live market: prices, bot accounts and portfolios, the order book and
+// the session clock all live on the venue (see trading-venue.js)
+const STOCKS = require('./js/stocks-data.js').REAL_STOCKS || [];
+// FactorModel overrides (betas, sector volatilities, correlations) for the
+// live market, training sessions and backtests, from FACTOR_MODEL_FILE
+const FACTOR_MODEL = process.env.FACTOR_MODEL_FILE
+    ? JSON.parse(fs.readFileSync(process.env.FACTOR_MODEL_FILE, 'utf8'))
+    : {};
+// Market hours: with MARKET_CALENDAR=true the live market keeps a simulated
+// clock on the market calendar (js/market-calendar.js); otherwise it trades
+// round the clock.
+// MARKET_CALENDAR_FILE holds MarketCalendar overrides and MARKET_HOLIDAYS
+// adds closures ("2025-01-09,2026-12-31").
+const MARKET_CALENDAR = process.env.MARKET_CALENDAR_FILE
+    ? JSON.parse(fs.readFileSync(process.env.MARKET_CALENDAR_FILE, 'utf8'))
+    : {};
+const MARKET_CLOCK = process.env.MARKET_CALENDAR === 'true'
+    ? new MarketClock({
+        ticksPerSession: TICKS_PER_SESSION,
+        calendar: {
+            ...MARKET_CALENDAR,
+            holidays: (MARKET_CALENDAR.holidays || []).concat((process.env.MARKET_HOLIDAYS || '').split(',')
+                .map(date => date.trim())
+                .filter(Boolean))
+        }
+    })
+    : null;
+const liveMarket = new TradingVenue({
+    name: 'live',
+    stocks: STOCKS,
+    factorModel: FACTOR_MODEL,
+    clock: MARKET_CLOCK,
+    closedOrders: process.env.MARKET_CLOSED_ORDERS
+});
+// Regime scenario (see market-regimes.js) the live market starts running
+if (process.env.REGIME_SCENARIO_FILE) {
+    liveMarket.regimes.loadScenario(JSON.parse(fs.readFileSync(process.env.REGIME_SCENARIO_FILE, 'utf8')), liveMarket.now());
+}
+const bots = liveMarket.accounts;
+const { orders, portfolios, marketData, equityCurves } = liveMarket;
+const trainingSessions = new Map(); // botId -> TrainingSession, each with its own venue
+const gymEnvironments = new Map(); // envId -> GymEnvironment
+let gymIdCounter = 1;
+
 // In-memory data stores
-const bots = new Map();
-const orders = new Map();
-const portfolios = new Map();
 const subscriptions = new Map();
-const marketData = new Map();
+const channelFeeds = new Map(); // channel -> { seq, buffer } for replay, see publish()
+const WS_REPLAY_BUFFER = envNumber('WS_REPLAY_BUFFER', 500); // messages kept per channel
 const gameSaves = new Map(); // Save codes -> game state
-let orderIdCounter = 1000;
-let botIdCounter = 1;
 
-// Initialize with sample stock data
-const STOCKS = require('./js/stocks-data.js').REAL_STOCKS || [];
-const initializeMarketData = () => {
-    STOCKS.forEach(stock => {
-        marketData.set(stock.symbol, {
-            symbol: stock.symbol,
-            price: stock.basePrice,
-            high52Week: stock.high52Week,
-            low52Week: stock.low52Week,
-            avgVolume: stock.avgVolume,
-            marketCap: stock.marketCap,
-            type: stock.type,
-            lastUpdate: Date.now()
-        });
-    });
-};
+// Equity curves outlive restarts (see equity-curve.js), bots do not. Saved
+// curves stay readable under their old ids and new bots are numbered after
+// them, so a new bot never picks up another bot's history.
+const equityStore = new EquityStore();
+equityStore.load().forEach((curve, botId) => equityCurves.set(botId, curve));
+let botIdCounter = 1 + Math.max(0, ...Array.from(equityCurves.keys(), botId => parseInt(botId.replace(/^bot_/, ''), 10) || 0));
+const equitySaveTimer = setInterval(() => equityStore.save(equityCurves), EQUITY_SAVE_MS);
+
+const STATS_EQUITY_POINTS = 500; // most recent snapshots included in bot stats
 
 /**
  * Helper functions for game saves
@@ -467,7 +543,8 @@ app.post('/api/backtest/run', verifyOptionalToken, (req, res) => {
         const backtest = new BacktestEngine({
             startDate: new Date(startDate),
             endDate: new Date(endDate),
-            initialCapital
+            initialCapital,
+            factorModel: FACTOR_MODEL
         });
 
         // Define strategy
@@ -583,37 +660,114 @@ app.get('/api/bot/:botId/stats', (req, res) => {
         });
     }
 
-    const portfolio = portfolios.get(botId) || { cash: 0, holdings: {} };
-    const botOrders = Array.from(orders.values()).filter(o => o.botId === botId);
+    const portfolio = portfolios.get(botId);
+    const botOrders = Array.from(orders.values()).filter(o => o.bot_id === botId);
+    const initialCapital = bot.initialCapital || 100000;
+
+    // Fees itemized on each order, totalled across the bot's history
+    const fees = botOrders.reduce((totals, o) => {
+        Object.keys(totals).forEach((item) => {
+            totals[item] += (o.fees && o.fees[item]) || 0;
+        });
+        return totals;
+    }, emptyFees());
     
-    const winningTrades = botOrders.filter(o => o.gain >= 0).length;
-    const losingTrades = botOrders.filter(o => o.gain < 0).length;
+    // Gross exposure over equity
+    const valuation = liveMarket.valuePortfolio(portfolio);
+    const leverage = valuation.equity > 0
+        ? (valuation.longMarketValue - valuation.shortMarketValue) / valuation.equity
+        : 0;
+
+    // Wins and losses are counted on orders that closed shares
+    const closingOrders = botOrders.filter(o => o.realizedGain !== null && o.realizedGain !== undefined);
+    const winningTrades = closingOrders.filter(o => o.realizedGain >= 0).length;
+    const losingTrades = closingOrders.filter(o => o.realizedGain < 0).length;
     const totalTrades = botOrders.length;
 
+    const equityHistory = equityCurves.get(botId).range();
+    const performance = computeMetrics(equityHistory, liveMarket.periodsPerYear(null));
+
     res.json({
         success: true,
         name: bot.name,
         status: bot.status || 'inactive',
-        initialCapital: bot.initialCapital || 100000,
-        equity: (portfolio.cash + Object.values(portfolio.holdings || {}).reduce((sum, h) => sum + (h.quantity * (h.currentPrice || 0)), 0)),
+        initialCapital: initialCapital,
+        equity: valuation.equity,
         cash: portfolio.cash,
-        holdingsValue: Object.values(portfolio.holdings || {}).reduce((sum, h) => sum + (h.quantity * (h.currentPrice || 0)), 0),
-        holdingCount: Object.keys(portfolio.holdings || {}).length,
-        totalReturn: (portfolio.cash + Object.values(portfolio.holdings || {}).reduce((sum, h) => sum + (h.quantity * (h.currentPrice || 0)), 0)) - (bot.initialCapital || 100000),
-        returnPercent: ((portfolio.cash + Object.values(portfolio.holdings || {}).reduce((sum, h) => sum + (h.quantity * (h.currentPrice || 0)), 0)) - (bot.initialCapital || 100000)) / (bot.initialCapital || 100000) * 100,
+        holdingsValue: valuation.longMarketValue + valuation.shortMarketValue,
+        holdingCount: portfolio.holdings.size,
+        totalReturn: valuation.equity - initialCapital,
+        returnPercent: (valuation.equity - initialCapital) / initialCapital * 100,
+        realizedPnL: portfolio.realizedGains,
+        unrealizedPnL: valuation.unrealizedGains,
+        lotMethod: bot.lotMethod,
         totalTrades,
         winningTrades,
         losingTrades,
-        winRate: totalTrades > 0 ? (winningTrades / totalTrades * 100) : 0,
+        winRate: closingOrders.length > 0 ? (winningTrades / closingOrders.length * 100) : 0,
         winLossRatio: losingTrades > 0 ? (winningTrades / losingTrades) : (winningTrades > 0 ? winningTrades : 0),
-        leverage: 1.0,
+        maxDrawdown: performance.maxDrawdown,
+        currentDrawdown: performance.currentDrawdown,
+        volatility: performance.volatility,
+        sharpeRatio: performance.sharpeRatio,
+        sortinoRatio: performance.sortinoRatio,
+        leverage: leverage,
+        margin: liveMarket.getAccountMarginStatus(bot),
+        marginCall: bot.marginCall,
         activeOrders: botOrders.filter(o => o.status === 'pending').length,
         recentTrades: botOrders.slice(-10),
-        portfolio: portfolio.holdings,
-        equityHistory: [/* would contain historical equity values */]
+        feeSchedule: bot.feeSchedule,
+        fees: fees,
+        portfolio: Array.from(portfolio.holdings.values()),
+        equityHistory: equityHistory.slice(-STATS_EQUITY_POINTS) // full series at /api/bot/:botId/equity
+    });
+});
+
+/**
+ * Get Bot Equity Curve
+ * GET /api/bot/:botId/equity?from&to&resolution
+ * from/to are ISO dates or epoch ms; resolution is tick (default) or e.g.
+ * 30s, 5m, 1h, 1d, keeping the last snapshot in each interval
+ */
+app.get('/api/bot/:botId/equity', (req, res) => {
+    const { botId } = req.params;
+    const curve = equityCurves.get(botId);
+
+    if (!curve) {
+        return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const from = parseTimeParam(req.query.from, -Infinity);
+    const to = parseTimeParam(req.query.to, Infinity);
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+    }
+
+    let resolutionMs;
+    try {
+        resolutionMs = parseResolution(req.query.resolution);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const points = resample(curve.range(from, to), resolutionMs);
+
+    res.json({
+        bot_id: botId,
+        resolution: req.query.resolution || 'tick',
+        count: points.length,
+        points: points,
+        metrics: computeMetrics(points, liveMarket.periodsPerYear(resolutionMs))
     });
 });
 
+// Query-string time as epoch ms; null when it cannot be parsed
+function parseTimeParam(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return isNaN(time) ? null : time;
+}
+
 /**
  * Start Bot Simulation
  * POST /api/bot/:botId/start
@@ -628,6 +782,10 @@ app.post('/api/bot/:botId/start', (req, res) => {
         });
     }
 
+    if (bot.status === 'halted') {
+        return res.status(409).json({ error: `Bot is halted: ${bot.haltReason}. An admin must reset it` });
+    }
+
     bot.status = 'running';
     res.json({
         success: true,
@@ -650,6 +808,10 @@ app.post('/api/bot/:botId/pause', (req, res) => {
         });
     }
 
+    if (bot.status === 'halted') {
+        return res.status(409).json({ error: `Bot is halted: ${bot.haltReason}. An admin must reset it` });
+    }
+
     bot.status = 'paused';
     res.json({
         success: true,
@@ -672,25 +834,254 @@ app.post('/api/bot/:botId/reset', (req, res) => {
         });
     }
 
-    portfolios.set(botId, {
-        cash: bot.initialCapital || 100000,
-        holdings: {}
+    if (bot.status === 'halted') {
+        return res.status(409).json({ error: `Bot is halted: ${bot.haltReason}. An admin must reset it` });
+    }
+
+    liveMarket.resetAccount(bot);
+    bot.status = 'reset';
+    res.json({
+        success: true,
+        message: 'Bot simulation reset',
+        status: bot.status
+    });
+});
+
+/**
+ * Update Risk Profile (admin)
+ * PUT /api/bot/:botId/risk
+ * Body: any of the risk_profile limits; null removes a limit
+ */
+app.put('/api/bot/:botId/risk', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change risk profiles' });
+    }
+
+    const bot = bots.get(req.params.botId);
+    if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    try {
+        bot.riskProfile = normalizeRiskProfile({ ...bot.riskProfile, ...req.body });
+    } catch (error) {
+        return res.status(400).json({ error: `Invalid risk_profile: ${error.message}` });
+    }
+
+    logger.info(`[Risk] Profile for ${bot.id} updated by ${req.userId}`);
+    res.json({ success: true, bot_id: bot.id, riskProfile: bot.riskProfile });
+});
+
+/**
+ * Reset Risk Halt (admin)
+ * POST /api/bot/:botId/risk/reset
+ * Clears a halt and starts the daily loss count again from current equity
+ */
+app.post('/api/bot/:botId/risk/reset', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can reset a halted bot' });
+    }
+
+    const bot = bots.get(req.params.botId);
+    if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const wasHalted = bot.status === 'halted';
+    if (wasHalted) {
+        bot.status = 'connected';
+    }
+    liveMarket.resetRiskState(bot);
+
+    logger.info(`[Risk] ${bot.id} risk state reset by ${req.userId}`);
+    res.json({
+        success: true,
+        bot_id: bot.id,
+        status: bot.status,
+        message: wasHalted ? 'Halt cleared' : 'Daily loss baseline reset'
     });
+});
+
+// Training session controls need the bot's api_key, in the body or the
+// X-API-Key header, like order placement. Sends the error response and
+// returns null on failure.
+function authorizeBotRequest(req, res) {
+    const bot = bots.get(req.params.botId);
+    if (!bot) {
+        res.status(404).json({ error: 'Bot not found' });
+        return null;
+    }
+
+    const apiKey = (req.body && req.body.api_key) || req.headers['x-api-key'];
+    if (bot.api_key !== apiKey) {
+        res.status(401).json({ error: 'Invalid api_key for this bot' });
+        return null;
+    }
+
+    return bot;
+}
+
+/**
+ * Start Training Session
+ * POST /api/bot/:botId/training/start
+ * Body: { api_key, days?, speed?, initial_cash? }. Starts a new session, or resumes a
+ * stopped one (the body is then ignored). While it runs, the bot's orders,
+ * portfolio and market data calls go to the session's market.
+ */
+app.post('/api/bot/:botId/training/start', (req, res) => {
+    const { botId } = req.params;
+    const bot = authorizeBotRequest(req, res);
+    if (!bot) return;
+
+    let session = trainingSessions.get(botId);
+    if (session && session.status === 'running') {
+        return res.status(409).json({ error: 'Training session is already running' });
+    }
 
-    orders.forEach((order, key) => {
-        if (order.botId === botId) {
-            orders.delete(key);
+    if (!session || session.status === 'completed') {
+        let options;
+        try {
+            options = normalizeTrainingOptions(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid training options: ${error.message}` });
         }
+        session = createTrainingSession(bot, options);
+    }
+
+    session.start();
+    logger.info(`[Training] ${botId} session running: ${session.options.days} days at ${session.options.speed}x`);
+    res.json({
+        success: true,
+        message: 'Training session started',
+        status: session.status,
+        days: session.options.days,
+        speed: session.options.speed
     });
+});
 
-    bot.status = 'reset';
+/**
+ * Stop Training Session
+ * POST /api/bot/:botId/training/stop
+ * Pauses the session clock; the bot trades the live market again until it
+ * is restarted
+ */
+app.post('/api/bot/:botId/training/stop', (req, res) => {
+    if (!authorizeBotRequest(req, res)) return;
+
+    const session = trainingSessions.get(req.params.botId);
+
+    if (!session) {
+        return res.status(404).json({ error: 'No training session for this bot' });
+    }
+
+    session.stop();
     res.json({
         success: true,
-        message: 'Bot simulation reset',
-        status: bot.status
+        message: 'Training session stopped',
+        status: session.status
+    });
+});
+
+/**
+ * Reset Training Session
+ * POST /api/bot/:botId/training/reset
+ * Discards a stopped or completed session
+ */
+app.post('/api/bot/:botId/training/reset', (req, res) => {
+    if (!authorizeBotRequest(req, res)) return;
+
+    const { botId } = req.params;
+    const session = trainingSessions.get(botId);
+    if (session && session.status === 'running') {
+        return res.status(409).json({ error: 'Stop the training session before resetting it' });
+    }
+
+    trainingSessions.delete(botId);
+    res.json({
+        success: true,
+        message: 'Training session reset',
+        status: 'idle'
+    });
+});
+
+/**
+ * Get Training Statistics (for the training dashboard)
+ * GET /api/bot/:botId/training/stats
+ */
+app.get('/api/bot/:botId/training/stats', (req, res) => {
+    const { botId } = req.params;
+    const session = trainingSessions.get(botId);
+
+    if (!bots.has(botId)) {
+        return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    if (session) {
+        return res.json(session.getStats());
+    }
+
+    // Nothing started yet: an untouched account
+    res.json({
+        bot_id: botId,
+        status: 'idle',
+        days: TRAINING_DEFAULTS.days,
+        speed: TRAINING_DEFAULTS.speed,
+        progress: 0,
+        initialCapital: TRAINING_DEFAULTS.initialCash,
+        totalValue: TRAINING_DEFAULTS.initialCash,
+        cash: TRAINING_DEFAULTS.initialCash,
+        holdingsValue: 0,
+        realizedPnL: 0,
+        unrealizedPnL: 0,
+        returnPercent: 0,
+        totalTrades: 0,
+        successfulTrades: 0,
+        failedTrades: 0,
+        holdings: [],
+        recentTrades: []
     });
 });
 
+// Give a bot a fresh training market, replacing any finished session
+function createTrainingSession(bot, options) {
+    const session = new TrainingSession(bot, options, {
+        stocks: STOCKS,
+        factorModel: FACTOR_MODEL,
+        borrowRates: liveMarket.borrowRates,
+        hardToBorrow: liveMarket.hardToBorrow
+    });
+
+    session.venue.on('order_update', handleOrderUpdate);
+    session.venue.on('bot_event', (type, account, fields) => broadcastBotEvent(type, account, { ...fields, training: true }));
+    session.venue.on('market_update', () => publishPortfolio(bot.id));
+    session.on('complete', () => {
+        const stats = session.getStats();
+        logger.info(`[Training] ${bot.id} session completed: ${stats.returnPercent.toFixed(2)}% over ${options.days} days`);
+        broadcastBotEvent('training_complete', bot, { training: true, data: stats });
+    });
+
+    trainingSessions.set(bot.id, session);
+    return session;
+}
+
+// The market a bot is trading: its training session's while one is running
+function venueFor(botId) {
+    const session = trainingSessions.get(botId);
+    return session && session.status === 'running' ? session.venue : liveMarket;
+}
+
+// Every market holding the bot's orders: the live one and any training session's
+function venuesOf(botId) {
+    const session = trainingSessions.get(botId);
+    return session ? [liveMarket, session.venue] : [liveMarket];
+}
+
+// Signed share quantity the bot holds in the market it is trading
+function positionOf(botId, symbol) {
+    const holding = venueFor(botId).portfolios.get(botId).holdings.get(symbol);
+    return holding ? holding.quantity : 0;
+}
+
 // Health check
 /**
  * @swagger
@@ -716,7 +1107,11 @@ app.get('/health', (req, res) => {
             heapUsed: (memoryUsage.heapUsed / 1024 / 1024).toFixed(2) + ' MB',
             heapTotal: (memoryUsage.heapTotal / 1024 / 1024).toFixed(2) + ' MB'
         },
-        websockets: wss.clients.size
+        websockets: wss.clients.size,
+        regime: liveMarket.regimes.describe(),
+        marketClock: MARKET_CLOCK ? MARKET_CLOCK.describe() : null,
+        alpacaStreams: alpacaStream.clientCount,
+        fixSessions: fixGateway ? fixGateway.sessions.size : null
     });
 });
 
@@ -853,12 +1248,12 @@ app.post('/api/chat/messages',
             const { addMessage } = require('./chat-manager');
             const msg = await addMessage(req.userId, text);
 
-            // Broadcast the new chat message to all connected WebSocket clients
+            // Broadcast the new chat message to all signed-in WebSocket users
             try {
                 const payload = JSON.stringify({ type: 'chat', message: msg });
                 wss.clients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(payload);
+                    if (client.readyState === WebSocket.OPEN && client.user) {
+                        client.outbox.send(payload);
                     }
                 });
             } catch (bcastErr) {
@@ -1209,8 +1604,14 @@ app.delete('/api/saves/:code/preset/:presetName', async (req, res) => {
 });
 
 // Register Bot
+// fee_schedule is optional: a preset name (percent, per_share,
+// zero_commission, tiered) or an object, see fee-schedule.js. Defaults to a
+// flat 0.1% commission. margin is optional too: true or an object overriding
+// the defaults in margin-account.js opens a margin account instead of cash.
+// risk_profile sets the pre-trade limits in risk-profile.js, and lot_method
+// (fifo, lifo or average) how sells relieve tax lots.
 app.post('/api/bot/register', (req, res) => {
-    const { name, type, api_key, description } = req.body;
+    const { name, type, api_key, description, fee_schedule, margin, risk_profile, lot_method } = req.body;
 
     if (!name || !api_key) {
         return res.status(400).json({
@@ -1218,6 +1619,34 @@ app.post('/api/bot/register', (req, res) => {
         });
     }
 
+    let feeSchedule;
+    try {
+        feeSchedule = normalizeFeeSchedule(fee_schedule);
+    } catch (error) {
+        return res.status(400).json({ error: `Invalid fee_schedule: ${error.message}` });
+    }
+
+    let marginAccount;
+    try {
+        marginAccount = normalizeMarginAccount(margin);
+    } catch (error) {
+        return res.status(400).json({ error: `Invalid margin: ${error.message}` });
+    }
+
+    let riskProfile;
+    try {
+        riskProfile = normalizeRiskProfile(risk_profile);
+    } catch (error) {
+        return res.status(400).json({ error: `Invalid risk_profile: ${error.message}` });
+    }
+
+    const lotMethod = (lot_method || 'fifo').toLowerCase();
+    if (!LOT_METHODS.includes(lotMethod)) {
+        return res.status(400).json({
+            error: `Invalid lot_method. Must be one of: ${LOT_METHODS.join(', ')}`
+        });
+    }
+
     const botId = `bot_${botIdCounter++}`;
     const bot = {
         id: botId,
@@ -1228,21 +1657,14 @@ app.post('/api/bot/register', (req, res) => {
         registeredAt: new Date(),
         lastHeartbeat: new Date(),
         status: 'connected',
-        totalOrders: 0,
-        filledOrders: 0,
-        rejectedOrders: 0
+        feeSchedule: feeSchedule,
+        margin: marginAccount,
+        riskProfile: riskProfile,
+        lotMethod: lotMethod
     };
 
-    bots.set(botId, bot);
-
-    // Initialize portfolio for bot
-    portfolios.set(botId, {
-        cash: 100000,
-        holdings: new Map(),
-        totalValue: 100000,
-        realizedGains: 0,
-        unrealizedGains: 0
-    });
+    // Opens the bot's portfolio with $100,000 cash
+    liveMarket.openAccount(bot);
 
     res.status(201).json({
         success: true,
@@ -1274,7 +1696,10 @@ app.post('/api/bot/:botId/disconnect', (req, res) => {
         return res.status(404).json({ error: 'Bot not found' });
     }
 
-    bot.status = 'disconnected';
+    // A halted bot stays halted until an admin resets it
+    if (bot.status !== 'halted') {
+        bot.status = 'disconnected';
+    }
     bot.lastHeartbeat = new Date();
 
     res.json({
@@ -1283,9 +1708,57 @@ app.post('/api/bot/:botId/disconnect', (req, res) => {
     });
 });
 
+// ==================== ORDER BOOK ====================
+
+/**
+ * Look up an order and check that the caller owns it: by api_key, or by bot
+ * id for an authenticated bot WebSocket. Orders placed during a training
+ * session are found on its venue. Returns { venue, order } or
+ * { error, statusCode }.
+ */
+function findBotOrder(orderId, apiKey, botId) {
+    const venue = [liveMarket, ...Array.from(trainingSessions.values(), session => session.venue)]
+        .find(candidate => candidate.orders.has(orderId));
+
+    if (!venue) {
+        return { error: 'Order not found', statusCode: 404 };
+    }
+
+    const order = venue.orders.get(orderId);
+    const bot = bots.get(order.bot_id);
+    if (!bot || (botId ? bot.id !== botId : bot.api_key !== apiKey)) {
+        return { error: 'Invalid api_key for this order', statusCode: 401 };
+    }
+
+    return { venue, order };
+}
+
+// REST wrapper around findBotOrder: sends the error response and returns null on failure
+function authorizeOrderRequest(req, res) {
+    const found = findBotOrder(req.params.orderId, req.body.api_key || req.headers['x-api-key']);
+    if (found.error) {
+        res.status(found.statusCode).json({ error: found.error });
+        return null;
+    }
+    return found;
+}
+
 // Place Order
+// order_type is one of market, limit, stop or stop_limit. When omitted it is
+// inferred from the prices supplied (limit_price alone means a limit order).
+// Limit and stop orders that cannot execute immediately rest as 'pending'
+// and are checked on every market update.
+// time_in_force is day (default), gtc, ioc or fok. DAY orders expire at the
+// simulated session close, GTC orders rest until filled or cancelled.
+// order_class 'bracket' adds a take_profit { limit_price } and stop_loss
+// { stop_price, limit_price? } exit pair that is held until the entry fills;
+// order_class 'oco' places that same pair straight away with no entry.
+// While the bot has a training session running its orders go to the
+// session's market instead of the live one.
+// A client_order_id the bot has already used is refused with 409 and the
+// order_id it was given, so a resent request never places a second order.
 app.post('/api/bot/order', (req, res) => {
-    const { bot_id, symbol, action, quantity, limit_price, api_key } = req.body;
+    const { bot_id, api_key } = req.body;
 
     // Validate authentication
     const bot = bots.get(bot_id);
@@ -1293,112 +1766,122 @@ app.post('/api/bot/order', (req, res) => {
         return res.status(401).json({ error: 'Invalid bot_id or api_key' });
     }
 
-    // Validate order
-    if (!symbol || !action || !quantity) {
-        return res.status(400).json({
-            error: 'Missing required fields: symbol, action, quantity'
-        });
+    const duplicate = checkClientOrderId(bot_id, req.body.client_order_id);
+    if (duplicate) {
+        return res.status(duplicate.statusCode).json(duplicate.order_id
+            ? { error: duplicate.error, order_id: duplicate.order_id }
+            : { error: duplicate.error });
     }
 
-    if (!['buy', 'sell'].includes(action.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid action. Must be "buy" or "sell"'
-        });
+    const result = placeBotOrder(bot_id, req.body);
+    if (result.error) {
+        return res.status(result.statusCode).json(result.reason_code
+            ? { success: false, error: result.error, reason_code: result.reason_code }
+            : { error: result.error });
     }
 
-    const market = marketData.get(symbol.toUpperCase());
-    if (!market) {
-        return res.status(404).json({ error: `Symbol '${symbol}' not found` });
-    }
-
-    const orderId = `order_${orderIdCounter++}`;
-    const price = limit_price || market.price;
-    const totalCost = price * quantity;
-
-    const portfolio = portfolios.get(bot_id);
-    const order = {
-        id: orderId,
-        bot_id: bot_id,
-        symbol: symbol.toUpperCase(),
-        action: action.toLowerCase(),
-        quantity: quantity,
-        price: price,
-        totalCost: totalCost,
-        status: 'pending',
-        createdAt: new Date(),
-        filledAt: null,
-        commission: totalCost * 0.001 // 0.1% commission
-    };
+    res.status(result.order.status !== 'rejected' ? 201 : 400).json(describeOrderResult(result.order, result.legs));
+});
 
-    // Check if order can be filled
-    let filled = false;
-    if (action.toLowerCase() === 'buy') {
-        if (portfolio.cash >= totalCost + order.commission) {
-            filled = true;
-        }
-    } else if (action.toLowerCase() === 'sell') {
-        const holding = portfolio.holdings.get(symbol.toUpperCase());
-        if (holding && holding.quantity >= quantity) {
-            filled = true;
-        }
+// A client_order_id names one of the bot's orders, so a resent request is
+// refused with the order it already placed instead of trading twice.
+// Returns { error, statusCode, order_id? } or null.
+function checkClientOrderId(botId, clientOrderId) {
+    if (clientOrderId === undefined || clientOrderId === null) {
+        return null;
+    }
+    if (typeof clientOrderId !== 'string' || !clientOrderId || clientOrderId.length > 128) {
+        return { error: 'client_order_id must be a string of at most 128 characters', statusCode: 400 };
     }
 
-    if (filled) {
-        // Execute order
-        order.status = 'filled';
-        order.filledAt = new Date();
-
-        if (action.toLowerCase() === 'buy') {
-            portfolio.cash -= totalCost + order.commission;
-            const holding = portfolio.holdings.get(symbol.toUpperCase());
-            if (holding) {
-                holding.quantity += quantity;
-                holding.costBasis += totalCost;
-            } else {
-                portfolio.holdings.set(symbol.toUpperCase(), {
-                    symbol: symbol.toUpperCase(),
-                    quantity: quantity,
-                    costBasis: totalCost,
-                    currentPrice: price
-                });
-            }
-        } else if (action.toLowerCase() === 'sell') {
-            portfolio.cash += (totalCost - order.commission);
-            const holding = portfolio.holdings.get(symbol.toUpperCase());
-            if (holding) {
-                holding.quantity -= quantity;
-                if (holding.quantity === 0) {
-                    portfolio.holdings.delete(symbol.toUpperCase());
-                }
-            }
-        }
+    // A replacement keeps the client_order_id, so report the latest order
+    const existing = venuesOf(botId)
+        .flatMap(venue => Array.from(venue.orders.values()))
+        .filter(order => order.bot_id === botId && order.client_order_id === clientOrderId)
+        .pop();
+    return existing
+        ? { error: `Duplicate client_order_id: ${clientOrderId}`, statusCode: 409, order_id: existing.id }
+        : null;
+}
 
-        bot.filledOrders++;
-    } else {
-        order.status = 'rejected';
-        order.rejectReason = action.toLowerCase() === 'buy'
-            ? 'Insufficient cash'
-            : 'Insufficient shares';
-        bot.rejectedOrders++;
+// Shared by the REST route and the place_order WebSocket message
+function placeBotOrder(botId, request) {
+    const venue = venueFor(botId);
+    return venue.placeOrder(venue.accounts.get(botId), request);
+}
+
+function describeOrderResult(order, legs) {
+    const accepted = order.status !== 'rejected';
+    return {
+        success: accepted,
+        order_id: order.id,
+        ...(legs ? { legs } : {}),
+        status: order.status,
+        filled_quantity: order.filledQuantity,
+        avg_fill_price: order.avgFillPrice,
+        message: order.status === 'filled' ? 'Order filled successfully'
+            : order.status === 'partially_filled' ? `Order partially filled (${order.filledQuantity}/${order.quantity}), remainder working`
+            : order.status === 'pending' ? `${order.type} order accepted and resting`
+            : order.status === 'cancelled' ? `Order cancelled: ${order.cancelReason}`
+            : `Order rejected: ${order.rejectReason}`
+    };
+}
+
+// Cancel Order
+// Pending, partially filled and held orders can be cancelled. Cancelling one
+// leg of an OCO pair cancels the other, and cancelling a bracket entry cancels
+// its legs. api_key may be sent in the body or the X-API-Key header.
+app.delete('/api/bot/order/:orderId', (req, res) => {
+    const found = authorizeOrderRequest(req, res);
+    if (!found) return;
+
+    const result = found.venue.cancelOrder(found.order);
+    if (result.error) {
+        return res.status(result.statusCode).json({ error: result.error });
     }
 
-    bot.totalOrders++;
-    orders.set(orderId, order);
+    res.json({
+        success: true,
+        order_id: result.order.id,
+        status: result.order.status,
+        message: 'Order cancelled'
+    });
+});
 
-    // Broadcast order to subscribed clients
-    broadcastOrderUpdate(orderId, order);
+// Cancel/Replace Order
+// The pending order is marked 'replaced' and a new order carrying the changed
+// quantity and prices is submitted in its place, keeping any bracket or OCO
+// links.
+app.patch('/api/bot/order/:orderId', (req, res) => {
+    const found = authorizeOrderRequest(req, res);
+    if (!found) return;
+
+    const { order } = found;
+    const result = found.venue.replaceOrder(order, req.body);
+    if (result.error) {
+        return res.status(result.statusCode).json(result.reason_code
+            ? { success: false, error: result.error, reason_code: result.reason_code }
+            : { error: result.error });
+    }
 
-    res.status(filled ? 201 : 400).json({
-        success: filled,
-        order_id: orderId,
-        status: order.status,
-        message: filled ? 'Order filled successfully' : `Order rejected: ${order.rejectReason}`
+    const { replacement } = result;
+    const accepted = replacement.status !== 'rejected';
+    res.status(accepted ? 200 : 400).json({
+        success: accepted,
+        order_id: replacement.id,
+        replaced_order_id: order.id,
+        status: replacement.status,
+        message: accepted
+            ? `Order ${order.id} replaced by ${replacement.id}`
+            : `Replacement rejected: ${replacement.rejectReason}`
     });
 });
 
 // Get Market Data
+// Pass bot_id to see the prices a bot in a training session is trading against
 app.get('/api/market/data', (req, res) => {
-    const { symbol } = req.query;
+    const { symbol, bot_id } = req.query;
+    const marketData = venueFor(bot_id).marketData;
 
     if (symbol) {
         const market = marketData.get(symbol.toUpperCase());
@@ -1414,66 +1897,257 @@ app.get('/api/market/data', (req, res) => {
     res.json(allMarkets);
 });
 
-// Get Portfolio
-app.get('/api/portfolio', (req, res) => {
-    const { bot_id } = req.query;
+// Get Borrow Availability
+app.get('/api/market/borrow', (req, res) => {
+    const { borrowRates, hardToBorrow } = liveMarket;
+    const symbols = Array.from(new Set([...borrowRates.keys(), ...hardToBorrow])).sort();
 
-    if (!bot_id) {
-        return res.status(400).json({ error: 'Missing bot_id' });
+    res.json({
+        defaultRate: liveMarket.defaultBorrowRate,
+        symbols: symbols.map(symbol => ({
+            symbol: symbol,
+            rate: liveMarket.getBorrowRate(symbol),
+            hardToBorrow: hardToBorrow.has(symbol)
+        }))
+    });
+});
+
+// Update Borrow Availability (admin). Body: { rate?, hard_to_borrow? }
+app.put('/api/market/borrow/:symbol', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change borrow availability' });
     }
 
-    const portfolio = portfolios.get(bot_id);
-    if (!portfolio) {
-        return res.status(404).json({ error: 'Portfolio not found' });
+    const symbol = req.params.symbol.toUpperCase();
+    if (!marketData.has(symbol)) {
+        return res.status(404).json({ error: 'Symbol not found' });
     }
 
-    // Calculate portfolio value
-    let totalValue = portfolio.cash;
-    const holdings = [];
+    const { rate, hard_to_borrow } = req.body;
+    if (rate !== undefined && !(Number(rate) >= 0)) {
+        return res.status(400).json({ error: 'rate must be a non-negative annual rate' });
+    }
+    if (hard_to_borrow !== undefined && typeof hard_to_borrow !== 'boolean') {
+        return res.status(400).json({ error: 'hard_to_borrow must be a boolean' });
+    }
 
-    portfolio.holdings.forEach((holding) => {
-        const market = marketData.get(holding.symbol);
-        const currentValue = (market ? market.price : 0) * holding.quantity;
-        totalValue += currentValue;
-        holdings.push({
-            symbol: holding.symbol,
-            quantity: holding.quantity,
-            costBasis: holding.costBasis,
-            currentValue: currentValue,
-            gainLoss: currentValue - holding.costBasis
-        });
+    liveMarket.setBorrow(symbol, {
+        rate: rate !== undefined ? Number(rate) : undefined,
+        hardToBorrow: hard_to_borrow
     });
+    const isHardToBorrow = liveMarket.hardToBorrow.has(symbol);
+
+    logger.info(`[Market] Borrow for ${symbol} set to ${liveMarket.getBorrowRate(symbol)}${isHardToBorrow ? ' (hard to borrow)' : ''}`);
 
     res.json({
-        bot_id: bot_id,
-        cash: portfolio.cash,
-        holdings: holdings,
-        totalValue: totalValue,
-        realizedGains: portfolio.realizedGains,
-        unrealizedGains: totalValue - 100000, // Assuming 100k starting
-        percentReturn: ((totalValue - 100000) / 100000 * 100).toFixed(2) + '%'
+        symbol: symbol,
+        rate: liveMarket.getBorrowRate(symbol),
+        hardToBorrow: isHardToBorrow
     });
 });
 
-// Get list of all registered bots (admin/overview)
-app.get('/api/bots', (req, res) => {
-    const botArray = Array.from(bots.entries()).map(([id, bot]) => {
-        const portfolio = portfolios.get(id);
-        const profit = portfolio ? portfolio.unrealizedGains : 0;
-        return {
-            bot_id: id,
-            name: bot.name,
-            status: bot.status,
-            registeredAt: bot.registeredAt,
-            lastHeartbeat: bot.lastHeartbeat,
-            totalOrders: bot.totalOrders,
-            filledOrders: bot.filledOrders,
-            rejectedOrders: bot.rejectedOrders,
-            winRate: bot.filledOrders + bot.rejectedOrders > 0
-                ? (bot.filledOrders / (bot.filledOrders + bot.rejectedOrders) * 100).toFixed(2) + '%'
-                : '0%',
-            currentProfit: profit,
-            profitPercentage: portfolio ? ((profit / 100000) * 100).toFixed(2) + '%' : '0%'
+// Get Market Clock: the live market's session (pre, regular, post or
+// closed), its simulated market time and the next regular open and close.
+// Without the calendar the market trades around the clock.
+app.get('/api/market/clock', (req, res) => {
+    const session = { day: liveMarket.session.day, tick: liveMarket.session.tick, ticksPerSession: liveMarket.ticksPerSession };
+    if (!liveMarket.clock) {
+        return res.json({ calendar: false, phase: 'regular', is_open: true, session: session });
+    }
+    res.json({
+        calendar: true,
+        ...liveMarket.clock.describe(),
+        closed_orders: liveMarket.closedOrderPolicy,
+        session: session
+    });
+});
+
+// Get Market Regime: the regime in force, the scenario running and every
+// regime that can be set
+app.get('/api/market/regime', (req, res) => {
+    const { regimes } = liveMarket;
+    res.json({
+        current: regimes.describe(),
+        scenario: regimes.scenario,
+        regimes: Object.fromEntries(regimes.definitions)
+    });
+});
+
+// Set Market Regime (admin). Body: { regime, days?, ticks? }; with a length
+// the previous regime returns afterwards
+app.put('/api/market/regime', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change the market regime' });
+    }
+
+    const { regime, days, ticks } = req.body;
+    try {
+        liveMarket.regimes.setRegime(regime, { days, ticks }, liveMarket.now());
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.info(`[Market] Regime set to ${regime}${days || ticks ? ` for ${days || 0} days ${ticks || 0} ticks` : ''} by ${req.userId}`);
+    res.json({ current: liveMarket.regimes.describe(), scenario: liveMarket.regimes.scenario });
+});
+
+// Define Market Regime (admin). Body: { description?, drift?, volatility?,
+// correlation?, jumps?, reversion? }; unset parameters come from normal
+app.put('/api/market/regimes/:name', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can define market regimes' });
+    }
+
+    try {
+        const regime = liveMarket.regimes.define(req.params.name, req.body);
+        logger.info(`[Market] Regime ${req.params.name} defined by ${req.userId}`);
+        res.json({ name: req.params.name, ...regime });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Run Regime Scenario (admin). Body: { name?, loop?, regimes?, steps }, the
+// same shape as REGIME_SCENARIO_FILE
+app.post('/api/market/scenario', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can run regime scenarios' });
+    }
+
+    try {
+        const scenario = liveMarket.regimes.loadScenario(req.body, liveMarket.now());
+        logger.info(`[Market] Scenario ${scenario.name} started by ${req.userId}: ${scenario.steps.map(step => step.regime).join(' -> ')}`);
+        res.json({ current: liveMarket.regimes.describe(), scenario: scenario });
+    } catch (error) {
+        res.status(400).json({ error: `Invalid scenario: ${error.message}` });
+    }
+});
+
+// Stop Regime Scenario (admin); the current regime stays in force
+app.delete('/api/market/scenario', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can stop regime scenarios' });
+    }
+
+    liveMarket.regimes.stopScenario();
+    logger.info(`[Market] Scenario stopped by ${req.userId}`);
+    res.json({ current: liveMarket.regimes.describe() });
+});
+
+// Market Shock (admin). Body: { move, symbols?, sector? }; applied on the
+// next market update, market-wide shocks scaled by each stock's beta
+app.post('/api/market/shock', verifyToken, (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can shock the market' });
+    }
+
+    let shock;
+    try {
+        shock = normalizeShock(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const unknown = (shock.symbols || []).filter(symbol => !marketData.has(symbol));
+    if (unknown.length > 0) {
+        return res.status(404).json({ error: `Unknown symbols: ${unknown.join(', ')}` });
+    }
+    if (shock.sector && !Array.from(marketData.values()).some(stock => stock.sector === shock.sector)) {
+        return res.status(404).json({ error: `Unknown sector: ${shock.sector}` });
+    }
+
+    liveMarket.regimes.addShock(shock);
+    logger.info(`[Market] Shock of ${(shock.move * 100).toFixed(1)}% queued for ${shock.symbols ? shock.symbols.join(', ') : shock.sector || 'the market'} by ${req.userId}`);
+    res.json({ queued: shock });
+});
+
+// Get Portfolio
+app.get('/api/portfolio', (req, res) => {
+    const { bot_id } = req.query;
+
+    if (!bot_id) {
+        return res.status(400).json({ error: 'Missing bot_id' });
+    }
+
+    const summary = describePortfolio(bot_id);
+    if (!summary) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    res.json(summary);
+});
+
+/**
+ * The bot's cash, holdings and P&L as /api/portfolio and the
+ * portfolio:<botId> WebSocket channel report them, or null if it has none.
+ * Uses the training portfolio while a session is running.
+ */
+function describePortfolio(botId) {
+    const venue = venueFor(botId);
+    const portfolio = venue.portfolios.get(botId);
+    if (!portfolio) {
+        return null;
+    }
+
+    // Shorts carry negative quantity, cost basis and value, so gain/loss
+    // works out the same way for both sides
+    const bot = venue.accounts.get(botId);
+    const initialCapital = bot.initialCapital || 100000;
+    const { equity: totalValue, longMarketValue, shortMarketValue, unrealizedGains } = venue.valuePortfolio(portfolio);
+    const holdings = [];
+
+    portfolio.holdings.forEach((holding) => {
+        const market = venue.marketData.get(holding.symbol);
+        const currentValue = (market ? market.price : holding.currentPrice) * holding.quantity;
+        holdings.push({
+            symbol: holding.symbol,
+            side: holding.quantity < 0 ? 'short' : 'long',
+            quantity: holding.quantity,
+            costBasis: holding.costBasis,
+            avgCost: holding.costBasis / holding.quantity,
+            currentValue: currentValue,
+            gainLoss: currentValue - holding.costBasis,
+            borrowFees: holding.borrowFees || 0,
+            lots: holding.lots
+        });
+    });
+
+    return {
+        bot_id: botId,
+        cash: portfolio.cash,
+        holdings: holdings,
+        longMarketValue: longMarketValue,
+        shortMarketValue: shortMarketValue,
+        borrowFees: portfolio.borrowFees,
+        marginInterest: portfolio.marginInterest,
+        margin: venue.getAccountMarginStatus(bot),
+        totalValue: totalValue,
+        ...(venue !== liveMarket ? { training: true } : {}),
+        lotMethod: bot.lotMethod,
+        realizedGains: portfolio.realizedGains,
+        unrealizedGains: unrealizedGains,
+        percentReturn: ((totalValue - initialCapital) / initialCapital * 100).toFixed(2) + '%'
+    };
+}
+
+// Get list of all registered bots (admin/overview)
+app.get('/api/bots', (req, res) => {
+    const botArray = Array.from(bots.entries()).map(([id, bot]) => {
+        const portfolio = portfolios.get(id);
+        const profit = portfolio ? portfolio.realizedGains + portfolio.unrealizedGains : 0;
+        return {
+            bot_id: id,
+            name: bot.name,
+            status: bot.status,
+            registeredAt: bot.registeredAt,
+            lastHeartbeat: bot.lastHeartbeat,
+            totalOrders: bot.totalOrders,
+            filledOrders: bot.filledOrders,
+            rejectedOrders: bot.rejectedOrders,
+            winRate: bot.filledOrders + bot.rejectedOrders > 0
+                ? (bot.filledOrders / (bot.filledOrders + bot.rejectedOrders) * 100).toFixed(2) + '%'
+                : '0%',
+            currentProfit: profit,
+            profitPercentage: portfolio ? ((profit / 100000) * 100).toFixed(2) + '%' : '0%'
         };
     });
     res.json({ bots: botArray });
@@ -1490,19 +2164,9 @@ app.post('/api/bot/demo', (req, res) => {
         description: 'Automatically generated demo bot',
         registeredAt: new Date(),
         lastHeartbeat: new Date(),
-        status: 'connected',
-        totalOrders: 0,
-        filledOrders: 0,
-        rejectedOrders: 0
+        status: 'connected'
     };
-    bots.set(botId, bot);
-    portfolios.set(botId, {
-        cash: 100000,
-        holdings: new Map(),
-        totalValue: 100000,
-        realizedGains: 0,
-        unrealizedGains: 0
-    });
+    liveMarket.openAccount(bot);
     res.json({ success: true, bot_id: botId, name: bot.name, dashboard_url: `/bot-dashboard.html?botId=${botId}` });
 });
 
@@ -1516,7 +2180,7 @@ app.get('/api/bot/:botId/stats', (req, res) => {
     }
 
     const portfolio = portfolios.get(botId);
-    const profit = portfolio ? portfolio.unrealizedGains : 0;
+    const profit = portfolio ? portfolio.realizedGains + portfolio.unrealizedGains : 0;
 
     res.json({
         bot_id: botId,
@@ -1547,24 +2211,484 @@ app.get('/api/bot/:botId/orders', (req, res) => {
         orders: botOrders,
         total: botOrders.length,
         filled: botOrders.filter(o => o.status === 'filled').length,
+        pending: botOrders.filter(o => o.status === 'pending').length,
+        partiallyFilled: botOrders.filter(o => o.status === 'partially_filled').length,
+        held: botOrders.filter(o => o.status === 'held').length,
+        cancelled: botOrders.filter(o => o.status === 'cancelled').length,
+        expired: botOrders.filter(o => o.status === 'expired').length,
+        replaced: botOrders.filter(o => o.status === 'replaced').length,
         rejected: botOrders.filter(o => o.status === 'rejected').length
     });
 });
 
+// ==================== GYM ENVIRONMENTS ====================
+// Step-based RL environments (see gym-environment.js), each with its own
+// seeded market. The REST routes and the gym_* WebSocket messages share the
+// helpers below, which return { error, statusCode } on failure.
+
+function openGymEnvironment({ bot_id, api_key, seed, config }) {
+    const bot = bots.get(bot_id);
+    if (!bot || bot.api_key !== api_key) {
+        return { error: 'Invalid bot_id or api_key', statusCode: 401 };
+    }
+
+    if (gymEnvironments.size >= GYM_MAX_ENVIRONMENTS) {
+        return { error: `Limit of ${GYM_MAX_ENVIRONMENTS} environments reached. Close one first`, statusCode: 429 };
+    }
+
+    const env = new GymEnvironment(`env_${gymIdCounter++}`, bot);
+    const result = resetGymEnvironment(env, seed, config);
+    if (result.error) return result;
+
+    gymEnvironments.set(env.id, env);
+    logger.info(`[Gym] ${env.id} opened for ${bot_id} (seed ${env.seed})`);
+    return result;
+}
+
+// botId is set for bot WebSocket connections, which use their own
+// environments without an api_key
+function authorizeGymRequest(envId, apiKey, botId) {
+    const env = gymEnvironments.get(envId);
+    if (!env) {
+        return { error: 'Environment not found', statusCode: 404 };
+    }
+    if (botId ? env.bot.id !== botId : env.bot.api_key !== apiKey) {
+        return { error: 'Invalid api_key for this environment', statusCode: 401 };
+    }
+    return { env };
+}
+
+function resetGymEnvironment(env, seed, config) {
+    try {
+        return { env_id: env.id, observation: env.reset(seed, config) };
+    } catch (error) {
+        return { error: `Invalid config: ${error.message}`, statusCode: 400 };
+    }
+}
+
+function stepGymEnvironment(env, actions = []) {
+    if (!Array.isArray(actions)) {
+        return { error: 'actions must be an array of orders or { cancel: order_id }', statusCode: 400 };
+    }
+    if (env.done) {
+        return { error: 'Episode is done. Reset to start a new one', statusCode: 409 };
+    }
+    return { env_id: env.id, ...env.step(actions) };
+}
+
+function closeGymEnvironment(env) {
+    gymEnvironments.delete(env.id);
+    logger.info(`[Gym] ${env.id} closed after ${env.stepCount || 0} steps`);
+}
+
+function sendGymResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(result.statusCode).json({ error: result.error });
+    }
+    res.status(successStatus).json(result);
+}
+
+/**
+ * Gym Spec
+ * GET /api/gym/spec
+ * Config defaults, reward functions and the action format
+ */
+app.get('/api/gym/spec', (req, res) => {
+    res.json({
+        defaults: GYM_DEFAULTS,
+        rewards: REWARDS,
+        actions: 'Array of /api/bot/order style orders (symbol, action, quantity, order_type, limit_price, stop_price, time_in_force, order_class, take_profit, stop_loss) or { cancel: order_id }',
+        maxEnvironments: GYM_MAX_ENVIRONMENTS,
+        idleMinutes: GYM_IDLE_MINUTES
+    });
+});
+
+/**
+ * Create Gym Environment
+ * POST /api/gym/envs
+ * Body: { bot_id, api_key, seed?, config? }. Returns the first observation.
+ */
+app.post('/api/gym/envs', (req, res) => {
+    sendGymResult(res, openGymEnvironment(req.body), 201);
+});
+
+/**
+ * Get Gym Environment
+ * GET /api/gym/envs/:envId
+ * api_key in the X-API-Key header
+ */
+app.get('/api/gym/envs/:envId', (req, res) => {
+    const found = authorizeGymRequest(req.params.envId, req.headers['x-api-key']);
+    if (found.error) return sendGymResult(res, found);
+
+    res.json(found.env.describe());
+});
+
+/**
+ * Reset Gym Environment
+ * POST /api/gym/envs/:envId/reset
+ * Body: { api_key, seed?, config? }. A config replaces the current one.
+ */
+app.post('/api/gym/envs/:envId/reset', (req, res) => {
+    const found = authorizeGymRequest(req.params.envId, req.body.api_key || req.headers['x-api-key']);
+    if (found.error) return sendGymResult(res, found);
+
+    sendGymResult(res, resetGymEnvironment(found.env, req.body.seed, req.body.config));
+});
+
+/**
+ * Step Gym Environment
+ * POST /api/gym/envs/:envId/step
+ * Body: { api_key, actions }. Returns observation, reward, done and info.
+ */
+app.post('/api/gym/envs/:envId/step', (req, res) => {
+    const found = authorizeGymRequest(req.params.envId, req.body.api_key || req.headers['x-api-key']);
+    if (found.error) return sendGymResult(res, found);
+
+    sendGymResult(res, stepGymEnvironment(found.env, req.body.actions));
+});
+
+/**
+ * Close Gym Environment
+ * DELETE /api/gym/envs/:envId
+ */
+app.delete('/api/gym/envs/:envId', (req, res) => {
+    const found = authorizeGymRequest(req.params.envId, req.body.api_key || req.headers['x-api-key']);
+    if (found.error) return sendGymResult(res, found);
+
+    closeGymEnvironment(found.env);
+    res.json({ success: true, env_id: found.env.id, message: 'Environment closed' });
+});
+
+// Close environments nobody has touched for GYM_IDLE_MINUTES
+setInterval(() => {
+    const cutoff = Date.now() - GYM_IDLE_MINUTES * 60000;
+    gymEnvironments.forEach((env) => {
+        if (env.lastUsedAt.getTime() < cutoff) {
+            closeGymEnvironment(env);
+        }
+    });
+}, 60000);
+
+// ==================== ALPACA API ====================
+// Alpaca Trading API v2 facade (see alpaca-api.js), so bots written for
+// Alpaca only need their base URL changed. APCA-API-KEY-ID is the bot id and
+// APCA-API-SECRET-KEY its api_key. Orders take the same path as
+// /api/bot/order, so a running training session's market is used. Errors
+// follow Alpaca's { code, message }.
+
+const alpacaStream = new AlpacaStream({
+    authenticate: findBot,
+    describeOrder: describeAlpacaOrder,
+    positionOf: positionOf,
+    marketData: marketData
+});
+
+// Alpaca stream paths go to alpacaStream, everything else to the bot and user socket
+server.on('upgrade', (req, socket, head) => {
+    if (alpacaStream.handleUpgrade(req, socket, head)) return;
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+});
+
+function sendAlpacaError(res, status, message) {
+    res.status(status).json(alpacaError(status, message));
+}
+
+app.use('/v2', (req, res, next) => {
+    const bot = findBot(req.headers['apca-api-key-id'], req.headers['apca-api-secret-key']);
+    if (!bot) {
+        return sendAlpacaError(res, 401, 'request is not authorized');
+    }
+    req.bot = bot;
+    req.venue = venueFor(bot.id);
+    next();
+});
+
+function alpacaOrdersOf(botId) {
+    return venuesOf(botId).flatMap(venue => Array.from(venue.orders.values()).filter(order => order.bot_id === botId));
+}
+
+// The bot's order by Alpaca UUID or simulator id, as { venue, order }, or null
+function findAlpacaOrder(botId, id) {
+    for (const venue of venuesOf(botId)) {
+        for (const order of venue.orders.values()) {
+            if (order.bot_id === botId && (order.id === id || alpacaId('order', order.id) === id)) {
+                return { venue, order };
+            }
+        }
+    }
+    return null;
+}
+
+function describeAlpacaOrder(order) {
+    const venue = venuesOf(order.bot_id).find(candidate => candidate.orders.has(order.id)) || liveMarket;
+    return toAlpacaOrder(order, venue.orders);
+}
+
+/**
+ * Place an order from a POST /v2/orders body. Returns { status, body } with
+ * the Alpaca order, or an error; orders rejected on arrival are errors too,
+ * as Alpaca reports them.
+ */
+function placeAlpacaOrder(botId, body) {
+    const symbol = String(body.symbol || '').toUpperCase();
+    const parsed = fromAlpacaOrderRequest(body, positionOf(botId, symbol));
+    if (parsed.error) {
+        return { status: 422, body: alpacaError(422, parsed.error) };
+    }
+
+    const clientOrderId = parsed.request.client_order_id;
+    if (clientOrderId && alpacaOrdersOf(botId).some(order => order.client_order_id === clientOrderId)) {
+        return { status: 422, body: alpacaError(422, 'client_order_id must be unique') };
+    }
+
+    const result = placeBotOrder(botId, parsed.request);
+    if (result.error) {
+        const status = toAlpacaStatus(result.statusCode);
+        return { status: status, body: alpacaError(status, result.error) };
+    }
+    if (result.order.status === 'rejected') {
+        return { status: 403, body: alpacaError(403, result.order.rejectReason) };
+    }
+    return { status: 200, body: describeAlpacaOrder(result.order) };
+}
+
+/**
+ * Close all or part of a position with a market order: qty shares, or
+ * percentage of it. Returns { status, body } like placeAlpacaOrder.
+ */
+function closeAlpacaPosition(botId, symbol, { qty, percentage } = {}) {
+    const position = positionOf(botId, symbol);
+    if (position === 0) {
+        return { status: 404, body: alpacaError(404, 'position does not exist') };
+    }
+
+    const held = Math.abs(position);
+    const quantity = qty !== undefined ? Number(qty)
+        : percentage !== undefined ? Math.floor(held * Number(percentage) / 100)
+        : held;
+    if (!(quantity > 0 && quantity <= held)) {
+        return { status: 422, body: alpacaError(422, `qty must be between 1 and ${held}`) };
+    }
+
+    return placeAlpacaOrder(botId, {
+        symbol: symbol,
+        qty: quantity,
+        side: position > 0 ? 'sell' : 'buy',
+        type: 'market',
+        time_in_force: 'day'
+    });
+}
+
+// Get Account
+app.get('/v2/account', (req, res) => {
+    const { venue, bot } = req;
+    const account = venue.accounts.get(bot.id);
+    const portfolio = venue.portfolios.get(bot.id);
+    res.json(toAlpacaAccount(
+        { ...account, registeredAt: bot.registeredAt },
+        portfolio,
+        venue.valuePortfolio(portfolio),
+        venue.getAccountMarginStatus(account)
+    ));
+});
+
+// Get Clock
+app.get('/v2/clock', (req, res) => {
+    res.json(toAlpacaClock(req.venue));
+});
+
+/**
+ * List Orders
+ * GET /v2/orders?status&limit&after&until&direction&nested&symbols
+ */
+app.get('/v2/orders', (req, res) => {
+    const selected = selectOrders(alpacaOrdersOf(req.bot.id), req.query);
+    if (selected.error) {
+        return sendAlpacaError(res, 422, selected.error);
+    }
+    res.json(selected.orders.map(describeAlpacaOrder));
+});
+
+/**
+ * Place Order
+ * POST /v2/orders
+ * Body: { symbol, qty, side, type, time_in_force, limit_price?, stop_price?,
+ * client_order_id?, order_class?, take_profit?, stop_loss? }. A sell with no
+ * long position opens a short and a buy against a short covers it.
+ */
+app.post('/v2/orders', (req, res) => {
+    const { status, body } = placeAlpacaOrder(req.bot.id, req.body);
+    res.status(status).json(body);
+});
+
+// Cancel All Orders (207 with one entry per order)
+app.delete('/v2/orders', (req, res) => {
+    const results = [];
+    venuesOf(req.bot.id).forEach((venue) => {
+        Array.from(venue.orders.values())
+            .filter(order => order.bot_id === req.bot.id && (isOrderWorking(order) || order.status === 'held') && !order.parent_id)
+            .forEach((order) => {
+                const result = venue.cancelOrder(order);
+                results.push({
+                    id: alpacaId('order', order.id),
+                    status: result.error ? toAlpacaStatus(result.statusCode) : 200,
+                    body: result.error ? alpacaError(toAlpacaStatus(result.statusCode), result.error) : describeAlpacaOrder(order)
+                });
+            });
+    });
+    res.status(207).json(results);
+});
+
+// Get Order by Client Order ID
+app.get('/v2/orders\\:by_client_order_id', (req, res) => {
+    // A replacement keeps the client_order_id, so the latest order wins
+    const order = alpacaOrdersOf(req.bot.id)
+        .filter(candidate => candidate.client_order_id === req.query.client_order_id)
+        .pop();
+    if (!order) {
+        return sendAlpacaError(res, 404, 'order not found');
+    }
+    res.json(describeAlpacaOrder(order));
+});
+
+// Get Order
+app.get('/v2/orders/:orderId', (req, res) => {
+    const found = findAlpacaOrder(req.bot.id, req.params.orderId);
+    if (!found) {
+        return sendAlpacaError(res, 404, 'order not found');
+    }
+    res.json(describeAlpacaOrder(found.order));
+});
+
+/**
+ * Replace Order
+ * PATCH /v2/orders/:orderId
+ * Body: { qty?, limit_price?, stop_price?, client_order_id? }. Returns the new order.
+ */
+app.patch('/v2/orders/:orderId', (req, res) => {
+    const found = findAlpacaOrder(req.bot.id, req.params.orderId);
+    if (!found) {
+        return sendAlpacaError(res, 404, 'order not found');
+    }
+
+    const result = found.venue.replaceOrder(found.order, fromAlpacaReplaceRequest(req.body));
+    if (result.error) {
+        return sendAlpacaError(res, toAlpacaStatus(result.statusCode), result.error);
+    }
+    if (result.replacement.status === 'rejected') {
+        return sendAlpacaError(res, 403, result.replacement.rejectReason);
+    }
+    res.json(describeAlpacaOrder(result.replacement));
+});
+
+// Cancel Order (204 on success)
+app.delete('/v2/orders/:orderId', (req, res) => {
+    const found = findAlpacaOrder(req.bot.id, req.params.orderId);
+    if (!found) {
+        return sendAlpacaError(res, 404, 'order not found');
+    }
+
+    const result = found.venue.cancelOrder(found.order);
+    if (result.error) {
+        return sendAlpacaError(res, toAlpacaStatus(result.statusCode), result.error);
+    }
+    res.status(204).end();
+});
+
+// List Positions
+app.get('/v2/positions', (req, res) => {
+    const { venue, bot } = req;
+    const holdings = Array.from(venue.portfolios.get(bot.id).holdings.values());
+    res.json(holdings.map(holding => toAlpacaPosition(holding, venue.marketData.get(holding.symbol))));
+});
+
+// Close All Positions (207 with one entry per position); ?cancel_orders=true cancels open orders first
+app.delete('/v2/positions', (req, res) => {
+    const { venue, bot } = req;
+    if (req.query.cancel_orders === 'true') {
+        Array.from(venue.orders.values())
+            .filter(order => order.bot_id === bot.id && (isOrderWorking(order) || order.status === 'held') && !order.parent_id)
+            .forEach(order => venue.cancelOrder(order));
+    }
+
+    const symbols = Array.from(venue.portfolios.get(bot.id).holdings.keys());
+    res.status(207).json(symbols.map((symbol) => {
+        const { status, body } = closeAlpacaPosition(bot.id, symbol);
+        return { symbol: symbol, status: status, body: body };
+    }));
+});
+
+// Get Position, by symbol or asset id
+app.get('/v2/positions/:symbol', (req, res) => {
+    const { venue, bot } = req;
+    const holding = Array.from(venue.portfolios.get(bot.id).holdings.values()).find(candidate =>
+        candidate.symbol === req.params.symbol.toUpperCase() || alpacaId('asset', candidate.symbol) === req.params.symbol);
+    if (!holding) {
+        return sendAlpacaError(res, 404, 'position does not exist');
+    }
+    res.json(toAlpacaPosition(holding, venue.marketData.get(holding.symbol)));
+});
+
+// Close Position, optionally ?qty or ?percentage of it
+app.delete('/v2/positions/:symbol', (req, res) => {
+    const { status, body } = closeAlpacaPosition(req.bot.id, req.params.symbol.toUpperCase(), req.query);
+    res.status(status).json(body);
+});
+
+// List Assets (?status=active and ?asset_class=us_equity match everything listed)
+app.get('/v2/assets', (req, res) => {
+    const { status, asset_class } = req.query;
+    if ((status && status !== 'active') || (asset_class && asset_class !== 'us_equity')) {
+        return res.json([]);
+    }
+    res.json(STOCKS.filter(stock => marketData.has(stock.symbol))
+        .map(stock => toAlpacaAsset(stock, liveMarket.hardToBorrow.has(stock.symbol))));
+});
+
+// Get Asset, by symbol or asset id
+app.get('/v2/assets/:symbol', (req, res) => {
+    const stock = STOCKS.find(candidate =>
+        candidate.symbol === req.params.symbol.toUpperCase() || alpacaId('asset', candidate.symbol) === req.params.symbol);
+    if (!stock) {
+        return sendAlpacaError(res, 404, 'asset not found');
+    }
+    res.json(toAlpacaAsset(stock, liveMarket.hardToBorrow.has(stock.symbol)));
+});
+
 /**
  * WebSocket Handlers
  */
 
 wss.on('connection', (ws, req) => {
-    const userId = req.user?.userId || 'unknown';
     const clientId = Math.random().toString(36).substr(2, 9);
-    logger.info(`[WebSocket] Client connected: ${clientId} (${userId})`);
+    ws.clientId = clientId;
+    ws.user = req.user;
+    ws.botId = req.bot ? req.bot.id : null;
+    ws.outbox = new ClientOutbox(ws, (reason) => {
+        logger.warn(`[WebSocket] Disconnecting slow client ${clientId} (${describeClient(ws)}): ${reason}`);
+    });
+    logger.info(`[WebSocket] Client connected: ${clientId} (${describeClient(ws)})`);
+
+    if (!ws.user && !ws.botId) {
+        ws.authTimer = setTimeout(() => {
+            logger.warn(`[WebSocket] Client ${clientId} did not authenticate in time`);
+            ws.close(4001, 'Authentication timeout');
+        }, WS_AUTH_TIMEOUT_MS);
+    }
 
     // Handle incoming messages
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message);
 
+            if (data.type === 'auth') {
+                return handleAuth(ws, data);
+            }
+            if (!ws.user && !ws.botId && data.type !== 'ping') {
+                return ws.outbox.send(JSON.stringify({ type: 'auth_error', error: 'Authenticate first: { type: "auth", bot_id, api_key }' }));
+            }
+
             switch (data.type) {
                 case 'subscribe':
                     handleSubscribe(clientId, ws, data);
@@ -1572,20 +2696,38 @@ wss.on('connection', (ws, req) => {
                 case 'unsubscribe':
                     handleUnsubscribe(clientId, data);
                     break;
+                case 'resume':
+                    handleResume(clientId, ws, data);
+                    break;
+                case 'set_rate':
+                    handleSetRate(ws, data);
+                    break;
                 case 'ping':
-                    ws.send(JSON.stringify({ type: 'pong', timestamp: new Date() }));
+                    ws.outbox.send(JSON.stringify({ type: 'pong', timestamp: new Date() }));
+                    break;
+                case 'place_order':
+                case 'cancel_order':
+                case 'get_portfolio':
+                    handleOrderMessage(ws, data);
+                    break;
+                case 'gym_create':
+                case 'gym_reset':
+                case 'gym_step':
+                case 'gym_close':
+                    handleGymMessage(ws, data);
                     break;
                 default:
-                    ws.send(JSON.stringify({ error: 'Unknown message type' }));
+                    ws.outbox.send(JSON.stringify({ error: 'Unknown message type' }));
             }
         } catch (error) {
             logger.error(`[WebSocket] Message handling error: ${error.message}`);
-            ws.send(JSON.stringify({ error: 'Invalid message format' }));
+            ws.outbox.send(JSON.stringify({ error: 'Invalid message format' }));
         }
     });
 
     ws.on('close', () => {
         logger.info(`[WebSocket] Client disconnected: ${clientId}`);
+        clearTimeout(ws.authTimer);
         subscriptions.delete(clientId);
     });
 
@@ -1594,30 +2736,286 @@ wss.on('connection', (ws, req) => {
     });
 });
 
+function describeClient(ws) {
+    if (ws.botId) return `bot ${ws.botId}`;
+    return ws.user ? ws.user.userId : 'unauthenticated';
+}
+
+/**
+ * { type: 'auth', bot_id, api_key } binds a connection opened without
+ * credentials to that bot. Failed attempts close the connection.
+ */
+function handleAuth(ws, data) {
+    if (ws.user || ws.botId) {
+        return ws.outbox.send(JSON.stringify({ type: 'auth_error', error: `Already authenticated as ${describeClient(ws)}` }));
+    }
+
+    const bot = findBot(data.bot_id, data.api_key);
+    if (!bot) {
+        logger.warn(`[WebSocket] Auth failed for ${data.bot_id} on ${ws.clientId}`);
+        ws.outbox.send(JSON.stringify({ type: 'auth_error', error: 'Invalid bot_id or api_key' }));
+        return ws.close(4001, 'Authentication failed');
+    }
+
+    clearTimeout(ws.authTimer);
+    ws.botId = bot.id;
+    logger.info(`[WebSocket] Client ${ws.clientId} authenticated as bot ${bot.id}`);
+    ws.outbox.send(JSON.stringify({ type: 'authenticated', bot_id: bot.id }));
+}
+
+/**
+ * Channels:
+ *   market_data           every market update
+ *   market_data:<symbol>  one symbol's quotes
+ *   orders:<botId>        the bot's order updates
+ *   portfolio:<botId>     the bot's portfolio after fills and price moves,
+ *                         plus halts, margin calls and training results
+ * A bot connection may only use its own bot channels. A user connection needs
+ * the bot's api_key in the subscribe message, or an admin token.
+ */
+function authorizeChannel(ws, channel, apiKey) {
+    if (typeof channel !== 'string' || !channel) {
+        return 'Missing channel';
+    }
+
+    const [name, key] = channel.split(':');
+    if (name === 'market_data') {
+        if (key !== undefined && !marketData.has(key)) {
+            return `Unknown symbol: ${key}`;
+        }
+        return null;
+    }
+
+    if ((name === 'orders' || name === 'portfolio') && key) {
+        // An unknown bot gets the same answer as someone else's, so the
+        // error does not reveal which bot ids exist
+        const bot = bots.get(key);
+        if (!bot) {
+            return `Not authorized for ${channel}`;
+        }
+        if (ws.botId) {
+            return ws.botId === key ? null : `Not authorized for ${channel}`;
+        }
+        if (ws.user?.role !== 'admin' && bot.api_key !== apiKey) {
+            return `Not authorized for ${channel}`;
+        }
+        return null;
+    }
+
+    return `Unknown channel: ${channel}. Use market_data, market_data:<symbol>, orders:<botId> or portfolio:<botId>`;
+}
+
 function handleSubscribe(clientId, ws, data) {
     const { channel } = data;
 
+    const error = authorizeChannel(ws, channel, data.api_key);
+    if (error) {
+        logger.warn(`[WebSocket] Subscribe to ${channel} refused for ${clientId}: ${error}`);
+        return ws.outbox.send(JSON.stringify({ type: 'subscribe_error', channel: channel, error: error }));
+    }
+
+    addSubscription(clientId, channel);
+
+    // Send initial data based on channel
+    sendChannelSnapshot(ws, channel);
+
+    const feed = channelFeeds.get(channel);
+    ws.outbox.send(JSON.stringify({
+        type: 'subscribed',
+        channel: channel,
+        ...(feed ? { seq: feed.seq } : {}),
+        message: `Subscribed to ${channel}`
+    }));
+}
+
+function addSubscription(clientId, channel) {
     if (!subscriptions.has(clientId)) {
         subscriptions.set(clientId, new Set());
     }
-
     subscriptions.get(clientId).add(channel);
 
-    // Send initial data based on channel
-    if (channel === 'market_data') {
-        ws.send(JSON.stringify({
+    // Replay for a sequenced channel starts with its first subscriber
+    if (isSequenced(channel) && !channelFeeds.has(channel)) {
+        channelFeeds.set(channel, { seq: 0, buffer: [] });
+    }
+}
+
+/**
+ * Current state of a channel, tagged with its latest seq so the client can
+ * continue from it: every symbol or one for market data, the bot's working
+ * and held orders across its live and training markets, or its portfolio.
+ */
+function sendChannelSnapshot(ws, channel) {
+    const [name, key] = channel.split(':');
+    const feed = channelFeeds.get(channel);
+    const seq = feed ? { seq: feed.seq } : {};
+
+    if (name === 'market_data') {
+        ws.outbox.send(JSON.stringify({
             type: 'market_snapshot',
-            data: Array.from(marketData.values())
+            channel: channel,
+            ...seq,
+            data: key ? [marketData.get(key)] : Array.from(marketData.values())
         }));
+    } else if (name === 'orders') {
+        const open = venuesOf(key).flatMap(venue => Array.from(venue.orders.values())
+            .filter(order => order.bot_id === key && (isOrderWorking(order) || order.status === 'held')));
+        ws.outbox.send(JSON.stringify({ type: 'orders_snapshot', channel: channel, ...seq, bot_id: key, data: open }));
+    } else if (name === 'portfolio') {
+        ws.outbox.send(JSON.stringify({ type: 'portfolio_update', channel: channel, bot_id: key, data: describePortfolio(key) }));
     }
+}
 
-    ws.send(JSON.stringify({
-        type: 'subscribed',
+/**
+ * { type: 'set_rate', max_rate } caps market data at max_rate messages per
+ * second per channel; in between, only the latest message is kept. null lifts it.
+ */
+function handleSetRate(ws, data) {
+    try {
+        const maxRate = ws.outbox.setMaxRate(data.max_rate);
+        ws.outbox.send(JSON.stringify({ type: 'rate_set', max_rate: maxRate }));
+    } catch (error) {
+        ws.outbox.send(JSON.stringify({ type: 'rate_error', error: error.message }));
+    }
+}
+
+/**
+ * { type: 'resume', channel, last_seq } subscribes and sends the channel's
+ * messages after last_seq from the replay buffer, followed by `resumed`.
+ * When they are no longer buffered (or the server restarted) it sends a
+ * snapshot instead and `resumed` has snapshot: true.
+ */
+function handleResume(clientId, ws, data) {
+    const { channel } = data;
+    const lastSeq = Number(data.last_seq);
+
+    let error = authorizeChannel(ws, channel, data.api_key);
+    if (!error && !isSequenced(channel)) {
+        error = `${channel} has no sequence numbers; subscribe to get a snapshot`;
+    }
+    if (!error && !(Number.isInteger(lastSeq) && lastSeq >= 0)) {
+        error = 'last_seq must be a non-negative whole number';
+    }
+    if (error) {
+        return ws.outbox.send(JSON.stringify({ type: 'resume_error', channel: channel, error: error }));
+    }
+
+    addSubscription(clientId, channel);
+
+    const feed = channelFeeds.get(channel);
+    const oldest = feed.buffer.length > 0 ? feed.buffer[0].seq : feed.seq + 1;
+    const canReplay = lastSeq <= feed.seq && lastSeq >= oldest - 1;
+
+    let replayed = 0;
+    if (canReplay) {
+        feed.buffer.forEach((entry) => {
+            if (entry.seq > lastSeq) {
+                ws.outbox.send(entry.message);
+                replayed++;
+            }
+        });
+    } else {
+        sendChannelSnapshot(ws, channel);
+    }
+
+    ws.outbox.send(JSON.stringify({
+        type: 'resumed',
         channel: channel,
-        message: `Subscribed to ${channel}`
+        last_seq: lastSeq,
+        seq: feed.seq,
+        replayed: replayed,
+        snapshot: !canReplay
     }));
 }
 
+/**
+ * Order entry over the socket, through the same path as the REST routes.
+ * Every reply echoes the message's request_id:
+ *   place_order   -> order_ack, or order_reject (with reason_code for risk limits)
+ *   cancel_order  -> cancel_ack or cancel_reject
+ *   get_portfolio -> portfolio, or request_error
+ * Bot connections act as their bot; user connections send bot_id and api_key.
+ */
+function handleOrderMessage(ws, data) {
+    const { request_id } = data;
+    const reply = (type, fields) => ws.outbox.send(JSON.stringify({ type, request_id, ...fields }));
+    const rejectType = data.type === 'place_order' ? 'order_reject'
+        : data.type === 'cancel_order' ? 'cancel_reject'
+        : 'request_error';
+
+    if (request_id === undefined || request_id === null) {
+        return reply(rejectType, { error: 'request_id is required' });
+    }
+
+    if (data.type === 'cancel_order') {
+        const found = findBotOrder(data.order_id, data.api_key, ws.botId);
+        const result = found.error ? found : found.venue.cancelOrder(found.order);
+        if (result.error) {
+            return reply('cancel_reject', { order_id: data.order_id, error: result.error });
+        }
+        return reply('cancel_ack', { order_id: result.order.id, status: result.order.status });
+    }
+
+    const botId = ws.botId || data.bot_id;
+    if (!ws.botId && !findBot(botId, data.api_key)) {
+        return reply(rejectType, { error: 'Invalid bot_id or api_key' });
+    }
+
+    if (data.type === 'get_portfolio') {
+        return reply('portfolio', { bot_id: botId, data: describePortfolio(botId) });
+    }
+
+    const duplicate = checkClientOrderId(botId, data.client_order_id);
+    if (duplicate) {
+        return reply('order_reject', duplicate.order_id
+            ? { error: duplicate.error, order_id: duplicate.order_id }
+            : { error: duplicate.error });
+    }
+
+    const result = placeBotOrder(botId, data);
+    if (result.error) {
+        return reply('order_reject', result.reason_code
+            ? { error: result.error, reason_code: result.reason_code }
+            : { error: result.error });
+    }
+
+    const ack = describeOrderResult(result.order, result.legs);
+    reply(ack.success ? 'order_ack' : 'order_reject', ack.success ? ack : { ...ack, error: ack.message });
+}
+
+/**
+ * Gym messages mirror the REST routes. Each reply carries the message's
+ * request_id: gym_observation for create and reset, gym_step_result for a
+ * step, gym_closed, or gym_error.
+ */
+function handleGymMessage(ws, data) {
+    let result;
+    if (data.type === 'gym_create') {
+        const bot = ws.botId ? bots.get(ws.botId) : null;
+        result = openGymEnvironment(bot ? { ...data, bot_id: bot.id, api_key: bot.api_key } : data);
+    } else {
+        const found = authorizeGymRequest(data.env_id, data.api_key, ws.botId);
+        if (found.error) {
+            result = found;
+        } else if (data.type === 'gym_reset') {
+            result = resetGymEnvironment(found.env, data.seed, data.config);
+        } else if (data.type === 'gym_step') {
+            result = stepGymEnvironment(found.env, data.actions);
+        } else {
+            closeGymEnvironment(found.env);
+            result = { env_id: found.env.id };
+        }
+    }
+
+    const type = result.error ? 'gym_error'
+        : data.type === 'gym_step' ? 'gym_step_result'
+        : data.type === 'gym_close' ? 'gym_closed'
+        : 'gym_observation';
+    ws.outbox.send(JSON.stringify(result.error
+        ? { type, request_id: data.request_id, error: result.error, status: result.statusCode }
+        : { type, request_id: data.request_id, ...result }));
+}
+
 function handleUnsubscribe(clientId, data) {
     const { channel } = data;
 
@@ -1626,57 +3024,145 @@ function handleUnsubscribe(clientId, data) {
     }
 }
 
+// Market and order channels number their messages and keep the last
+// WS_REPLAY_BUFFER of them, so clients can spot gaps and resume
+function isSequenced(channel) {
+    const name = channel.split(':')[0];
+    return name === 'market_data' || name === 'orders';
+}
+
+// Send a message to the clients subscribed to a channel. Prices and
+// portfolio values are conflated for clients that are behind or rate limited;
+// regime changes and session opens and closes always get through.
+function publish(channel, payload) {
+    const conflate = (channel.startsWith('market_data') && (payload.type === 'market_update' || payload.type === 'quote'))
+        || payload.type === 'portfolio_update';
+    const feed = channelFeeds.get(channel);
+    let message;
+    if (feed) {
+        feed.seq++;
+        message = JSON.stringify({ ...payload, channel: channel, seq: feed.seq });
+        feed.buffer.push({ seq: feed.seq, message: message });
+        if (feed.buffer.length > WS_REPLAY_BUFFER) {
+            feed.buffer.shift();
+        }
+    } else {
+        message = JSON.stringify({ ...payload, channel: channel });
+    }
+
+    wss.clients.forEach((client) => {
+        const channels = subscriptions.get(client.clientId);
+        if (client.readyState !== WebSocket.OPEN || !channels || !channels.has(channel)) return;
+        if (conflate) {
+            client.outbox.sendConflated(channel, message);
+        } else {
+            client.outbox.send(message);
+        }
+    });
+}
+
+function hasSubscribers(channel) {
+    for (const channels of subscriptions.values()) {
+        if (channels.has(channel)) return true;
+    }
+    return false;
+}
+
+function publishPortfolio(botId) {
+    const channel = `portfolio:${botId}`;
+    if (hasSubscribers(channel)) {
+        publish(channel, { type: 'portfolio_update', bot_id: botId, data: describePortfolio(botId) });
+    }
+}
+
 function broadcastOrderUpdate(orderId, order) {
-    const message = JSON.stringify({
+    publish(`orders:${order.bot_id}`, {
         type: 'order_update',
         order_id: orderId,
         status: order.status,
         data: order
     });
 
-    wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
-        }
+    if (order.status === 'filled' || order.status === 'partially_filled') {
+        publishPortfolio(order.bot_id);
+    }
+}
+
+// Halts and margin events carry the bot's account figures, so they only go
+// to clients subscribed to that bot's portfolio:<botId> channel
+function broadcastBotEvent(type, bot, fields) {
+    publish(`portfolio:${bot.id}`, {
+        type: type,
+        bot_id: bot.id,
+        ...fields,
+        timestamp: new Date()
     });
 }
 
+// ==================== FIX GATEWAY ====================
+// Optional FIX 4.4 acceptor for bots (see fix-gateway.js), on FIX_PORT when set
+
+const FIX_PORT = envNumber('FIX_PORT', null);
+const fixGateway = FIX_PORT ? new FixGateway({
+    authenticate: findBot,
+    placeOrder: placeBotOrder,
+    findOrder: (orderId, botId) => findBotOrder(orderId, null, botId),
+    positionOf: positionOf,
+    marketData: marketData
+}) : null;
+
+// Order updates from either market go to the bot's orders channel, its
+// Alpaca trade_updates stream and, for orders entered over FIX, back to its
+// FIX session as execution reports
+function handleOrderUpdate(order) {
+    broadcastOrderUpdate(order.id, order);
+    alpacaStream.onOrderUpdate(order);
+    if (fixGateway) {
+        fixGateway.onOrderUpdate(order);
+    }
+}
+
 /**
  * Market Data Updates
  */
 
-// Simulate price updates every 5 seconds
-setInterval(() => {
-    const updated = [];
-
-    marketData.forEach((stock, symbol) => {
-        // Simulate small price movements
-        const changePercent = (Math.random() - 0.5) * 0.02; // ±1%
-        const multiplier = 1 + changePercent;
-        stock.price = Math.max(0.01, stock.price * multiplier);
-        stock.lastUpdate = Date.now();
+// Order changes, halts and margin calls on the live market go to the bot's channels
+liveMarket.on('order_update', handleOrderUpdate);
+liveMarket.on('bot_event', broadcastBotEvent);
+liveMarket.on('regime_change', (regime) => publish('market_data', { type: 'regime_change', regime: regime }));
+liveMarket.on('market_session', ({ event, session, clock }) => {
+    publish('market_data', { type: `session_${event}`, session: session, clock: clock, timestamp: new Date() });
+});
 
-        updated.push({
-            symbol: symbol,
-            price: stock.price,
-            change: (stock.price * changePercent).toFixed(2),
-            changePercent: (changePercent * 100).toFixed(2) + '%'
-        });
-    });
+liveMarket.on('market_update', (update) => {
+    publish('market_data', { type: 'market_update', ...update });
+    alpacaStream.onMarketUpdate(update);
+    if (fixGateway) {
+        fixGateway.onMarketUpdate();
+    }
 
-    // Broadcast to WebSocket subscribers
-    const message = JSON.stringify({
-        type: 'market_update',
-        data: updated,
-        timestamp: new Date()
+    update.data.forEach((stock) => {
+        const channel = `market_data:${stock.symbol}`;
+        if (channelFeeds.has(channel)) {
+            publish(channel, { type: 'quote', symbol: stock.symbol, data: stock, session: update.session, timestamp: update.timestamp });
+        }
     });
 
-    wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
+    // Bots in a running training session get theirs from the training market instead
+    bots.forEach((bot, botId) => {
+        if (venueFor(botId) === liveMarket) {
+            publishPortfolio(botId);
         }
     });
-}, 5000);
+});
+
+// Retry queued and conflated messages as client sockets drain
+setInterval(() => {
+    wss.clients.forEach(client => client.outbox && client.outbox.flush());
+}, OUTBOX_LIMITS.flushMs);
+
+// Simulate price updates every MARKET_UPDATE_MS (5 seconds)
+liveMarket.start(MARKET_UPDATE_MS);
 
 /**
  * Error Handling Middleware
@@ -1717,6 +3203,8 @@ server.listen(PORT, '0.0.0.0', () => {
     
     REST API: http://localhost:${PORT}/api
     WebSocket: ws://localhost:${PORT}
+    Alpaca API: http://localhost:${PORT}/v2 (streams: ws://localhost:${PORT}/stream, /v2/iex)
+    FIX 4.4: ${FIX_PORT ? `tcp://localhost:${FIX_PORT}` : 'disabled (set FIX_PORT)'}
     API Docs: http://localhost:${PORT}/api-docs
     Health Check: http://localhost:${PORT}/health
     
@@ -1735,16 +3223,42 @@ server.listen(PORT, '0.0.0.0', () => {
     ✓ GET    /api/bot/:botId
     ✓ POST   /api/bot/:botId/disconnect
     ✓ POST   /api/bot/order
+    ✓ DELETE /api/bot/order/:orderId
+    ✓ PATCH  /api/bot/order/:orderId
+    ✓ PUT    /api/bot/:botId/risk (admin only)
+    ✓ POST   /api/bot/:botId/risk/reset (admin only)
     ✓ GET    /api/market/data
+    ✓ GET    /api/market/borrow
+    ✓ PUT    /api/market/borrow/:symbol (admin only)
+    ✓ GET    /api/market/clock
+    ✓ GET    /api/market/regime
+    ✓ PUT    /api/market/regime (admin only)
+    ✓ PUT    /api/market/regimes/:name (admin only)
+    ✓ POST   /api/market/scenario (admin only)
+    ✓ DELETE /api/market/scenario (admin only)
+    ✓ POST   /api/market/shock (admin only)
     ✓ GET    /api/portfolio
     ✓ GET    /api/bot/:botId/stats
+    ✓ GET    /api/bot/:botId/equity
+    ✓ POST   /api/bot/:botId/training/start|stop|reset
+    ✓ GET    /api/bot/:botId/training/stats
+    ✓ GET    /api/gym/spec
+    ✓ POST   /api/gym/envs
+    ✓ GET    /api/gym/envs/:envId
+    ✓ POST   /api/gym/envs/:envId/reset
+    ✓ POST   /api/gym/envs/:envId/step
+    ✓ DELETE /api/gym/envs/:envId
     ✓ GET    /api/bot/:botId/orders
-    ✓ WS     (WebSocket for real-time updates - JWT required)
+    ✓ GET    /v2/account, /v2/clock
+    ✓ GET    /v2/orders, /v2/positions, /v2/assets (Alpaca v2)
+    ✓ WS     (WebSocket for real-time updates - JWT or bot credentials)
     `);
-
-    initializeMarketData();
 });
 
+if (fixGateway) {
+    fixGateway.listen(FIX_PORT);
+}
+
 /**
  * Graceful Shutdown Handlers
  */
@@ -1752,6 +3266,18 @@ server.listen(PORT, '0.0.0.0', () => {
 const shutdown = (signal) => {
     logger.info(`[Shutdown] Received ${signal}, shutting down gracefully...`);
     
+    // Stop the market clocks
+    liveMarket.stop();
+    trainingSessions.forEach(session => session.stop());
+
+    // Log FIX sessions out and save their sequence numbers
+    if (fixGateway) {
+        fixGateway.close();
+    }
+
+    clearInterval(equitySaveTimer);
+    equityStore.save(equityCurves);
+
     // Stop accepting new connections
     server.close(() => {
         logger.info('[Shutdown] HTTP server closed');
@@ -1761,6 +3287,7 @@ const shutdown = (signal) => {
     wss.clients.forEach((client) => {
         client.close(1000, 'Server shutting down');
     });
+    alpacaStream.close();
     
     // Force exit after 10 seconds
     setTimeout(() => {
@@ -0,0 +1,77 @@
+/**
+ * Tax Lots
+ * Lot-level position accounting for bot portfolios. Every opening fill adds a
+ * lot; closing fills relieve lots first-in-first-out, last-in-first-out or at
+ * average cost and realize the gain against them. Fees are folded into the
+ * lot price when opening and taken off the gain when closing.
+ *
+ * Quantities are signed: long lots are positive, short lots negative with the
+ * lot price being the proceeds per share.
+ */
+
+const LOT_METHODS = ['fifo', 'lifo', 'average'];
+
+/**
+ * Take `quantity` shares out of a holding's lots.
+ * @returns {number} signed cost basis of the shares removed
+ */
+function relieveLots(holding, quantity, method) {
+    let relievedBasis = 0;
+
+    if (method === 'average') {
+        const fraction = quantity / Math.abs(holding.quantity);
+        holding.lots.forEach((lot) => {
+            const taken = lot.quantity * fraction;
+            relievedBasis += taken * lot.price;
+            lot.quantity -= taken;
+        });
+    } else {
+        const ordered = method === 'lifo' ? holding.lots.slice().reverse() : holding.lots;
+        let remaining = quantity;
+        for (const lot of ordered) {
+            if (remaining <= 1e-9) break;
+            const taken = Math.min(remaining, Math.abs(lot.quantity)) * Math.sign(lot.quantity);
+            relievedBasis += taken * lot.price;
+            lot.quantity -= taken;
+            remaining -= Math.abs(taken);
+        }
+    }
+
+    holding.lots = holding.lots.filter(lot => Math.abs(lot.quantity) > 1e-9);
+    return relievedBasis;
+}
+
+/**
+ * Apply one fill to a holding ({ quantity, costBasis, lots }). A fill never
+ * takes a position through zero; the order engine rejects that beforehand.
+ *
+ * @param {object} holding
+ * @param {object} fill - { quantity (signed), price, fees, openedAt, orderId }
+ * @param {string} method - one of LOT_METHODS
+ * @returns {number|null} realized gain for a closing fill, null for an opening one
+ */
+function applyLotFill(holding, fill, method) {
+    let realizedGain = null;
+
+    if (holding.quantity === 0 || Math.sign(holding.quantity) === Math.sign(fill.quantity)) {
+        holding.lots.push({
+            quantity: fill.quantity,
+            price: fill.price + fill.fees / fill.quantity,
+            openedAt: fill.openedAt,
+            order_id: fill.orderId
+        });
+    } else {
+        const closed = -fill.quantity; // same sign as the position
+        const relievedBasis = relieveLots(holding, Math.abs(closed), method);
+        realizedGain = closed * fill.price - relievedBasis - fill.fees;
+    }
+
+    holding.quantity += fill.quantity;
+    holding.costBasis = holding.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    return realizedGain;
+}
+
+module.exports = {
+    LOT_METHODS,
+    applyLotFill
+};
@@ -0,0 +1,155 @@
+const { alpacaId, toAlpacaStatus, selectOrders, fromAlpacaOrderRequest } = require('../alpaca-api');
+const { startServer, openSocket } = require('./server-process');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('Alpaca translation', () => {
+    test('derives the same version 5 style UUID for an id every time', () => {
+        expect(alpacaId('order', 'order_1000')).toMatch(UUID);
+        expect(alpacaId('order', 'order_1000')).toBe(alpacaId('order', 'order_1000'));
+        expect(alpacaId('asset', 'order_1000')).not.toBe(alpacaId('order', 'order_1000'));
+    });
+
+    test('turns buy and sell into the action that fits the position', () => {
+        const request = position => fromAlpacaOrderRequest({ symbol: 'aapl', qty: '5', side: 'sell', type: 'limit', limit_price: '101.5' }, position).request;
+        expect(request(10)).toEqual(expect.objectContaining({ symbol: 'AAPL', action: 'sell', quantity: 5, limit_price: 101.5, time_in_force: 'day' }));
+        expect(request(0).action).toBe('sell_short');
+
+        expect(fromAlpacaOrderRequest({ symbol: 'AAPL', qty: 1, side: 'buy' }, -5).request.action).toBe('buy_to_cover');
+        expect(fromAlpacaOrderRequest({ symbol: 'AAPL', qty: 1, side: 'buy' }, 0).request.action).toBe('buy');
+    });
+
+    test('refuses requests the simulator cannot take', () => {
+        const error = body => fromAlpacaOrderRequest({ symbol: 'AAPL', qty: 1, side: 'buy', ...body }, 0).error;
+        expect(error({ notional: '100' })).toBe('notional orders are not supported, use qty');
+        expect(error({ qty: '1.5' })).toBe('qty must be a positive whole number');
+        expect(error({ side: 'short' })).toBe('side must be buy or sell');
+        expect(error({ type: 'trailing_stop' })).toBe('type must be one of market, limit, stop, stop_limit');
+        expect(error({ client_order_id: 'x'.repeat(129) })).toBe('client_order_id must be a string of at most 128 characters');
+    });
+
+    test('reports validation failures and finished orders as 422', () => {
+        expect([400, 404, 409, 403, 429].map(toAlpacaStatus)).toEqual([422, 422, 422, 403, 429]);
+    });
+
+    test('selects open or closed orders newest first', () => {
+        const orders = [
+            { id: 'a', symbol: 'AAPL', status: 'filled', createdAt: new Date(1000) },
+            { id: 'b', symbol: 'AAPL', status: 'pending', createdAt: new Date(2000) },
+            { id: 'c', symbol: 'MSFT', status: 'held', createdAt: new Date(3000) }
+        ];
+        const ids = query => selectOrders(orders, query).orders.map(order => order.id);
+        expect(ids({})).toEqual(['c', 'b']);
+        expect(ids({ status: 'closed' })).toEqual(['a']);
+        expect(ids({ status: 'all', direction: 'asc', symbols: 'aapl' })).toEqual(['a', 'b']);
+        expect(ids({ status: 'all', limit: '1' })).toEqual(['c']);
+        expect(selectOrders(orders, { limit: '0' }).error).toBe('limit must be between 1 and 500');
+    });
+});
+
+describe('Alpaca facade', () => {
+    let server;
+    let bot;
+
+    // A request as an Alpaca SDK sends it, with the bot's keys
+    const alpaca = (method, route, body) => server.request(method, route, body, {
+        'APCA-API-KEY-ID': bot.id,
+        'APCA-API-SECRET-KEY': bot.apiKey
+    });
+
+    beforeAll(async () => {
+        server = await startServer();
+        const { body } = await server.request('POST', '/api/bot/register', { name: 'alpaca', api_key: 'alpaca-key' });
+        bot = { id: body.bot_id, apiKey: 'alpaca-key' };
+    }, 30000);
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('answers a request without valid keys with an Alpaca error', async () => {
+        const { status, body } = await server.request('GET', '/v2/account', undefined, { 'APCA-API-KEY-ID': bot.id, 'APCA-API-SECRET-KEY': 'wrong' });
+        expect(status).toBe(401);
+        expect(body).toEqual({ code: 40110000, message: 'request is not authorized' });
+    });
+
+    test('reports the bot\'s account and the clock', async () => {
+        const { body: account } = await alpaca('GET', '/v2/account');
+        expect(account).toEqual(expect.objectContaining({
+            id: alpacaId('account', bot.id), account_number: bot.id, status: 'ACTIVE', cash: '100000', multiplier: '1'
+        }));
+
+        const { body: clock } = await alpaca('GET', '/v2/clock');
+        expect(clock.is_open).toBe(true);
+    });
+
+    test('places, finds, replaces and cancels an order', async () => {
+        const placed = await alpaca('POST', '/v2/orders', {
+            symbol: 'AAPL', qty: '2', side: 'buy', type: 'limit', limit_price: '1', time_in_force: 'gtc', client_order_id: 'alpaca-1'
+        });
+        expect(placed.status).toBe(200);
+        expect(placed.body).toEqual(expect.objectContaining({ status: 'new', qty: '2', limit_price: '1', side: 'buy', position_intent: 'buy_to_open' }));
+        expect(placed.body.id).toMatch(UUID);
+
+        const { body: open } = await alpaca('GET', '/v2/orders');
+        expect(open.map(order => order.id)).toContain(placed.body.id);
+        const { body: byClientId } = await alpaca('GET', '/v2/orders:by_client_order_id?client_order_id=alpaca-1');
+        expect(byClientId.id).toBe(placed.body.id);
+
+        const replaced = await alpaca('PATCH', `/v2/orders/${placed.body.id}`, { qty: '3' });
+        expect(replaced.body).toEqual(expect.objectContaining({ qty: '3', replaces: placed.body.id, client_order_id: 'alpaca-1' }));
+        expect((await alpaca('GET', `/v2/orders/${placed.body.id}`)).body.status).toBe('replaced');
+
+        expect((await alpaca('DELETE', `/v2/orders/${replaced.body.id}`)).status).toBe(204);
+        const again = await alpaca('DELETE', `/v2/orders/${replaced.body.id}`);
+        expect(again.status).toBe(422);
+        expect(again.body.message).toBe('Order is cancelled and can no longer be changed');
+    });
+
+    test('rejects an invalid order or a reused client_order_id with 422', async () => {
+        const invalid = await alpaca('POST', '/v2/orders', { symbol: 'AAPL', qty: '1.5', side: 'buy' });
+        expect(invalid.status).toBe(422);
+        expect(invalid.body).toEqual({ code: 42210000, message: 'qty must be a positive whole number' });
+
+        const reused = await alpaca('POST', '/v2/orders', { symbol: 'AAPL', qty: '1', side: 'buy', type: 'limit', limit_price: '1', client_order_id: 'alpaca-1' });
+        expect(reused.body.message).toBe('client_order_id must be unique');
+    });
+
+    test('opens, reports and closes positions long and short', async () => {
+        const bought = await alpaca('POST', '/v2/orders', { symbol: 'MSFT', qty: '5', side: 'buy', type: 'market' });
+        expect(bought.body.status).toBe('filled');
+
+        const { body: position } = await alpaca('GET', '/v2/positions/MSFT');
+        expect(position).toEqual(expect.objectContaining({ symbol: 'MSFT', qty: '5', side: 'long', asset_id: alpacaId('asset', 'MSFT') }));
+
+        const closed = await alpaca('DELETE', '/v2/positions/MSFT');
+        expect(closed.body).toEqual(expect.objectContaining({ side: 'sell', position_intent: 'sell_to_close', status: 'filled' }));
+        expect((await alpaca('GET', '/v2/positions/MSFT')).status).toBe(404);
+
+        const shorted = await alpaca('POST', '/v2/orders', { symbol: 'MSFT', qty: '2', side: 'sell', type: 'market' });
+        expect(shorted.body.position_intent).toBe('sell_to_open');
+        expect((await alpaca('GET', '/v2/positions')).body).toEqual([expect.objectContaining({ symbol: 'MSFT', qty: '-2', side: 'short' })]);
+
+        const covered = await alpaca('POST', '/v2/orders', { symbol: 'MSFT', qty: '2', side: 'buy', type: 'market' });
+        expect(covered.body.position_intent).toBe('buy_to_close');
+    });
+
+    test('streams trade_updates to an authenticated listener', async () => {
+        const stream = await openSocket(`${server.url.replace('http', 'ws')}/stream`);
+        const onStream = (name, check = () => true) => message => message.stream === name && check(message.data);
+        try {
+            stream.send({ action: 'auth', key: bot.id, secret: bot.apiKey });
+            expect((await stream.next(onStream('authorization'))).data).toEqual({ action: 'authenticate', status: 'authorized' });
+            stream.send({ action: 'listen', data: { streams: ['trade_updates'] } });
+            expect((await stream.next(onStream('listening'))).data).toEqual({ streams: ['trade_updates'] });
+
+            const { body: order } = await alpaca('POST', '/v2/orders', { symbol: 'AAPL', qty: '1', side: 'buy', type: 'market' });
+            const forOrder = data => data.order.id === order.id;
+            expect((await stream.next(onStream('trade_updates', forOrder))).data.event).toBe('new');
+            const fill = (await stream.next(onStream('trade_updates', forOrder))).data;
+            expect(fill).toEqual(expect.objectContaining({ event: 'fill', qty: '1', position_qty: '1' }));
+        } finally {
+            stream.close();
+        }
+    });
+});
@@ -0,0 +1,158 @@
+const WebSocket = require('ws');
+const { BotClient, ApiError } = require('../bot-client');
+
+// A fetch that answers from a list of [status, body] replies, or throws
+// errors given in the list, and records every call
+function fakeFetch(replies) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url: String(url), method: init.method, body: init.body ? JSON.parse(init.body) : undefined });
+        const reply = replies[Math.min(calls.length, replies.length) - 1];
+        if (reply instanceof Error) throw reply;
+        const [status, body] = reply;
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    };
+    return { fetch, calls };
+}
+
+function createClient(fetch, options = {}) {
+    return new BotClient({
+        baseUrl: 'http://localhost:1',
+        apiKey: 'secret',
+        botId: 'bot_1',
+        fetch,
+        retryBaseMs: 1,
+        retryMaxMs: 1,
+        ...options
+    });
+}
+
+function refused() {
+    return Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+}
+
+const FILLED = { success: true, order_id: 'order_1', status: 'filled' };
+
+describe('BotClient REST retries', () => {
+    test('does not resend an order after a 5xx', async () => {
+        const { fetch, calls } = fakeFetch([[503, { error: 'Unavailable' }]]);
+        const client = createClient(fetch);
+
+        const error = await client.placeOrder({ symbol: 'AAPL', action: 'buy', quantity: 1 }).catch(e => e);
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.status).toBe(503);
+        expect(calls).toHaveLength(1);
+    });
+
+    test('retries a GET after a 5xx', async () => {
+        const { fetch, calls } = fakeFetch([[503, { error: 'Unavailable' }], [502, {}], [200, { AAPL: {} }]]);
+        const client = createClient(fetch);
+
+        await expect(client.getMarketData()).resolves.toEqual({ AAPL: {} });
+        expect(calls).toHaveLength(3);
+    });
+
+    test('resends an order after a 429 or a refused connection with the same client_order_id', async () => {
+        const { fetch, calls } = fakeFetch([[429, { error: 'Too many requests' }], refused(), [201, FILLED]]);
+        const client = createClient(fetch);
+
+        await expect(client.placeOrder({ symbol: 'AAPL', action: 'buy', quantity: 1 })).resolves.toEqual(FILLED);
+        expect(calls).toHaveLength(3);
+        const ids = calls.map(call => call.body.client_order_id);
+        expect(ids[0]).toEqual(expect.any(String));
+        expect(new Set(ids).size).toBe(1);
+    });
+
+    test('gives up after the configured retries', async () => {
+        const { fetch, calls } = fakeFetch([[429, { error: 'Too many requests' }]]);
+        const client = createClient(fetch, { retries: 2 });
+
+        await expect(client.getPortfolio()).rejects.toThrow('(429)');
+        expect(calls).toHaveLength(3);
+    });
+
+    test('keeps a client_order_id given by the caller and reports a duplicate', async () => {
+        const { fetch, calls } = fakeFetch([[409, { error: 'Duplicate client_order_id: mine', order_id: 'order_9' }]]);
+        const client = createClient(fetch);
+
+        const error = await client.placeOrder({ symbol: 'AAPL', action: 'buy', quantity: 1, client_order_id: 'mine' }).catch(e => e);
+        expect(calls[0].body.client_order_id).toBe('mine');
+        expect(error.status).toBe(409);
+        expect(error.body.order_id).toBe('order_9');
+    });
+});
+
+describe('BotClient WebSocket', () => {
+    let server;
+    let client;
+    let sockets;
+    let received;
+
+    beforeEach(async () => {
+        sockets = [];
+        received = [];
+        server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+        server.on('connection', (socket) => {
+            sockets.push(socket);
+            socket.on('message', raw => received.push(JSON.parse(raw)));
+        });
+        await new Promise(resolve => server.once('listening', resolve));
+        client = createClient(fakeFetch([[200, {}]]).fetch, {
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            reconnectBaseMs: 10,
+            reconnectMaxMs: 10
+        });
+    });
+
+    afterEach(async () => {
+        client.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const nextEvent = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+    const subscribes = () => received.filter(message => message.type === 'subscribe').map(message => message.channel);
+
+    async function waitFor(check) {
+        for (let i = 0; i < 100 && !check(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(check()).toBe(true);
+    }
+
+    test('reconnects and subscribes again after the server drops it', async () => {
+        await client.connect();
+        client.subscribeOrders();
+        client.subscribeMarket('aapl');
+        await waitFor(() => subscribes().length === 2);
+
+        const reconnected = nextEvent(client, 'open');
+        sockets[0].terminate();
+        await reconnected;
+
+        expect(sockets).toHaveLength(2);
+        await waitFor(() => subscribes().length === 4);
+        expect(subscribes()).toEqual(['orders:bot_1', 'market_data:AAPL', 'orders:bot_1', 'market_data:AAPL']);
+    });
+
+    test('connect during a pending reconnect opens one socket, not two', async () => {
+        client.options.reconnectBaseMs = 50;
+        client.options.reconnectMaxMs = 50;
+        await client.connect();
+
+        const waiting = nextEvent(client, 'reconnecting');
+        sockets[0].terminate();
+        await waiting;
+
+        await client.connect();
+        expect(client.reconnectTimer).toBeNull();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(sockets).toHaveLength(2);
+    });
+
+    test('needs a bot id for the order and portfolio channels', () => {
+        const anonymous = createClient(fakeFetch([[200, {}]]).fetch, { botId: undefined });
+        expect(() => anonymous.subscribeOrders()).toThrow('No botId');
+        expect(() => anonymous.subscribePortfolio()).toThrow('No botId');
+        expect(anonymous.channels.size).toBe(0);
+    });
+});
@@ -0,0 +1,88 @@
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A venue with one bot, AAPL at $100 and a resting buy limit at $90
+function createVenue() {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS });
+    const account = venue.openAccount({ id: 'bot_1' });
+    venue.marketData.get('AAPL').price = 100;
+    const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 90, client_order_id: 'mine' });
+    return { venue, account, order };
+}
+
+describe('cancel', () => {
+    test('cancels a working order and announces it', () => {
+        const { venue, order } = createVenue();
+        const updates = [];
+        venue.on('order_update', update => updates.push(update.status));
+
+        expect(venue.cancelOrder(order)).toEqual({ order });
+        expect(order.status).toBe('cancelled');
+        expect(order.cancelledAt).toBeInstanceOf(Date);
+        expect(updates).toEqual(['cancelled']);
+    });
+
+    test('refuses to cancel an order that is no longer working', () => {
+        const { venue, order } = createVenue();
+        venue.cancelOrder(order);
+        expect(venue.cancelOrder(order)).toEqual({ error: 'Order is cancelled and can no longer be changed', statusCode: 409 });
+    });
+});
+
+describe('cancel/replace', () => {
+    test('replaces the order with a new one carrying the changes', () => {
+        const { venue, order } = createVenue();
+
+        const { replacement } = venue.replaceOrder(order, { quantity: 20, limit_price: 95 });
+        expect(order.status).toBe('replaced');
+        expect(order.replacedBy).toBe(replacement.id);
+        expect(replacement).toEqual(expect.objectContaining({
+            status: 'pending',
+            quantity: 20,
+            limit_price: 95,
+            replaces: order.id,
+            client_order_id: 'mine'
+        }));
+        expect(replacement.id).not.toBe(order.id);
+        expect(venue.orders.get(replacement.id)).toBe(replacement);
+    });
+
+    test('fills a replacement that has become marketable', () => {
+        const { venue, order } = createVenue();
+        const { replacement } = venue.replaceOrder(order, { limit_price: 110, client_order_id: 'moved' });
+        expect(replacement.status).toBe('filled');
+        expect(replacement.client_order_id).toBe('moved');
+    });
+
+    test('rejects changes the order type does not have', () => {
+        const { venue, order } = createVenue();
+        expect(venue.replaceOrder(order, {})).toEqual(expect.objectContaining({ statusCode: 400 }));
+        expect(venue.replaceOrder(order, { stop_price: 80 }).error).toBe('stop_price cannot be set on a limit order');
+        expect(venue.replaceOrder(order, { quantity: 0 }).error).toBe('Quantity must be positive');
+        expect(order.status).toBe('pending');
+    });
+
+    test('refuses to replace a partially filled order', () => {
+        const { venue, order } = createVenue();
+        order.status = 'partially_filled';
+        expect(venue.replaceOrder(order, { quantity: 5 })).toEqual({ error: 'Partially filled orders can only be cancelled', statusCode: 409 });
+    });
+
+    test('leaves the original working when the bot cannot pay for the replacement', () => {
+        const { venue, account, order } = createVenue();
+        const ordersBefore = venue.orders.size;
+
+        expect(venue.replaceOrder(order, { quantity: 5000 })).toEqual({ error: 'Insufficient cash', statusCode: 400 });
+        expect(order.status).toBe('pending');
+        expect(order.replacedBy).toBeUndefined();
+        expect(venue.orders.size).toBe(ordersBefore);
+        expect(account.rejectedOrders).toBe(0);
+
+        venue.marketData.get('AAPL').price = 85;
+        venue.processRestingOrders();
+        expect(order.status).toBe('filled');
+    });
+});
@@ -0,0 +1,139 @@
+// Fixed here so WS_* limits in the environment don't matter
+Object.assign(process.env, { WS_MAX_BUFFERED_BYTES: '1000', WS_MAX_QUEUE: '5', WS_SLOW_CLIENT_MS: '30000' });
+
+const WebSocket = require('ws');
+const { ClientOutbox } = require('../client-outbox');
+
+// A socket that records what it is sent; bufferedAmount says how backed up it is
+function fakeSocket() {
+    return {
+        readyState: WebSocket.OPEN,
+        bufferedAmount: 0,
+        sent: [],
+        terminated: false,
+        send(message) {
+            this.sent.push(message);
+        },
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+describe('ClientOutbox', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('sends straight to a socket that keeps up', () => {
+        const ws = fakeSocket();
+        const outbox = new ClientOutbox(ws);
+        outbox.send('a');
+        outbox.sendConflated('market_data', 'b');
+        expect(ws.sent).toEqual(['a', 'b']);
+    });
+
+    test('queues behind a full socket buffer and sends in order once it drains', () => {
+        const ws = fakeSocket();
+        const outbox = new ClientOutbox(ws);
+        ws.bufferedAmount = 1000;
+        outbox.send('a');
+        outbox.send('b');
+        expect(ws.sent).toEqual([]);
+
+        ws.bufferedAmount = 0;
+        outbox.send('c');
+        expect(ws.sent).toEqual([]);
+        outbox.flush();
+        expect(ws.sent).toEqual(['a', 'b', 'c']);
+        expect(outbox.behindSince).toBeNull();
+    });
+
+    test('keeps only the latest conflated message per key while behind', () => {
+        const ws = fakeSocket();
+        const outbox = new ClientOutbox(ws);
+        ws.bufferedAmount = 1000;
+        outbox.sendConflated('market_data:AAPL', 'aapl 1');
+        outbox.sendConflated('market_data:MSFT', 'msft 1');
+        outbox.send('order');
+        outbox.sendConflated('market_data:AAPL', 'aapl 2');
+
+        ws.bufferedAmount = 0;
+        outbox.flush();
+        expect(ws.sent).toEqual(['order', 'aapl 2', 'msft 1']);
+    });
+
+    test('holds conflated messages to the requested rate', () => {
+        const ws = fakeSocket();
+        const outbox = new ClientOutbox(ws);
+        expect(outbox.setMaxRate(10)).toBe(10);
+
+        outbox.sendConflated('market_data', '1');
+        outbox.sendConflated('market_data', '2');
+        outbox.sendConflated('market_data', '3');
+        outbox.send('order');
+        expect(ws.sent).toEqual(['1', 'order']);
+
+        now += 50;
+        outbox.flush();
+        expect(ws.sent).toEqual(['1', 'order']);
+
+        now += 50;
+        outbox.flush();
+        expect(ws.sent).toEqual(['1', 'order', '3']);
+
+        expect(outbox.setMaxRate(null)).toBeNull();
+        outbox.sendConflated('market_data', '4');
+        expect(ws.sent).toEqual(['1', 'order', '3', '4']);
+    });
+
+    test('rejects a rate outside 0 to 50 a second', () => {
+        const outbox = new ClientOutbox(fakeSocket());
+        expect(() => outbox.setMaxRate(51)).toThrow('max_rate must be a number above 0 and at most 50, or null');
+        expect(() => outbox.setMaxRate('fast')).toThrow('max_rate');
+        expect(outbox.maxRate).toBeNull();
+    });
+
+    test('drops a client whose queue passes the limit', () => {
+        const ws = fakeSocket();
+        const onSlow = jest.fn();
+        const outbox = new ClientOutbox(ws, onSlow);
+        ws.bufferedAmount = 1000;
+        for (let i = 0; i < 6; i++) {
+            outbox.send(String(i));
+        }
+
+        expect(onSlow).toHaveBeenCalledWith('6 messages queued');
+        expect(ws.terminated).toBe(true);
+        expect(outbox.queue).toEqual([]);
+
+        ws.bufferedAmount = 0;
+        outbox.send('late');
+        outbox.flush();
+        expect(ws.sent).toEqual([]);
+    });
+
+    test('drops a client that stays behind too long', () => {
+        const ws = fakeSocket();
+        const onSlow = jest.fn();
+        const outbox = new ClientOutbox(ws, onSlow);
+        ws.bufferedAmount = 1000;
+        outbox.sendConflated('market_data', 'quote');
+
+        now += 30000;
+        outbox.flush();
+        expect(onSlow).not.toHaveBeenCalled();
+
+        now += 1;
+        outbox.flush();
+        expect(onSlow).toHaveBeenCalledWith('behind for 30001ms');
+        expect(ws.terminated).toBe(true);
+    });
+});
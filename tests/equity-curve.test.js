@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EquitySeries, EquityStore, parseResolution, resample, computeMetrics } = require('../equity-curve');
+const { logger } = require('../logger');
+
+logger.silent = true;
+
+function snapshot(timestamp, equity) {
+    return { timestamp, equity, cash: equity, longExposure: 0, shortExposure: 0 };
+}
+
+describe('EquitySeries', () => {
+    test('drops the oldest snapshot once full and returns the rest in order', () => {
+        const series = new EquitySeries(3);
+        [1, 2, 3, 4, 5].forEach(t => series.push(snapshot(t, 100 + t)));
+        expect(series.length).toBe(3);
+        expect(series.range().map(point => point.timestamp)).toEqual([3, 4, 5]);
+        expect(series.range(4, 4).map(point => point.timestamp)).toEqual([4]);
+    });
+
+    test('from keeps the most recent snapshots that fit', () => {
+        const series = EquitySeries.from([1, 2, 3, 4].map(t => snapshot(t, 100)), 2);
+        expect(series.range().map(point => point.timestamp)).toEqual([3, 4]);
+    });
+});
+
+describe('EquityStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'equity-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves curves and loads them back', () => {
+        const store = new EquityStore(path.join(dir, 'nested', 'curves.json'));
+        const series = new EquitySeries(2);
+        [1, 2, 3].forEach(t => series.push(snapshot(t, 100 + t)));
+        store.save(new Map([['bot_7', series], ['bot_8', new EquitySeries()]]));
+
+        const loaded = store.load();
+        expect(Array.from(loaded.keys())).toEqual(['bot_7', 'bot_8']);
+        expect(loaded.get('bot_7').range()).toEqual([snapshot(2, 102), snapshot(3, 103)]);
+        expect(loaded.get('bot_8').length).toBe(0);
+    });
+
+    test('loads nothing from a missing or unreadable file', () => {
+        expect(new EquityStore(path.join(dir, 'none.json')).load().size).toBe(0);
+
+        fs.writeFileSync(path.join(dir, 'bad.json'), '{ not json');
+        expect(new EquityStore(path.join(dir, 'bad.json')).load().size).toBe(0);
+    });
+});
+
+describe('metrics', () => {
+    test('resamples to the last snapshot in each bucket', () => {
+        const points = [0, 20000, 40000, 70000].map(t => snapshot(t, 100));
+        expect(resample(points, parseResolution('1m')).map(point => point.timestamp)).toEqual([40000, 70000]);
+        expect(parseResolution('tick')).toBeNull();
+        expect(() => parseResolution('5x')).toThrow('Invalid resolution');
+    });
+
+    test('measures drawdown and return', () => {
+        const metrics = computeMetrics([100, 120, 90, 108].map((equity, t) => snapshot(t, equity)), 252);
+        expect(metrics.returnPercent).toBeCloseTo(8);
+        expect(metrics.maxDrawdown).toBeCloseTo(25);
+        expect(metrics.currentDrawdown).toBeCloseTo(10);
+        expect(metrics.sharpeRatio).toBeGreaterThan(0);
+    });
+});
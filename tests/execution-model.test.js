@@ -0,0 +1,57 @@
+const { simulateExecution, DEFAULT_AVG_VOLUME } = require('../execution-model');
+
+// Fixed here so SLIPPAGE_BPS and friends in the environment don't matter
+const OPTIONS = { slippageBps: 2, participationRate: 0.1, impactCoefficient: 1, ticksPerSession: 78 };
+
+// 100,000 shares per update, 10,000 of them available to one order
+const MARKET = { price: 100, avgVolume: 7800000, volatility: 0.02 };
+
+describe('simulateExecution', () => {
+    test('prints a small order once with slippage and impact against the trader', () => {
+        const buy = simulateExecution({ action: 'buy', quantity: 50 }, MARKET, OPTIONS);
+        const impact = 0.02 * Math.sqrt(50 / MARKET.avgVolume);
+        expect(buy.executions).toHaveLength(1);
+        expect(buy.filledQuantity).toBe(50);
+        expect(buy.avgFillPrice).toBeCloseTo(100 * (1 + 0.0002 + impact), 10);
+
+        const sell = simulateExecution({ action: 'sell', quantity: 50 }, MARKET, OPTIONS);
+        expect(sell.avgFillPrice).toBeCloseTo(100 * (1 - 0.0002 - impact), 10);
+    });
+
+    test('caps a large order at its share of the update volume', () => {
+        const result = simulateExecution({ action: 'buy', quantity: 50000 }, MARKET, OPTIONS);
+        expect(result.filledQuantity).toBe(10000);
+        expect(result.executions).toHaveLength(5);
+        expect(result.executions.every(execution => execution.quantity === 2000)).toBe(true);
+    });
+
+    test('walks the book: each print costs more than the one before', () => {
+        const { executions, avgFillPrice } = simulateExecution({ action: 'buy', quantity: 10000 }, MARKET, OPTIONS);
+        for (let i = 1; i < executions.length; i++) {
+            expect(executions[i].price).toBeGreaterThan(executions[i - 1].price);
+        }
+        expect(avgFillPrice).toBeGreaterThan(executions[0].price);
+        expect(avgFillPrice).toBeLessThan(executions[executions.length - 1].price);
+    });
+
+    test('stops at the limit price', () => {
+        const full = simulateExecution({ action: 'buy', quantity: 10000 }, MARKET, OPTIONS);
+        const limitPrice = (full.executions[1].price + full.executions[2].price) / 2;
+
+        const limited = simulateExecution({ action: 'buy', quantity: 10000, limitPrice }, MARKET, OPTIONS);
+        expect(limited.filledQuantity).toBe(4000);
+        expect(limited.executions.every(execution => execution.price <= limitPrice)).toBe(true);
+    });
+
+    test('fills nothing when the first print is through the limit', () => {
+        const result = simulateExecution({ action: 'sell', quantity: 100, limitPrice: 100 }, MARKET, OPTIONS);
+        expect(result.filledQuantity).toBe(0);
+        expect(result.executions).toEqual([]);
+        expect(result.avgFillPrice).toBeNull();
+    });
+
+    test('falls back to the average volume for the stock type', () => {
+        const result = simulateExecution({ action: 'buy', quantity: 1000000 }, { price: 50, type: 'bond' }, OPTIONS);
+        expect(result.filledQuantity).toBe(Math.floor(DEFAULT_AVG_VOLUME.bond / 78 * 0.1));
+    });
+});
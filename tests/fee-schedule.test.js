@@ -0,0 +1,98 @@
+const { normalizeFeeSchedule, calculateFees, emptyFees, REGULATORY_DEFAULTS } = require('../fee-schedule');
+
+function buy(quantity, price, extra = {}) {
+    return { action: 'buy', quantity, price, liquidity: 'taker', monthlyVolume: 0, ...extra };
+}
+
+describe('normalizeFeeSchedule', () => {
+    test('defaults to the flat percent preset', () => {
+        const schedule = normalizeFeeSchedule();
+        expect(schedule.preset).toBe('percent');
+        expect(schedule.percent).toBe(0.001);
+        expect(schedule.regulatory).toBeNull();
+    });
+
+    test('overrides preset fields and sorts tiers by volume', () => {
+        const schedule = normalizeFeeSchedule({
+            preset: 'per_share',
+            perShare: 0.004,
+            tiers: [{ monthlyVolume: 1000, perShare: 0.002 }, { monthlyVolume: 10, perShare: 0.003 }]
+        });
+        expect(schedule.perShare).toBe(0.004);
+        expect(schedule.minimumPerOrder).toBe(1);
+        expect(schedule.tiers.map(tier => tier.monthlyVolume)).toEqual([10, 1000]);
+        expect(schedule.regulatory).toEqual(REGULATORY_DEFAULTS);
+    });
+
+    test('rejects unknown presets and non-numeric rates', () => {
+        expect(() => normalizeFeeSchedule('free')).toThrow(/Unknown fee schedule 'free'/);
+        expect(() => normalizeFeeSchedule({ percent: 'lots' })).toThrow('fee_schedule.percent must be a number');
+        expect(() => normalizeFeeSchedule({ tiers: [{ monthlyVolume: -1 }] })).toThrow(/monthlyVolume must be a non-negative number/);
+        expect(() => normalizeFeeSchedule(['percent'])).toThrow(/preset name or an object/);
+    });
+});
+
+describe('calculateFees', () => {
+    test('charges a percentage of notional', () => {
+        const fees = calculateFees(normalizeFeeSchedule('percent'), buy(100, 50));
+        expect(fees.commission).toBeCloseTo(5);
+        expect(fees.total).toBeCloseTo(5);
+    });
+
+    test('applies the per-order minimum across fills', () => {
+        const schedule = normalizeFeeSchedule('per_share');
+        const first = calculateFees(schedule, buy(10, 100));
+        expect(first.commission).toBeCloseTo(1);
+        expect(first.grossCommission).toBeCloseTo(0.05);
+
+        // 150 more shares take the order to $0.80 of per-share commission, still under the minimum
+        const charged = { ...emptyFees(), commission: first.commission, grossCommission: first.grossCommission };
+        const second = calculateFees(schedule, buy(150, 100), charged);
+        expect(second.commission).toBeCloseTo(0);
+
+        // Past the minimum only the excess is charged: $2.30 in all
+        const more = { ...emptyFees(), commission: 1, grossCommission: first.grossCommission + second.grossCommission };
+        expect(calculateFees(schedule, buy(300, 100), more).commission).toBeCloseTo(1.3);
+    });
+
+    test('uses the highest tier the monthly volume has reached', () => {
+        const schedule = normalizeFeeSchedule('tiered');
+        expect(calculateFees(schedule, buy(1000, 10, { monthlyVolume: 0 })).commission).toBeCloseTo(3.5);
+        expect(calculateFees(schedule, buy(1000, 10, { monthlyVolume: 300000 })).commission).toBeCloseTo(2);
+        expect(calculateFees(schedule, buy(1000, 10, { monthlyVolume: 5000000 })).commission).toBeCloseTo(1.5);
+        expect(calculateFees(schedule, buy(1000, 10, { monthlyVolume: 25000000 })).commission).toBeCloseTo(1);
+    });
+
+    test('pays the maker rebate on resting fills without topping it up to the minimum', () => {
+        const schedule = normalizeFeeSchedule('tiered');
+        const fees = calculateFees(schedule, buy(1000, 10, { liquidity: 'maker' }));
+        expect(fees.commission).toBeCloseTo(-0.2);
+        expect(fees.total).toBeCloseTo(-0.2);
+    });
+
+    test('uses separate maker and taker rates', () => {
+        const schedule = normalizeFeeSchedule({ percent: 0.001, maker: { percent: 0 }, taker: { percent: 0.003 } });
+        expect(calculateFees(schedule, buy(100, 10, { liquidity: 'maker' })).commission).toBeCloseTo(0);
+        expect(calculateFees(schedule, buy(100, 10, { liquidity: 'taker' })).commission).toBeCloseTo(3);
+    });
+
+    test('charges SEC and FINRA fees on sells only', () => {
+        const schedule = normalizeFeeSchedule('zero_commission');
+        expect(calculateFees(schedule, buy(100, 100)).total).toBe(0);
+
+        const fees = calculateFees(schedule, { action: 'sell', quantity: 100, price: 100, liquidity: 'taker' });
+        expect(fees.commission).toBe(0);
+        expect(fees.secFee).toBeCloseTo(10000 * 0.0000278);
+        expect(fees.tafFee).toBeCloseTo(100 * 0.000166);
+        expect(fees.total).toBeCloseTo(fees.secFee + fees.tafFee);
+    });
+
+    test('caps the TAF per order across fills', () => {
+        const schedule = normalizeFeeSchedule('zero_commission');
+        const sell = { action: 'sell', quantity: 100000, price: 1, liquidity: 'taker' };
+        expect(calculateFees(schedule, sell).tafFee).toBeCloseTo(8.3);
+
+        const charged = { ...emptyFees(), tafFee: 8 };
+        expect(calculateFees(schedule, sell, charged).tafFee).toBeCloseTo(0.3);
+    });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { FixGateway } = require('../fix-gateway');
+const { FixParser, encodeMessage, MSG_TYPES, TAGS } = require('../fix-protocol');
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A gateway on a free port, trading a venue with one bot account
+async function startGateway(hooks = {}) {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS });
+    const account = venue.openAccount({ id: 'bot_1', api_key: 'secret', status: 'connected' });
+    const gateway = new FixGateway({
+        authenticate: (botId, apiKey) => (botId === account.id && apiKey === account.api_key ? account : null),
+        placeOrder: (botId, request) => venue.placeOrder(venue.accounts.get(botId), request),
+        findOrder: (orderId, botId) => {
+            const order = venue.orders.get(orderId);
+            return order && order.bot_id === botId ? { venue, order } : { error: 'Unknown order' };
+        },
+        positionOf: () => 0,
+        marketData: venue.marketData,
+        ...hooks
+    }, { seqFile: path.join(os.tmpdir(), `fix-gateway-test-${process.pid}-${Date.now()}.json`) });
+    venue.on('order_update', order => gateway.onOrderUpdate(order));
+
+    gateway.server.listen(0, '127.0.0.1');
+    await new Promise(resolve => gateway.server.once('listening', resolve));
+    return { venue, account, gateway, port: gateway.server.address().port };
+}
+
+// A counterparty that logs on and collects everything sent back
+async function connect(port) {
+    const socket = net.connect(port, '127.0.0.1');
+    const parser = new FixParser();
+    const client = { socket, received: [], seqNum: 1 };
+    const waiters = [];
+    socket.on('data', (chunk) => {
+        client.received.push(...parser.push(chunk).messages);
+        waiters.splice(0).forEach(check => check());
+    });
+
+    client.send = (msgType, fields) => socket.write(encodeMessage({ msgType, sender: 'bot_1', target: 'STOCKSIM', seqNum: client.seqNum++ }, fields));
+    client.next = msgType => new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error(`No ${msgType} received`)), 2000);
+        const check = () => {
+            const index = client.received.findIndex(message => message.msgType === msgType);
+            if (index === -1) return waiters.push(check);
+            clearTimeout(timeout);
+            resolve(client.received.splice(index, 1)[0]);
+        };
+        check();
+    });
+
+    await new Promise(resolve => socket.once('connect', resolve));
+    client.send(MSG_TYPES.Logon, [[TAGS.EncryptMethod, 0], [TAGS.HeartBtInt, 0], [TAGS.ResetSeqNumFlag, 'Y'], [TAGS.Password, 'secret']]);
+    await client.next(MSG_TYPES.Logon);
+    return client;
+}
+
+// The session is still up when it answers a TestRequest
+async function expectAlive(client) {
+    client.send(MSG_TYPES.TestRequest, [[TAGS.TestReqID, 'ping']]);
+    const heartbeat = await client.next(MSG_TYPES.Heartbeat);
+    expect(heartbeat.get(TAGS.TestReqID)).toBe('ping');
+}
+
+describe('FixGateway', () => {
+    let setup;
+    let client;
+
+    afterEach(() => {
+        if (client) client.socket.destroy();
+        setup.gateway.sessions.forEach(session => session.socket.destroy());
+        setup.gateway.server.close();
+        clearTimeout(setup.gateway.store.saveTimer);
+        fs.rmSync(setup.gateway.store.file, { force: true });
+        client = null;
+    });
+
+    test('answers a message it fails on with a BusinessMessageReject and keeps the session', async () => {
+        setup = await startGateway({
+            placeOrder: () => {
+                throw new TypeError('Cannot read properties of undefined');
+            }
+        });
+        client = await connect(setup.port);
+
+        client.send(MSG_TYPES.NewOrderSingle, [
+            [TAGS.ClOrdID, 'c-1'], [TAGS.Symbol, 'AAPL'], [TAGS.Side, '1'], [TAGS.OrderQty, 10], [TAGS.OrdType, '1']
+        ]);
+        const reject = await client.next(MSG_TYPES.BusinessMessageReject);
+        expect(reject.get(TAGS.RefMsgType)).toBe(MSG_TYPES.NewOrderSingle);
+        expect(reject.get(TAGS.RefSeqNum)).toBe('2');
+        expect(reject.get(TAGS.BusinessRejectReason)).toBe('0');
+
+        await expectAlive(client);
+    });
+
+    test('rejects a malformed order and keeps the session', async () => {
+        setup = await startGateway();
+        client = await connect(setup.port);
+
+        client.send(MSG_TYPES.NewOrderSingle, [[TAGS.ClOrdID, 'c-1'], [TAGS.Side, '1'], [TAGS.OrdType, '1']]);
+        const reject = await client.next(MSG_TYPES.Reject);
+        expect(reject.get(TAGS.Text)).toBe(`Required tag missing: ${TAGS.Symbol}`);
+
+        client.send(MSG_TYPES.NewOrderSingle, [
+            [TAGS.ClOrdID, 'c-2'], [TAGS.Symbol, 'AAPL'], [TAGS.Side, '9'], [TAGS.OrderQty, 'ten'], [TAGS.OrdType, '1']
+        ]);
+        const report = await client.next(MSG_TYPES.ExecutionReport);
+        expect(report.get(TAGS.OrdStatus)).toBe('8');
+
+        await expectAlive(client);
+    });
+
+    test('reports an order whose limit price is stored as a string', async () => {
+        setup = await startGateway();
+        client = await connect(setup.port);
+
+        client.send(MSG_TYPES.NewOrderSingle, [
+            [TAGS.ClOrdID, 'c-1'], [TAGS.Symbol, 'AAPL'], [TAGS.Side, '1'], [TAGS.OrderQty, 10], [TAGS.OrdType, '2'], [TAGS.Price, 1]
+        ]);
+        const ack = await client.next(MSG_TYPES.ExecutionReport);
+        expect(ack.get(TAGS.OrdStatus)).toBe('0');
+
+        // As a REST request may leave it
+        setup.venue.orders.get(ack.get(TAGS.OrderID)).limit_price = '1.5';
+        client.send(MSG_TYPES.OrderCancelRequest, [[TAGS.OrigClOrdID, 'c-1'], [TAGS.ClOrdID, 'c-2']]);
+        const cancelled = await client.next(MSG_TYPES.ExecutionReport);
+        expect(cancelled.get(TAGS.ExecType)).toBe('4');
+        expect(cancelled.get(TAGS.Price)).toBe('1.5');
+
+        await expectAlive(client);
+    });
+});
@@ -0,0 +1,122 @@
+const { FixParser, encodeMessage, formatTimestamp, MSG_TYPES, TAGS } = require('../fix-protocol');
+
+// A FIX 4.2 logon, with BodyLength 65 and CheckSum 061
+const LOGON = '8=FIX.4.2\x019=65\x0135=A\x0134=177\x0149=SERVER\x0152=20090323-15:40:29\x01'
+    + '56=CLIENT\x0198=0\x01108=30\x0110=061\x01';
+
+function sumBytes(text) {
+    return Array.from(Buffer.from(text)).reduce((sum, byte) => sum + byte, 0) % 256;
+}
+
+describe('formatTimestamp', () => {
+    test('writes a UTCTimestamp with milliseconds', () => {
+        expect(formatTimestamp(new Date('2026-03-02T14:05:09.042Z'))).toBe('20260302-14:05:09.042');
+    });
+});
+
+describe('encodeMessage', () => {
+    const header = { msgType: MSG_TYPES.NewOrderSingle, sender: 'STOCKSIM', target: 'BOT1', seqNum: 7 };
+
+    test('frames the body with BodyLength and CheckSum', () => {
+        const message = encodeMessage(header, [[TAGS.ClOrdID, 'c-1'], [TAGS.Symbol, 'AAPL']]).toString();
+        const fields = message.split('\x01');
+        expect(fields[0]).toBe('8=FIX.4.4');
+        expect(fields[2]).toBe('35=D');
+
+        const bodyStart = message.indexOf('\x01', message.indexOf('9=')) + 1;
+        const trailerStart = message.lastIndexOf('10=');
+        expect(fields[1]).toBe(`9=${trailerStart - bodyStart}`);
+
+        expect(message.slice(trailerStart)).toBe(`10=${String(sumBytes(message.slice(0, trailerStart))).padStart(3, '0')}\x01`);
+    });
+
+    test('keeps field order, drops empty values and flags resends', () => {
+        const message = encodeMessage({ ...header, possDup: true }, [
+            [TAGS.NoMDEntries, 2],
+            [TAGS.MDEntryType, '0'],
+            [TAGS.Price, null],
+            [TAGS.MDEntryType, '1'],
+            [TAGS.Text, undefined]
+        ]).toString();
+        expect(message).toContain('\x0143=Y\x01');
+        expect(message).toMatch(/\x01268=2\x01269=0\x01269=1\x0110=\d{3}\x01$/);
+        expect(message).not.toContain('\x0144=');
+        expect(message).not.toContain('\x0158=');
+    });
+
+    test('counts BodyLength in bytes', () => {
+        const message = encodeMessage(header, [[TAGS.Text, 'café']]);
+        const { messages, garbled } = new FixParser().push(message);
+        expect(garbled).toEqual([]);
+        expect(messages[0].get(TAGS.Text)).toBe('café');
+    });
+});
+
+describe('FixParser', () => {
+    test('parses a known message', () => {
+        const { messages, garbled } = new FixParser().push(Buffer.from(LOGON));
+        expect(garbled).toEqual([]);
+        expect(messages).toHaveLength(1);
+        expect(messages[0].msgType).toBe('A');
+        expect(messages[0].seqNum).toBe(177);
+        expect(messages[0].get(TAGS.HeartBtInt)).toBe('30');
+        expect(messages[0].toString()).toBe(LOGON.replace(/\x01/g, '|'));
+    });
+
+    test('round-trips an encoded message with a repeating group', () => {
+        const encoded = encodeMessage({ msgType: 'W', sender: 'A', target: 'B', seqNum: 3 }, [
+            [TAGS.Symbol, 'MSFT'],
+            [TAGS.NoMDEntries, 2],
+            [TAGS.MDEntryType, '0'],
+            [TAGS.MDEntryPx, '410.1'],
+            [TAGS.MDEntryType, '1'],
+            [TAGS.MDEntryPx, '410.2']
+        ]);
+        const [message] = new FixParser().push(encoded).messages;
+        expect(message.get(TAGS.SenderCompID)).toBe('A');
+        expect(message.getAll(TAGS.MDEntryPx)).toEqual(['410.1', '410.2']);
+        expect(message.get(TAGS.CheckSum)).toMatch(/^\d{3}$/);
+    });
+
+    test('reassembles messages split across chunks and splits joined ones', () => {
+        const parser = new FixParser();
+        const bytes = Buffer.concat([Buffer.from(LOGON), Buffer.from(LOGON)]);
+        const messages = [];
+        for (let i = 0; i < bytes.length; i += 7) {
+            const result = parser.push(bytes.subarray(i, i + 7));
+            expect(result.garbled).toEqual([]);
+            messages.push(...result.messages);
+        }
+        expect(messages).toHaveLength(2);
+    });
+
+    test('skips data before BeginString', () => {
+        const { messages, garbled } = new FixParser().push(Buffer.from(`noise${LOGON}`));
+        expect(garbled).toEqual(['Data before BeginString']);
+        expect(messages).toHaveLength(1);
+    });
+
+    test('drops a message with a bad CheckSum and keeps parsing', () => {
+        const bad = LOGON.replace('10=061', '10=062');
+        const { messages, garbled } = new FixParser().push(Buffer.from(bad + LOGON));
+        expect(garbled).toEqual(['CheckSum 062 should be 061']);
+        expect(messages).toHaveLength(1);
+    });
+
+    test('drops a message whose BodyLength does not match', () => {
+        const bad = LOGON.replace('9=65', '9=60');
+        const { messages, garbled } = new FixParser().push(Buffer.from(bad + LOGON));
+        expect(garbled[0]).toBe('BodyLength does not match the message');
+        expect(messages).toHaveLength(1);
+        expect(messages[0].seqNum).toBe(177);
+    });
+
+    test('rejects a missing or oversized BodyLength', () => {
+        const missing = new FixParser().push(Buffer.from('8=FIX.4.4\x0135=0\x01'));
+        expect(missing.garbled).toContain('Missing or invalid BodyLength');
+
+        const huge = new FixParser().push(Buffer.from('8=FIX.4.4\x019=999999\x0135=0\x01'));
+        expect(huge.garbled).toContain('Missing or invalid BodyLength');
+        expect(huge.messages).toEqual([]);
+    });
+});
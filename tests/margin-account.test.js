@@ -0,0 +1,107 @@
+// Fixed here so a MARGIN_CALL_GRACE_TICKS in the environment doesn't matter
+process.env.MARGIN_CALL_GRACE_TICKS = '2';
+
+const { normalizeMarginAccount, getMarginStatus } = require('../margin-account');
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+const MARGIN = { multiplier: 2, longMaintenance: 0.25, shortMaintenance: 0.3, interestRate: 0.08 };
+
+// A venue with one margin bot holding $180k of AAPL on $100k of cash, and
+// every bot event it raises
+function createVenue() {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS });
+    const account = venue.openAccount({ id: 'bot_1', margin: normalizeMarginAccount(MARGIN) });
+    venue.marketData.get('AAPL').price = 100;
+    venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 1800 });
+
+    const events = [];
+    venue.on('bot_event', type => events.push(type));
+    return { venue, account, portfolio: venue.portfolios.get(account.id), events };
+}
+
+describe('normalizeMarginAccount', () => {
+    test('is a cash account unless margin is asked for', () => {
+        expect(normalizeMarginAccount(undefined)).toBeNull();
+        expect(normalizeMarginAccount(false)).toBeNull();
+        expect(normalizeMarginAccount(true)).toEqual(expect.objectContaining({ multiplier: 2 }));
+    });
+
+    test('rejects a multiplier out of range or maintenance above the initial rate', () => {
+        expect(() => normalizeMarginAccount({ multiplier: 4 })).toThrow('margin.multiplier must be between 1 and 3');
+        expect(() => normalizeMarginAccount({ longMaintenance: 0.6 })).toThrow('below the initial rate of 0.5');
+        expect(() => normalizeMarginAccount({ interestRate: -1 })).toThrow('margin.interestRate must be a non-negative number');
+    });
+});
+
+describe('getMarginStatus', () => {
+    test('measures buying power and the maintenance requirement', () => {
+        const status = getMarginStatus(MARGIN, { cash: -50000, equity: 70000, longMarketValue: 120000, shortMarketValue: 0 });
+        expect(status.loanBalance).toBe(50000);
+        expect(status.usedMargin).toBe(60000);
+        expect(status.availableMargin).toBe(10000);
+        expect(status.buyingPower).toBe(20000);
+        expect(status.maintenanceRequirement).toBe(30000);
+        expect(status.marginCall).toBe(false);
+        expect(status.riskLevel).toBe('NORMAL');
+    });
+});
+
+describe('margin accounts in the venue', () => {
+    test('borrow to buy up to their buying power', () => {
+        const { venue, account, portfolio } = createVenue();
+        expect(portfolio.holdings.get('AAPL').quantity).toBe(1800);
+        expect(portfolio.cash).toBeLessThan(-80000);
+
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 500 });
+        expect(order.status).toBe('rejected');
+        expect(order.rejectReason).toBe('Insufficient buying power');
+    });
+
+    test('charge interest on the debit balance at the session close', () => {
+        const { venue, portfolio } = createVenue();
+        const debit = -portfolio.cash;
+
+        venue.closeSession();
+        expect(portfolio.marginInterest).toBeCloseTo(debit * 0.08 / 360, 6);
+        expect(portfolio.cash).toBeCloseTo(-debit - debit * 0.08 / 360, 6);
+    });
+
+    test('issue a margin call and lift it once equity recovers', () => {
+        const { venue, account, events } = createVenue();
+
+        venue.marketData.get('AAPL').price = 55;
+        venue.checkMarginAccounts();
+        expect(account.marginCall).toEqual(expect.objectContaining({ ticksRemaining: 2 }));
+        expect(venue.getAccountMarginStatus(account).riskLevel).toBe('HIGH');
+
+        venue.marketData.get('AAPL').price = 90;
+        venue.checkMarginAccounts();
+        expect(account.marginCall).toBeNull();
+        expect(events).toEqual(['margin_call', 'margin_call_met']);
+    });
+
+    test('liquidate positions when the grace period runs out', () => {
+        const { venue, account, portfolio, events } = createVenue();
+        const resting = venue.placeOrder(account, { symbol: 'AAPL', action: 'sell', quantity: 100, limit_price: 200 }).order;
+
+        venue.marketData.get('AAPL').price = 55;
+        venue.checkMarginAccounts();
+        venue.checkMarginAccounts();
+        expect(account.marginCall.ticksRemaining).toBe(1);
+        expect(resting.status).toBe('pending');
+
+        venue.checkMarginAccounts();
+        expect(events).toEqual(['margin_call', 'margin_call', 'margin_liquidation']);
+        expect(resting.status).toBe('cancelled');
+        expect(resting.cancelReason).toBe('Cancelled for margin liquidation');
+
+        const liquidation = Array.from(venue.orders.values()).find(order => order.liquidation);
+        expect(liquidation).toEqual(expect.objectContaining({ action: 'sell', type: 'market', status: 'filled' }));
+        expect(portfolio.holdings.get('AAPL').quantity).toBe(1800 - liquidation.quantity);
+        expect(venue.getAccountMarginStatus(account).marginCall).toBe(false);
+    });
+});
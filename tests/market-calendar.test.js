@@ -0,0 +1,137 @@
+const { MarketCalendar, exchangeCalendar, parseDateKey, addDays } = require('../js/market-calendar.js');
+
+function datesOf(entries) {
+    return entries.map(entry => entry.date);
+}
+
+describe('exchangeCalendar', () => {
+    test('lists the NYSE holidays for 2026', () => {
+        const { holidays } = exchangeCalendar(2026);
+        expect(datesOf(holidays).sort()).toEqual([
+            '2026-01-01', // New Year's Day
+            '2026-01-19', // Martin Luther King Jr. Day, third Monday
+            '2026-02-16', // Washington's Birthday, third Monday
+            '2026-04-03', // Good Friday, Easter is April 5
+            '2026-05-25', // Memorial Day, last Monday
+            '2026-06-19', // Juneteenth
+            '2026-07-03', // Independence Day on a Saturday, observed Friday
+            '2026-09-07', // Labor Day, first Monday
+            '2026-11-26', // Thanksgiving, fourth Thursday
+            '2026-12-25'  // Christmas Day
+        ]);
+    });
+
+    test('finds Good Friday from Easter', () => {
+        const goodFriday = year => exchangeCalendar(year).holidays.find(holiday => holiday.name === 'Good Friday').date;
+        expect(goodFriday(2024)).toBe('2024-03-29');
+        expect(goodFriday(2025)).toBe('2025-04-18');
+        expect(goodFriday(2027)).toBe('2027-03-26');
+    });
+
+    test('moves weekend holidays to the Friday before or the Monday after', () => {
+        const holidays = datesOf(exchangeCalendar(2027).holidays);
+        expect(holidays).toContain('2027-06-18'); // Juneteenth on a Saturday
+        expect(holidays).toContain('2027-07-05'); // Independence Day on a Sunday
+        expect(holidays).toContain('2027-12-24'); // Christmas on a Saturday
+    });
+
+    test('does not make up a Saturday New Year on the Friday before', () => {
+        expect(datesOf(exchangeCalendar(2022).holidays)).not.toContain('2021-12-31');
+        expect(exchangeCalendar(2022).holidays.some(holiday => holiday.name === "New Year's Day")).toBe(false);
+        expect(new MarketCalendar().isTradingDay('2021-12-31')).toBe(true);
+    });
+
+    test('only observes Juneteenth from 2022', () => {
+        expect(exchangeCalendar(2021).holidays.some(holiday => holiday.name === 'Juneteenth')).toBe(false);
+        expect(datesOf(exchangeCalendar(2022).holidays)).toContain('2022-06-20');
+    });
+
+    test('closes early on eves that fall Monday to Thursday', () => {
+        expect(datesOf(exchangeCalendar(2026).earlyCloses).sort()).toEqual(['2026-11-27', '2026-12-24']);
+        expect(datesOf(exchangeCalendar(2025).earlyCloses).sort()).toEqual(['2025-07-03', '2025-11-28', '2025-12-24']);
+        // Christmas Eve 2027 is the observed holiday, not an early close
+        expect(datesOf(exchangeCalendar(2027).earlyCloses)).toEqual(['2027-11-26']);
+    });
+});
+
+describe('MarketCalendar', () => {
+    const calendar = new MarketCalendar();
+
+    test('is shut on weekends and holidays', () => {
+        expect(calendar.isTradingDay('2026-03-06')).toBe(true);
+        expect(calendar.isTradingDay('2026-03-07')).toBe(false);
+        expect(calendar.isTradingDay('2026-03-08')).toBe(false);
+        expect(calendar.holiday('2026-11-26')).toBe('Thanksgiving Day');
+        expect(calendar.holiday('2026-11-27')).toBeNull();
+        expect(calendar.sessionHours('2026-11-26')).toBeNull();
+    });
+
+    test('gives regular and early-close session hours in minutes', () => {
+        expect(calendar.sessionHours('2026-03-06')).toEqual({ preOpen: 240, open: 570, close: 960, postClose: 1200, earlyClose: null });
+        expect(calendar.sessionHours('2026-11-27')).toEqual({ preOpen: 240, open: 570, close: 780, postClose: 1020, earlyClose: 'Day after Thanksgiving' });
+    });
+
+    test('puts each minute in its session', () => {
+        expect(calendar.phaseAt('2026-03-06', 239)).toBe('closed');
+        expect(calendar.phaseAt('2026-03-06', 240)).toBe('pre');
+        expect(calendar.phaseAt('2026-03-06', 569)).toBe('pre');
+        expect(calendar.phaseAt('2026-03-06', 570)).toBe('regular');
+        expect(calendar.phaseAt('2026-03-06', 959)).toBe('regular');
+        expect(calendar.phaseAt('2026-03-06', 960)).toBe('post');
+        expect(calendar.phaseAt('2026-03-06', 1200)).toBe('closed');
+        expect(calendar.phaseAt('2026-11-27', 780)).toBe('post');
+        expect(calendar.phaseAt('2026-11-27', 1020)).toBe('closed');
+        expect(calendar.phaseAt('2026-03-07', 600)).toBe('closed');
+    });
+
+    test('skips weekends and holidays to the next trading day', () => {
+        expect(calendar.nextTradingDay('2026-04-02')).toBe('2026-04-06');
+        expect(calendar.firstTradingDayFrom('2026-04-04')).toBe('2026-04-06');
+        expect(calendar.firstTradingDayFrom('2026-04-02')).toBe('2026-04-02');
+
+        const moved = calendar.addTradingDays(new Date(2026, 3, 2, 10, 30), 1);
+        expect([moved.getFullYear(), moved.getMonth(), moved.getDate(), moved.getHours(), moved.getMinutes()]).toEqual([2026, 3, 6, 10, 30]);
+    });
+
+    test('adds configured closures and early closes', () => {
+        const custom = new MarketCalendar({
+            holidays: ['2026-03-06', { date: '2026-03-09', name: 'Storm' }],
+            earlyCloses: [{ date: '2026-03-10', close: '12:00' }]
+        });
+        expect(custom.holiday('2026-03-06')).toBe('Market holiday');
+        expect(custom.holiday('2026-03-09')).toBe('Storm');
+        expect(custom.sessionHours('2026-03-10')).toEqual(expect.objectContaining({ close: 720, postClose: 1020, earlyClose: 'Early close' }));
+    });
+
+    test('can leave out the exchange holidays', () => {
+        expect(new MarketCalendar({ exchangeHolidays: false }).isTradingDay('2026-11-26')).toBe(true);
+    });
+
+    test('rejects bad hours and dates', () => {
+        expect(() => new MarketCalendar({ open: '9.30' })).toThrow('open must be a time like 09:30');
+        expect(() => new MarketCalendar({ open: '17:00' })).toThrow(/preOpen <= open < close <= postClose/);
+        expect(() => new MarketCalendar({ holidays: ['2026-02-30'] })).toThrow('"2026-02-30" is not a YYYY-MM-DD date');
+    });
+
+    test('writes timestamps with the New York offset for the day', () => {
+        expect(calendar.timestamp('2026-03-06', 570)).toBe('2026-03-06T09:30:00-05:00');
+        expect(calendar.timestamp('2026-03-09', 570)).toBe('2026-03-09T09:30:00-04:00');
+        expect(calendar.timestamp('2026-11-02', 960)).toBe('2026-11-02T16:00:00-05:00');
+    });
+
+    test('finds the New York date for a wall-clock time', () => {
+        expect(calendar.dateKeyAt(new Date('2026-03-10T03:30:00Z'))).toBe('2026-03-09');
+        expect(calendar.dateKeyAt(new Date('2026-03-10T04:30:00Z'))).toBe('2026-03-10');
+        expect(calendar.dateKeyAt(new Date('2026-01-10T04:30:00Z'))).toBe('2026-01-09');
+    });
+});
+
+describe('date keys', () => {
+    test('parse and add days across month and year ends', () => {
+        expect(parseDateKey('2026-02-28')).toEqual({ year: 2026, month: 2, day: 28 });
+        expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+        expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+        expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+        expect(() => parseDateKey('2026-2-28')).toThrow();
+    });
+});
@@ -0,0 +1,101 @@
+const { MarketClock } = require('../market-clock');
+
+// Fixed here so MARKET_CLOSED_TICK_MINUTES and friends don't matter
+function createClock(options = {}) {
+    return new MarketClock({ ticksPerSession: 78, closedTickMinutes: 60, extendedHours: true, ...options });
+}
+
+// Advance until the clock enters a phase, collecting every session event
+function advanceTo(clock, phase, limit = 1000) {
+    const events = [];
+    for (let i = 0; i < limit; i++) {
+        const changes = clock.advance();
+        events.push(...changes);
+        if (changes.length > 0 && clock.phase === phase) return events;
+    }
+    throw new Error(`Clock never reached ${phase}`);
+}
+
+describe('MarketClock', () => {
+    test('starts at the regular open of the first trading day', () => {
+        const clock = createClock({ startDate: '2026-04-03' }); // Good Friday
+        expect(clock.date).toBe('2026-04-06');
+        expect(clock.minute).toBe(570);
+        expect(clock.isOpen).toBe(true);
+        expect(clock.describe()).toEqual(expect.objectContaining({
+            timestamp: '2026-04-06T09:30:00-04:00',
+            phase: 'regular',
+            is_open: true,
+            next_open: '2026-04-07T09:30:00-04:00',
+            next_close: '2026-04-06T16:00:00-04:00',
+            holiday: null,
+            early_close: null
+        }));
+    });
+
+    test('runs the regular session in ticksPerSession updates and stops on the close', () => {
+        const clock = createClock({ startDate: '2026-03-06' });
+        for (let i = 0; i < 77; i++) {
+            expect(clock.advance()).toEqual([]);
+        }
+        expect(clock.phase).toBe('regular');
+
+        expect(clock.advance()).toEqual([{ event: 'close', session: 'regular' }, { event: 'open', session: 'post' }]);
+        expect(clock.minute).toBe(960);
+        expect(clock.phase).toBe('post');
+    });
+
+    test('fits the whole session into an early-close day', () => {
+        const clock = createClock({ startDate: '2026-11-27' });
+        expect(clock.describe().early_close).toBe('Day after Thanksgiving');
+        for (let i = 0; i < 77; i++) clock.advance();
+        expect(clock.phase).toBe('regular');
+
+        clock.advance();
+        expect(clock.minute).toBe(780);
+        expect(clock.phase).toBe('post');
+
+        // After hours end at 17:00
+        expect(advanceTo(clock, 'closed')).toEqual([{ event: 'close', session: 'post' }]);
+        expect(clock.minute).toBe(1020);
+    });
+
+    test('goes through after hours, the night and pre-market to the next open', () => {
+        const clock = createClock({ startDate: '2026-03-05' });
+        const events = advanceTo(clock, 'regular', 2000);
+        expect(events).toEqual([
+            { event: 'close', session: 'regular' },
+            { event: 'open', session: 'post' },
+            { event: 'close', session: 'post' },
+            { event: 'open', session: 'pre' },
+            { event: 'close', session: 'pre' },
+            { event: 'open', session: 'regular' }
+        ]);
+        expect(clock.date).toBe('2026-03-06');
+        expect(clock.minute).toBe(570);
+    });
+
+    test('steps over a weekend and a holiday while shut', () => {
+        const clock = createClock({ startDate: '2026-04-02' });
+        advanceTo(clock, 'closed');
+        expect(clock.describe().next_open).toBe('2026-04-06T09:30:00-04:00');
+
+        while (clock.date !== '2026-04-03') clock.advance();
+        expect(clock.phase).toBe('closed');
+        expect(clock.describe().holiday).toBe('Good Friday');
+
+        advanceTo(clock, 'regular');
+        expect(clock.date).toBe('2026-04-06');
+    });
+
+    test('keeps pre-market and after hours shut without extended hours', () => {
+        const clock = createClock({ startDate: '2026-03-05', extendedHours: false });
+        const events = advanceTo(clock, 'regular', 2000);
+        expect(events).toEqual([{ event: 'close', session: 'regular' }, { event: 'open', session: 'regular' }]);
+        expect(clock.date).toBe('2026-03-06');
+    });
+
+    test('rejects a non-positive closed step', () => {
+        expect(() => createClock({ closedTickMinutes: 0 })).toThrow('closedTickMinutes must be positive');
+    });
+});
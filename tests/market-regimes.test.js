@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { MarketRegimes, REGIMES, normalizeRegime, normalizeShock } = require('../market-regimes');
+const { TradingVenue } = require('../trading-venue');
+const { createRandom } = require('../seeded-random');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// Regime names in force over the next `count` market updates
+function run(regimes, count) {
+    return Array.from({ length: count }, () => {
+        regimes.advance();
+        return regimes.name;
+    });
+}
+
+describe('regime definitions', () => {
+    test('fill unset parameters from normal', () => {
+        expect(normalizeRegime('melt_up', { drift: '1.5' })).toEqual({ ...REGIMES.normal, description: '', drift: 1.5 });
+    });
+
+    test('reject bad names and out-of-range parameters', () => {
+        expect(() => normalizeRegime('two words')).toThrow('regime name "two words" must be 1-32 letters, digits, _ or -');
+        expect(() => normalizeRegime('wild', { volatility: 11 })).toThrow('wild.volatility must be between 0 and 10');
+        expect(() => normalizeRegime('odd', { jumps: 'lots' })).toThrow('odd.jumps must be between 0 and 20');
+    });
+
+    test('shocks take a non-zero move and symbols or a sector', () => {
+        expect(normalizeShock({ move: -0.2, symbols: ['aapl'] })).toEqual({ move: -0.2, symbols: ['AAPL'] });
+        expect(() => normalizeShock({ move: -1 })).toThrow('shock move must be a non-zero fraction above -1 and up to 1');
+        expect(() => normalizeShock({ move: 0.1, symbols: [] })).toThrow('shock symbols must be a non-empty array');
+        expect(() => normalizeShock({ move: 0.1, symbols: ['AAPL'], sector: 'Technology' })).toThrow('a shock takes symbols or sector, not both');
+    });
+});
+
+describe('MarketRegimes', () => {
+    test('starts normal and reports a change only when the regime switches', () => {
+        const regimes = new MarketRegimes({ ticksPerSession: 10 });
+        expect(regimes.advance()).toEqual({ changed: false, shocks: [] });
+
+        regimes.setRegime('bull');
+        expect(regimes.advance().changed).toBe(true);
+        expect(regimes.describe()).toEqual(expect.objectContaining({ name: 'bull', drift: 0.3, remainingTicks: null, scenario: null }));
+    });
+
+    test('a timed regime hands back to the one before it', () => {
+        const regimes = new MarketRegimes({ ticksPerSession: 10 });
+        regimes.setRegime('bear');
+        regimes.setRegime('crash', { ticks: 2 });
+        expect(run(regimes, 4)).toEqual(['crash', 'crash', 'bear', 'bear']);
+        expect(regimes.remainingTicks).toBeNull();
+    });
+
+    test('runs scenario steps measured in days, with their shocks, and loops', () => {
+        const regimes = new MarketRegimes({ ticksPerSession: 2 });
+        regimes.loadScenario({
+            name: 'cycle',
+            loop: true,
+            regimes: { panic: { volatility: 5 } },
+            steps: [
+                { regime: 'bull', days: 1 },
+                { regime: 'panic', ticks: 1, shocks: [{ move: -0.3 }] }
+            ]
+        });
+
+        const shocks = [];
+        const names = Array.from({ length: 6 }, () => {
+            shocks.push(regimes.advance().shocks.length);
+            return regimes.name;
+        });
+        expect(names).toEqual(['bull', 'bull', 'panic', 'bull', 'bull', 'panic']);
+        expect(shocks).toEqual([0, 0, 1, 0, 0, 1]);
+        expect(regimes.describe().scenario).toEqual({ name: 'cycle', step: 2, steps: 2, loop: true });
+    });
+
+    test('rejects scenarios it could not run', () => {
+        const regimes = new MarketRegimes();
+        expect(() => regimes.loadScenario({ steps: [] })).toThrow('steps must be a non-empty array');
+        expect(() => regimes.loadScenario({ steps: [{ regime: 'boom', days: 1 }] })).toThrow('steps[0].regime "boom" is not a known regime');
+        expect(() => regimes.loadScenario({ steps: [{ regime: 'bull' }, { regime: 'bear' }] })).toThrow('steps[0] needs days or ticks');
+        expect(() => regimes.loadScenario({ loop: true, steps: [{ regime: 'bull', ticks: 0 }] })).toThrow('steps[0] must last at least one tick');
+        expect(regimes.name).toBe('normal');
+    });
+
+    test('loads the example crash scenario', () => {
+        const scenario = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenarios', 'crash-2008.json'), 'utf8'));
+        const regimes = new MarketRegimes();
+        expect(() => regimes.loadScenario(scenario)).not.toThrow();
+    });
+});
+
+describe('regimes in the venue', () => {
+    // Two venues drawing the same random numbers move identically
+    function createVenue() {
+        return new TradingVenue({ stocks: REAL_STOCKS, random: createRandom('regimes') });
+    }
+
+    test('a shock gaps the symbols it names on the next update', () => {
+        const plain = createVenue();
+        const shocked = createVenue();
+        shocked.regimes.addShock({ move: -0.5, symbols: ['AAPL'] });
+
+        plain.tick();
+        shocked.tick();
+        expect(shocked.marketData.get('AAPL').price).toBeCloseTo(plain.marketData.get('AAPL').price * 0.5, 6);
+        expect(shocked.marketData.get('MSFT').price).toBe(plain.marketData.get('MSFT').price);
+    });
+
+    test('announces a regime change and reports the regime with each update', () => {
+        const venue = createVenue();
+        const changes = [];
+        venue.on('regime_change', regime => changes.push(regime.name));
+
+        expect(venue.tick().regime.name).toBe('normal');
+        venue.regimes.setRegime('crash');
+        expect(venue.tick().regime).toEqual(expect.objectContaining({ name: 'crash', correlation: 2 }));
+        venue.tick();
+        expect(changes).toEqual(['crash']);
+    });
+
+    test('a crash takes the market down', () => {
+        const venue = createVenue();
+        const start = Array.from(venue.marketData.values()).reduce((sum, stock) => sum + stock.price, 0);
+        venue.regimes.setRegime('crash');
+        for (let i = 0; i < 78; i++) {
+            venue.tick();
+        }
+        const end = Array.from(venue.marketData.values()).reduce((sum, stock) => sum + stock.price, 0);
+        expect(end).toBeLessThan(start);
+    });
+});
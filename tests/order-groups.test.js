@@ -0,0 +1,121 @@
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A venue with one bot and AAPL at $100
+function createVenue() {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS });
+    const account = venue.openAccount({ id: 'bot_1' });
+    venue.marketData.get('AAPL').price = 100;
+    return { venue, account };
+}
+
+function moveTo(venue, price) {
+    venue.marketData.get('AAPL').price = price;
+    venue.processRestingOrders();
+}
+
+const EXITS = { take_profit: { limit_price: 110 }, stop_loss: { stop_price: 90 } };
+
+describe('bracket orders', () => {
+    test('holds the exit legs until the entry fills, then releases them', () => {
+        const { venue, account } = createVenue();
+        const { order: entry, legs } = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 95, order_class: 'bracket', ...EXITS
+        });
+        const [takeProfit, stopLoss] = legs.map(id => venue.orders.get(id));
+        expect(entry.status).toBe('pending');
+        expect(takeProfit).toEqual(expect.objectContaining({ action: 'sell', type: 'limit', status: 'held', parent_id: entry.id }));
+        expect(stopLoss).toEqual(expect.objectContaining({ action: 'sell', type: 'stop', status: 'held', parent_id: entry.id }));
+
+        // Held legs never trade, even with the price through their stop
+        moveTo(venue, 85);
+        expect(entry.status).toBe('filled');
+        expect(takeProfit.status).toBe('pending');
+        expect(stopLoss.status).toBe('pending');
+        expect(stopLoss.quantity).toBe(10);
+
+        moveTo(venue, 89);
+        expect(stopLoss.status).toBe('filled');
+        expect(takeProfit.status).toBe('cancelled');
+        expect(takeProfit.cancelReason).toBe(`OCO sibling ${stopLoss.id} filled`);
+    });
+
+    test('cancelling the entry cancels its legs', () => {
+        const { venue, account } = createVenue();
+        const { order: entry, legs } = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 95, order_class: 'bracket', ...EXITS
+        });
+
+        venue.cancelOrder(entry);
+        legs.forEach((id) => {
+            expect(venue.orders.get(id).status).toBe('cancelled');
+            expect(venue.orders.get(id).cancelReason).toBe(`Parent order ${entry.id} cancelled`);
+        });
+    });
+
+    test('rejects exits on the wrong side of each other', () => {
+        const { venue, account } = createVenue();
+        const result = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'buy', quantity: 10, order_class: 'bracket',
+            take_profit: { limit_price: 90 }, stop_loss: { stop_price: 110 }
+        });
+        expect(result).toEqual({ error: 'take_profit.limit_price must be above stop_loss.stop_price', statusCode: 400 });
+    });
+
+    test('rejects IOC and FOK brackets', () => {
+        const { venue, account } = createVenue();
+        const result = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'buy', quantity: 10, order_class: 'bracket', time_in_force: 'ioc', ...EXITS
+        });
+        expect(result.error).toBe('bracket orders require day or gtc time_in_force');
+    });
+});
+
+describe('OCO orders', () => {
+    test('places both exits working and cancels one when the other fills', () => {
+        const { venue, account } = createVenue();
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10 });
+
+        const { order: takeProfit, legs } = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'sell', quantity: 10, order_class: 'oco', ...EXITS
+        });
+        const stopLoss = venue.orders.get(legs[1]);
+        expect(takeProfit.status).toBe('pending');
+        expect(stopLoss.status).toBe('pending');
+        expect(takeProfit.oco_with).toBe(stopLoss.id);
+
+        moveTo(venue, 115);
+        expect(takeProfit.status).toBe('filled');
+        expect(stopLoss.status).toBe('cancelled');
+    });
+
+    test('cancelling one leg cancels the other', () => {
+        const { venue, account } = createVenue();
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10 });
+        const { order: takeProfit, legs } = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'sell', quantity: 10, order_class: 'oco', ...EXITS
+        });
+
+        venue.cancelOrder(venue.orders.get(legs[1]));
+        expect(takeProfit.status).toBe('cancelled');
+    });
+
+    test('keeps the pair linked through a replace', () => {
+        const { venue, account } = createVenue();
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10 });
+        const { order: takeProfit, legs } = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'sell', quantity: 10, order_class: 'oco', ...EXITS
+        });
+        const stopLoss = venue.orders.get(legs[1]);
+
+        const { replacement } = venue.replaceOrder(takeProfit, { limit_price: 105 });
+        expect(stopLoss.oco_with).toBe(replacement.id);
+
+        moveTo(venue, 106);
+        expect(replacement.status).toBe('filled');
+        expect(stopLoss.status).toBe('cancelled');
+    });
+});
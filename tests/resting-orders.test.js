@@ -0,0 +1,90 @@
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A venue with one bot and AAPL at $100
+function createVenue() {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS });
+    const account = venue.openAccount({ id: 'bot_1' });
+    venue.marketData.get('AAPL').price = 100;
+    return { venue, account };
+}
+
+// Move AAPL and let the book react, as a market update does
+function moveTo(venue, price) {
+    venue.marketData.get('AAPL').price = price;
+    venue.processRestingOrders();
+}
+
+describe('resting orders', () => {
+    test('a limit order rests until the price reaches its limit', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 95 });
+        expect(order.type).toBe('limit');
+        expect(order.status).toBe('pending');
+
+        moveTo(venue, 97);
+        expect(order.status).toBe('pending');
+
+        moveTo(venue, 90);
+        expect(order.status).toBe('filled');
+        expect(order.avgFillPrice).toBeLessThanOrEqual(95);
+        expect(order.executions[0].liquidity).toBe('maker');
+    });
+
+    test('a marketable limit order fills on arrival', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 110 });
+        expect(order.status).toBe('filled');
+        expect(order.executions[0].liquidity).toBe('taker');
+    });
+
+    test('a stop order triggers once the price crosses its stop and fills at the market', () => {
+        const { venue, account } = createVenue();
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10 });
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'sell', quantity: 10, stop_price: 95 });
+        expect(order.type).toBe('stop');
+        expect(order.status).toBe('pending');
+
+        moveTo(venue, 96);
+        expect(order.triggeredAt).toBeNull();
+
+        moveTo(venue, 94);
+        expect(order.triggeredAt).not.toBeNull();
+        expect(order.status).toBe('filled');
+        expect(order.executions[0].liquidity).toBe('taker');
+    });
+
+    test('a triggered stop-limit order waits for its limit', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, stop_price: 105, limit_price: 103 });
+        expect(order.type).toBe('stop_limit');
+
+        moveTo(venue, 106);
+        expect(order.triggeredAt).not.toBeNull();
+        expect(order.status).toBe('pending');
+
+        // Back under the limit: the triggered order now trades as a limit
+        moveTo(venue, 100);
+        expect(order.status).toBe('filled');
+        expect(order.avgFillPrice).toBeLessThanOrEqual(103);
+    });
+
+    test('rejects a resting order missing its prices', () => {
+        const { venue, account } = createVenue();
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, order_type: 'limit' }))
+            .toEqual({ error: 'limit orders require a positive limit_price', statusCode: 400 });
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, order_type: 'stop_limit', limit_price: 100 }))
+            .toEqual({ error: 'stop_limit orders require a positive stop_price', statusCode: 400 });
+    });
+
+    test('rejects a resting buy the bot could not pay for', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 2000, limit_price: 90 });
+        expect(order.status).toBe('rejected');
+        expect(order.rejectReason).toBe('Insufficient cash');
+        expect(account.rejectedOrders).toBe(1);
+    });
+});
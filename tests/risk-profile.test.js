@@ -0,0 +1,154 @@
+const { normalizeRiskProfile, checkPreTradeRisk, RISK_CODES } = require('../risk-profile');
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A venue with one bot under the given risk profile
+function createVenue(riskProfile) {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS });
+    const account = venue.openAccount({ id: 'bot_1', riskProfile: normalizeRiskProfile(riskProfile) });
+    venue.marketData.get('AAPL').price = 100;
+    return { venue, account };
+}
+
+// A check on a flat book with nothing traded today
+function check(fields) {
+    return { notional: 1000, positionValue: 0, positionChange: 1000, grossExposure: 0, ordersLastMinute: 0, dailyPnL: 0, ...fields };
+}
+
+describe('normalizeRiskProfile', () => {
+    test('takes positive limits and null for no limit', () => {
+        const profile = normalizeRiskProfile({ maxOrderNotional: '5000', maxDailyLoss: null });
+        expect(profile.maxOrderNotional).toBe(5000);
+        expect(profile.maxDailyLoss).toBeNull();
+    });
+
+    test('rejects anything else', () => {
+        expect(() => normalizeRiskProfile([])).toThrow('risk_profile must be an object');
+        expect(() => normalizeRiskProfile({ maxPositionValue: 0 })).toThrow('risk_profile.maxPositionValue must be a positive number or null');
+        expect(() => normalizeRiskProfile({ maxOrdersPerMinute: 'many' })).toThrow('risk_profile.maxOrdersPerMinute must be a positive number or null');
+    });
+});
+
+describe('checkPreTradeRisk', () => {
+    const profile = normalizeRiskProfile({
+        maxOrderNotional: 5000, maxPositionValue: 10000, maxGrossExposure: 20000, maxOrdersPerMinute: 10, maxDailyLoss: 1000
+    });
+    const codeFor = fields => (checkPreTradeRisk(profile, check(fields)) || {}).code;
+
+    test('passes an order inside every limit', () => {
+        expect(checkPreTradeRisk(profile, check())).toBeNull();
+    });
+
+    test('reports the limit an order breaches', () => {
+        expect(codeFor({ dailyPnL: -1000 })).toBe(RISK_CODES.DAILY_LOSS);
+        expect(codeFor({ ordersLastMinute: 10 })).toBe(RISK_CODES.ORDER_RATE);
+        expect(codeFor({ notional: 6000 })).toBe(RISK_CODES.ORDER_NOTIONAL);
+        expect(codeFor({ positionValue: 9500 })).toBe(RISK_CODES.POSITION);
+        expect(codeFor({ positionValue: -9500, positionChange: -1000 })).toBe(RISK_CODES.POSITION);
+        expect(codeFor({ grossExposure: 19500 })).toBe(RISK_CODES.GROSS_EXPOSURE);
+    });
+
+    test('never holds back an order that shrinks a position', () => {
+        expect(codeFor({ positionValue: 15000, positionChange: -1000, grossExposure: 25000 })).toBeUndefined();
+        expect(codeFor({ positionValue: -15000, positionChange: 1000, grossExposure: 25000 })).toBeUndefined();
+    });
+});
+
+describe('pre-trade risk in the venue', () => {
+    test('counts a risk rejection in totalOrders as well as rejectedOrders', () => {
+        const { venue, account } = createVenue({ maxOrderNotional: 1000 });
+
+        const result = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 100 });
+        expect(result.reason_code).toBe(RISK_CODES.ORDER_NOTIONAL);
+        expect(result.statusCode).toBe(403);
+        expect(account.totalOrders).toBe(1);
+        expect(account.rejectedOrders).toBe(1);
+
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 1 });
+        expect(account.totalOrders).toBe(2);
+        expect(account.rejectedOrders).toBe(1);
+    });
+
+    test('counts a refused replacement the same way', () => {
+        const { venue, account } = createVenue({ maxOrderNotional: 1000 });
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 100 });
+
+        const result = venue.replaceOrder(order, { quantity: 50 });
+        expect(result.reason_code).toBe(RISK_CODES.ORDER_NOTIONAL);
+        expect(order.status).toBe('pending');
+        expect(account.totalOrders).toBe(2);
+        expect(account.rejectedOrders).toBe(1);
+    });
+
+    test('answers an order over the rate limit with a 429', () => {
+        const { venue, account } = createVenue({ maxOrdersPerMinute: 2 });
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 90 });
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 90 });
+
+        const result = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 90 });
+        expect(result).toEqual(expect.objectContaining({ statusCode: 429, reason_code: RISK_CODES.ORDER_RATE }));
+    });
+
+    test('checks a replacement against the position limit and keeps the original when it breaches', () => {
+        const { venue, account } = createVenue({ maxPositionValue: 1500 });
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10 });
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 4, limit_price: 100 });
+
+        // Only the growth beyond the original order counts
+        const { replacement } = venue.replaceOrder(order, { quantity: 5 });
+        expect(replacement.status).toBe('pending');
+
+        const result = venue.replaceOrder(replacement, { quantity: 20 });
+        expect(result).toEqual(expect.objectContaining({ statusCode: 403, reason_code: RISK_CODES.POSITION }));
+        expect(replacement.status).toBe('pending');
+    });
+});
+
+describe('daily loss halt', () => {
+    test('halts the bot, pulls orders that add exposure and keeps its exits working', () => {
+        const { venue, account } = createVenue({ maxDailyLoss: 500 });
+        const events = [];
+        venue.on('bot_event', (type, bot, fields) => events.push([type, fields.reason]));
+
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 100 });
+        const entry = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 90 }).order;
+        const stop = venue.placeOrder(account, { symbol: 'AAPL', action: 'sell', quantity: 100, stop_price: 80 }).order;
+        const bracket = venue.placeOrder(account, {
+            symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 85, order_class: 'bracket',
+            take_profit: { limit_price: 120 }, stop_loss: { stop_price: 70 }
+        });
+
+        venue.marketData.get('AAPL').price = 94;
+        venue.checkDailyLossLimits();
+
+        expect(account.status).toBe('halted');
+        expect(events).toEqual([['bot_halted', account.haltReason]]);
+        expect(entry.status).toBe('cancelled');
+        expect(entry.cancelReason).toBe('Cancelled by risk halt');
+        expect(bracket.order.status).toBe('cancelled');
+        bracket.legs.forEach(id => expect(venue.orders.get(id).status).toBe('cancelled'));
+        expect(stop.status).toBe('pending');
+
+        const result = venue.placeOrder(account, { symbol: 'AAPL', action: 'sell', quantity: 10 });
+        expect(result).toEqual(expect.objectContaining({ statusCode: 403, reason_code: RISK_CODES.HALTED }));
+
+        venue.marketData.get('AAPL').price = 79;
+        venue.processRestingOrders();
+        expect(stop.status).toBe('filled');
+    });
+
+    test('a cleared halt measures the daily loss from current equity', () => {
+        const { venue, account } = createVenue({ maxDailyLoss: 500 });
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 100 });
+        venue.marketData.get('AAPL').price = 94;
+        venue.checkDailyLossLimits();
+
+        account.status = 'connected';
+        venue.resetRiskState(account);
+        expect(account.haltReason).toBeNull();
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'sell', quantity: 10 }).order.status).toBe('filled');
+    });
+});
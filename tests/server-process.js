@@ -0,0 +1,131 @@
+/**
+ * Server Process
+ * Runs server.js in a child process on a free port for tests that go through
+ * its routes and sockets, with runtime files in a temporary DATA_DIR.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const ROOT = path.join(__dirname, '..');
+
+async function freePort() {
+    const probe = net.createServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => probe.once('listening', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+    return port;
+}
+
+// Polls with plain TCP connects so start-up does not count against the
+// server's request rate limit
+async function waitForPort(port, child, timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`server.js exited with code ${child.exitCode}`);
+        }
+        const open = await new Promise((resolve) => {
+            const socket = net.connect(port, '127.0.0.1');
+            socket.once('connect', () => socket.end(() => resolve(true)));
+            socket.once('error', () => resolve(false));
+        });
+        if (open) return;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`server.js did not listen on ${port} within ${timeoutMs}ms`);
+}
+
+/**
+ * Start server.js. `env` adds to or overrides the test environment; the live
+ * market trades round the clock unless it sets MARKET_CALENDAR.
+ * @returns {Promise<{ port, url, dataDir, request, stop }>}
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const childEnv = { ...process.env, PORT: String(port), PORTS: String(port), DATA_DIR: dataDir, LOG_LEVEL: 'error', MARKET_CALENDAR: 'false', ...env };
+    delete childEnv.FIX_PORT;
+
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], { cwd: ROOT, env: childEnv, stdio: 'ignore' });
+    const url = `http://127.0.0.1:${port}`;
+    try {
+        await waitForPort(port, child);
+    } catch (error) {
+        child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    // JSON request against the server: { status, body }
+    const request = async (method, route, body, headers = {}) => {
+        const response = await fetch(url + route, {
+            method: method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGKILL');
+            await exited;
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    return { port, url, dataDir, request, stop };
+}
+
+/**
+ * Open a WebSocket that collects every JSON message it receives.
+ * next(match) resolves with the first unread message whose type is `match`,
+ * or for which `match` returns true.
+ */
+async function openSocket(url, options = {}) {
+    const ws = new WebSocket(url, options);
+    const received = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+        received.push(JSON.parse(raw));
+        waiters.splice(0).forEach(check => check());
+    });
+    const closed = new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) })));
+
+    const socket = {
+        ws,
+        received,
+        closed,
+        send: message => ws.send(JSON.stringify(message)),
+        next: (match, timeoutMs = 3000) => new Promise((resolve, reject) => {
+            const test = typeof match === 'function' ? match : message => message.type === match;
+            const timeout = setTimeout(() => reject(new Error(`No message matching ${match} received`)), timeoutMs);
+            const check = () => {
+                const index = received.findIndex(test);
+                if (index === -1) return waiters.push(check);
+                clearTimeout(timeout);
+                resolve(received.splice(index, 1)[0]);
+            };
+            check();
+        }),
+        close: () => ws.terminate()
+    };
+
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    return socket;
+}
+
+module.exports = {
+    startServer,
+    openSocket
+};
@@ -0,0 +1,84 @@
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A venue with one bot, AAPL at $100 borrowing at 3.6% a year and TSLA hard to borrow
+function createVenue() {
+    const venue = new TradingVenue({
+        stocks: REAL_STOCKS,
+        borrowRates: new Map([['AAPL', 0.036]]),
+        hardToBorrow: new Set(['TSLA'])
+    });
+    const account = venue.openAccount({ id: 'bot_1' });
+    venue.marketData.get('AAPL').price = 100;
+    return { venue, account, portfolio: venue.portfolios.get(account.id) };
+}
+
+describe('short selling', () => {
+    test('sell_short opens a short position and credits the proceeds', () => {
+        const { venue, account, portfolio } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'sell_short', quantity: 10 });
+
+        expect(order.status).toBe('filled');
+        expect(portfolio.holdings.get('AAPL').quantity).toBe(-10);
+        expect(portfolio.cash).toBeCloseTo(100000 + order.totalCost - order.fees.total, 6);
+
+        const valuation = venue.valuePortfolio(portfolio);
+        expect(valuation.shortMarketValue).toBeCloseTo(-1000, 6);
+        expect(valuation.longMarketValue).toBe(0);
+    });
+
+    test('buy_to_cover closes the short and realizes the gain', () => {
+        const { venue, account, portfolio } = createVenue();
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'sell_short', quantity: 10 });
+        venue.marketData.get('AAPL').price = 80;
+
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy_to_cover', quantity: 10 });
+        expect(order.status).toBe('filled');
+        expect(order.realizedGain).toBeGreaterThan(190);
+        expect(portfolio.holdings.has('AAPL')).toBe(false);
+    });
+
+    test('keeps longs and shorts apart', () => {
+        const { venue, account } = createVenue();
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'sell', quantity: 10 }).order.rejectReason)
+            .toBe('Insufficient shares');
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'buy_to_cover', quantity: 10 }).order.rejectReason)
+            .toBe('Insufficient short position');
+
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'sell_short', quantity: 10 });
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10 }).order.rejectReason)
+            .toBe('Use buy_to_cover to close a short position');
+    });
+
+    test('refuses to short a hard-to-borrow symbol', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'TSLA', action: 'sell_short', quantity: 10 });
+        expect(order.status).toBe('rejected');
+        expect(order.rejectReason).toBe('TSLA is on the hard-to-borrow list');
+
+        venue.setBorrow('TSLA', { hardToBorrow: false });
+        expect(venue.placeOrder(account, { symbol: 'TSLA', action: 'sell_short', quantity: 10 }).order.status).toBe('filled');
+    });
+
+    test('needs equity to cover half the short exposure', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'sell_short', quantity: 2100, limit_price: 100 });
+        expect(order.status).toBe('rejected');
+        expect(order.rejectReason).toBe('Insufficient equity to sell short');
+    });
+
+    test('charges a day of borrow fees on open shorts at the session close', () => {
+        const { venue, account, portfolio } = createVenue();
+        venue.placeOrder(account, { symbol: 'AAPL', action: 'sell_short', quantity: 10 });
+        const cashBefore = portfolio.cash;
+
+        venue.closeSession();
+        const fee = 10 * 100 * 0.036 / 360;
+        expect(portfolio.borrowFees).toBeCloseTo(fee, 10);
+        expect(portfolio.holdings.get('AAPL').borrowFees).toBeCloseTo(fee, 10);
+        expect(portfolio.cash).toBeCloseTo(cashBefore - fee, 10);
+    });
+});
@@ -0,0 +1,96 @@
+const { applyLotFill } = require('../tax-lots');
+
+function emptyHolding() {
+    return { quantity: 0, costBasis: 0, lots: [] };
+}
+
+// Apply fills as [signed quantity, price, fees?] and return the last realized gain
+function fillAll(holding, fills, method) {
+    let gain = null;
+    fills.forEach(([quantity, price, fees = 0], i) => {
+        gain = applyLotFill(holding, { quantity, price, fees, openedAt: i, orderId: `order_${i}` }, method);
+    });
+    return gain;
+}
+
+describe('applyLotFill on a long position', () => {
+    const opens = [[10, 100], [10, 120]];
+
+    test('an opening fill adds a lot and realizes nothing', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, opens, 'fifo')).toBeNull();
+        expect(holding.quantity).toBe(20);
+        expect(holding.costBasis).toBe(2200);
+        expect(holding.lots.map(lot => lot.order_id)).toEqual(['order_0', 'order_1']);
+    });
+
+    test('fifo relieves the oldest lots first', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [...opens, [-15, 130]], 'fifo')).toBeCloseTo(350);
+        expect(holding.quantity).toBe(5);
+        expect(holding.lots).toEqual([expect.objectContaining({ quantity: 5, price: 120 })]);
+        expect(holding.costBasis).toBeCloseTo(600);
+    });
+
+    test('lifo relieves the newest lots first', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [...opens, [-15, 130]], 'lifo')).toBeCloseTo(250);
+        expect(holding.lots).toEqual([expect.objectContaining({ quantity: 5, price: 100 })]);
+        expect(holding.costBasis).toBeCloseTo(500);
+    });
+
+    test('average relieves every lot in proportion', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [...opens, [-15, 130]], 'average')).toBeCloseTo(300);
+        expect(holding.lots.map(lot => lot.quantity)).toEqual([2.5, 2.5]);
+        expect(holding.costBasis).toBeCloseTo(550);
+    });
+
+    test('fees raise the lot price and come off the gain', () => {
+        const holding = emptyHolding();
+        fillAll(holding, [[10, 100, 10]], 'fifo');
+        expect(holding.lots[0].price).toBeCloseTo(101);
+
+        expect(applyLotFill(holding, { quantity: -10, price: 110, fees: 5 }, 'fifo')).toBeCloseTo(85);
+        expect(holding.quantity).toBe(0);
+        expect(holding.lots).toEqual([]);
+        expect(holding.costBasis).toBe(0);
+    });
+});
+
+describe('applyLotFill on a short position', () => {
+    const opens = [[-10, 50], [-10, 40]];
+
+    test('short lots are negative and priced at the proceeds per share', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [[-10, 50, 5]], 'fifo')).toBeNull();
+        expect(holding.quantity).toBe(-10);
+        expect(holding.lots[0]).toEqual(expect.objectContaining({ quantity: -10, price: 49.5 }));
+        expect(holding.costBasis).toBeCloseTo(-495);
+
+        // 495 net proceeds, 450 to buy back and 5 in fees
+        expect(applyLotFill(holding, { quantity: 10, price: 45, fees: 5 }, 'fifo')).toBeCloseTo(40);
+        expect(holding.quantity).toBe(0);
+    });
+
+    test('fifo covers the oldest short first', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [...opens, [15, 45]], 'fifo')).toBeCloseTo(25);
+        expect(holding.quantity).toBe(-5);
+        expect(holding.lots).toEqual([expect.objectContaining({ quantity: -5, price: 40 })]);
+    });
+
+    test('lifo covers the newest short first', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [...opens, [15, 45]], 'lifo')).toBeCloseTo(-25);
+        expect(holding.lots).toEqual([expect.objectContaining({ quantity: -5, price: 50 })]);
+        expect(holding.costBasis).toBeCloseTo(-250);
+    });
+
+    test('average covers every short in proportion', () => {
+        const holding = emptyHolding();
+        expect(fillAll(holding, [...opens, [15, 45]], 'average')).toBeCloseTo(0);
+        expect(holding.lots.map(lot => lot.quantity)).toEqual([-2.5, -2.5]);
+        expect(holding.costBasis).toBeCloseTo(-225);
+    });
+});
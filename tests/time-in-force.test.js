@@ -0,0 +1,79 @@
+const { TradingVenue } = require('../trading-venue');
+const { logger } = require('../logger');
+const { REAL_STOCKS } = require('../js/stocks-data.js');
+
+logger.silent = true;
+
+// A venue with one bot and AAPL at $100, thin enough that one update only
+// absorbs 10 shares from an order
+function createVenue() {
+    const venue = new TradingVenue({ stocks: REAL_STOCKS, ticksPerSession: 78 });
+    const account = venue.openAccount({ id: 'bot_1' });
+    Object.assign(venue.marketData.get('AAPL'), { price: 100, avgVolume: 7800 });
+    return { venue, account };
+}
+
+describe('time in force', () => {
+    test('orders are DAY unless told otherwise', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 90 });
+        expect(order.time_in_force).toBe('day');
+    });
+
+    test('a resting DAY order expires at the session close and a GTC order carries over', () => {
+        const { venue, account } = createVenue();
+        const day = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 90, time_in_force: 'DAY' }).order;
+        const gtc = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, limit_price: 90, time_in_force: 'gtc' }).order;
+
+        venue.closeSession();
+        expect(day.status).toBe('expired');
+        expect(day.expiredAt).toBeInstanceOf(Date);
+        expect(gtc.status).toBe('pending');
+
+        venue.marketData.get('AAPL').price = 85;
+        venue.processRestingOrders();
+        expect(gtc.status).toBe('filled');
+    });
+
+    test('an IOC order fills what it can and cancels the rest', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 25, time_in_force: 'ioc' });
+        expect(order.filledQuantity).toBe(10);
+        expect(order.status).toBe('cancelled');
+        expect(order.cancelReason).toBe('IOC remainder of 15 cancelled');
+    });
+
+    test('an IOC order that cannot trade is cancelled rather than resting', () => {
+        const { venue, account } = createVenue();
+        const { order } = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 5, limit_price: 90, time_in_force: 'ioc' });
+        expect(order.status).toBe('cancelled');
+        expect(order.cancelReason).toBe('IOC order could not be filled immediately');
+    });
+
+    test('a FOK order fills completely or not at all', () => {
+        const { venue, account } = createVenue();
+        const small = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, time_in_force: 'fok' }).order;
+        expect(small.status).toBe('filled');
+
+        const large = venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 25, time_in_force: 'fok' }).order;
+        expect(large.status).toBe('cancelled');
+        expect(large.filledQuantity).toBe(0);
+        expect(large.cancelReason).toBe('FOK order could not be filled immediately');
+    });
+
+    test('rejects an unknown time_in_force', () => {
+        const { venue, account } = createVenue();
+        expect(venue.placeOrder(account, { symbol: 'AAPL', action: 'buy', quantity: 10, time_in_force: 'opg' }))
+            .toEqual({ error: 'Invalid time_in_force. Must be one of: day, gtc, ioc, fok', statusCode: 400 });
+    });
+
+    test('rejects non-string order_type, time_in_force and order_class with a 400', () => {
+        const { venue, account } = createVenue();
+        const request = { symbol: 'AAPL', action: 'buy', quantity: 10 };
+
+        expect(venue.placeOrder(account, { ...request, order_type: 5 }).statusCode).toBe(400);
+        expect(venue.placeOrder(account, { ...request, time_in_force: 1 }).statusCode).toBe(400);
+        expect(venue.placeOrder(account, { ...request, order_class: { bracket: true } }).statusCode).toBe(400);
+        expect(account.totalOrders).toBe(0);
+    });
+});
@@ -0,0 +1,250 @@
+const { startServer, openSocket } = require('./server-process');
+
+let server;
+let alice;
+let bob;
+
+// A bot registered on the test server, with the headers that authenticate its sockets
+async function registerBot(name) {
+    const apiKey = `${name}-key`;
+    const { body } = await server.request('POST', '/api/bot/register', { name: name, api_key: apiKey });
+    return { id: body.bot_id, apiKey: apiKey, headers: { 'X-Bot-Id': body.bot_id, 'X-API-Key': apiKey } };
+}
+
+// A socket for the bot, or an unauthenticated one without a bot
+function connectAs(bot) {
+    return openSocket(server.url.replace('http', 'ws'), bot ? { headers: bot.headers } : {});
+}
+
+function placeRestOrder(bot, order) {
+    return server.request('POST', '/api/bot/order', { bot_id: bot.id, api_key: bot.apiKey, ...order });
+}
+
+// Everything the server sent before a pong has been read
+async function drain(socket) {
+    socket.send({ type: 'ping' });
+    await socket.next('pong');
+}
+
+beforeAll(async () => {
+    server = await startServer({ WS_AUTH_TIMEOUT_MS: '1000', WS_REPLAY_BUFFER: '5' });
+    alice = await registerBot('alice');
+    bob = await registerBot('bob');
+}, 30000);
+
+afterAll(async () => {
+    await server.stop();
+});
+
+let sockets;
+
+beforeEach(() => {
+    sockets = [];
+});
+
+afterEach(() => {
+    sockets.forEach(socket => socket.close());
+});
+
+async function connect(bot) {
+    const socket = await connectAs(bot);
+    sockets.push(socket);
+    return socket;
+}
+
+describe('per-bot channels', () => {
+    test('delivers a bot\'s order updates only to its own connection', async () => {
+        const aliceSocket = await connect(alice);
+        const bobSocket = await connect(bob);
+        aliceSocket.send({ type: 'subscribe', channel: `orders:${alice.id}` });
+        bobSocket.send({ type: 'subscribe', channel: `orders:${bob.id}` });
+        expect(await aliceSocket.next('orders_snapshot')).toEqual(expect.objectContaining({ bot_id: alice.id, data: [] }));
+        await aliceSocket.next('subscribed');
+        await bobSocket.next('subscribed');
+
+        const { body } = await placeRestOrder(alice, { symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 1 });
+        const update = await aliceSocket.next('order_update');
+        expect(update).toEqual(expect.objectContaining({ channel: `orders:${alice.id}`, order_id: body.order_id, status: 'pending' }));
+
+        await drain(bobSocket);
+        expect(bobSocket.received.filter(message => message.type === 'order_update')).toEqual([]);
+    });
+
+    test('refuses another bot\'s channels and unknown bots with the same error', async () => {
+        const bobSocket = await connect(bob);
+
+        for (const channel of [`orders:${alice.id}`, `portfolio:${alice.id}`, 'orders:bot_999']) {
+            bobSocket.send({ type: 'subscribe', channel: channel });
+            expect(await bobSocket.next('subscribe_error')).toEqual({ type: 'subscribe_error', channel: channel, error: `Not authorized for ${channel}` });
+        }
+    });
+
+    test('sends a portfolio snapshot and market data for one symbol', async () => {
+        const aliceSocket = await connect(alice);
+
+        aliceSocket.send({ type: 'subscribe', channel: `portfolio:${alice.id}` });
+        const portfolio = await aliceSocket.next('portfolio_update');
+        expect(portfolio.bot_id).toBe(alice.id);
+
+        aliceSocket.send({ type: 'subscribe', channel: 'market_data:AAPL' });
+        const snapshot = await aliceSocket.next('market_snapshot');
+        expect(snapshot.data.map(quote => quote.symbol)).toEqual(['AAPL']);
+
+        aliceSocket.send({ type: 'subscribe', channel: 'market_data:NOPE' });
+        expect((await aliceSocket.next('subscribe_error')).error).toBe('Unknown symbol: NOPE');
+        aliceSocket.send({ type: 'subscribe', channel: 'everything' });
+        expect((await aliceSocket.next('subscribe_error')).error).toMatch(/^Unknown channel: everything/);
+    });
+});
+
+describe('bot authentication', () => {
+    test('refuses a connection with the wrong api key in its headers', async () => {
+        const error = await connectAs({ headers: { ...alice.headers, 'X-API-Key': 'wrong' } }).catch(e => e);
+        expect(error.message).toBe('Unexpected server response: 401');
+    });
+
+    test('binds a connection to the bot named in an auth message', async () => {
+        const socket = await connect(null);
+        socket.send({ type: 'subscribe', channel: `orders:${alice.id}` });
+        expect((await socket.next('auth_error')).error).toMatch(/^Authenticate first/);
+
+        socket.send({ type: 'auth', bot_id: alice.id, api_key: alice.apiKey });
+        expect(await socket.next('authenticated')).toEqual({ type: 'authenticated', bot_id: alice.id });
+
+        socket.send({ type: 'subscribe', channel: `orders:${alice.id}` });
+        await socket.next('subscribed');
+        socket.send({ type: 'subscribe', channel: `orders:${bob.id}` });
+        await socket.next('subscribe_error');
+
+        socket.send({ type: 'auth', bot_id: bob.id, api_key: bob.apiKey });
+        expect((await socket.next('auth_error')).error).toBe(`Already authenticated as bot ${alice.id}`);
+    });
+
+    test('closes the connection after a failed auth message', async () => {
+        const socket = await connect(null);
+        socket.send({ type: 'auth', bot_id: alice.id, api_key: bob.apiKey });
+        expect((await socket.next('auth_error')).error).toBe('Invalid bot_id or api_key');
+        expect(await socket.closed).toEqual({ code: 4001, reason: 'Authentication failed' });
+    });
+
+    test('closes a connection that never authenticates', async () => {
+        const socket = await connect(null);
+        expect(await socket.closed).toEqual({ code: 4001, reason: 'Authentication timeout' });
+    });
+});
+
+describe('order entry over the socket', () => {
+    test('places and cancels an order, answering each request by its request_id', async () => {
+        const socket = await connect(alice);
+
+        socket.send({ type: 'place_order', request_id: 'r1', symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 1 });
+        const ack = await socket.next('order_ack');
+        expect(ack).toEqual(expect.objectContaining({ request_id: 'r1', success: true, status: 'pending' }));
+
+        socket.send({ type: 'cancel_order', request_id: 'r2', order_id: ack.order_id });
+        expect(await socket.next('cancel_ack')).toEqual({ type: 'cancel_ack', request_id: 'r2', order_id: ack.order_id, status: 'cancelled' });
+
+        socket.send({ type: 'cancel_order', request_id: 'r3', order_id: ack.order_id });
+        expect(await socket.next('cancel_reject')).toEqual({
+            type: 'cancel_reject', request_id: 'r3', order_id: ack.order_id, error: 'Order is cancelled and can no longer be changed'
+        });
+    });
+
+    test('rejects orders the REST route would reject', async () => {
+        const socket = await connect(alice);
+
+        socket.send({ type: 'place_order', symbol: 'AAPL', action: 'buy', quantity: 1 });
+        expect((await socket.next('order_reject')).error).toBe('request_id is required');
+
+        socket.send({ type: 'place_order', request_id: 7, symbol: 'AAPL', action: 'hold', quantity: 1 });
+        expect(await socket.next('order_reject')).toEqual(expect.objectContaining({ request_id: 7, error: expect.stringMatching(/^Invalid action/) }));
+
+        socket.send({ type: 'place_order', request_id: 8, symbol: 'AAPL', action: 'sell', quantity: 1000000 });
+        expect(await socket.next('order_reject')).toEqual(expect.objectContaining({ request_id: 8, success: false, status: 'rejected' }));
+
+        socket.send({ type: 'place_order', request_id: 9, symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 1, client_order_id: 'once' });
+        const ack = await socket.next('order_ack');
+        socket.send({ type: 'place_order', request_id: 10, symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 1, client_order_id: 'once' });
+        expect(await socket.next('order_reject')).toEqual(expect.objectContaining({ request_id: 10, order_id: ack.order_id }));
+    });
+
+    test('acts only on the connection\'s own bot', async () => {
+        const aliceSocket = await connect(alice);
+        const bobSocket = await connect(bob);
+
+        aliceSocket.send({ type: 'place_order', request_id: 'a', symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 1 });
+        const { order_id } = await aliceSocket.next('order_ack');
+
+        bobSocket.send({ type: 'cancel_order', request_id: 'b', order_id: order_id });
+        expect((await bobSocket.next('cancel_reject')).error).toBe('Invalid api_key for this order');
+
+        bobSocket.send({ type: 'get_portfolio', request_id: 'c', bot_id: alice.id });
+        const portfolio = await bobSocket.next('portfolio');
+        expect(portfolio).toEqual(expect.objectContaining({ request_id: 'c', bot_id: bob.id }));
+        expect(portfolio.data).toEqual(expect.objectContaining({ cash: expect.any(Number) }));
+    });
+});
+
+describe('sequence numbers and replay', () => {
+    const restingBuy = { symbol: 'AAPL', action: 'buy', quantity: 1, limit_price: 1 };
+
+    // A bot of its own, so its order channel starts from seq 0
+    async function subscribedBot(name) {
+        const bot = await registerBot(name);
+        const socket = await connect(bot);
+        socket.send({ type: 'subscribe', channel: `orders:${bot.id}` });
+        expect((await socket.next('subscribed')).seq).toBe(0);
+        return { bot, socket };
+    }
+
+    test('numbers each order update and replays what a client missed', async () => {
+        const { bot, socket } = await subscribedBot('carol');
+        await placeRestOrder(bot, restingBuy);
+        await placeRestOrder(bot, restingBuy);
+        expect((await socket.next('order_update')).seq).toBe(1);
+        expect((await socket.next('order_update')).seq).toBe(2);
+        socket.close();
+
+        await placeRestOrder(bot, restingBuy);
+        const resumed = await connect(bot);
+        resumed.send({ type: 'resume', channel: `orders:${bot.id}`, last_seq: 1 });
+        expect((await resumed.next('order_update')).seq).toBe(2);
+        expect((await resumed.next('order_update')).seq).toBe(3);
+        expect(await resumed.next('resumed')).toEqual({
+            type: 'resumed', channel: `orders:${bot.id}`, last_seq: 1, seq: 3, replayed: 2, snapshot: false
+        });
+
+        // Still subscribed after the replay
+        await placeRestOrder(bot, restingBuy);
+        expect((await resumed.next('order_update')).seq).toBe(4);
+    });
+
+    test('sends a snapshot when the missed messages are no longer buffered', async () => {
+        const { bot, socket } = await subscribedBot('dave');
+        for (let i = 0; i < 7; i++) {
+            await placeRestOrder(bot, restingBuy);
+        }
+        await socket.next(message => message.seq === 7);
+
+        const resumed = await connect(bot);
+        resumed.send({ type: 'resume', channel: `orders:${bot.id}`, last_seq: 1 });
+        const snapshot = await resumed.next('orders_snapshot');
+        expect(snapshot.seq).toBe(7);
+        expect(snapshot.data).toHaveLength(7);
+        expect(await resumed.next('resumed')).toEqual(expect.objectContaining({ seq: 7, replayed: 0, snapshot: true }));
+        expect(resumed.received.filter(message => message.type === 'order_update')).toEqual([]);
+    });
+
+    test('refuses to resume an unsequenced channel or from an invalid seq', async () => {
+        const socket = await connect(alice);
+
+        socket.send({ type: 'resume', channel: `portfolio:${alice.id}`, last_seq: 0 });
+        expect((await socket.next('resume_error')).error).toBe(`portfolio:${alice.id} has no sequence numbers; subscribe to get a snapshot`);
+
+        socket.send({ type: 'resume', channel: `orders:${alice.id}`, last_seq: -1 });
+        expect((await socket.next('resume_error')).error).toBe('last_seq must be a non-negative whole number');
+
+        socket.send({ type: 'resume', channel: `orders:${bob.id}`, last_seq: 0 });
+        expect((await socket.next('resume_error')).error).toBe(`Not authorized for orders:${bob.id}`);
+    });
+});
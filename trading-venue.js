@@ -0,0 +1,1460 @@
+/**
+ * Trading Venue
+ * A self-contained simulated market: prices, bot accounts and portfolios, the
+ * order book and the session clock. The live market served by server.js is
+ * one venue; training sessions each run their own so a bot can practise
+ * without touching its live account.
+ *
+ * Venues report what happens through events:
+ *   'order_update'  (order)
+ *   'bot_event'     (type, account, fields) - halts, margin calls, liquidations
+ *   'market_update' ({ data, session, regime, timestamp })
+ *   'session_close' (session)
+ *   'regime_change' (regime)   - see market-regimes.js
+ *   'market_session' ({ event, session, clock }) - with a market clock, each
+ *                    pre-market, regular or after-hours session opening or closing
+ */
+
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+const { simulateExecution, DEFAULT_AVG_VOLUME } = require('./execution-model');
+const { nextPrice } = require('./market-engine');
+const { FactorModel, FACTOR_MODEL_DEFAULTS } = require('./js/factor-model.js');
+const { MarketRegimes } = require('./market-regimes');
+const { normalizeFeeSchedule, calculateFees, emptyFees } = require('./fee-schedule');
+const { getMarginStatus, dailyMarginInterest } = require('./margin-account');
+const { RISK_CODES, normalizeRiskProfile, checkDailyLoss, checkPreTradeRisk } = require('./risk-profile');
+const { applyLotFill } = require('./tax-lots');
+const { EquitySeries } = require('./equity-curve');
+const { envNumber } = require('./env-config');
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit'];
+const TIME_IN_FORCE = ['day', 'gtc', 'ioc', 'fok'];
+const ORDER_CLASSES = ['simple', 'bracket', 'oco'];
+const ORDER_ACTIONS = ['buy', 'sell', 'sell_short', 'buy_to_cover'];
+// The action that closes a bracket entry
+const EXIT_ACTIONS = { buy: 'sell', sell: 'buy', sell_short: 'buy_to_cover', buy_to_cover: 'sell_short' };
+
+// Simulated trading day: every TICKS_PER_SESSION market updates the session
+// closes (expiring DAY orders) and the next day opens.
+const TICKS_PER_SESSION = envNumber('TICKS_PER_SESSION', 78);
+const MARKET_UPDATE_MS = 5000;
+const TRADING_DAYS_PER_MONTH = 21; // for volume-tiered fee schedules
+const TRADING_DAYS_PER_YEAR = 252; // for annualizing equity curve metrics
+const INITIAL_CASH = 100000;
+
+// Short selling: annual borrow rates accrue daily on open shorts at each
+// session close. BORROW_RATES overrides per symbol ("TSLA:0.05,GME:0.8") and
+// HARD_TO_BORROW lists symbols that cannot be shorted at all.
+const DEFAULT_BORROW_RATE = envNumber('BORROW_RATE', 0.003);
+const SHORT_INITIAL_REQUIREMENT = 0.5; // equity needed per $ of short exposure
+const BORROW_RATES = new Map((process.env.BORROW_RATES || '').split(',')
+    .map(entry => entry.split(':'))
+    .filter(([symbol, rate]) => symbol && !isNaN(parseFloat(rate)))
+    .map(([symbol, rate]) => [symbol.trim().toUpperCase(), parseFloat(rate)]));
+const HARD_TO_BORROW = new Set((process.env.HARD_TO_BORROW || '').split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean));
+
+// Market updates a margin call stays open before positions are liquidated
+const MARGIN_CALL_GRACE_TICKS = envNumber('MARGIN_CALL_GRACE_TICKS', 3);
+
+// Which side of the market an action trades on
+function actionSide(action) {
+    return action === 'buy' || action === 'buy_to_cover' ? 'buy' : 'sell';
+}
+
+// Orders that add exposure and so use buying power on a margin account
+function opensPosition(order) {
+    return order.action === 'buy' || order.action === 'sell_short';
+}
+
+function isOrderWorking(order) {
+    return order.status === 'pending' || order.status === 'partially_filled';
+}
+
+// reason_code for orders turned away outside their trading session
+const MARKET_CLOSED = 'MARKET_CLOSED';
+
+function orderRequestError(error, statusCode = 400, reasonCode) {
+    return { error, statusCode, ...(reasonCode ? { reason_code: reasonCode } : {}) };
+}
+
+class TradingVenue extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name] - shown in log lines
+     * @param {Array} [options.stocks] - REAL_STOCKS style definitions to list
+     * @param {string} [options.orderPrefix] - order ids are prefix + counter
+     * @param {number} [options.startTime] - epoch ms; when set the venue keeps
+     *   simulated time, advancing tickMs per tick, instead of the wall clock
+     * @param {number} [options.tickMs] - simulated time per tick
+     * @param {number} [options.ticksPerSession] - ticks per trading day
+     * @param {Map} [options.borrowRates] - symbol -> annual borrow rate
+     * @param {Set} [options.hardToBorrow] - symbols that cannot be shorted
+     * @param {function} [options.random] - uniform [0, 1) source for price moves
+     * @param {object} [options.simulator] - an EnhancedSimulator to take prices
+     *   from; each tick calls its updatePrices() instead of the market engine
+     * @param {object} [options.factorModel] - FactorModel config correlating
+     *   the market engine's moves (see js/factor-model.js)
+     * @param {object} [options.clock] - a MarketClock (market-clock.js); the
+     *   venue then only trades in its sessions instead of around the clock
+     * @param {string} [options.closedOrders] - 'queue' (default) or 'reject':
+     *   what happens to orders placed while their session is shut
+     */
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'live';
+        this.orderPrefix = options.orderPrefix || 'order_';
+        this.ticksPerSession = options.ticksPerSession || TICKS_PER_SESSION;
+        this.tickMs = options.tickMs || MARKET_UPDATE_MS;
+        this.random = options.random || Math.random;
+        this.simulator = options.simulator || null;
+        this.factorModelConfig = options.factorModel || {};
+        this.factorModel = this.simulator ? null : new FactorModel(options.stocks || [], this.factorModelConfig);
+        this.simulatedTime = options.startTime !== undefined ? options.startTime : null;
+        // Regimes steer the market engine, so simulator-driven venues have none
+        this.regimes = this.simulator ? null : new MarketRegimes({ ticksPerSession: this.ticksPerSession, now: this.now() });
+        this.regimeAnchors = new Map(); // symbol -> price a reverting regime pulls back to
+        this.clock = options.clock || null;
+        this.closedOrderPolicy = options.closedOrders === 'reject' ? 'reject' : 'queue';
+
+        this.accounts = new Map();
+        this.portfolios = new Map();
+        this.orders = new Map();
+        this.marketData = new Map();
+        this.equityCurves = new Map(); // account id -> EquitySeries
+        this.orderIdCounter = 1000;
+
+        this.defaultBorrowRate = DEFAULT_BORROW_RATE;
+        this.borrowRates = new Map(options.borrowRates || BORROW_RATES);
+        this.hardToBorrow = new Set(options.hardToBorrow || HARD_TO_BORROW);
+
+        this.session = { day: 1, tick: 0, openedAt: this.now() };
+        this.timer = null;
+
+        (options.stocks || []).forEach((stock) => {
+            this.marketData.set(stock.symbol, {
+                symbol: stock.symbol,
+                price: stock.basePrice,
+                basePrice: stock.basePrice,
+                previousClose: stock.basePrice,
+                change: '0.00',
+                changePercent: '0.00%',
+                high52Week: stock.high52Week,
+                low52Week: stock.low52Week,
+                avgVolume: stock.avgVolume || DEFAULT_AVG_VOLUME[stock.type] || DEFAULT_AVG_VOLUME.growth,
+                volatility: stock.volatility,
+                marketCap: stock.marketCap,
+                type: stock.type,
+                sector: stock.sector,
+                lastUpdate: this.now().getTime()
+            });
+        });
+    }
+
+    // Venue time: the wall clock, or simulated time for venues given a startTime
+    now() {
+        return new Date(this.simulatedTime === null ? Date.now() : this.simulatedTime);
+    }
+
+    /**
+     * Accounts
+     */
+
+    /**
+     * Open a trading account for a bot. Config the bot registered with
+     * (feeSchedule, margin, riskProfile, lotMethod) is kept; anything missing
+     * gets the defaults, and the trading counters start from zero.
+     */
+    openAccount(account, { cash = INITIAL_CASH } = {}) {
+        Object.assign(account, {
+            feeSchedule: account.feeSchedule || normalizeFeeSchedule(),
+            margin: account.margin || null,
+            riskProfile: account.riskProfile || normalizeRiskProfile(),
+            lotMethod: account.lotMethod || 'fifo',
+            initialCapital: cash,
+            totalOrders: 0,
+            filledOrders: 0,
+            rejectedOrders: 0,
+            volumeMonth: this.currentTradingMonth(),
+            monthlyVolume: 0,
+            marginCall: null,
+            recentOrders: [],
+            dayStartEquity: cash,
+            haltedAt: null,
+            haltReason: null
+        });
+
+        this.accounts.set(account.id, account);
+        this.equityCurves.set(account.id, new EquitySeries());
+        this.resetPortfolio(account);
+        return account;
+    }
+
+    resetPortfolio(account) {
+        this.portfolios.set(account.id, {
+            cash: account.initialCapital,
+            holdings: new Map(),
+            totalValue: account.initialCapital,
+            realizedGains: 0,
+            unrealizedGains: 0,
+            borrowFees: 0,
+            marginInterest: 0
+        });
+    }
+
+    // Back to starting cash with no orders or history
+    resetAccount(account) {
+        this.resetPortfolio(account);
+        this.orders.forEach((order, key) => {
+            if (order.bot_id === account.id) {
+                this.orders.delete(key);
+            }
+        });
+
+        this.equityCurves.get(account.id).clear();
+        account.marginCall = null;
+        account.dayStartEquity = account.initialCapital;
+    }
+
+    /**
+     * Valuation
+     */
+
+    /**
+     * Mark a portfolio to market. Short holdings have negative market value, and
+     * their sale proceeds are already in cash, so equity is a plain sum.
+     */
+    valuePortfolio(portfolio) {
+        let longMarketValue = 0;
+        let shortMarketValue = 0;
+        let unrealizedGains = 0;
+
+        portfolio.holdings.forEach((holding) => {
+            const market = this.marketData.get(holding.symbol);
+            const value = (market ? market.price : holding.currentPrice) * holding.quantity;
+            unrealizedGains += value - holding.costBasis;
+            if (value >= 0) {
+                longMarketValue += value;
+            } else {
+                shortMarketValue += value;
+            }
+        });
+
+        return {
+            cash: portfolio.cash,
+            longMarketValue,
+            shortMarketValue,
+            unrealizedGains,
+            equity: portfolio.cash + longMarketValue + shortMarketValue
+        };
+    }
+
+    // Keep the valuation stored on each portfolio current for views that read it
+    markPortfolios() {
+        this.portfolios.forEach((portfolio) => {
+            portfolio.holdings.forEach((holding) => {
+                const market = this.marketData.get(holding.symbol);
+                if (market) holding.currentPrice = market.price;
+            });
+
+            const valuation = this.valuePortfolio(portfolio);
+            portfolio.totalValue = valuation.equity;
+            portfolio.unrealizedGains = valuation.unrealizedGains;
+        });
+    }
+
+    // Snapshot every account's equity, cash and exposure for its equity curve
+    recordEquitySnapshots() {
+        const timestamp = this.now().getTime();
+        this.portfolios.forEach((portfolio, accountId) => {
+            const curve = this.equityCurves.get(accountId);
+            if (!curve) return;
+
+            const valuation = this.valuePortfolio(portfolio);
+            curve.push({
+                timestamp: timestamp,
+                equity: valuation.equity,
+                cash: portfolio.cash,
+                longExposure: valuation.longMarketValue,
+                shortExposure: -valuation.shortMarketValue
+            });
+        });
+    }
+
+    // Snapshots per simulated year at a resolution, for annualizing metrics
+    periodsPerYear(resolutionMs) {
+        const ticksPerPoint = resolutionMs ? Math.max(1, resolutionMs / this.tickMs) : 1;
+        return this.ticksPerSession * TRADING_DAYS_PER_YEAR / ticksPerPoint;
+    }
+
+    getAccountMarginStatus(account) {
+        const portfolio = this.portfolios.get(account.id);
+        if (!account.margin) {
+            return { enabled: false, totalValue: this.valuePortfolio(portfolio).equity };
+        }
+        return getMarginStatus(account.margin, this.valuePortfolio(portfolio));
+    }
+
+    // Whether excess equity covers the initial margin on `notional` of new
+    // exposure plus its fees
+    hasBuyingPower(account, notional, fees) {
+        const status = this.getAccountMarginStatus(account);
+        return status.availableMargin >= notional / account.margin.multiplier + fees.total;
+    }
+
+    currentTradingMonth() {
+        return Math.floor((this.session.day - 1) / TRADING_DAYS_PER_MONTH);
+    }
+
+    // Shares the account has traded this simulated month, for tiered fee schedules
+    getMonthlyVolume(account) {
+        const month = this.currentTradingMonth();
+        if (account.volumeMonth !== month) {
+            account.volumeMonth = month;
+            account.monthlyVolume = 0;
+        }
+        return account.monthlyVolume;
+    }
+
+    /**
+     * Borrow availability
+     */
+
+    getBorrowRate(symbol) {
+        return this.borrowRates.has(symbol) ? this.borrowRates.get(symbol) : this.defaultBorrowRate;
+    }
+
+    // Change one symbol's borrow rate and/or hard-to-borrow flag
+    setBorrow(symbol, { rate, hardToBorrow } = {}) {
+        if (rate !== undefined) {
+            this.borrowRates.set(symbol, rate);
+        }
+        if (hardToBorrow === true) {
+            this.hardToBorrow.add(symbol);
+        } else if (hardToBorrow === false) {
+            this.hardToBorrow.delete(symbol);
+        }
+    }
+
+    /**
+     * Order entry
+     */
+
+    /**
+     * Validate an order request and put it on the book. `request` takes the
+     * REST order fields: symbol, action, quantity, limit_price, stop_price,
+     * order_type, time_in_force, order_class, take_profit and stop_loss, plus
+     * an optional client_order_id kept on the order for the caller's use.
+     *
+     * order_type is inferred from the prices supplied when omitted (limit_price
+     * alone means a limit order). order_class 'bracket' adds a take_profit
+     * { limit_price } and stop_loss { stop_price, limit_price? } exit pair that
+     * is held until the entry fills; 'oco' places that pair with no entry.
+     * With a market clock, extended_hours lets a simple day or gtc limit order
+     * trade in the pre-market and after-hours sessions too.
+     *
+     * @returns {{ order, legs? }|{ error, statusCode, reason_code? }} the
+     *   submitted order (which may itself be rejected by the funds check), or
+     *   the reason the request never reached the book
+     */
+    placeOrder(account, request) {
+        const { symbol, action, quantity, limit_price, stop_price, order_type, time_in_force, order_class, take_profit, stop_loss } = request;
+
+        if (!symbol || !action || !quantity) {
+            return orderRequestError('Missing required fields: symbol, action, quantity');
+        }
+
+        const side = String(action).toLowerCase();
+        if (!ORDER_ACTIONS.includes(side)) {
+            return orderRequestError(`Invalid action. Must be one of: ${ORDER_ACTIONS.join(', ')}`);
+        }
+
+        if (!(quantity > 0)) {
+            return orderRequestError('Quantity must be positive');
+        }
+
+        const type = order_type
+            ? String(order_type).toLowerCase()
+            : limit_price && stop_price ? 'stop_limit'
+            : stop_price ? 'stop'
+            : limit_price ? 'limit'
+            : 'market';
+
+        if (!ORDER_TYPES.includes(type)) {
+            return orderRequestError(`Invalid order_type. Must be one of: ${ORDER_TYPES.join(', ')}`);
+        }
+
+        const tif = String(time_in_force || 'day').toLowerCase();
+        if (!TIME_IN_FORCE.includes(tif)) {
+            return orderRequestError(`Invalid time_in_force. Must be one of: ${TIME_IN_FORCE.join(', ')}`);
+        }
+
+        const orderClass = String(order_class || 'simple').toLowerCase();
+        if (!ORDER_CLASSES.includes(orderClass)) {
+            return orderRequestError(`Invalid order_class. Must be one of: ${ORDER_CLASSES.join(', ')}`);
+        }
+
+        if (orderClass !== 'oco' && (type === 'limit' || type === 'stop_limit') && !(limit_price > 0)) {
+            return orderRequestError(`${type} orders require a positive limit_price`);
+        }
+
+        if (orderClass !== 'oco' && (type === 'stop' || type === 'stop_limit') && !(stop_price > 0)) {
+            return orderRequestError(`${type} orders require a positive stop_price`);
+        }
+
+        if (orderClass !== 'simple') {
+            if (!(take_profit && take_profit.limit_price > 0) || !(stop_loss && stop_loss.stop_price > 0)) {
+                return orderRequestError(`${orderClass} orders require take_profit.limit_price and stop_loss.stop_price`);
+            }
+
+            if (tif === 'ioc' || tif === 'fok') {
+                return orderRequestError(`${orderClass} orders require day or gtc time_in_force`);
+            }
+
+            // The exit pair must bracket the price: take-profit on the profitable
+            // side of the stop for the direction being closed
+            const exitsLong = orderClass === 'bracket'
+                ? actionSide(side) === 'buy'
+                : actionSide(side) === 'sell';
+            if (exitsLong ? take_profit.limit_price <= stop_loss.stop_price : take_profit.limit_price >= stop_loss.stop_price) {
+                return orderRequestError(`take_profit.limit_price must be ${exitsLong ? 'above' : 'below'} stop_loss.stop_price`);
+            }
+        }
+
+        const extendedHours = request.extended_hours === true || request.extended_hours === 'true';
+        if (extendedHours && (orderClass !== 'simple' || type !== 'limit' || !(tif === 'day' || tif === 'gtc'))) {
+            return orderRequestError('extended_hours orders must be simple limit orders with day or gtc time_in_force');
+        }
+
+        const market = this.marketData.get(String(symbol).toUpperCase());
+        if (!market) {
+            return orderRequestError(`Symbol '${symbol}' not found`, 404);
+        }
+
+        const sessionError = this.getSessionError({ time_in_force: tif, extended_hours: extendedHours });
+        if (sessionError) {
+            this.countRefusedOrder(account);
+            return sessionError;
+        }
+
+        // Bracket legs only ever close the entry, so the entry is what gets
+        // checked; OCO legs are valued at the market
+        const riskBreach = this.checkOrderRisk(account, {
+            symbol: market.symbol,
+            action: side,
+            quantity: quantity,
+            price: (orderClass !== 'oco' && (limit_price || stop_price)) || market.price
+        });
+        if (riskBreach) {
+            this.countRefusedOrder(account);
+            logger.warn(`[Risk] Order from ${account.id} rejected (${riskBreach.code}): ${riskBreach.message}`);
+            return orderRequestError(riskBreach.message, riskBreach.code === RISK_CODES.ORDER_RATE ? 429 : 403, riskBreach.code);
+        }
+
+        const base = {
+            bot_id: account.id,
+            symbol: market.symbol,
+            time_in_force: tif,
+            quantity: quantity,
+            order_class: orderClass,
+            extended_hours: extendedHours,
+            ...(request.client_order_id ? { client_order_id: request.client_order_id } : {})
+        };
+
+        if (orderClass === 'simple') {
+            const order = this.createOrder({
+                ...base,
+                action: side,
+                type: type,
+                limit_price: type === 'limit' || type === 'stop_limit' ? limit_price : null,
+                stop_price: type === 'stop' || type === 'stop_limit' ? stop_price : null
+            });
+
+            this.submitOrder(order);
+            return { order };
+        }
+
+        // Bracket legs close the entry position so they trade the other side;
+        // OCO legs trade the side given
+        const exitAction = orderClass === 'bracket' ? EXIT_ACTIONS[side] : side;
+        const legStatus = orderClass === 'bracket' ? 'held' : 'pending';
+
+        const takeProfit = this.createOrder({
+            ...base,
+            action: exitAction,
+            type: 'limit',
+            limit_price: take_profit.limit_price,
+            leg: 'take_profit',
+            status: legStatus
+        });
+        const stopLoss = this.createOrder({
+            ...base,
+            action: exitAction,
+            type: stop_loss.limit_price ? 'stop_limit' : 'stop',
+            limit_price: stop_loss.limit_price || null,
+            stop_price: stop_loss.stop_price,
+            leg: 'stop_loss',
+            status: 'held'
+        });
+        takeProfit.oco_with = stopLoss.id;
+        stopLoss.oco_with = takeProfit.id;
+
+        if (orderClass === 'oco') {
+            // Record the stop first so a take-profit filling on arrival cancels it
+            this.orders.set(stopLoss.id, stopLoss);
+            this.submitOrder(takeProfit);
+            if (stopLoss.status === 'held') {
+                stopLoss.status = 'pending';
+            }
+            this.submitOrder(stopLoss);
+            return { order: takeProfit, legs: [takeProfit.id, stopLoss.id] };
+        }
+
+        const entry = this.createOrder({
+            ...base,
+            action: side,
+            type: type,
+            limit_price: type === 'limit' || type === 'stop_limit' ? limit_price : null,
+            stop_price: type === 'stop' || type === 'stop_limit' ? stop_price : null,
+            legs: [takeProfit.id, stopLoss.id]
+        });
+        takeProfit.parent_id = entry.id;
+        stopLoss.parent_id = entry.id;
+
+        this.submitOrder(takeProfit);
+        this.submitOrder(stopLoss);
+        this.submitOrder(entry);
+        return { order: entry, legs: entry.legs };
+    }
+
+    /**
+     * Whether the market session lets an order trade right now: the regular
+     * session takes every order, pre-market and after hours only
+     * extended_hours ones. Always true without a market clock.
+     */
+    canTradeNow(order) {
+        if (!this.clock) return true;
+        const { phase } = this.clock;
+        return phase === 'regular' || (phase !== 'closed' && Boolean(order.extended_hours));
+    }
+
+    // Why an order can't be taken in the current session, or null if it can.
+    // IOC and FOK orders can't wait for a session to open; others queue
+    // unless the closed-order policy is 'reject'.
+    getSessionError(order) {
+        if (this.canTradeNow(order)) return null;
+        const immediate = order.time_in_force === 'ioc' || order.time_in_force === 'fok';
+        if (!immediate && this.closedOrderPolicy === 'queue') return null;
+
+        const { phase, next_open } = this.clock.describe();
+        const reason = phase === 'closed'
+            ? `Market is closed until ${next_open}`
+            : `Only extended_hours limit orders trade in the ${phase === 'pre' ? 'pre-market' : 'after-hours'} session`;
+        return orderRequestError(immediate ? `${reason}; ${order.time_in_force} orders need an open session` : reason, 403, MARKET_CLOSED);
+    }
+
+    // Why an order can no longer be cancelled or replaced, or null if it can
+    getOrderChangeError(order) {
+        if (!isOrderWorking(order) && order.status !== 'held') {
+            return orderRequestError(`Order is ${order.status} and can no longer be changed`, 409);
+        }
+        return null;
+    }
+
+    /**
+     * Cancel a working or held order. Cancelling one leg of an OCO pair cancels
+     * the other, and cancelling a bracket entry cancels its legs.
+     */
+    cancelOrder(order, reason) {
+        const changeError = this.getOrderChangeError(order);
+        if (changeError) return changeError;
+
+        order.status = 'cancelled';
+        order.cancelledAt = this.now();
+        if (reason) order.cancelReason = reason;
+        this.emit('order_update', order);
+        this.settleOrderGroup(order);
+        return { order };
+    }
+
+    /**
+     * Cancel/replace: the order is marked 'replaced' and a new order carrying
+     * the changed quantity and prices is submitted in its place, keeping any
+     * bracket or OCO links. The replacement keeps the client_order_id unless
+     * a new one is given. A replacement the bot couldn't pay for, or one that
+     * breaches its risk profile, is refused and the original keeps working.
+     * @returns {{ replacement }|{ error, statusCode }}
+     */
+    replaceOrder(order, { quantity, limit_price, stop_price, client_order_id }) {
+        const changeError = this.getOrderChangeError(order);
+        if (changeError) return changeError;
+
+        if (order.status === 'partially_filled') {
+            return orderRequestError('Partially filled orders can only be cancelled', 409);
+        }
+
+        if (quantity === undefined && limit_price === undefined && stop_price === undefined) {
+            return orderRequestError('Nothing to replace. Provide quantity, limit_price or stop_price');
+        }
+
+        if (quantity !== undefined && !(quantity > 0)) {
+            return orderRequestError('Quantity must be positive');
+        }
+
+        if (limit_price !== undefined && !(order.type === 'limit' || order.type === 'stop_limit')) {
+            return orderRequestError(`limit_price cannot be set on a ${order.type} order`);
+        }
+
+        if (stop_price !== undefined && !(order.type === 'stop' || order.type === 'stop_limit')) {
+            return orderRequestError(`stop_price cannot be set on a ${order.type} order`);
+        }
+
+        if ((limit_price !== undefined && !(limit_price > 0)) || (stop_price !== undefined && !(stop_price > 0))) {
+            return orderRequestError('Prices must be positive');
+        }
+
+        const replacement = {
+            ...order,
+            quantity: quantity !== undefined ? quantity : order.quantity,
+            limit_price: limit_price !== undefined ? limit_price : order.limit_price,
+            stop_price: stop_price !== undefined ? stop_price : order.stop_price,
+            status: order.status,
+            createdAt: this.now(),
+            triggeredAt: null,
+            executions: [],
+            fees: emptyFees(),
+            grossCommission: 0,
+            replaces: order.id,
+            ...(client_order_id ? { client_order_id: client_order_id } : {})
+        };
+
+        // Run the replacement through the funds check before touching the
+        // original, so one the bot can't pay for is turned down while the
+        // original keeps working with its links intact
+        const fundsError = replacement.status === 'pending' ? this.getFundsError(replacement) : null;
+        if (fundsError) {
+            return orderRequestError(fundsError);
+        }
+
+        // The replacement goes through the risk profile like a new order
+        const account = this.accounts.get(order.bot_id);
+        const riskBreach = this.checkOrderRisk(account, {
+            symbol: order.symbol,
+            action: order.action,
+            quantity: replacement.quantity,
+            price: replacement.limit_price || replacement.stop_price || this.marketData.get(order.symbol).price
+        }, order);
+        if (riskBreach) {
+            this.countRefusedOrder(account);
+            logger.warn(`[Risk] Replacement of ${order.id} from ${account.id} rejected (${riskBreach.code}): ${riskBreach.message}`);
+            return orderRequestError(riskBreach.message, riskBreach.code === RISK_CODES.ORDER_RATE ? 429 : 403, riskBreach.code);
+        }
+        replacement.id = `${this.orderPrefix}${this.orderIdCounter++}`;
+
+        order.status = 'replaced';
+        order.replacedAt = this.now();
+        order.replacedBy = replacement.id;
+        this.emit('order_update', order);
+
+        // Point bracket/OCO links at the replacement. Held legs follow a
+        // parent's new quantity.
+        if (order.oco_with && this.orders.has(order.oco_with)) {
+            this.orders.get(order.oco_with).oco_with = replacement.id;
+        }
+        if (order.parent_id && this.orders.has(order.parent_id)) {
+            const parent = this.orders.get(order.parent_id);
+            parent.legs = parent.legs.map(id => (id === order.id ? replacement.id : id));
+        }
+        (order.legs || []).forEach((legId) => {
+            const leg = this.orders.get(legId);
+            if (!leg) return;
+            leg.parent_id = replacement.id;
+            if (leg.status === 'held') leg.quantity = replacement.quantity;
+        });
+
+        this.submitOrder(replacement);
+        return { replacement };
+    }
+
+    /**
+     * Build an order record with the defaults every order starts from.
+     */
+    createOrder(fields) {
+        return {
+            id: `${this.orderPrefix}${this.orderIdCounter++}`,
+            order_class: 'simple',
+            limit_price: null,
+            stop_price: null,
+            price: null,
+            totalCost: 0,
+            status: 'pending',
+            createdAt: this.now(),
+            triggeredAt: null,
+            filledAt: null,
+            filledQuantity: 0,
+            avgFillPrice: null,
+            executions: [],
+            commission: 0,
+            fees: emptyFees(),
+            grossCommission: 0,
+            realizedGain: null,
+            ...fields
+        };
+    }
+
+    /**
+     * Run a newly built order through the funds check and an immediate fill
+     * attempt, then record and announce it. Shared by order entry and replace.
+     */
+    submitOrder(order) {
+        const account = this.accounts.get(order.bot_id);
+        const market = this.marketData.get(order.symbol);
+
+        // Make sure the order could be paid for before accepting it; the check is
+        // repeated at fill time since cash and holdings may change while it rests.
+        // Held bracket legs are only checked once their parent fills.
+        if (order.status === 'pending') {
+            const fundsError = this.getFundsError(order);
+            if (fundsError) {
+                this.rejectOrder(order, fundsError);
+            }
+        }
+
+        // Orders placed while their session is shut wait for it to open
+        if (order.status === 'pending' && this.canTradeNow(order) && this.isOrderMarketable(order, market.price)) {
+            this.fillOrder(order, market);
+        }
+
+        // IOC and FOK orders never rest: whatever did not execute on arrival is
+        // cancelled straight away
+        if (isOrderWorking(order) && (order.time_in_force === 'ioc' || order.time_in_force === 'fok')) {
+            order.status = 'cancelled';
+            order.cancelledAt = this.now();
+            order.cancelReason = order.filledQuantity > 0
+                ? `IOC remainder of ${order.quantity - order.filledQuantity} cancelled`
+                : `${order.time_in_force.toUpperCase()} order could not be filled immediately`;
+        }
+
+        account.totalOrders++;
+        this.orders.set(order.id, order);
+
+        this.emit('order_update', order);
+        this.settleOrderGroup(order);
+        return order;
+    }
+
+    // Why the bot couldn't pay for or deliver an order right now, or null
+    getFundsError(order) {
+        const account = this.accounts.get(order.bot_id);
+        const portfolio = this.portfolios.get(order.bot_id);
+        const market = this.marketData.get(order.symbol);
+
+        const referencePrice = order.limit_price || order.stop_price || market.price;
+        const notional = referencePrice * order.quantity;
+        const estimatedFees = calculateFees(account.feeSchedule, {
+            action: actionSide(order.action),
+            quantity: order.quantity,
+            price: referencePrice,
+            liquidity: 'taker',
+            monthlyVolume: this.getMonthlyVolume(account)
+        });
+        const positionError = this.getPositionError(order, portfolio, order.quantity);
+
+        if (positionError) {
+            return positionError;
+        }
+        if (account.margin) {
+            return opensPosition(order) && !this.hasBuyingPower(account, notional, estimatedFees)
+                ? 'Insufficient buying power'
+                : null;
+        }
+        if (actionSide(order.action) === 'buy' && portfolio.cash < notional + estimatedFees.total) {
+            return 'Insufficient cash';
+        }
+        if (order.action === 'sell_short') {
+            // Equity has to cover the initial requirement on all shorts
+            // including this one
+            const { equity, shortMarketValue } = this.valuePortfolio(portfolio);
+            if (equity < (Math.abs(shortMarketValue) + notional) * SHORT_INITIAL_REQUIREMENT) {
+                return 'Insufficient equity to sell short';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether an order can execute at the given price.
+     * Stop and stop-limit orders are marked triggered the first time the price
+     * crosses their stop; a triggered stop-limit then behaves like a limit order.
+     */
+    isOrderMarketable(order, price) {
+        const isBuy = actionSide(order.action) === 'buy';
+
+        if ((order.type === 'stop' || order.type === 'stop_limit') && !order.triggeredAt) {
+            const stopHit = isBuy ? price >= order.stop_price : price <= order.stop_price;
+            if (!stopHit) {
+                return false;
+            }
+            order.triggeredAt = this.now();
+        }
+
+        if (order.type === 'limit' || order.type === 'stop_limit') {
+            return isBuy ? price <= order.limit_price : price >= order.limit_price;
+        }
+
+        return true;
+    }
+
+    // A request refused before it became an order counts as a rejected order,
+    // so rejectedOrders never exceeds totalOrders
+    countRefusedOrder(account) {
+        account.totalOrders++;
+        account.rejectedOrders++;
+    }
+
+    rejectOrder(order, reason) {
+        const account = this.accounts.get(order.bot_id);
+        order.status = 'rejected';
+        order.rejectReason = reason;
+        if (account) account.rejectedOrders++;
+        return false;
+    }
+
+    /**
+     * Execute as much of an order as the market can absorb right now against its
+     * account's portfolio. Each print is added to order.executions and the order
+     * moves to 'partially_filled' or 'filled'. Fees come from the account's fee
+     * schedule; `liquidity` says whether the fill added ('maker') or took
+     * ('taker') liquidity. Returns false if nothing executed, or if cash or
+     * shares are short (the order is then marked rejected).
+     */
+    fillOrder(order, market, liquidity = 'taker') {
+        const account = this.accounts.get(order.bot_id);
+        const portfolio = this.portfolios.get(order.bot_id);
+        const remaining = order.quantity - order.filledQuantity;
+        const side = actionSide(order.action);
+        const fill = simulateExecution({
+            action: side,
+            quantity: remaining,
+            limitPrice: order.type === 'limit' || order.type === 'stop_limit' ? order.limit_price : null
+        }, market, { ticksPerSession: this.ticksPerSession });
+
+        // Fill-or-kill takes everything on this update or nothing at all
+        if (fill.filledQuantity === 0 || (order.time_in_force === 'fok' && fill.filledQuantity < remaining)) {
+            return false;
+        }
+
+        const totalCost = fill.avgFillPrice * fill.filledQuantity;
+        const fees = calculateFees(account.feeSchedule, {
+            action: side,
+            quantity: fill.filledQuantity,
+            price: fill.avgFillPrice,
+            liquidity: liquidity,
+            monthlyVolume: this.getMonthlyVolume(account)
+        }, { ...order.fees, grossCommission: order.grossCommission });
+
+        const positionError = this.getPositionError(order, portfolio, fill.filledQuantity);
+        if (positionError) {
+            return this.rejectOrder(order, positionError);
+        }
+
+        if (account.margin && opensPosition(order) && !this.hasBuyingPower(account, totalCost, fees)) {
+            return this.rejectOrder(order, 'Insufficient buying power');
+        }
+
+        if (side === 'buy') {
+            // Margin accounts may borrow: cash goes negative
+            if (!account.margin && portfolio.cash < totalCost + fees.total) {
+                return this.rejectOrder(order, 'Insufficient cash');
+            }
+            portfolio.cash -= totalCost + fees.total;
+        } else {
+            portfolio.cash += totalCost - fees.total;
+        }
+
+        // Each print relieves lots on its own so its realized gain is exact
+        const now = this.now();
+        const direction = side === 'buy' ? 1 : -1;
+        fill.executions.forEach((execution) => {
+            const realizedGain = this.applyPositionChange(portfolio, account, {
+                symbol: order.symbol,
+                quantity: direction * execution.quantity,
+                price: execution.price,
+                fees: fees.total * execution.quantity / fill.filledQuantity,
+                openedAt: now,
+                orderId: order.id
+            }, market.price);
+
+            if (realizedGain !== null) {
+                order.realizedGain = (order.realizedGain || 0) + realizedGain;
+                portfolio.realizedGains += realizedGain;
+            }
+
+            order.executions.push({
+                id: `${order.id}_${order.executions.length + 1}`,
+                quantity: execution.quantity,
+                price: execution.price,
+                liquidity: liquidity,
+                realizedGain: realizedGain,
+                timestamp: now
+            });
+        });
+        Object.keys(order.fees).forEach((item) => {
+            order.fees[item] += fees[item];
+        });
+        order.grossCommission += fees.grossCommission;
+        account.monthlyVolume += fill.filledQuantity;
+        order.filledQuantity += fill.filledQuantity;
+        order.totalCost += totalCost;
+        order.commission = order.fees.commission;
+        order.avgFillPrice = order.totalCost / order.filledQuantity;
+        order.price = order.avgFillPrice;
+
+        if (order.filledQuantity >= order.quantity) {
+            order.status = 'filled';
+            order.filledAt = now;
+            account.filledOrders++;
+        } else {
+            order.status = 'partially_filled';
+        }
+        return true;
+    }
+
+    /**
+     * Position rules for an order's action: the reason it cannot trade
+     * `quantity` more shares right now, or null if it can.
+     */
+    getPositionError(order, portfolio, quantity) {
+        const holding = portfolio.holdings.get(order.symbol);
+        const held = holding ? holding.quantity : 0;
+
+        switch (order.action) {
+            case 'buy':
+                return held < 0 ? 'Use buy_to_cover to close a short position' : null;
+            case 'sell':
+                return held < quantity ? 'Insufficient shares' : null;
+            case 'sell_short':
+                if (this.hardToBorrow.has(order.symbol)) {
+                    return `${order.symbol} is on the hard-to-borrow list`;
+                }
+                return held > 0 ? 'Close the long position before selling short' : null;
+            case 'buy_to_cover':
+                return -held < quantity ? 'Insufficient short position' : null;
+            default:
+                return `Unknown action ${order.action}`;
+        }
+    }
+
+    /**
+     * Apply one execution ({ symbol, quantity (signed), price, fees, openedAt,
+     * orderId }) to a holding using the account's lot method. Returns the
+     * realized gain, or null when the execution opened shares.
+     */
+    applyPositionChange(portfolio, account, fill, markPrice) {
+        let holding = portfolio.holdings.get(fill.symbol);
+        if (!holding) {
+            holding = { symbol: fill.symbol, quantity: 0, costBasis: 0, lots: [], currentPrice: markPrice };
+            portfolio.holdings.set(fill.symbol, holding);
+        }
+
+        const realizedGain = applyLotFill(holding, fill, account.lotMethod);
+        holding.currentPrice = markPrice;
+        if (Math.abs(holding.quantity) < 1e-9) {
+            portfolio.holdings.delete(fill.symbol);
+        }
+        return realizedGain;
+    }
+
+    cancelLinkedOrder(order, reason) {
+        order.status = 'cancelled';
+        order.cancelledAt = this.now();
+        order.cancelReason = reason;
+        this.emit('order_update', order);
+    }
+
+    /**
+     * Keep bracket and OCO legs in step with an order that has just left the
+     * book. A filled parent releases its held legs and a parent that dies unfilled
+     * takes them with it; a leg that fills or dies cancels its OCO sibling.
+     */
+    settleOrderGroup(order) {
+        if (isOrderWorking(order) || order.status === 'held' || order.status === 'replaced') return;
+
+        (order.legs || []).forEach((legId) => {
+            const leg = this.orders.get(legId);
+            if (!leg || leg.status !== 'held') return;
+
+            // Legs protect whatever part of the entry actually filled
+            if (order.filledQuantity > 0) {
+                leg.status = 'pending';
+                leg.quantity = order.filledQuantity;
+                leg.activatedAt = this.now();
+                this.emit('order_update', leg);
+            } else {
+                this.cancelLinkedOrder(leg, `Parent order ${order.id} ${order.status}`);
+            }
+        });
+
+        if (order.oco_with) {
+            const sibling = this.orders.get(order.oco_with);
+            if (sibling && (isOrderWorking(sibling) || sibling.status === 'held')) {
+                this.cancelLinkedOrder(sibling, `OCO sibling ${order.id} ${order.status}`);
+            }
+        }
+    }
+
+    /**
+     * Risk
+     */
+
+    /**
+     * Run an order request through the account's risk profile before it reaches
+     * the book. Returns the breach, or null once the order is counted against
+     * the rate limit. Reaching the daily loss limit halts the bot.
+     * @param {object} [replaces] - for cancel/replace, the order being
+     *   replaced: only notional beyond it counts toward position and exposure
+     */
+    checkOrderRisk(account, request, replaces) {
+        if (account.status === 'halted') {
+            return { code: RISK_CODES.HALTED, message: `Bot is halted: ${account.haltReason}` };
+        }
+
+        const portfolio = this.portfolios.get(account.id);
+        const valuation = this.valuePortfolio(portfolio);
+        const holding = portfolio.holdings.get(request.symbol);
+        const notional = request.price * request.quantity;
+        const added = replaces
+            ? Math.max(0, notional - (replaces.limit_price || replaces.stop_price || this.marketData.get(request.symbol).price) * replaces.quantity)
+            : notional;
+        const now = this.now().getTime();
+        account.recentOrders = account.recentOrders.filter(time => now - time < 60000);
+
+        const riskBreach = checkPreTradeRisk(account.riskProfile, {
+            notional: notional,
+            positionValue: holding ? holding.quantity * this.marketData.get(request.symbol).price : 0,
+            positionChange: actionSide(request.action) === 'buy' ? added : -added,
+            grossExposure: valuation.longMarketValue - valuation.shortMarketValue,
+            ordersLastMinute: account.recentOrders.length,
+            dailyPnL: valuation.equity - account.dayStartEquity
+        });
+
+        if (!riskBreach) {
+            account.recentOrders.push(now);
+        } else if (riskBreach.code === RISK_CODES.DAILY_LOSS) {
+            this.haltAccount(account, riskBreach.message);
+        }
+        return riskBreach;
+    }
+
+    // Kill switch: stop the bot trading and pull every order that would add
+    // exposure. Exits (sell and buy_to_cover, including bracket and OCO
+    // protection) keep working so open positions stay covered; a bracket
+    // entry that partly filled releases its legs for the filled part.
+    haltAccount(account, reason) {
+        account.status = 'halted';
+        account.haltedAt = this.now();
+        account.haltReason = reason;
+
+        this.orders.forEach((order) => {
+            if (order.bot_id !== account.id || !(isOrderWorking(order) || order.status === 'held')) return;
+            if (!opensPosition(order)) return;
+
+            this.cancelLinkedOrder(order, 'Cancelled by risk halt');
+            this.settleOrderGroup(order);
+        });
+
+        logger.warn(`[Risk] ${account.id} halted on ${this.name}: ${reason}`);
+        this.emit('bot_event', 'bot_halted', account, { reason: reason });
+    }
+
+    // Clear a halt and start the daily loss count again from current equity
+    resetRiskState(account) {
+        account.haltedAt = null;
+        account.haltReason = null;
+        account.recentOrders = [];
+        account.dayStartEquity = this.valuePortfolio(this.portfolios.get(account.id)).equity;
+    }
+
+    // Halt any account whose loss since the session opened has reached its limit
+    checkDailyLossLimits() {
+        this.accounts.forEach((account, accountId) => {
+            const portfolio = this.portfolios.get(accountId);
+            if (account.status === 'halted' || !portfolio) return;
+
+            const lossBreach = checkDailyLoss(account.riskProfile, this.valuePortfolio(portfolio).equity - account.dayStartEquity);
+            if (lossBreach) {
+                this.haltAccount(account, lossBreach.message);
+            }
+        });
+    }
+
+    /**
+     * Margin calls
+     */
+
+    /**
+     * Recompute every margin account after a price update. An account whose
+     * equity falls below its maintenance requirement gets a margin call; if it is
+     * still short when the grace period runs out, positions are liquidated.
+     */
+    checkMarginAccounts() {
+        this.accounts.forEach((account, accountId) => {
+            const portfolio = this.portfolios.get(accountId);
+            if (!account.margin || !portfolio) return;
+
+            const status = this.getAccountMarginStatus(account);
+            const deficiency = status.maintenanceRequirement - status.totalValue;
+
+            if (!status.marginCall) {
+                if (account.marginCall) {
+                    logger.info(`[Margin] Margin call on ${accountId} met`);
+                    account.marginCall = null;
+                    this.emit('bot_event', 'margin_call_met', account, { margin_call: null, data: status });
+                }
+                return;
+            }
+
+            if (!account.marginCall) {
+                account.marginCall = {
+                    issuedAt: this.now(),
+                    amount: deficiency,
+                    ticksRemaining: MARGIN_CALL_GRACE_TICKS
+                };
+                logger.warn(`[Margin] Margin call on ${accountId}: $${deficiency.toFixed(2)} below maintenance`);
+                this.emit('bot_event', 'margin_call', account, { margin_call: account.marginCall, data: status });
+                // With no grace period the call is enforced straight away
+                if (MARGIN_CALL_GRACE_TICKS > 0) return;
+            } else {
+                account.marginCall.amount = deficiency;
+                account.marginCall.ticksRemaining = Math.max(0, account.marginCall.ticksRemaining - 1);
+                if (account.marginCall.ticksRemaining > 0) {
+                    this.emit('bot_event', 'margin_call', account, { margin_call: account.marginCall, data: status });
+                    return;
+                }
+            }
+
+            this.liquidateForMargin(account, portfolio, status);
+        });
+    }
+
+    /**
+     * Bring an account that ignored its margin call back to its initial
+     * requirement: cancel its other working orders, then close positions largest
+     * first. Anything the market cannot absorb keeps working on later updates.
+     */
+    liquidateForMargin(account, portfolio, status) {
+        const accountOrders = Array.from(this.orders.values()).filter(o => o.bot_id === account.id);
+        if (portfolio.holdings.size === 0 || accountOrders.some(o => o.liquidation && isOrderWorking(o))) return;
+
+        accountOrders
+            .filter(o => isOrderWorking(o) || o.status === 'held')
+            .forEach((o) => {
+                this.cancelLinkedOrder(o, 'Cancelled for margin liquidation');
+                this.settleOrderGroup(o);
+            });
+
+        // Every $1 closed releases 1/multiplier of initial margin
+        let toClose = (status.usedMargin - status.totalValue) * account.margin.multiplier;
+        const positions = Array.from(portfolio.holdings.values())
+            .map(holding => ({ holding, price: this.marketData.get(holding.symbol).price }))
+            .sort((a, b) => Math.abs(b.holding.quantity * b.price) - Math.abs(a.holding.quantity * a.price));
+
+        const liquidations = [];
+        for (const { holding, price } of positions) {
+            if (toClose <= 0) break;
+
+            const quantity = Math.min(Math.abs(holding.quantity), Math.ceil(toClose / price));
+            const order = this.createOrder({
+                bot_id: account.id,
+                symbol: holding.symbol,
+                action: holding.quantity > 0 ? 'sell' : 'buy_to_cover',
+                type: 'market',
+                time_in_force: 'gtc',
+                quantity: quantity,
+                liquidation: true
+            });
+            this.submitOrder(order);
+            liquidations.push(order.id);
+            toClose -= quantity * price;
+        }
+
+        logger.warn(`[Margin] Liquidating ${account.id}: ${liquidations.join(', ') || 'no positions'}`);
+        this.emit('bot_event', 'margin_liquidation', account, { margin_call: account.marginCall, data: { ...status, orders: liquidations } });
+    }
+
+    /**
+     * Session clock
+     */
+
+    // Jump-diffusion moves on every listed stock, correlated through the
+    // factor model and bent by the market regime (see market-engine.js), or
+    // the next prices from the venue's simulator. change and changePercent
+    // are measured from the previous session's close.
+    movePrices() {
+        const updated = [];
+        let simulated = null;
+        let shocks = null;
+        let regimeShocks = [];
+        if (this.simulator) {
+            this.simulator.updatePrices();
+            simulated = new Map(this.simulator.getStocks().map(stock => [stock.symbol, stock.price]));
+        } else {
+            regimeShocks = this.advanceRegime();
+            shocks = this.factorModel.draw(this.random);
+        }
+
+        this.marketData.forEach((stock, symbol) => {
+            stock.price = simulated && simulated.has(symbol)
+                ? simulated.get(symbol)
+                : this.applyShocks(stock, nextPrice(stock, {
+                    random: this.random,
+                    ticksPerSession: this.ticksPerSession,
+                    shock: shocks.get(symbol),
+                    regime: this.regimeFor(symbol),
+                    anchor: this.regimeAnchors.get(symbol)
+                }), regimeShocks);
+            stock.change = (stock.price - stock.previousClose).toFixed(2);
+            stock.changePercent = ((stock.price / stock.previousClose - 1) * 100).toFixed(2) + '%';
+            stock.lastUpdate = this.now().getTime();
+
+            updated.push({
+                symbol: symbol,
+                price: stock.price,
+                change: stock.change,
+                changePercent: stock.changePercent
+            });
+        });
+        return updated;
+    }
+
+    /**
+     * Move the regime schedule on by one update. A new regime rebuilds the
+     * factor model with its correlation multiplier and anchors reverting
+     * regimes at the current prices. Returns the shocks due this update.
+     */
+    advanceRegime() {
+        const { changed, shocks } = this.regimes.advance(this.now());
+        if (changed) {
+            const { regime } = this.regimes;
+            const marketVolatility = this.factorModelConfig.marketVolatility || FACTOR_MODEL_DEFAULTS.marketVolatility;
+            this.factorModel = new FactorModel(Array.from(this.marketData.values()), {
+                ...this.factorModelConfig,
+                marketVolatility: marketVolatility * regime.correlation
+            });
+            this.marketData.forEach((stock, symbol) => this.regimeAnchors.set(symbol, stock.price));
+
+            logger.info(`[Market] ${this.name} regime is now ${this.regimes.name}`);
+            this.emit('regime_change', this.regimes.describe());
+        }
+        return shocks;
+    }
+
+    // The regime's drift works through the market factor, so it scales with beta
+    regimeFor(symbol) {
+        const { regime } = this.regimes;
+        return { ...regime, drift: regime.drift * this.factorModel.betaOf(symbol) };
+    }
+
+    // Gap a price by the shocks that hit the stock; market-wide ones scale with beta
+    applyShocks(stock, price, shocks) {
+        return shocks.reduce((current, shock) => {
+            let move;
+            if (shock.symbols) {
+                move = shock.symbols.includes(stock.symbol) ? shock.move : 0;
+            } else if (shock.sector) {
+                move = shock.sector === stock.sector ? shock.move : 0;
+            } else {
+                move = shock.move * this.factorModel.betaOf(stock.symbol);
+            }
+            return Math.max(0.01, current * (1 + Math.max(move, -0.99)));
+        }, price);
+    }
+
+    /**
+     * One market update: move prices, fill any resting orders the new prices
+     * have crossed, mark portfolios, police margin and loss limits and record
+     * equity. The session closes every ticksPerSession updates, or with a
+     * market clock when its regular session ends; while no session trades
+     * nothing moves and the update returns null.
+     */
+    tick() {
+        if (this.simulatedTime !== null) {
+            this.simulatedTime += this.tickMs;
+        }
+        if (this.clock && !this.advanceClock()) {
+            return null;
+        }
+
+        const updated = this.movePrices();
+        this.processRestingOrders();
+        this.markPortfolios();
+        this.checkMarginAccounts();
+        this.checkDailyLossLimits();
+        this.recordEquitySnapshots();
+
+        // With a clock only regular-session updates count toward the day
+        if (!this.clock || this.clock.isOpen) {
+            this.session.tick++;
+        }
+        const session = {
+            day: this.session.day,
+            tick: this.session.tick,
+            ticksPerSession: this.ticksPerSession,
+            ...(this.clock ? { phase: this.clock.phase, time: this.clock.describe().timestamp } : {})
+        };
+        if (!this.clock && this.session.tick >= this.ticksPerSession) {
+            this.closeSession();
+        }
+
+        const update = {
+            data: updated,
+            session: session,
+            ...(this.regimes ? { regime: this.regimes.describe() } : {}),
+            timestamp: this.now()
+        };
+        this.emit('market_update', update);
+        return update;
+    }
+
+    /**
+     * Move the market clock on, announcing every session that opens or closes
+     * and closing the trading day when the regular session ends. Returns
+     * whether any session is trading.
+     */
+    advanceClock() {
+        this.clock.advance().forEach((transition) => {
+            if (transition.event === 'close' && transition.session === 'regular') {
+                this.closeSession();
+            }
+            const clock = this.clock.describe();
+            logger.info(`[Market] ${this.name} ${transition.session} session ${transition.event === 'open' ? 'opened' : 'closed'} at ${clock.timestamp}`);
+            this.emit('market_session', { ...transition, clock: clock });
+        });
+        return this.clock.phase !== 'closed';
+    }
+
+    /**
+     * Check every working order that can trade in the current session against
+     * the latest prices and fill the ones whose trigger has been crossed, or
+     * keep working the unfilled remainder of partially filled ones.
+     */
+    processRestingOrders() {
+        this.orders.forEach((order) => {
+            if (!isOrderWorking(order) || !this.canTradeNow(order)) return;
+
+            const market = this.marketData.get(order.symbol);
+            if (!market || !this.isOrderMarketable(order, market.price)) return;
+
+            // A resting limit order that gets hit added liquidity; stops and
+            // market remainders take it
+            const liquidity = order.type === 'limit' || order.type === 'stop_limit' ? 'maker' : 'taker';
+            const filledBefore = order.filledQuantity;
+            this.fillOrder(order, market, liquidity);
+            if (order.filledQuantity === filledBefore && order.status !== 'rejected') return;
+
+            this.emit('order_update', order);
+            this.settleOrderGroup(order);
+        });
+    }
+
+    /**
+     * Close the simulated trading day: expire every resting DAY order, charge
+     * borrow fees and margin interest, record closing prices and open the
+     * next session. GTC orders carry over.
+     */
+    closeSession() {
+        this.orders.forEach((order) => {
+            if (!isOrderWorking(order) || order.time_in_force !== 'day') return;
+
+            order.status = 'expired';
+            order.expiredAt = this.now();
+            this.emit('order_update', order);
+            this.settleOrderGroup(order);
+        });
+
+        this.accrueBorrowFees();
+        this.accrueMarginInterest();
+        this.resetDailyLossBaselines();
+        this.marketData.forEach((stock) => {
+            stock.previousClose = stock.price;
+        });
+
+        // Simulated venues close sessions far more often than the live one
+        logger.log(this.simulatedTime === null ? 'info' : 'debug', `[Market] ${this.name} session day ${this.session.day} closed`);
+        const closed = { day: this.session.day, ticksPerSession: this.ticksPerSession };
+        this.session.day++;
+        this.session.tick = 0;
+        this.session.openedAt = this.now();
+        this.emit('session_close', closed);
+    }
+
+    /**
+     * Charge one day of borrow fees on every open short, using the usual
+     * actual/360 convention on the position's market value.
+     */
+    accrueBorrowFees() {
+        this.portfolios.forEach((portfolio) => {
+            portfolio.holdings.forEach((holding) => {
+                if (holding.quantity >= 0) return;
+
+                const market = this.marketData.get(holding.symbol);
+                const price = market ? market.price : holding.currentPrice;
+                const fee = Math.abs(holding.quantity) * price * this.getBorrowRate(holding.symbol) / 360;
+
+                portfolio.cash -= fee;
+                portfolio.borrowFees += fee;
+                holding.borrowFees = (holding.borrowFees || 0) + fee;
+            });
+        });
+    }
+
+    // Charge one day of interest on every margin account's debit balance
+    accrueMarginInterest() {
+        this.accounts.forEach((account, accountId) => {
+            const portfolio = this.portfolios.get(accountId);
+            if (!account.margin || !portfolio) return;
+
+            const interest = dailyMarginInterest(account.margin, portfolio.cash);
+            portfolio.cash -= interest;
+            portfolio.marginInterest += interest;
+        });
+    }
+
+    // Daily loss is measured from each session's opening equity
+    resetDailyLossBaselines() {
+        this.accounts.forEach((account, accountId) => {
+            const portfolio = this.portfolios.get(accountId);
+            if (portfolio) {
+                account.dayStartEquity = this.valuePortfolio(portfolio).equity;
+            }
+        });
+    }
+
+    /**
+     * Run the clock: one tick every `intervalMs` of wall time until stop().
+     */
+    start(intervalMs = MARKET_UPDATE_MS) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+}
+
+module.exports = {
+    TradingVenue,
+    ORDER_ACTIONS,
+    TICKS_PER_SESSION,
+    MARKET_UPDATE_MS,
+    actionSide,
+    isOrderWorking
+};
@@ -0,0 +1,182 @@
+/**
+ * Training Sessions
+ * Practice runs for a bot on a market of its own. Each session gets a fresh
+ * TradingVenue opened at base prices with simulated time, ticks `speed`
+ * times faster than the live market and stops itself after the configured
+ * number of simulated trading days. The bot trades it through the normal
+ * order API while the session is running.
+ */
+
+const EventEmitter = require('events');
+const { TradingVenue, MARKET_UPDATE_MS } = require('./trading-venue');
+const { envNumber } = require('./env-config');
+
+const TRAINING_DEFAULTS = {
+    days: envNumber('TRAINING_DAYS', 5),     // simulated trading days per session
+    speed: envNumber('TRAINING_SPEED', 10),  // market updates per live update
+    initialCash: 100000
+};
+
+const MAX_DAYS = 252;
+const MAX_SPEED = 500; // one update every 10ms
+const RECENT_TRADES = 20;
+
+/**
+ * Turn the training start body ({ days, speed, initial_cash }) into session
+ * options. Throws with a readable message when the input is invalid.
+ */
+function normalizeTrainingOptions(input = {}) {
+    const options = { ...TRAINING_DEFAULTS };
+    const fields = { days: 'days', speed: 'speed', initial_cash: 'initialCash' };
+
+    Object.keys(fields).forEach((field) => {
+        if (input[field] === undefined || input[field] === null) return;
+        const value = Number(input[field]);
+        if (!(value > 0)) {
+            throw new Error(`${field} must be a positive number`);
+        }
+        options[fields[field]] = value;
+    });
+
+    if (!Number.isInteger(options.days) || options.days > MAX_DAYS) {
+        throw new Error(`days must be a whole number up to ${MAX_DAYS}`);
+    }
+    if (options.speed > MAX_SPEED) {
+        throw new Error(`speed must be at most ${MAX_SPEED}`);
+    }
+    return options;
+}
+
+/**
+ * Emits 'complete' (session) once the last simulated day closes.
+ */
+class TrainingSession extends EventEmitter {
+    /**
+     * @param {object} bot - the registered bot; its fee schedule, margin,
+     *   risk profile and lot method carry over to the training account
+     * @param {object} options - normalized training options
+     * @param {object} market - { stocks, factorModel, borrowRates, hardToBorrow } to list
+     */
+    constructor(bot, options, market) {
+        super();
+        this.botId = bot.id;
+        this.options = options;
+        this.status = 'stopped';
+        this.createdAt = new Date();
+        this.completedAt = null;
+
+        this.venue = new TradingVenue({
+            name: `training:${bot.id}`,
+            orderPrefix: `training_${bot.id}_order_`,
+            startTime: Date.now(),
+            stocks: market.stocks,
+            factorModel: market.factorModel,
+            borrowRates: market.borrowRates,
+            hardToBorrow: market.hardToBorrow
+        });
+        this.account = this.venue.openAccount({
+            id: bot.id,
+            name: bot.name,
+            status: 'training',
+            feeSchedule: bot.feeSchedule,
+            margin: bot.margin,
+            riskProfile: bot.riskProfile,
+            lotMethod: bot.lotMethod
+        }, { cash: options.initialCash });
+
+        this.venue.on('session_close', (closed) => {
+            if (closed.day >= this.options.days) {
+                this.complete();
+            }
+        });
+    }
+
+    start() {
+        if (this.status === 'completed') return;
+        this.venue.start(MARKET_UPDATE_MS / this.options.speed);
+        this.status = 'running';
+    }
+
+    stop() {
+        this.venue.stop();
+        if (this.status === 'running') {
+            this.status = 'stopped';
+        }
+    }
+
+    complete() {
+        this.venue.stop();
+        this.status = 'completed';
+        this.completedAt = new Date();
+        this.emit('complete', this);
+    }
+
+    /**
+     * Portfolio, trade counts and progress in the shape the training
+     * dashboard renders. Successful trades are filled orders and failed
+     * trades rejected ones, as in /api/bots.
+     */
+    getStats() {
+        const { venue, account } = this;
+        const portfolio = venue.portfolios.get(account.id);
+        const valuation = venue.valuePortfolio(portfolio);
+        const daysCompleted = venue.session.day - 1;
+
+        const holdings = Array.from(portfolio.holdings.values()).map((holding) => {
+            const price = venue.marketData.get(holding.symbol).price;
+            return {
+                symbol: holding.symbol,
+                quantity: holding.quantity,
+                price: price,
+                avgCost: holding.costBasis / holding.quantity,
+                currentValue: price * holding.quantity,
+                gainLoss: price * holding.quantity - holding.costBasis
+            };
+        });
+
+        // Oldest first; the dashboard reverses them
+        const recentTrades = Array.from(venue.orders.values())
+            .filter(order => order.bot_id === account.id && order.filledQuantity > 0)
+            .map(order => ({
+                order_id: order.id,
+                action: order.action,
+                symbol: order.symbol,
+                quantity: order.filledQuantity,
+                price: order.avgFillPrice,
+                realizedGain: order.realizedGain,
+                timestamp: order.executions[order.executions.length - 1].timestamp
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-RECENT_TRADES);
+
+        return {
+            bot_id: account.id,
+            status: this.status,
+            day: Math.min(venue.session.day, this.options.days),
+            tick: venue.session.tick,
+            days: this.options.days,
+            speed: this.options.speed,
+            progress: Math.min(100, (daysCompleted + venue.session.tick / venue.ticksPerSession) / this.options.days * 100),
+            simulatedTime: venue.now(),
+            haltReason: account.haltReason,
+            initialCapital: account.initialCapital,
+            totalValue: valuation.equity,
+            cash: portfolio.cash,
+            holdingsValue: valuation.longMarketValue + valuation.shortMarketValue,
+            realizedPnL: portfolio.realizedGains,
+            unrealizedPnL: valuation.unrealizedGains,
+            returnPercent: (valuation.equity - account.initialCapital) / account.initialCapital * 100,
+            totalTrades: account.totalOrders,
+            successfulTrades: account.filledOrders,
+            failedTrades: account.rejectedOrders,
+            holdings: holdings,
+            recentTrades: recentTrades
+        };
+    }
+}
+
+module.exports = {
+    TRAINING_DEFAULTS,
+    TrainingSession,
+    normalizeTrainingOptions
+};